@@ -0,0 +1,1139 @@
+/**
+ * The mortgage amortization engine, which contains all the calculations needed to build a mortgage amortization
+ * schedule. None of the functions in this module access the DOM, so that the module can be imported both by the web
+ * page and by the test suite, which is run with Node.js.
+ */
+import {calculateDueDate, calculateYearFraction, DAY_COUNT_CONVENTIONS} from './dates.js';
+import {PAYMENT_FREQUENCIES} from './frequency.js';
+
+/**
+ * The repayment types, which decide how the principal is paid off. With 'annuity' repayment, a level monthly payment is
+ * made, with 'linear' repayment, a constant portion of the principal is paid every month, and with 'balloon' repayment,
+ * a level monthly payment is made that leaves a balloon payment to be paid with the final payment.
+ * @type {string[]}
+ */
+export const REPAYMENT_TYPES = ['annuity', 'linear', 'balloon'];
+
+/**
+ * The payment events, which mark a month in which the scheduled payment is not made as usual. On a 'holiday', nothing
+ * is paid and the interest of the month is capitalised, which means that it is added to the balance. On a 'missed'
+ * payment, nothing is paid, and on a 'partial' payment, less is paid than is due, so the interest that is not paid
+ * becomes arrears, together with a late fee. The arrears are paid with the next payment that is made as usual, so a
+ * missed payment is caught up with the following one. On a 'capitalise' event, the scheduled payment is made, and the
+ * arrears are added to the balance instead of being paid.
+ * @type {string[]}
+ */
+export const PAYMENT_EVENT_TYPES = ['holiday', 'missed', 'partial', 'capitalise'];
+
+/**
+ * The ways of re-amortizing the mortgage after a payment event. With 'payment', the scheduled payment is raised, so
+ * that the mortgage is still paid off at the end of the term, and with 'term', the scheduled payment is kept, and the
+ * term is extended for as long as it takes to pay off the mortgage.
+ * @type {string[]}
+ */
+export const REAMORTIZATION_MODES = ['payment', 'term'];
+
+/**
+ * The ways of using the interest saved by an offset account. With 'term', the scheduled payment is kept, so that the
+ * interest saved pays off more of the principal, and the mortgage is paid off early, and with 'payment', the scheduled
+ * payment is lowered by the interest saved, so that the principal is paid off as usual.
+ * @type {string[]}
+ */
+export const OFFSET_MODES = ['term', 'payment'];
+
+/**
+ * Given the various passed arguments, the monthly payment is calculated.
+ *
+ * The formula for the calculation of the monthly payment is as follows:
+ *
+ * <pre>
+ * p - the principal amount
+ * i - the decimal monthly interest rate
+ * t - the term in months
+ * c - the monthly payment
+ *
+ * c = p * (i / (1 - (1 + i)^(-t)))
+ * </pre>
+ *
+ * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0; in that case,
+ * the monthly payment is defined as:
+ *
+ * <pre>
+ * c = p / t
+ * </pre>
+ * @param principal the principal amount.
+ * @param termInMonths the term in months.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @returns {number} the monthly payment.
+ */
+export function calculateMonthlyPayment(principal, termInMonths, monthlyInterestRate) {
+    /**
+     * Due to the possibility of dividing by 0, the decimal monthly interest rate is checked to see if it is greater
+     * than 0.
+     */
+    if (monthlyInterestRate > 0) {
+        /**
+         * In this case, the decimal monthly interest rate is greater than 0, so the first formula is used to calculate
+         * the monthly payment.
+         */
+        return principal * (monthlyInterestRate / (1 - Math.pow(1 + monthlyInterestRate, -termInMonths)));
+    }
+    /**
+     * In this case, the decimal monthly interest rate less than or equal to 0, so the second formula is used to
+     * calculate the monthly payment.
+     */
+    return principal / termInMonths;
+}
+
+/**
+ * Given the various passed arguments, the monthly payment of a balloon loan is calculated, which pays off the principal
+ * amount down to the balloon payment over the term, after which the balloon payment is due in full with the final
+ * payment.
+ *
+ * The present value of the balloon payment is not amortized, so the monthly payment is that of the rest of the
+ * principal amount:
+ *
+ * <pre>
+ * p - the principal amount
+ * i - the decimal monthly interest rate
+ * t - the term in months
+ * f - the balloon payment
+ * c - the monthly payment
+ *
+ * c = (p - f * (1 + i)^(-t)) * (i / (1 - (1 + i)^(-t)))
+ * </pre>
+ *
+ * If the balloon payment is the whole principal amount, this is a bullet loan, on which only interest is paid every
+ * month. If the decimal monthly interest rate is 0, the monthly payment is defined as:
+ *
+ * <pre>
+ * c = (p - f) / t
+ * </pre>
+ * @param principal the principal amount.
+ * @param termInMonths the term in months.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @param balloonPayment the balloon payment due at the end of the term, on top of the last monthly payment.
+ * @returns {number} the monthly payment.
+ */
+export function calculateBalloonPayment(principal, termInMonths, monthlyInterestRate, balloonPayment) {
+    /**
+     * The monthly payment is calculated using the 'calculateMonthlyPayment()' function, passing the principal amount
+     * minus the present value of the balloon payment, which is the balloon payment itself if the decimal monthly
+     * interest rate is 0.
+     */
+    return calculateMonthlyPayment(principal - balloonPayment * Math.pow(1 + monthlyInterestRate, -termInMonths),
+        termInMonths, monthlyInterestRate);
+}
+
+/**
+ * Given the various passed arguments, the remaining balance to be paid is calculated.
+ *
+ * The formula for the calculation of the remaining balance to be paid is as follows:
+ *
+ * <pre>
+ * p - the principal amount
+ * i - the decimal monthly interest rate
+ * c - the monthly payment
+ * m - the number of months already paid
+ * b - the remaining balance to be paid
+ *
+ * b = (1 + i)^m * p - ((1 + i)^m - 1) / i * c)
+ * </pre>
+ *
+ * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0; in that case,
+ * the remaining balance to be paid is defined as:
+ *
+ * <pre>
+ * b = p - c * m
+ * </pre>
+ *
+ * Once the mortgage is paid off, the remaining balance to be paid is 0, rather than negative.
+ * @param principal the principal amount.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @param monthlyPayment the monthly payment.
+ * @param monthsPaid the number of months already paid.
+ * @returns {number} the remaining balance to be paid.
+ */
+export function calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, monthsPaid) {
+    /**
+     * Due to the possibility of dividing by 0, the decimal monthly interest rate is checked to see if it is greater
+     * than 0.
+     */
+    if (monthlyInterestRate > 0) {
+        /**
+         * In this case, the decimal monthly interest rate is greater than 0, so the first formula is used to calculate
+         * the remaining balance to be paid. Note that this line is broken onto multiple lines to keep the code
+         * readable. In addition, note that a negative result means that the mortgage was paid off before the given
+         * month, either by a monthly payment that is more than needed or by floating point rounding errors in the final
+         * month, so the function 'Math.max()' is used to ensure that nothing is left to be paid in that case.
+         */
+        return Math.max(Math.pow(1 + monthlyInterestRate, monthsPaid) * principal -
+            (Math.pow(1 + monthlyInterestRate, monthsPaid) - 1) / monthlyInterestRate * monthlyPayment, 0);
+    }
+    /**
+     * In this case, the decimal monthly interest rate is less than or equal to 0, so the second formula is used to
+     * calculate the remaining balance to be paid. As above, the function 'Math.max()' is used to ensure that nothing is
+     * left to be paid once the mortgage is paid off.
+     */
+    return Math.max(principal - monthlyPayment * monthsPaid, 0);
+}
+
+/**
+ * Given the various passed arguments, the amount of interest paid in the given month is calculated.
+ *
+ * The formula for the calculation of the amount of interest paid in the given month is as follows:
+ *
+ * <pre>
+ * i - the decimal monthly interest rate
+ * b - the remaining balance to be paid as of the previous month to the one in question
+ * n - the amount of interest paid in the given month
+ *
+ * n = i * b
+ * </pre>
+ * @param startingBalance the remaining balance to be paid as of the previous month to the one in question.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @returns {number} the amount of interest paid in the given month.
+ */
+export function calculateInterestPaid(startingBalance, monthlyInterestRate) {
+    /**
+     * The amount of interest paid in the given month is calculated using the formula above. Note that the remaining
+     * balance to be paid is passed in rather than calculated, since prepayments mean that it can no longer be derived
+     * from the month alone.
+     */
+    return monthlyInterestRate * startingBalance;
+}
+
+/**
+ * Given the passed arguments, the extra payment scheduled for the given month is calculated. The extra payment is the
+ * sum of the extra monthly payment, the extra annual payment if the month is the last month of a year, and the one-off
+ * payment for the month, if there is one. For other payment frequencies than monthly, the month is the number of the
+ * payment, and the extra monthly payment is made with every payment.
+ * @param prepayments the prepayments, as parsed from the user input form.
+ * @param month the month in question.
+ * @param paymentsPerYear the number of payments made per year, which is 12 for monthly payments.
+ * @returns {number} the extra payment scheduled for the given month.
+ */
+export function calculateExtraPayment(prepayments, month, paymentsPerYear = 12) {
+    /**
+     * The extra payment is calculated by adding the three kinds of prepayment together. Note that the extra annual
+     * payment is only added if the month is a multiple of the number of payments made per year, and that the one-off
+     * payment defaults to 0 if there is no one-off payment for the month.
+     */
+    return prepayments.monthly + (month % paymentsPerYear === 0 ? prepayments.annual : 0) +
+        (prepayments.lumpSums.get(month) || 0);
+}
+
+/**
+ * Given the passed arguments, an amount is converted into a whole number of minor units, for example from euros into
+ * cents, by multiplying the amount by 10 to the power of the number of fraction digits and rounding the result.
+ * @param amount the amount in major units.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the amount as a whole number of minor units.
+ */
+export function toMinorUnits(amount, fractionDigits = 2) {
+    return Math.round(amount * Math.pow(10, fractionDigits));
+}
+
+/**
+ * Given the passed arguments, a whole number of minor units is converted back into an amount, for example from cents
+ * into euros, by dividing it by 10 to the power of the number of fraction digits.
+ * @param amount the amount as a whole number of minor units.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the amount in major units.
+ */
+export function toMajorUnits(amount, fractionDigits = 2) {
+    return amount / Math.pow(10, fractionDigits);
+}
+
+/**
+ * Given the passed parameters, the mortgage amortization schedule is built, month by month, until either the term is
+ * over or the mortgage is paid off by the prepayments.
+ *
+ * Like a lender's statement, the schedule is built in whole minor units, for example cents. The monthly payment and the
+ * interest of every month are rounded to the nearest minor unit, and the final payment is adjusted so that the ending
+ * balance is exactly 0, which means that the principal paid always adds up to the principal amount. The amounts in the
+ * returned rows and totals are converted back into major units.
+ *
+ * Since prepayments can be made in any month, the remaining balance to be paid is carried over from one month to the
+ * next, rather than being calculated from the month alone. At every interest rate change, the monthly payment is
+ * recalculated from the remaining balance to be paid and the number of months left in the term.
+ *
+ * The repayment structure decides how the principal is paid off. Annuity repayment pays a level monthly payment, linear
+ * repayment pays a constant portion of the principal every month, so that the payments decline with the interest, and
+ * balloon repayment pays a level monthly payment that leaves the balloon payment to be paid with the final payment. Any
+ * of them can start with an interest-only period, after which the principal is paid off over the rest of the term.
+ *
+ * Payments are monthly unless the repayment structure has another payment frequency, in which case every "month" of the
+ * schedule is a payment period of that frequency: the term in months is the number of payments, the interest rates are
+ * those of a single payment period, and the months of the rows, the interest rate changes, and the one-off payments are
+ * the numbers of the payments. For an accelerated payment frequency, the level payment is the monthly payment divided
+ * by the number of payments made in a month, so that the mortgage is paid off before the end of the term.
+ *
+ * The interest of every month is the same fraction of the annual interest rate, unless the calendar has a day count
+ * convention other than '30/360', in which case the interest accrues daily from one due date to the next, as described
+ * for the 'DAY_COUNT_CONVENTIONS'. The monthly payment is then calculated at the average interest rate that accrues
+ * over the months left in the term, so the longer and shorter months mostly change how the payment is split between
+ * principal and interest, and the final payment only absorbs the small difference that is left.
+ *
+ * Payment events mark the months in which the scheduled payment is not made as usual, as described for the
+ * 'PAYMENT_EVENT_TYPES'. A payment that is made covers the interest of the month before any principal, and no extra
+ * payment is made with a payment that is skipped or reduced. The arrears are kept apart from the balance, earn no
+ * interest, and are paid with the next payment that is made as usual, or with the final payment if the balance is
+ * paid off first, unless they are capitalised instead. After a payment event, the mortgage is re-amortized from the
+ * next month with a scheduled payment, either by raising the scheduled payment, or by keeping it and extending the
+ * term, as described for the 'REAMORTIZATION_MODES'. A scheduled payment that would never pay off the balance is raised
+ * instead.
+ *
+ * An offset account is a savings account linked to the mortgage, whose balance is taken off the balance of the mortgage
+ * before the interest is charged, so that the savings earn the interest rate of the mortgage without being paid into
+ * it. The savings balance changes by the monthly contribution after every month, where a negative contribution is a
+ * withdrawal, and never falls below 0. The interest saved is used as described for the 'OFFSET_MODES'.
+ * @param params the parameters of the mortgage.
+ * @param params.principal the principal amount.
+ * @param params.termInMonths the term in months.
+ * @param params.monthlyInterestRate the decimal monthly interest rate that applies until the first interest rate
+ * change.
+ * @param params.rateChanges the interest rate changes, if any, mapping each month to the decimal monthly interest rate
+ * that applies from that month onwards.
+ * @param params.prepayments the prepayments, if any, made up of the extra monthly payment, the extra annual payment,
+ * and the one-off payments, mapping each month to the amount paid in that month.
+ * @param params.fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @param params.repayment the repayment structure, made up of the repayment type, which is one of the
+ * 'REPAYMENT_TYPES', the number of interest-only months at the start of the term, the balloon payment, which is only
+ * used for balloon repayment, the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES' and is monthly
+ * by default, the compounding frequency, which is only used to show the annual interest rate, and the instalment that
+ * the principal starts to be paid off with, which is only passed to carry on the instalment of another schedule, and is
+ * otherwise calculated from the balance and the rest of the term.
+ * @param params.calendar the calendar of the mortgage, if any, as passed to the 'calculateDueDate()' function, which
+ * is used to add the due date of every payment to the rows, and to accrue the interest according to its day count
+ * convention. Its offset is the number of payments made before month 1 of the schedule, which is 0 unless the schedule
+ * continues another one, so that the due dates follow on from those of the other schedule.
+ * @param params.paymentEvents the payment events, if any, made up of the events, mapping each month to its type, which
+ * is one of the 'PAYMENT_EVENT_TYPES', and the amount paid for a partial payment, the late fee charged for every missed
+ * or partial payment, and the way of re-amortizing the mortgage, which is one of the 'REAMORTIZATION_MODES'.
+ * @param params.offsetAccount the offset account, if any, made up of the starting savings balance, the monthly
+ * contribution, which is negative for a withdrawal, and the way of using the interest saved, which is one of the
+ * 'OFFSET_MODES' and is 'term' by default.
+ * @returns {{rows: ScheduleRow[], totals: ScheduleTotals}} the rows of the mortgage amortization schedule, one for
+ * every month in which a payment is made, and the totals of the whole schedule.
+ */
+export function buildSchedule({
+                                  principal,
+                                  termInMonths,
+                                  monthlyInterestRate,
+                                  rateChanges = new Map(),
+                                  prepayments = {monthly: 0, annual: 0, lumpSums: new Map()},
+                                  fractionDigits = 2,
+                                  repayment = {type: 'annuity', interestOnlyMonths: 0, balloonPayment: 0},
+                                  calendar = null,
+                                  paymentEvents = {events: new Map(), lateFee: 0, reamortization: 'payment'},
+                                  offsetAccount = null
+                              }) {
+    /**
+     * All amounts of the schedule are converted from minor units into major units using this function, which passes
+     * the number of fraction digits of the currency to the 'toMajorUnits()' function.
+     * @param amount the amount as a whole number of minor units.
+     * @returns {number} the amount in major units.
+     */
+    const toMajor = (amount) => toMajorUnits(amount, fractionDigits);
+    /**
+     * The repayment type, which is annuity repayment unless otherwise passed.
+     * @type {string}
+     */
+    const repaymentType = repayment.type ?? 'annuity';
+    /**
+     * The payment frequency, which decides the number of payments made per year, the interval between the due dates of
+     * the payments, and whether the level payment is accelerated.
+     * @type {PaymentFrequency}
+     */
+    const frequency = PAYMENT_FREQUENCIES[repayment.frequency ?? 'monthly'];
+    /**
+     * The number of interest-only months at the start of the term, which is limited so that at least the final month
+     * of the term pays off the principal.
+     * @type {number}
+     */
+    const interestOnlyMonths = Math.min(repayment.interestOnlyMonths ?? 0, termInMonths - 1);
+    /**
+     * The balloon payment in minor units, which is limited to the principal amount, and is 0 unless the repayment type
+     * is balloon repayment.
+     * @type {number}
+     */
+    const balloonPayment = repaymentType === 'balloon' ?
+        Math.min(toMinorUnits(repayment.balloonPayment ?? 0, fractionDigits), toMinorUnits(principal, fractionDigits)) :
+        0;
+    /**
+     * This variable is used to keep track of the decimal monthly interest rate that currently applies, which changes
+     * at every interest rate change.
+     * @type {number}
+     */
+    let currentInterestRate = monthlyInterestRate;
+    /**
+     * The number of payments made before month 1 of the schedule, which is added to the month to find its due date.
+     * @type {number}
+     */
+    const offset = calendar?.offset ?? 0;
+    /**
+     * This variable is used to keep track of the instalment, in minor units, that currently applies, which is the level
+     * monthly payment for annuity and balloon repayment, and the constant principal paid every month for linear
+     * repayment. It is calculated when the principal starts to be paid off, after any interest-only period, and the
+     * level monthly payment is recalculated at every interest rate change after that.
+     * @type {number}
+     */
+    let currentInstalment = 0;
+    /**
+     * This variable is used to keep track of the cumulative total of principal paid, in minor units.
+     * @type {number}
+     */
+    let totalPrincipalPaid = 0;
+    /**
+     * This variable is used to keep track of the cumulative total of interest paid, in minor units.
+     * @type {number}
+     */
+    let totalInterestPaid = 0;
+    /**
+     * This variable is used to keep track of the remaining balance to be paid, in minor units.
+     * @type {number}
+     */
+    let balance = toMinorUnits(principal, fractionDigits);
+    /**
+     * The late fee charged for every missed or partial payment, in minor units.
+     * @type {number}
+     */
+    const lateFee = toMinorUnits(paymentEvents.lateFee ?? 0, fractionDigits);
+    /**
+     * This variable is used to keep track of the last month of the term, which is the term in months unless the term
+     * is extended after a payment event.
+     * @type {number}
+     */
+    let lastMonth = termInMonths;
+    /**
+     * This variable is used to keep track of the arrears, in minor units, which are owed on top of the balance.
+     * @type {number}
+     */
+    let arrears = 0;
+    /**
+     * These variables are used to keep track of the totals of the amounts capitalised and of the late fees, in minor
+     * units.
+     * @type {number}
+     */
+    let totalCapitalised = 0;
+    let totalLateFees = 0;
+    /**
+     * This variable is used to keep track of whether the mortgage is to be re-amortized, which is the case from a
+     * payment event until the next month with a scheduled payment.
+     * @type {boolean}
+     */
+    let reamortize = false;
+    /**
+     * This variable is used to keep track of the savings balance of the offset account, in minor units, which is 0 if
+     * there is no offset account.
+     * @type {number}
+     */
+    let savingsBalance = toMinorUnits(offsetAccount?.balance ?? 0, fractionDigits);
+    /**
+     * The monthly contribution to the offset account, in minor units, which is negative for a withdrawal.
+     * @type {number}
+     */
+    const contribution = toMinorUnits(offsetAccount?.contribution ?? 0, fractionDigits);
+    /**
+     * Whether the scheduled payment is lowered by the interest saved by the offset account, rather than kept.
+     * @type {boolean}
+     */
+    const lowersPayment = offsetAccount?.mode === 'payment';
+    /**
+     * The rows of the mortgage amortization schedule, which is initially empty.
+     * @type {ScheduleRow[]}
+     */
+    const rows = [];
+
+    /**
+     * All months of the mortgage must be iterated over, and this is done by performing a 'for' loop, which will go from
+     * month 1, to the last month of the term, inclusive, stopping early if the remaining balance to be paid reaches 0.
+     */
+    for (let month = 1; month <= lastMonth && balance > 0; month++) {
+        /**
+         * The starting balance of the month is the remaining balance to be paid at the end of the previous month.
+         * @type {number}
+         */
+        const startingBalance = balance;
+        /**
+         * It is determined if the interest rate changes in the month by checking if the interest rate changes contain
+         * the month.
+         * @type {boolean}
+         */
+        const rateChanged = rateChanges.has(month);
+        /**
+         * The decimal monthly interest rate that applied in the previous month is kept, so that the interest rate
+         * change can be described.
+         * @type {number}
+         */
+        const previousInterestRate = currentInterestRate;
+
+        /** If the interest rate changes in the month, the new decimal monthly interest rate is used from then on. */
+        if (rateChanged) {
+            currentInterestRate = rateChanges.get(month);
+        }
+        /**
+         * It is determined if the principal starts to be paid off in the month, which is the case in the first month
+         * after the interest-only period.
+         * @type {boolean}
+         */
+        const amortizationStarts = month === interestOnlyMonths + 1;
+        /**
+         * The payment event of the month, if any.
+         * @type {{type: string, amount: number}|null}
+         */
+        const event = paymentEvents.events?.get(month) ?? null;
+        /**
+         * It is determined if the scheduled payment is skipped or reduced in the month, which is the case for every
+         * payment event apart from capitalising the arrears.
+         * @type {boolean}
+         */
+        const paymentMissed = event !== null && event.type !== 'capitalise';
+        /**
+         * It is determined if the mortgage is re-amortized in the month, which is the case in the first month with a
+         * scheduled payment after a payment event, once the principal is paid off.
+         * @type {boolean}
+         */
+        const reamortizes = reamortize && !paymentMissed && month > interestOnlyMonths;
+        /**
+         * When the term is extended, the number of months it takes to pay off the starting balance with the current
+         * instalment is counted using the 'countRemainingPayments()' function, and the last month of the term is moved
+         * to match. This is null if the term is not extended, or if the current instalment would never pay off the
+         * starting balance, in which case the instalment is raised instead.
+         * @type {number|null}
+         */
+        const remainingMonths = reamortizes && !amortizationStarts && paymentEvents.reamortization === 'term' ?
+            countRemainingPayments(repaymentType, startingBalance, currentInstalment, calculateAverageAccruedRate(
+                currentInterestRate, calendar, month + offset, lastMonth + offset, frequency), balloonPayment) :
+            null;
+        if (remainingMonths !== null) {
+            lastMonth = month + remainingMonths - 1;
+        }
+        if (reamortizes) {
+            reamortize = false;
+        }
+        /**
+         * The instalment is calculated when the principal starts to be paid off, and the level monthly payment of
+         * annuity and balloon repayment is recalculated at every interest rate change after that, using the
+         * 'calculateInstalment()' function, passing the repayment type, the starting balance, the number of months left
+         * in the term, the average decimal interest rate that accrues over those months, as calculated by the
+         * 'calculateAverageAccruedRate()' function, the balloon payment, and the payment frequency as arguments. The
+         * instalment is also recalculated when the mortgage is re-amortized by raising it. If the repayment structure
+         * carries on the instalment of another schedule, that instalment is used instead when the principal starts to
+         * be paid off, unless the interest rate changes in the same month. Note that this line is broken onto multiple
+         * lines to keep the code readable.
+         */
+        if (amortizationStarts || (reamortizes && remainingMonths === null) ||
+            (rateChanged && month > interestOnlyMonths && repaymentType !== 'linear')) {
+            currentInstalment = amortizationStarts && !rateChanged && repayment.instalment > 0 ?
+                toMinorUnits(repayment.instalment, fractionDigits) :
+                calculateInstalment(repaymentType, startingBalance, lastMonth - month + 1, calculateAverageAccruedRate(
+                    currentInterestRate, calendar, month + offset, lastMonth + offset, frequency), balloonPayment,
+                    frequency);
+        }
+
+        /**
+         * The decimal interest rate that accrues in the month is calculated using the 'calculateAccruedInterestRate()'
+         * function, passing the current decimal monthly interest rate, the calendar, the number of the payment, and the
+         * payment frequency as arguments.
+         * @type {number}
+         */
+        const accruedInterestRate =
+            calculateAccruedInterestRate(currentInterestRate, calendar, month + offset, frequency);
+        /**
+         * The savings balance of the offset account in the month, which is kept for the row, since it changes at the
+         * end of the month.
+         * @type {number}
+         */
+        const offsetBalance = savingsBalance;
+        /**
+         * The interest due in the month is calculated using the 'calculateInterestPaid()' function, passing the
+         * starting balance minus the savings balance of the offset account, which is never less than 0, and the
+         * decimal interest rate that accrues in the month as arguments, and is then rounded to the nearest minor unit.
+         * It is the interest paid in the month, unless the scheduled payment is skipped or reduced.
+         * @type {number}
+         */
+        const interestDue = Math.round(calculateInterestPaid(Math.max(startingBalance - offsetBalance, 0),
+            accruedInterestRate));
+        /**
+         * The interest saved by the offset account in the month, which is the interest that would be due on the whole
+         * starting balance minus the interest due.
+         * @type {number}
+         */
+        const interestOffset = offsetBalance > 0 ?
+            Math.round(calculateInterestPaid(startingBalance, accruedInterestRate)) - interestDue :
+            0;
+        /**
+         * The part of the interest saved by the offset account that pays off the principal, which is all of it, unless
+         * the scheduled payment is lowered by it instead.
+         * @type {number}
+         */
+        const offsetPrincipalPaid = lowersPayment ? 0 : interestOffset;
+        /**
+         * The amount paid in the month if the scheduled payment is skipped or reduced, which is the amount of a partial
+         * payment, and otherwise nothing, in minor units. This is null if the scheduled payment is made.
+         * @type {number|null}
+         */
+        const amountPaid = paymentMissed ?
+            (event.type === 'partial' ? toMinorUnits(event.amount ?? 0, fractionDigits) : 0) :
+            null;
+        /**
+         * The interest paid in the month, which is the interest due, unless the scheduled payment is skipped or
+         * reduced, in which case the amount paid covers as much of the interest as it can.
+         * @type {number}
+         */
+        const interestPaid = amountPaid === null ? interestDue : Math.min(amountPaid, interestDue);
+        /** The cumulative total of interest paid is updated by adding the interest paid in the month to itself. */
+        totalInterestPaid += interestPaid;
+        /**
+         * The scheduled principal paid in the month is whatever is left of the amount paid after the interest if the
+         * scheduled payment is skipped or reduced, 0 during the interest-only period, the constant principal paid
+         * for linear repayment, and otherwise, by definition, the current monthly payment minus the interest that
+         * would be due without the offset account. The part of the interest saved by the offset account that pays off
+         * the principal is then added. However, it is limited to the starting balance, so that the final payment never
+         * overpays the mortgage, and in the last month of the term it is the whole starting balance, so that the final
+         * payment absorbs the rounding of all the previous months, and pays any balloon payment. Note that this line is
+         * broken onto multiple lines to keep the code readable.
+         * @type {number}
+         */
+        const scheduledPrincipalPaid = amountPaid !== null ?
+            Math.min(amountPaid - interestPaid, startingBalance) :
+            month + 1 > lastMonth ? startingBalance :
+                Math.min((month <= interestOnlyMonths ? 0 :
+                    repaymentType === 'linear' ? currentInstalment :
+                        currentInstalment - interestPaid - interestOffset) + offsetPrincipalPaid, startingBalance);
+        /**
+         * The extra payment made in the month is calculated using the 'calculateExtraPayment()' function, passing the
+         * prepayments, the month, and the number of payments made per year as arguments, and is converted into minor
+         * units. It is limited to the balance left after the scheduled principal is paid, so that the extra payment
+         * never overpays the mortgage, and no extra payment is made if the scheduled payment is skipped or reduced.
+         * @type {number}
+         */
+        const extraPayment = paymentMissed ? 0 : Math.min(
+            toMinorUnits(calculateExtraPayment(prepayments, month, frequency.paymentsPerYear), fractionDigits),
+            startingBalance - scheduledPrincipalPaid);
+        /**
+         * The principal paid in the month is the scheduled principal paid plus the extra payment.
+         * @type {number}
+         */
+        const principalPaid = scheduledPrincipalPaid + extraPayment;
+        /** The cumulative total of principal paid is updated by adding the principal paid in the month to itself. */
+        totalPrincipalPaid += principalPaid;
+        /**
+         * The late fee charged in the month, which is only charged for a missed or partial payment, in minor units.
+         * @type {number}
+         */
+        const lateFeeCharged = paymentMissed && event.type !== 'holiday' ? lateFee : 0;
+        /**
+         * The amount capitalised in the month, in minor units, which is the interest that is not paid on a payment
+         * holiday, or the arrears when they are capitalised, and otherwise nothing.
+         * @type {number}
+         */
+        const capitalised = event?.type === 'holiday' ? interestDue - interestPaid :
+            event?.type === 'capitalise' ? arrears : 0;
+        /**
+         * The interest that is not paid on a missed or partial payment, and the late fee, become arrears, and arrears
+         * that are capitalised are cleared.
+         */
+        arrears += (event?.type === 'missed' || event?.type === 'partial' ? interestDue - interestPaid : 0) +
+            lateFeeCharged - (event?.type === 'capitalise' ? capitalised : 0);
+        totalCapitalised += capitalised;
+        totalLateFees += lateFeeCharged;
+        /**
+         * The remaining balance to be paid is reduced by the principal paid in the month, and increased by the amount
+         * capitalised.
+         */
+        balance = startingBalance - principalPaid + capitalised;
+        /** The monthly contribution is paid into the offset account, which a withdrawal can never overdraw. */
+        savingsBalance = Math.max(savingsBalance + contribution, 0);
+        /**
+         * The arrears are paid with the first payment that is made as usual after they fall due, and in any case once
+         * the balance is paid off, so that nothing is owed after the final payment.
+         * @type {number}
+         */
+        const arrearsPaid = event === null || balance === 0 ? arrears : 0;
+        arrears -= arrearsPaid;
+        /**
+         * After a payment event, the mortgage is re-amortized, and if the balance is not paid off by the last month of
+         * the term, because of a payment event in that month, the term is extended by a month.
+         */
+        if (event !== null) {
+            reamortize = true;
+        }
+        if (month >= lastMonth && balance > 0) {
+            lastMonth = month + 1;
+        }
+
+        /**
+         * The scheduled monthly payment of the month, which is the level monthly payment for annuity and balloon
+         * repayment, lowered by the interest saved by the offset account if the payment is lowered, and otherwise the
+         * scheduled principal paid plus the interest paid, since the payment then changes every month.
+         * @type {number}
+         */
+        const scheduledPayment = month > interestOnlyMonths && repaymentType !== 'linear' ?
+            currentInstalment - interestOffset + offsetPrincipalPaid :
+            scheduledPrincipalPaid + interestPaid;
+
+        /**
+         * The row for the month is added to the rows of the mortgage amortization schedule, with all the amounts
+         * converted into major units. The payment of the month is the scheduled principal paid plus the interest paid
+         * and the arrears paid, which only differs from the scheduled monthly payment in the final month, and in months
+         * with a payment event.
+         */
+        rows.push({
+            month,
+            dueDate: calendar ? calculateDueDate(calendar, month + offset, frequency.interval) : null,
+            rateChanged,
+            previousInterestRate,
+            monthlyInterestRate: currentInterestRate,
+            monthlyPayment: toMajor(scheduledPayment),
+            instalment: toMajor(currentInstalment),
+            payment: toMajor(scheduledPrincipalPaid + interestPaid + arrearsPaid),
+            startingBalance: toMajor(startingBalance),
+            extraPayment: toMajor(extraPayment),
+            principalPaid: toMajor(principalPaid),
+            totalPrincipalPaid: toMajor(totalPrincipalPaid),
+            interestPaid: toMajor(interestPaid),
+            totalInterestPaid: toMajor(totalInterestPaid),
+            endingBalance: toMajor(balance),
+            paymentEvent: event ? event.type : null,
+            capitalised: toMajor(capitalised),
+            lateFee: toMajor(lateFeeCharged),
+            arrearsPaid: toMajor(arrearsPaid),
+            arrears: toMajor(arrears),
+            offsetBalance: toMajor(offsetBalance),
+            interestOffset: toMajor(interestOffset)
+        });
+    }
+
+    /**
+     * It is determined if any prepayment is scheduled by checking if either the extra monthly payment or the extra
+     * annual payment is greater than 0, or if there is at least one one-off payment.
+     * @type {boolean}
+     */
+    const hasPrepayments = prepayments.monthly > 0 || prepayments.annual > 0 || prepayments.lumpSums.size > 0;
+    /**
+     * The total interest paid without any prepayments, in minor units, is the baseline against which the interest
+     * saved is measured. If there are prepayments, it is calculated by building the schedule again without them, but
+     * with the same calendar, so that the interest accrues in the same way, otherwise it is simply the total interest
+     * paid. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {number}
+     */
+    const baselineInterestPaid = hasPrepayments ?
+        toMinorUnits(buildSchedule({principal, termInMonths, monthlyInterestRate, rateChanges, fractionDigits,
+            repayment, calendar, paymentEvents, offsetAccount}).totals.interestPaid, fractionDigits) :
+        totalInterestPaid;
+    /**
+     * The last row of the mortgage amortization schedule, which is the month in which the mortgage is paid off.
+     * @type {ScheduleRow|undefined}
+     */
+    const finalRow = rows[rows.length - 1];
+    /**
+     * The last month in which a payment is made, which is earlier than the term in months if the prepayments pay off
+     * the mortgage early.
+     * @type {number}
+     */
+    const finalMonth = finalRow ? finalRow.month : 0;
+    /**
+     * The totals of the same mortgage without the offset account, against which the offset account is measured, which
+     * are only calculated if there is an offset account. Note that this line is broken onto multiple lines to keep the
+     * code readable.
+     * @type {ScheduleTotals|null}
+     */
+    const withoutOffset = offsetAccount ?
+        buildSchedule({principal, termInMonths, monthlyInterestRate, rateChanges, prepayments, fractionDigits,
+            repayment, calendar, paymentEvents}).totals :
+        null;
+
+    /** The rows and the totals of the mortgage amortization schedule are returned. */
+    return {
+        rows,
+        totals: {
+            monthlyPayment: rows[interestOnlyMonths] ? rows[interestOnlyMonths].monthlyPayment : 0,
+            interestOnlyPayment: interestOnlyMonths > 0 ? rows[0].payment : 0,
+            finalPayment: finalRow ? finalRow.payment : 0,
+            principalPaid: toMajor(totalPrincipalPaid),
+            interestPaid: toMajor(totalInterestPaid),
+            hasPrepayments,
+            interestSaved: toMajor(baselineInterestPaid - totalInterestPaid),
+            finalMonth,
+            monthsEarly: termInMonths - finalMonth,
+            payoffDate: finalRow ? finalRow.dueDate : null,
+            hasPaymentEvents: (paymentEvents.events?.size ?? 0) > 0,
+            capitalised: toMajor(totalCapitalised),
+            lateFees: toMajor(totalLateFees),
+            offsetAccount: withoutOffset &&
+                summarizeOffsetAccount(rows, toMajor(totalInterestPaid), withoutOffset, offsetAccount, fractionDigits)
+        }
+    };
+}
+
+/**
+ * Given the passed arguments, the decimal interest rate that accrues in a month is calculated. This is the decimal
+ * monthly interest rate, unless the interest accrues daily according to the day count convention of the calendar, in
+ * which case the annual interest rate, which is the decimal monthly interest rate times the number of payments made
+ * per year, is multiplied by the fraction of a year from the previous due date to the due date of the month, which is
+ * calculated using the 'calculateYearFraction()' function.
+ * @param monthlyInterestRate the decimal monthly interest rate that applies in the month.
+ * @param calendar the calendar of the mortgage, if any, as passed to the 'calculateDueDate()' function.
+ * @param month the number of the payment, counted from the start date of the calendar.
+ * @param frequency the payment frequency, which is monthly unless otherwise passed.
+ * @returns {number} the decimal interest rate that accrues in the month.
+ */
+export function calculateAccruedInterestRate(monthlyInterestRate, calendar, month,
+                                             frequency = PAYMENT_FREQUENCIES.monthly) {
+    /**
+     * The fraction of a year over which the interest of the month accrues, which is null if the mortgage has no
+     * calendar, or if its day count convention is '30/360'.
+     * @type {number|null}
+     */
+    const yearFraction = calendar ? calculateYearFraction(calendar, month, frequency.interval) : null;
+    /** Without a fraction of a year, every month accrues the decimal monthly interest rate. */
+    return yearFraction === null ? monthlyInterestRate : monthlyInterestRate * frequency.paymentsPerYear * yearFraction;
+}
+
+/**
+ * Given the passed arguments, the average decimal interest rate that accrues over a range of months is calculated,
+ * which is the decimal interest rate at which the instalment is calculated. This is the decimal monthly interest rate,
+ * unless the interest accrues daily according to the day count convention of the calendar, in which case it is the
+ * average of the decimal interest rates that accrue in the months, as calculated by the
+ * 'calculateAccruedInterestRate()' function. Otherwise, the instalment would be calculated as if every month were the
+ * same length, and under the 'actual/360' convention, which accrues more than the annual interest rate over a year, the
+ * final payment would have to make up the difference.
+ * @param monthlyInterestRate the decimal monthly interest rate that applies in the months.
+ * @param calendar the calendar of the mortgage, if any, as passed to the 'calculateDueDate()' function.
+ * @param firstMonth the number of the first payment of the range, counted from the start date of the calendar.
+ * @param lastMonth the number of the last payment of the range, counted from the start date of the calendar.
+ * @param frequency the payment frequency, which is monthly unless otherwise passed.
+ * @returns {number} the average decimal interest rate that accrues over the months.
+ */
+function calculateAverageAccruedRate(monthlyInterestRate, calendar, firstMonth, lastMonth,
+                                     frequency = PAYMENT_FREQUENCIES.monthly) {
+    /** Without a day count convention that accrues daily, every month accrues the decimal monthly interest rate. */
+    if (!calendar || !DAY_COUNT_CONVENTIONS[calendar.dayCount ?? '30/360'] || lastMonth < firstMonth) {
+        return monthlyInterestRate;
+    }
+    /**
+     * The sum of the decimal interest rates that accrue in the months, which is initially 0.
+     * @type {number}
+     */
+    let sum = 0;
+    /** The decimal interest rate that accrues in every month of the range is added to the sum. */
+    for (let month = firstMonth; month <= lastMonth; month++) {
+        sum += calculateAccruedInterestRate(monthlyInterestRate, calendar, month, frequency);
+    }
+    /** The average is the sum divided by the number of months. */
+    return sum / (lastMonth - firstMonth + 1);
+}
+
+/**
+ * Given the passed arguments, the instalment that applies from a month onwards is calculated, and rounded to the
+ * nearest minor unit. For linear repayment, this is the constant principal paid every month, which is the balance
+ * divided evenly over the months left in the term. Otherwise, it is the level monthly payment, calculated using the
+ * 'calculateBalloonPayment()' function for balloon repayment, and the 'calculateMonthlyPayment()' function for annuity
+ * repayment. For an accelerated payment frequency, the level payment is the level monthly payment divided by the number
+ * of payments made in a month.
+ * @param repaymentType the repayment type, which is one of the 'REPAYMENT_TYPES'.
+ * @param balance the balance to be paid off, in minor units.
+ * @param remainingMonths the number of months left in the term, including the month itself.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @param balloonPayment the balloon payment, in minor units, which is 0 unless the repayment type is balloon repayment.
+ * @param frequency the payment frequency, which is monthly unless otherwise passed.
+ * @returns {number} the instalment, in minor units.
+ */
+function calculateInstalment(repaymentType, balance, remainingMonths, monthlyInterestRate, balloonPayment,
+                             frequency = PAYMENT_FREQUENCIES.monthly) {
+    /** For linear repayment, the balance is divided evenly over the months left in the term. */
+    if (repaymentType === 'linear') {
+        return Math.round(balance / remainingMonths);
+    }
+    /**
+     * For an accelerated payment frequency, the level monthly payment is calculated by calling this function again with
+     * the number of months left in the term and the equivalent decimal monthly interest rate, which earns the same
+     * interest over a year, and is then divided by the number of whole payments made in a month, for example by 2 for
+     * accelerated bi-weekly payments. Note that this line is broken onto multiple lines to keep the code readable.
+     */
+    if (frequency.accelerated) {
+        return Math.round(calculateInstalment(repaymentType, balance, remainingMonths * 12 / frequency.paymentsPerYear,
+            Math.pow(1 + monthlyInterestRate, frequency.paymentsPerYear / 12) - 1, balloonPayment) /
+            Math.floor(frequency.paymentsPerYear / 12));
+    }
+    /** For balloon repayment, the balloon payment is left to be paid with the final payment. */
+    if (repaymentType === 'balloon') {
+        return Math.round(calculateBalloonPayment(balance, remainingMonths, monthlyInterestRate, balloonPayment));
+    }
+    /** For annuity repayment, the balance is paid off with level monthly payments. */
+    return Math.round(calculateMonthlyPayment(balance, remainingMonths, monthlyInterestRate));
+}
+
+/**
+ * Given the passed arguments, the number of payments it takes to pay off a balance with an instalment is counted, so
+ * that the term can be extended to match. For linear repayment, this is the balance divided by the constant principal
+ * paid every month, rounded up. Otherwise, it is the number of level monthly payments that pay off the balance down to
+ * the balloon payment, which is found by solving the formula of the 'calculateBalloonPayment()' function for the term:
+ *
+ * <pre>
+ * b - the balance
+ * i - the decimal monthly interest rate
+ * c - the monthly payment
+ * f - the balloon payment
+ * n - the number of payments
+ *
+ * n = -log((c - i * b) / (c - i * f)) / log(1 + i)
+ * </pre>
+ *
+ * If the decimal monthly interest rate is 0, the number of payments is defined as:
+ *
+ * <pre>
+ * n = (b - f) / c
+ * </pre>
+ * @param repaymentType the repayment type, which is one of the 'REPAYMENT_TYPES'.
+ * @param balance the balance to be paid off, in minor units.
+ * @param instalment the instalment, in minor units, as calculated by the 'calculateInstalment()' function.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @param balloonPayment the balloon payment, in minor units, which is 0 unless the repayment type is balloon repayment.
+ * @returns {number|null} the number of payments, rounded up to a whole number, of at least 1, or null if the
+ * instalment never pays off the balance, because it does not pay more than the interest.
+ */
+function countRemainingPayments(repaymentType, balance, instalment, monthlyInterestRate, balloonPayment) {
+    /** For linear repayment, the balance is divided by the constant principal paid every month. */
+    if (repaymentType === 'linear') {
+        return instalment > 0 ? Math.max(Math.ceil(balance / instalment), 1) : null;
+    }
+    /**
+     * The number of payments is calculated using the formulas above. Note that this line is broken onto multiple lines
+     * to keep the code readable.
+     * @type {number}
+     */
+    const payments = monthlyInterestRate > 0 ?
+        -Math.log((instalment - monthlyInterestRate * balance) / (instalment - monthlyInterestRate * balloonPayment)) /
+        Math.log(1 + monthlyInterestRate) :
+        (balance - balloonPayment) / instalment;
+    /**
+     * An instalment that does not pay more than the interest gives a number of payments that is not a positive number,
+     * in which case there is none. Otherwise, the number of payments is rounded up, ignoring the tiny floating point
+     * rounding errors that would otherwise add a payment.
+     */
+    return Number.isFinite(payments) && payments > 0 ? Math.max(Math.ceil(payments - 1e-9), 1) : null;
+}
+
+/**
+ * Given the passed arguments, the rows of a mortgage amortization schedule are grouped into years, and the subtotals of
+ * every year are calculated. The years are either loan years of 12 months, or of as many payments as are made per year,
+ * counted from the first month, or calendar years, decided by the due dates of the rows. The subtotals are added up in
+ * whole minor units, so that they add up to the totals of the schedule to the minor unit. Rows that have no late fees
+ * or arrears, such as rows built before payment events were modelled, count as having none.
+ * @param rows the rows of the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @param calendarYears whether the rows are grouped into calendar years, which requires the rows to have due dates.
+ * @param paymentsPerYear the number of payments made per year, which is 12 for monthly payments.
+ * @returns {YearSummary[]} the summaries of every year of the mortgage amortization schedule.
+ */
+export function summarizeYears(rows, fractionDigits = 2, calendarYears = false, paymentsPerYear = 12) {
+    /**
+     * The summaries of every year, which is initially empty.
+     * @type {YearSummary[]}
+     */
+    const years = [];
+    /** Every row of the mortgage amortization schedule is iterated over. */
+    for (const row of rows) {
+        /**
+         * The year of the row is either the calendar year of its due date, or is determined by dividing the month by
+         * the number of payments made per year and rounding up, so that for monthly payments months 1 to 12 are in
+         * year 1, months 13 to 24 are in year 2, and so on.
+         * @type {number}
+         */
+        const year = calendarYears ? Number(row.dueDate.slice(0, 4)) : Math.ceil(row.month / paymentsPerYear);
+        /** If the row is the first row of a new year, a new summary is started for that year. */
+        if (years.length === 0 || years[years.length - 1].year !== year) {
+            years.push({
+                year, extraPayment: 0, principalPaid: 0, interestPaid: 0, lateFees: 0, interestOffset: 0,
+                endingBalance: 0, arrears: 0, offsetBalance: 0, rows: []
+            });
+        }
+        /**
+         * The summary of the year of the row, which is always the last summary.
+         * @type {YearSummary}
+         */
+        const summary = years[years.length - 1];
+        /**
+         * The amounts of the row are added to the subtotals of the year in minor units, and then converted back into
+         * major units.
+         */
+        summary.extraPayment = addInMinorUnits(summary.extraPayment, row.extraPayment, fractionDigits);
+        summary.principalPaid = addInMinorUnits(summary.principalPaid, row.principalPaid, fractionDigits);
+        summary.interestPaid = addInMinorUnits(summary.interestPaid, row.interestPaid, fractionDigits);
+        summary.lateFees = addInMinorUnits(summary.lateFees, row.lateFee ?? 0, fractionDigits);
+        summary.interestOffset = addInMinorUnits(summary.interestOffset, row.interestOffset ?? 0, fractionDigits);
+        /**
+         * The ending balance, the arrears, and the savings balance of the offset account of the year are those of its
+         * last row so far.
+         */
+        summary.endingBalance = row.endingBalance;
+        summary.arrears = row.arrears ?? 0;
+        summary.offsetBalance = row.offsetBalance ?? 0;
+        /** The row is added to the rows of the year. */
+        summary.rows.push(row);
+    }
+    /** The summaries of every year are returned. */
+    return years;
+}
+
+/**
+ * Given the passed arguments, the offset account is moved on by a number of months, so that a schedule that continues
+ * another one, such as the new loan of a refinancing, starts with the savings balance that the other one left.
+ * @param offsetAccount the offset account, if any, as passed to the 'buildSchedule()' function.
+ * @param months the number of months by which the offset account is moved on.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {Object|null} the offset account with the savings balance after the months, or null if there is no offset
+ * account.
+ */
+export function advanceOffsetAccount(offsetAccount, months, fractionDigits = 2) {
+    /** Without an offset account, there is nothing to move on. */
+    if (!offsetAccount) {
+        return null;
+    }
+    /**
+     * This variable is used to keep track of the savings balance, in minor units.
+     * @type {number}
+     */
+    let balance = toMinorUnits(offsetAccount.balance ?? 0, fractionDigits);
+    /**
+     * The monthly contribution, in minor units, which is negative for a withdrawal.
+     * @type {number}
+     */
+    const contribution = toMinorUnits(offsetAccount.contribution ?? 0, fractionDigits);
+    /** The contribution is paid in after every month, just as in the 'buildSchedule()' function. */
+    for (let month = 1; month <= months; month++) {
+        balance = Math.max(balance + contribution, 0);
+    }
+    /** The offset account is returned with the savings balance after the months. */
+    return {...offsetAccount, balance: toMajorUnits(balance, fractionDigits)};
+}
+
+/**
+ * Given the passed arguments, the offset account is measured against the same mortgage without it, which gives the
+ * interest it saves, the number of months by which it pays off the mortgage early, and the amount by which it lowers
+ * the payments on average, which is only the case if the scheduled payment is lowered.
+ * @param rows the rows of the mortgage amortization schedule with the offset account.
+ * @param interestPaid the total interest paid with the offset account.
+ * @param withoutOffset the total interest paid and the final month of the same mortgage without the offset account.
+ * @param offsetAccount the offset account, as passed to the 'buildSchedule()' function.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {{interestSaved: number, monthsEarly: number, paymentLowered: number}} the figures of the offset account.
+ */
+export function summarizeOffsetAccount(rows, interestPaid, withoutOffset, offsetAccount, fractionDigits = 2) {
+    /**
+     * The last row of the mortgage amortization schedule, which is the month in which the mortgage is paid off.
+     * @type {ScheduleRow|undefined}
+     */
+    const finalRow = rows[rows.length - 1];
+    /**
+     * The total interest saved by the offset account, month by month, in minor units.
+     * @type {number}
+     */
+    const interestOffset = rows.reduce((total, row) => total + toMinorUnits(row.interestOffset ?? 0, fractionDigits),
+        0);
+    /** The figures of the offset account are returned, with the amounts converted back into major units. */
+    return {
+        interestSaved: toMajorUnits(toMinorUnits(withoutOffset.interestPaid, fractionDigits) -
+            toMinorUnits(interestPaid, fractionDigits), fractionDigits),
+        monthsEarly: withoutOffset.finalMonth - (finalRow ? finalRow.month : 0),
+        paymentLowered: offsetAccount.mode === 'payment' && rows.length > 0 ?
+            toMajorUnits(Math.round(interestOffset / rows.length), fractionDigits) :
+            0
+    };
+}
+
+/**
+ * Given the passed arguments, two amounts are added together in whole minor units, so that the sum is not affected by
+ * floating point rounding errors.
+ * @param first the first amount in major units.
+ * @param second the second amount in major units.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the sum of the amounts in major units.
+ */
+function addInMinorUnits(first, second, fractionDigits) {
+    return toMajorUnits(toMinorUnits(first, fractionDigits) + toMinorUnits(second, fractionDigits), fractionDigits);
+}
+
+/**
+ * A single row of the mortgage amortization schedule, representing one month of the mortgage, or one payment period
+ * for other payment frequencies than monthly.
+ * @typedef {Object} ScheduleRow
+ * @property {number} month the month in question.
+ * @property {string|null} dueDate the due date of the payment, as an ISO 8601 date string, or null if the mortgage has
+ * no calendar.
+ * @property {boolean} rateChanged whether the interest rate changes in the month.
+ * @property {number} previousInterestRate the decimal monthly interest rate that applied in the previous month.
+ * @property {number} monthlyInterestRate the decimal monthly interest rate that applies in the month.
+ * @property {number} monthlyPayment the scheduled monthly payment that applies in the month.
+ * @property {number} instalment the instalment that applies in the month, which is the level monthly payment for
+ * annuity and balloon repayment, before the offset account lowers it, and the constant principal paid every month for
+ * linear repayment, or 0 during the interest-only period.
+ * @property {number} payment the payment made in the month, excluding the extra payment, which only differs from the
+ * scheduled monthly payment in the final month, and in months with a payment event.
+ * @property {number} startingBalance the starting balance of the month.
+ * @property {number} extraPayment the extra payment made in the month.
+ * @property {number} principalPaid the principal paid in the month, including the extra payment.
+ * @property {number} totalPrincipalPaid the cumulative total of the principal paid up to and including the month.
+ * @property {number} interestPaid the interest paid in the month.
+ * @property {number} totalInterestPaid the cumulative total of the interest paid up to and including the month.
+ * @property {number} endingBalance the ending balance of the month.
+ * @property {string|null} paymentEvent the type of the payment event of the month, which is one of the
+ * 'PAYMENT_EVENT_TYPES', or null if the scheduled payment is made as usual.
+ * @property {number} capitalised the amount added to the balance in the month, by a payment holiday or by capitalising
+ * the arrears.
+ * @property {number} lateFee the late fee charged in the month.
+ * @property {number} arrearsPaid the arrears paid with the payment of the month, which is the first payment made as
+ * usual after a missed or partial payment.
+ * @property {number} arrears the arrears owed on top of the balance at the end of the month.
+ * @property {number} offsetBalance the savings balance of the offset account that is taken off the balance before the
+ * interest of the month is charged.
+ * @property {number} interestOffset the interest saved by the offset account in the month.
+ */
+
+/**
+ * The totals of the whole mortgage amortization schedule.
+ * @typedef {Object} ScheduleTotals
+ * @property {number} monthlyPayment the monthly payment when the principal starts to be paid off, after any
+ * interest-only period, which applies until the next interest rate change, and is the first of the declining payments
+ * for linear repayment.
+ * @property {number} interestOnlyPayment the payment of the first month of the interest-only period, or 0 if there is
+ * no interest-only period.
+ * @property {number} finalPayment the payment made in the final month, excluding the extra payment, which is adjusted
+ * so that the ending balance is exactly 0, and includes any balloon payment.
+ * @property {number} principalPaid the total principal paid.
+ * @property {number} interestPaid the total interest paid.
+ * @property {boolean} hasPrepayments whether any prepayment is scheduled.
+ * @property {number} interestSaved the interest saved by the prepayments, compared to the same mortgage without them.
+ * @property {number} finalMonth the last month in which a payment is made.
+ * @property {number} monthsEarly the number of months by which the mortgage is paid off before the end of the term,
+ * which is negative if the term is extended after a payment event.
+ * @property {string|null} payoffDate the due date of the final payment, as an ISO 8601 date string, or null if the
+ * mortgage has no calendar.
+ * @property {boolean} hasPaymentEvents whether any payment event is marked.
+ * @property {number} capitalised the total amount added to the balance by payment holidays and by capitalising the
+ * arrears.
+ * @property {number} lateFees the total late fees charged.
+ * @property {{interestSaved: number, monthsEarly: number, paymentLowered: number}|null} offsetAccount the interest
+ * saved by the offset account and the number of months by which it pays off the mortgage early, compared to the same
+ * mortgage without it, and the amount by which it lowers the payments on average, or null if there is no offset
+ * account.
+ */
+
+/**
+ * The summary of a single year of the mortgage amortization schedule.
+ * @typedef {Object} YearSummary
+ * @property {number} year the year in question, either the loan year starting from 1, or the calendar year.
+ * @property {number} extraPayment the extra payments made in the year.
+ * @property {number} principalPaid the principal paid in the year, including the extra payments.
+ * @property {number} interestPaid the interest paid in the year.
+ * @property {number} lateFees the late fees charged in the year.
+ * @property {number} interestOffset the interest saved by the offset account in the year.
+ * @property {number} endingBalance the ending balance of the last month of the year.
+ * @property {number} arrears the arrears at the end of the last month of the year.
+ * @property {number} offsetBalance the savings balance of the offset account in the last month of the year.
+ * @property {ScheduleRow[]} rows the rows of the months of the year.
+ */
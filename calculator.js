@@ -0,0 +1,543 @@
+/**
+ * The embeddable mortgage calculator, which packages a user input form and a mortgage amortization table as the custom
+ * element <mortgage-calculator>, so that other sites can embed the calculator. Every element keeps its form, table, and
+ * most recent calculation in its own shadow root, so that several calculators work on one page, and is configured with
+ * attributes that set the defaults of the form and the limits of its input fields. The element dispatches events with
+ * the computed schedule, and is styled with the style sheet of the web page, which applies inside the shadow root since
+ * the form and the table use the same ids. The functions that read the configuration and calculate the schedule do not
+ * access the DOM, so that they can be imported by the test suite, which is run with Node.js.
+ */
+import {buildSchedule, summarizeYears} from './amortization.js';
+import {parseIsoDate, toIsoDate} from './dates.js';
+import {PAYMENT_FREQUENCIES, toAnnualRate, toPeriodicRate} from './frequency.js';
+import {createLocalization} from './i18n.js';
+import {
+    checkSchedule,
+    MAXIMUM_AMOUNT,
+    MAXIMUM_INTEREST_RATE,
+    MAXIMUM_TERM,
+    validateForm,
+    VALIDATED_FIELDS
+} from './validation.js';
+
+/**
+ * The names of the input fields of the form of the calculator, in the order in which they appear in the form. Every
+ * input field has an attribute of the same name, which sets its default value.
+ * @type {string[]}
+ */
+export const CALCULATOR_FIELDS = ['principal', 'interest', 'term', 'payment-frequency', 'start-date', 'extra-monthly'];
+
+/**
+ * The names of the attributes of the calculator, which are the defaults of the input fields, the locale and the
+ * currency, and the limits of the principal, the annual interest rate as a percentage, and the term in years.
+ * @type {string[]}
+ */
+export const CALCULATOR_ATTRIBUTES = [...CALCULATOR_FIELDS, 'locale', 'currency', 'max-principal', 'max-interest',
+    'max-term'];
+
+/**
+ * The default values of the input fields of the form, which are the same as those of the web page. The start date is
+ * empty, since it defaults to the day on which the calculator is shown.
+ * @type {Object<string, string>}
+ */
+const DEFAULT_VALUES = {
+    principal: '200000', interest: '6.5', term: '30', 'payment-frequency': 'monthly', 'start-date': '',
+    'extra-monthly': '0'
+};
+
+/**
+ * The URL of the style sheet of the web page, which is resolved against the URL of this module rather than that of the
+ * page that embeds the calculator.
+ * @type {string}
+ */
+const STYLESHEET_URL = new URL('./styles.css', import.meta.url).href;
+
+/**
+ * Given the passed arguments, the configuration of a calculator is read from its attributes. Attributes that are
+ * missing fall back to the defaults, a payment frequency that is not known falls back to monthly payments, and limits
+ * that are missing, not positive numbers, or higher than the limits of the web page fall back to those limits.
+ * @param attributes the values of the attributes of the calculator, keyed by their names, where a missing attribute is
+ * null or undefined.
+ * @param today the date on which the calculator is shown, as an ISO 8601 date string, which is the default start date.
+ * @returns {CalculatorConfig} the configuration of the calculator.
+ */
+export function readCalculatorConfig(attributes, today) {
+    /**
+     * The default values of the input fields, where every attribute that is given replaces the default value.
+     * @type {Object<string, string>}
+     */
+    const values = Object.fromEntries(CALCULATOR_FIELDS.map((field) =>
+        [field, attributes[field] ?? (field === 'start-date' ? today : DEFAULT_VALUES[field])]));
+    if (!Object.hasOwn(PAYMENT_FREQUENCIES, values['payment-frequency'])) {
+        values['payment-frequency'] = DEFAULT_VALUES['payment-frequency'];
+    }
+    /** The configuration of the calculator is returned. */
+    return {
+        values,
+        limits: {
+            principal: parseLimit(attributes['max-principal'], MAXIMUM_AMOUNT),
+            interest: parseLimit(attributes['max-interest'], MAXIMUM_INTEREST_RATE),
+            term: parseLimit(attributes['max-term'], MAXIMUM_TERM)
+        },
+        locale: attributes['locale'] ?? 'en-US',
+        currency: attributes['currency'] ?? 'EUR'
+    };
+}
+
+/**
+ * Given the passed arguments, the limit of an input field is parsed from the value of its attribute.
+ * @param text the value of the attribute, or null or undefined if the attribute is missing.
+ * @param maximum the limit of the input field on the web page, which the limit cannot exceed.
+ * @returns {number} the limit of the input field.
+ */
+function parseLimit(text, maximum) {
+    /**
+     * The value of the attribute converted to a number, which is NaN if the attribute is missing or is not a number.
+     * @type {number}
+     */
+    const value = Number(text ?? NaN);
+    /** A limit that is not a positive number is ignored. */
+    return Number.isFinite(value) && value > 0 ? Math.min(value, maximum) : maximum;
+}
+
+/**
+ * Given the passed arguments, the values of the input fields of the calculator are validated in the same way as the
+ * user input form of the web page, and the principal, the annual interest rate, and the term are then checked against
+ * the limits of the calculator, unless they already have an error.
+ * @param values the values of the input fields, keyed by their names.
+ * @param limits the limits of the principal, the annual interest rate, and the term.
+ * @returns {Object<string, ValidationError>} the errors of the input fields that are not valid, keyed by their names,
+ * in the order of the 'VALIDATED_FIELDS'.
+ */
+export function validateCalculator(values, limits) {
+    /**
+     * The errors found by the 'validateForm()' function, where the payment day is the first day of the month, as on the
+     * web page, and the other input fields of the web page are empty, since the calculator does not use them.
+     * @type {Object<string, ValidationError>}
+     */
+    const errors = validateForm({...values, 'payment-day': '1'});
+    /** Every limit is checked against the value of its input field. */
+    for (const [field, maximum] of Object.entries(limits)) {
+        if (!errors[field] && Number(values[field]) > maximum) {
+            errors[field] = {key: 'validation.maximum', values: {maximum}};
+        }
+    }
+    /** The errors are returned in the order of the 'VALIDATED_FIELDS'. */
+    return Object.fromEntries(VALIDATED_FIELDS.filter((field) => errors[field]).map((field) => [field, errors[field]]));
+}
+
+/**
+ * Given the passed arguments, the mortgage amortization schedule of the calculator is built from the values of its
+ * input fields, in the same way as on the web page, for annuity repayment with interest compounded with every payment
+ * and payments due on the first day of the month.
+ * @param values the values of the input fields, keyed by their names, which must be valid.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {{params: Object, schedule: Object|null, error: ValidationError|null}} the parameters of the mortgage, and
+ * either the schedule, or the error if the mortgage would never be paid off.
+ */
+export function buildCalculatorSchedule(values, fractionDigits = 2) {
+    /**
+     * The payment frequency.
+     * @type {string}
+     */
+    const frequency = values['payment-frequency'];
+    /**
+     * The parameters of the mortgage, where the term and the interest rate are converted into payments and the
+     * decimal interest rate of a payment period. Note that this line is broken onto multiple lines to keep the code
+     * readable.
+     * @type {Object}
+     */
+    const params = {
+        principal: Number(values['principal']),
+        termInMonths: Number(values['term']) * PAYMENT_FREQUENCIES[frequency].paymentsPerYear,
+        monthlyInterestRate: toPeriodicRate(Number(values['interest']) / 100, frequency),
+        prepayments: {monthly: Number(values['extra-monthly']) || 0, annual: 0, lumpSums: new Map()},
+        repayment: {type: 'annuity', interestOnlyMonths: 0, balloonPayment: 0, frequency, compounding: 'payment'},
+        calendar: {startDate: values['start-date'], paymentDay: 1, holidays: new Set()},
+        fractionDigits
+    };
+    /**
+     * The schedule, which is checked using the 'checkSchedule()' function, so that a mortgage that would never be paid
+     * off is reported as an error.
+     * @type {{rows: ScheduleRow[], totals: ScheduleTotals}}
+     */
+    const schedule = buildSchedule(params);
+    /**
+     * The error of the schedule, if any.
+     * @type {ValidationError|null}
+     */
+    const error = checkSchedule(schedule, params.repayment);
+    /** The parameters, and the schedule or the error, are returned. */
+    return {params, schedule: error ? null : schedule, error};
+}
+
+/**
+ * Given the passed name, the custom element of the calculator is defined, unless an element of that name is already
+ * defined. This is done when the module is loaded in a browser, so that embedding the calculator only takes the module
+ * and the element, but can be done again under another name. The class of the element is created in this function,
+ * since 'HTMLElement' only exists in the browser.
+ * @param name the name of the custom element, which must contain a hyphen.
+ * @returns {CustomElementConstructor} the class of the custom element.
+ */
+export function defineMortgageCalculator(name = 'mortgage-calculator') {
+    /** An element that is already defined under the name is kept, since a name can only be defined once. */
+    if (customElements.get(name)) {
+        return customElements.get(name);
+    }
+    /**
+     * The class of the custom element, which only hands its callbacks on to the functions of this module, and keeps the
+     * most recent calculation, which is null while the form is not valid.
+     */
+    const MortgageCalculator = class extends HTMLElement {
+        static observedAttributes = CALCULATOR_ATTRIBUTES;
+
+        constructor() {
+            super();
+            this.attachShadow({mode: 'open'});
+            this.calculation = null;
+        }
+
+        /** The form and the table are created when the element is first added to the page, and then calculated. */
+        connectedCallback() {
+            if (!this.shadowRoot.hasChildNodes()) {
+                createCalculatorContent(this);
+                resetFields(this, CALCULATOR_FIELDS);
+                updateCalculator(this);
+            }
+        }
+
+        /** A changed default resets its input field, and any changed attribute calculates the calculator again. */
+        attributeChangedCallback(attribute) {
+            if (this.shadowRoot.hasChildNodes()) {
+                resetFields(this, CALCULATOR_FIELDS.filter((field) => field === attribute));
+                updateCalculator(this);
+            }
+        }
+
+        /** The most recent schedule, or null while the form is not valid. */
+        get schedule() {
+            return this.calculation?.schedule ?? null;
+        }
+    };
+    /** The class is defined as the custom element of the name, and returned. */
+    customElements.define(name, MortgageCalculator);
+    return MortgageCalculator;
+}
+
+/**
+ * Given the passed element, the content of its shadow root is created, which is the style sheet of the web page, the
+ * user input form, and the mortgage amortization table. The texts of the labels and headers are filled in by the
+ * 'updateCalculator()' function, in the language of the locale of the calculator.
+ * @param element the calculator element.
+ */
+function createCalculatorContent(element) {
+    /**
+     * The options of the payment frequency drop-down list, one per payment frequency, whose messages are named in
+     * camel case, for example 'form.paymentFrequency.acceleratedBiWeekly'.
+     * @type {string}
+     */
+    const frequencyOptions = Object.keys(PAYMENT_FREQUENCIES).map((frequency) => {
+        /**
+         * The payment frequency in camel case.
+         * @type {string}
+         */
+        const camelCase = frequency.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        return `<option data-i18n="form.paymentFrequency.${camelCase}" value="${frequency}"></option>`;
+    }).join('');
+    /**
+     * The input fields of the user input form, keyed by their names, where the payment frequency is a drop-down list,
+     * and the other input fields are number or date input fields.
+     * @type {Object<string, string>}
+     */
+    const inputs = {
+        principal: '<input class="currency-input" min="0" type="number"',
+        interest: '<input min="0" step=".01" type="number"',
+        term: '<input min="1" type="number"',
+        'payment-frequency': '<select',
+        'start-date': '<input type="date"',
+        'extra-monthly': '<input class="currency-input" min="0" type="number"'
+    };
+    /**
+     * The messages of the labels of the input fields, keyed by the names of the input fields.
+     * @type {Object<string, string>}
+     */
+    const labels = {
+        principal: 'form.principal', interest: 'form.interest', term: 'form.term',
+        'payment-frequency': 'form.paymentFrequency', 'start-date': 'form.startDate',
+        'extra-monthly': 'form.extraMonthly'
+    };
+    /**
+     * The rows of the user input form, one per input field, with the error of the input field below it. Note that this
+     * line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const formRows = CALCULATOR_FIELDS.map((field) => `<tr>
+            <td><label data-i18n="${labels[field]}" for="${field}"></label></td>
+            <td>${inputs[field]} aria-describedby="${field}-error" id="${field}" name="${field}">${
+                field === 'payment-frequency' ? `${frequencyOptions}</select>` : ''}
+                <span class="field-error" id="${field}-error"></span></td>
+        </tr>`).join('');
+    /**
+     * The headers of the columns of the mortgage amortization table.
+     * @type {string}
+     */
+    const headers = ['table.month', 'table.dueDate', 'table.startingBalance', 'table.extraPayment',
+        'table.principalPaid', 'table.interestPaid', 'table.endingBalance']
+        .map((key) => `<th data-i18n="${key}"></th>`).join('');
+    /**
+     * The content of the shadow root is set using a string template literal. The host element is displayed as a block,
+     * and the user input form is not sticky, since the page that embeds the calculator decides how it scrolls.
+     */
+    element.shadowRoot.innerHTML = `<link href="${STYLESHEET_URL}" rel="stylesheet">
+<style>:host { display: block; } #input-form { position: static; }</style>
+<div class="container">
+    <form id="input-form" novalidate><table><tbody>${formRows}
+        <tr><td colspan="2"><p class="form-error" hidden id="form-error" role="alert"></p></td></tr>
+    </tbody></table></form>
+    <div class="results">
+        <table id="amortization-table">
+            <thead class="header-accent"><tr><th colspan="7" id="amortization-table-title"></th></tr>
+            <tr>${headers}</tr></thead>
+            <tbody id="amortization-table-body"></tbody>
+        </table>
+    </div>
+</div>`;
+    /**
+     * The form of the calculator.
+     * @type {HTMLFormElement}
+     */
+    const form = element.shadowRoot.getElementById('input-form');
+    /** The calculator is calculated again whenever an input field changes, and the form is never submitted. */
+    form.addEventListener('input', () => updateCalculator(element));
+    form.addEventListener('submit', (event) => event.preventDefault());
+}
+
+/**
+ * Given the passed arguments, the given input fields of the calculator are reset to their default values from the
+ * attributes of the element.
+ * @param element the calculator element.
+ * @param fields the names of the input fields to be reset.
+ */
+function resetFields(element, fields) {
+    /**
+     * The configuration of the calculator.
+     * @type {CalculatorConfig}
+     */
+    const config = readCalculatorConfig(readAttributes(element), getToday());
+    for (const field of fields) {
+        element.shadowRoot.getElementById(field).value = config.values[field];
+    }
+}
+
+/**
+ * Given the passed element, the calculator is calculated from the values of its input fields. The texts of the form
+ * and the table are translated, the errors of the input fields are shown, and, if the form is valid, the mortgage
+ * amortization table is rendered, and the 'schedule-change' event is dispatched with the parameters and the schedule.
+ * Otherwise, the 'calculation-error' event is dispatched with the errors.
+ * @param element the calculator element.
+ */
+function updateCalculator(element) {
+    /**
+     * The shadow root of the element, which holds the form and the table.
+     * @type {ShadowRoot}
+     */
+    const root = element.shadowRoot;
+    /**
+     * The configuration of the calculator.
+     * @type {CalculatorConfig}
+     */
+    const config = readCalculatorConfig(readAttributes(element), getToday());
+    /**
+     * The values of the input fields of the form, keyed by their names.
+     * @type {Object<string, string>}
+     */
+    const values = Object.fromEntries(CALCULATOR_FIELDS.map((field) => [field, root.getElementById(field).value]));
+    /**
+     * The localization of the calculator, for its locale and currency and the chosen payment frequency.
+     * @type {Localization}
+     */
+    const localization = createLocalization(config.locale, config.currency, values['payment-frequency']);
+
+    /** Every text of the form and the table is translated into the language of the locale. */
+    for (const text of root.querySelectorAll('[data-i18n]')) {
+        text.textContent = localization.translate(text.dataset.i18n, {currency: localization.currencySymbol});
+    }
+    /**
+     * The limits of the calculator are set on the input fields, and the step of the currency input fields is set to
+     * the smallest amount of the currency.
+     */
+    root.getElementById('principal').max = String(config.limits.principal);
+    root.getElementById('interest').max = String(config.limits.interest);
+    root.getElementById('term').max = String(config.limits.term);
+    for (const input of root.querySelectorAll('.currency-input')) {
+        input.step = String(Math.pow(10, -localization.fractionDigits));
+    }
+
+    /**
+     * The errors of the input fields, and, if there are none, the result of the calculation.
+     * @type {Object<string, ValidationError>}
+     */
+    const errors = validateCalculator(values, config.limits);
+    const result = Object.keys(errors).length === 0 ?
+        buildCalculatorSchedule(values, localization.fractionDigits) :
+        null;
+    /** The errors are shown next to their input fields, and the error of the schedule, if any, below the form. */
+    for (const field of CALCULATOR_FIELDS) {
+        /**
+         * The error of the input field, if any.
+         * @type {ValidationError|undefined}
+         */
+        const error = errors[field];
+        root.getElementById(`${field}-error`).textContent = error ?
+            localization.translate(error.key, {...error.values, currency: localization.currencySymbol}) :
+            '';
+        root.getElementById(field).setAttribute('aria-invalid', String(Boolean(error)));
+    }
+    /**
+     * The element that shows the error of the schedule.
+     * @type {HTMLElement}
+     */
+    const formError = root.getElementById('form-error');
+    formError.hidden = !result?.error;
+    formError.textContent = result?.error ? localization.translate(result.error.key, result.error.values) : '';
+
+    /** Without a schedule, the most recent calculation is discarded, and the errors are dispatched. */
+    if (!result?.schedule) {
+        element.calculation = null;
+        element.dispatchEvent(new CustomEvent('calculation-error',
+            {detail: {errors, error: result?.error ?? null}, bubbles: true, composed: true}));
+        return;
+    }
+    /** Otherwise, the table is rendered, and the parameters and the schedule are kept and dispatched. */
+    renderTable(root, result.params, result.schedule, localization);
+    element.calculation = {params: result.params, schedule: result.schedule};
+    element.dispatchEvent(new CustomEvent('schedule-change',
+        {detail: element.calculation, bubbles: true, composed: true}));
+}
+
+/**
+ * Given the passed arguments, the mortgage amortization table of the calculator is rendered, with a row for every
+ * payment, a year separator after the last payment of every loan year, and the title summarizing the mortgage.
+ * @param root the shadow root of the calculator element.
+ * @param params the parameters of the mortgage.
+ * @param schedule the mortgage amortization schedule.
+ * @param localization the localization of the calculator.
+ */
+function renderTable(root, params, schedule, localization) {
+    /**
+     * The formatters and the function that translates messages are picked out of the localization.
+     * @type {Localization}
+     */
+    const {currencyFormatter: formatter, percentFormatter, dateFormatter, translate} = localization;
+    /**
+     * The number of payments made per year, and the years of the schedule, grouped into loan years.
+     * @type {number}
+     */
+    const paymentsPerYear = PAYMENT_FREQUENCIES[params.repayment.frequency].paymentsPerYear;
+    const years = summarizeYears(schedule.rows, params.fractionDigits, false, paymentsPerYear);
+    /**
+     * The rows are added to a document fragment, so that the table body is only changed once.
+     * @type {DocumentFragment}
+     */
+    const fragment = new DocumentFragment();
+    for (const [index, year] of years.entries()) {
+        /** A row is added for every payment of the year. */
+        for (const row of year.rows) {
+            fragment.appendChild(createRow([row.month, dateFormatter.format(parseIsoDate(row.dueDate)),
+                ...[row.startingBalance, row.extraPayment, row.principalPaid, row.interestPaid, row.endingBalance]
+                    .map((amount) => formatter.format(amount))]));
+        }
+        /** A year separator is added after the last payment of the year. */
+        fragment.appendChild(createRow([translate(index === years.length - 1 ? 'separator.loanYear' :
+            'separator.loanYears', {year: year.year, nextYear: year.year + 1})], 'year-row'));
+    }
+    root.getElementById('amortization-table-body').replaceChildren(fragment);
+
+    /**
+     * The summary of the prepayments, which is only shown in the title if an extra payment is made.
+     * @type {string}
+     */
+    const prepaymentSummary = schedule.totals.hasPrepayments ?
+        ` | ${translate('table.title.interestSaved', {amount: formatter.format(schedule.totals.interestSaved)})} | ${
+            translate('table.title.paidOff',
+                {month: schedule.totals.finalMonth, monthsEarly: schedule.totals.monthsEarly})}` :
+        '';
+    /** The title of the table summarizes the mortgage in the same way as on the web page. */
+    root.getElementById('amortization-table-title').innerHTML = `${translate('table.title', {
+        principal: formatter.format(params.principal),
+        rate: percentFormatter.format(toAnnualRate(params.monthlyInterestRate, params.repayment.frequency)),
+        rateLabel: translate('table.title.interestRate'),
+        term: localization.numberFormatter.format(params.termInMonths / paymentsPerYear)
+    })}<br>${translate('table.title.monthlyPayment', {payment: formatter.format(schedule.totals.monthlyPayment)})}${
+        prepaymentSummary} | ${translate('table.title.payoffDate',
+        {date: dateFormatter.format(parseIsoDate(schedule.totals.payoffDate))})}`;
+}
+
+/**
+ * Given the passed arguments, a row of the mortgage amortization table of the calculator is created. A row with a
+ * class is a separator row, whose only cell spans the entire width of the table.
+ * @param texts the texts of the cells of the row.
+ * @param className the class of the separator row, used for styling purposes, or undefined for the row of a payment.
+ * @returns {HTMLTableRowElement} the row of the mortgage amortization table.
+ */
+function createRow(texts, className = undefined) {
+    /**
+     * The table row.
+     * @type {HTMLTableRowElement}
+     */
+    const tableRow = document.createElement('tr');
+    for (const text of texts) {
+        /**
+         * The cell of the text.
+         * @type {HTMLTableCellElement}
+         */
+        const cell = document.createElement('td');
+        cell.textContent = String(text);
+        if (className) {
+            cell.classList.add(className, 'header-accent');
+            cell.colSpan = 7;
+        }
+        tableRow.appendChild(cell);
+    }
+    /** The table row is returned. */
+    return tableRow;
+}
+
+/**
+ * Given the passed element, the values of its attributes are read.
+ * @param element the calculator element.
+ * @returns {Object<string, string|null>} the values of the attributes of the calculator, keyed by their names, where a
+ * missing attribute is null.
+ */
+function readAttributes(element) {
+    return Object.fromEntries(CALCULATOR_ATTRIBUTES.map((attribute) => [attribute, element.getAttribute(attribute)]));
+}
+
+/**
+ * The date on which the calculator is shown is determined, taken in the time zone of the browser, and then converted
+ * into a date at midnight UTC, as used by the calendar module.
+ * @returns {string} today's date as an ISO 8601 date string.
+ */
+function getToday() {
+    /**
+     * The current date and time, in the time zone of the browser.
+     * @type {Date}
+     */
+    const now = new Date();
+    return toIsoDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+/** The custom element is defined straight away when the module is loaded in a browser. */
+if (globalThis.customElements) {
+    defineMortgageCalculator();
+}
+
+/**
+ * The configuration of a calculator, as read from its attributes.
+ * @typedef {Object} CalculatorConfig
+ * @property {Object<string, string>} values the default values of the input fields, keyed by their names.
+ * @property {{principal: number, interest: number, term: number}} limits the highest principal, annual interest rate as
+ * a percentage, and term in years that can be entered.
+ * @property {string} locale the locale, for example 'en-US'.
+ * @property {string} currency the ISO 4217 code of the currency, for example 'EUR'.
+ */
@@ -0,0 +1,448 @@
+/**
+ * The charts of the mortgage amortization schedule, which are drawn as SVG elements from the same rows as the mortgage
+ * amortization table. The functions that calculate the geometry of the charts do not access the DOM, so that they can
+ * be imported by the test suite, which is run with Node.js.
+ */
+import {PAYMENT_FREQUENCIES} from './frequency.js';
+
+/**
+ * The namespace of SVG elements, which is needed to create SVG elements with the 'createElementNS()' function.
+ * @type {string}
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * The width of the drawing area of every chart, in SVG user units. The charts are scaled to the width of the page.
+ * @type {number}
+ */
+const CHART_WIDTH = 600;
+
+/**
+ * The height of the drawing area of every chart, in SVG user units.
+ * @type {number}
+ */
+const CHART_HEIGHT = 160;
+
+/**
+ * The space around the drawing area of every chart, in SVG user units, which holds the labels of the axes.
+ * @type {{top: number, right: number, bottom: number, left: number}}
+ */
+const CHART_MARGIN = {top: 10, right: 10, bottom: 20, left: 70};
+
+/**
+ * The largest number of bars drawn in the bar chart. A longer schedule has more payments than can be told apart at the
+ * width of the chart, so neighbouring payments are grouped into a single bar, which keeps the number of SVG elements,
+ * and therefore the time taken to draw the chart, small for very long schedules.
+ * @type {number}
+ */
+const MAXIMUM_BARS = 300;
+
+/**
+ * Given the passed value, a round maximum for the vertical axis of a chart is calculated, which is the smallest number
+ * of the form 1, 2, or 5 times a power of 10 that is at least the value. This keeps the labels of the axis readable.
+ * @param value the largest value shown in the chart.
+ * @returns {number} the maximum of the vertical axis, which is 1 if the value is 0 or less.
+ */
+export function niceMaximum(value) {
+    /** A chart without any positive values still needs an axis, so the maximum is 1. */
+    if (value <= 0) {
+        return 1;
+    }
+    /**
+     * The power of 10 that is just below the value.
+     * @type {number}
+     */
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    /** The first of 1, 2, 5, and 10 times the power of 10 that is at least the value is returned. */
+    return [1, 2, 5, 10].map((step) => step * magnitude).find((maximum) => maximum >= value);
+}
+
+/**
+ * Given the passed arguments, the horizontal position of the centre of the band of a payment in a chart is calculated.
+ * Every payment gets a band of equal width, so that the bars of the bar chart and the points of the line charts line
+ * up with each other.
+ * @param index the index of the payment, starting from 0.
+ * @param count the number of payments in the chart.
+ * @returns {number} the horizontal position of the centre of the band, from 0 to the width of the chart.
+ */
+export function bandCentre(index, count) {
+    return (index + 0.5) * CHART_WIDTH / count;
+}
+
+/**
+ * Given the passed arguments, the index of the payment whose band contains the given horizontal position is
+ * calculated, which is the inverse of the 'bandCentre()' function.
+ * @param x the horizontal position, from 0 to the width of the chart.
+ * @param count the number of payments in the chart.
+ * @returns {number} the index of the payment, starting from 0, limited to the payments in the chart.
+ */
+export function bandIndex(x, count) {
+    return Math.min(Math.max(Math.floor(x / CHART_WIDTH * count), 0), count - 1);
+}
+
+/**
+ * Given the passed rows of the mortgage amortization schedule, the largest balance is found, which is the largest
+ * starting or ending balance of any payment. The balance is not always largest at the start, since capitalised
+ * interest, arrears, and deferred payments can make it grow during the term.
+ * @param rows the rows of the mortgage amortization schedule.
+ * @returns {number} the largest balance, which is 0 if there are no rows.
+ */
+export function largestBalance(rows) {
+    return rows.reduce((largest, row) => Math.max(largest, row.startingBalance, row.endingBalance), 0);
+}
+
+/**
+ * Given the passed rows of the mortgage amortization schedule, the bars of the bar chart are calculated. If there are
+ * no more rows than the largest number of bars, every payment gets its own bar, and otherwise neighbouring payments
+ * are grouped into bars of equal size, where the principal and interest of a bar are the averages of its payments.
+ * @param rows the rows of the mortgage amortization schedule.
+ * @returns {{start: number, count: number, principal: number, interest: number}[]} the bars, each with the index of its
+ * first payment, the number of its payments, and its principal and interest portions.
+ */
+export function groupBars(rows) {
+    /**
+     * The number of payments grouped into every bar, where the last bar may have fewer payments.
+     * @type {number}
+     */
+    const size = Math.max(Math.ceil(rows.length / MAXIMUM_BARS), 1);
+    /**
+     * The bars, which are initially empty.
+     * @type {{start: number, count: number, principal: number, interest: number}[]}
+     */
+    const bars = [];
+    /** Every group of payments is turned into a bar with the average principal and interest of its payments. */
+    for (let start = 0; start < rows.length; start += size) {
+        const group = rows.slice(start, start + size);
+        bars.push({
+            start,
+            count: group.length,
+            principal: group.reduce((sum, row) => sum + row.principalPaid, 0) / group.length,
+            interest: group.reduce((sum, row) => sum + row.interestPaid, 0) / group.length
+        });
+    }
+    /** The bars are returned. */
+    return bars;
+}
+
+/**
+ * Given the passed arguments, the path of a line through the given values is created, in the form of the 'd' attribute
+ * of an SVG <path> element. The values are placed at the centres of their bands, and scaled so that the maximum is at
+ * the top of the chart and 0 is at the bottom.
+ * @param values the values of the line, one for every payment.
+ * @param maximum the maximum of the vertical axis.
+ * @returns {string} the path of the line, which is empty if there are no values.
+ */
+export function linePath(values, maximum) {
+    return values.map((value, index) =>
+        `${index === 0 ? 'M' : 'L'}${round(bandCentre(index, values.length))},${round(scaleY(value, maximum))}`)
+        .join(' ');
+}
+
+/**
+ * Given the passed arguments, the vertical position of a value in a chart is calculated, where the maximum is at the
+ * top of the chart and 0 is at the bottom.
+ * @param value the value to be positioned.
+ * @param maximum the maximum of the vertical axis.
+ * @returns {number} the vertical position of the value, from 0 to the height of the chart.
+ */
+function scaleY(value, maximum) {
+    return CHART_HEIGHT - value / maximum * CHART_HEIGHT;
+}
+
+/**
+ * Given the passed value, it is rounded to 2 decimal places, which keeps the SVG attributes short without any visible
+ * difference.
+ * @param value the value to be rounded.
+ * @returns {number} the rounded value.
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Given the passed arguments, the charts of the mortgage amortization schedule are drawn into the given container,
+ * replacing any charts drawn before. Three charts are drawn: the remaining balance over time, the principal and
+ * interest portions of every payment stacked on top of each other, and the cumulative totals of principal and interest
+ * paid. Hovering any of the charts marks the same payment in all three charts, and calls the given hover function.
+ * @param container the element into which the charts are drawn.
+ * @param rows the rows of the mortgage amortization schedule.
+ * @param localization the localization of the page, which formats the amounts and translates the text of the charts.
+ * @param onHover the function called with the month of the hovered payment, or with null when the charts are no longer
+ * hovered.
+ */
+export function renderCharts(container, rows, localization, onHover) {
+    /**
+     * The formatter of amounts and the function that translates messages are picked out of the localization.
+     * @type {{currencyFormatter: Intl.NumberFormat, translate: function(string, Object=): string}}
+     */
+    const {currencyFormatter: formatter, translate} = localization;
+    /**
+     * The largest total of principal and interest paid, which is the largest value of the cumulative totals chart.
+     * @type {number}
+     */
+    const largestTotal = rows.reduce((largest, row) => Math.max(largest, row.totalPrincipalPaid,
+        row.totalInterestPaid), 0);
+    /**
+     * The definitions of the three charts, each with a title, the maximum of its vertical axis, the entries of its
+     * legend, a function that draws its series into the drawing area, and a function that describes the figures of a
+     * hovered payment.
+     */
+    const definitions = [
+        {
+            title: translate('chart.balance'),
+            maximum: niceMaximum(largestBalance(rows)),
+            legend: [[translate('chart.balance.endingBalance'), 'chart-balance']],
+            draw: (area, maximum) => area.appendChild(createPath(rows.map((row) => row.endingBalance), maximum,
+                'chart-balance')),
+            describe: (row) => translate('chart.balance.readout',
+                {month: row.month, balance: formatter.format(row.endingBalance)})
+        },
+        {
+            title: translate('chart.split'),
+            maximum: niceMaximum(rows.reduce((largest, row) => Math.max(largest, row.principalPaid +
+                row.interestPaid), 0)),
+            legend: [[translate('chart.split.principal'), 'chart-principal'],
+                [translate('chart.split.interest'), 'chart-interest']],
+            draw: (area, maximum) => drawStackedBars(area, rows, maximum),
+            describe: (row) => translate('chart.split.readout', {
+                month: row.month,
+                principal: formatter.format(row.principalPaid),
+                interest: formatter.format(row.interestPaid)
+            })
+        },
+        {
+            title: translate('chart.totals'),
+            maximum: niceMaximum(largestTotal),
+            legend: [[translate('chart.totals.principal'), 'chart-principal'],
+                [translate('chart.totals.interest'), 'chart-interest']],
+            draw: (area, maximum) => {
+                area.appendChild(createPath(rows.map((row) => row.totalPrincipalPaid), maximum, 'chart-principal'));
+                area.appendChild(createPath(rows.map((row) => row.totalInterestPaid), maximum, 'chart-interest'));
+            },
+            describe: (row) => translate('chart.split.readout', {
+                month: row.month,
+                principal: formatter.format(row.totalPrincipalPaid),
+                interest: formatter.format(row.totalInterestPaid)
+            })
+        }
+    ];
+
+    /**
+     * The vertical guide lines of the three charts, which mark the hovered payment in all of them at once.
+     * @type {SVGLineElement[]}
+     */
+    const guides = [];
+    /**
+     * The readouts of the three charts, which show the figures of the hovered payment.
+     * @type {SVGTextElement[]}
+     */
+    const readouts = [];
+    /**
+     * Given the passed index of a payment, or null, the guide lines and readouts of all charts are moved to that
+     * payment, or hidden, and the hover function is called.
+     * @param index the index of the hovered payment, or null if no payment is hovered.
+     */
+    const hover = (index) => {
+        /** The guide lines and readouts are moved to the payment, or hidden if no payment is hovered. */
+        for (const [chartIndex, guide] of guides.entries()) {
+            guide.style.visibility = index === null ? 'hidden' : 'visible';
+            readouts[chartIndex].textContent = index === null ? '' : definitions[chartIndex].describe(rows[index]);
+            if (index !== null) {
+                const x = String(round(bandCentre(index, rows.length)));
+                guide.setAttribute('x1', x);
+                guide.setAttribute('x2', x);
+            }
+        }
+        /** The hover function is called with the month of the payment, or with null. */
+        onHover(index === null ? null : rows[index].month);
+    };
+
+    /** The charts drawn before, if any, are removed from the container, and the new charts are drawn. */
+    container.replaceChildren(...definitions.map((definition) => {
+        /**
+         * The figure of the chart is created by creating a new HTML <figure> element, with the title and the legend
+         * of the chart as its caption.
+         * @type {HTMLElement}
+         */
+        const figure = document.createElement('figure');
+        figure.classList.add('chart');
+        figure.appendChild(createCaption(definition.title, definition.legend));
+
+        /**
+         * The SVG element of the chart, which is scaled to the width of the page using its view box.
+         * @type {SVGSVGElement}
+         */
+        const svg = createSvgElement('svg', {
+            viewBox: `0 0 ${CHART_WIDTH + CHART_MARGIN.left + CHART_MARGIN.right} \
+${CHART_HEIGHT + CHART_MARGIN.top + CHART_MARGIN.bottom}`,
+            role: 'img',
+            'aria-label': definition.title
+        });
+        /**
+         * The drawing area of the chart, which is moved inside the margin, so that the series can be drawn from the
+         * origin.
+         * @type {SVGGElement}
+         */
+        const area = createSvgElement('g', {transform: `translate(${CHART_MARGIN.left},${CHART_MARGIN.top})`});
+        svg.appendChild(area);
+        /** The axes, the series, the guide line, and the readout are drawn into the drawing area. */
+        drawAxes(area, definition.maximum, rows, formatter, translate,
+            PAYMENT_FREQUENCIES[localization.paymentFrequency].paymentsPerYear);
+        definition.draw(area, definition.maximum);
+        guides.push(area.appendChild(createSvgElement('line', {
+            class: 'chart-guide', y1: '0', y2: String(CHART_HEIGHT), style: 'visibility: hidden'
+        })));
+        readouts.push(area.appendChild(createSvgElement('text', {class: 'chart-readout', x: '5', y: '12'})));
+
+        /**
+         * The overlay of the chart, which is an invisible rectangle covering the drawing area, so that the pointer is
+         * tracked over the whole drawing area rather than only over the series.
+         * @type {SVGRectElement}
+         */
+        const overlay = area.appendChild(createSvgElement('rect', {
+            class: 'chart-overlay', width: String(CHART_WIDTH), height: String(CHART_HEIGHT)
+        }));
+        /**
+         * When the pointer moves over the overlay, its position is converted from screen coordinates into the
+         * coordinates of the drawing area, and the payment whose band contains that position is hovered.
+         */
+        overlay.addEventListener('pointermove', (event) => {
+            if (rows.length > 0) {
+                const bounds = overlay.getBoundingClientRect();
+                hover(bandIndex((event.clientX - bounds.left) / bounds.width * CHART_WIDTH, rows.length));
+            }
+        });
+        /** When the pointer leaves the overlay, no payment is hovered anymore. */
+        overlay.addEventListener('pointerleave', () => hover(null));
+
+        /** The SVG element is added to the figure, which is returned. */
+        figure.appendChild(svg);
+        return figure;
+    }));
+}
+
+/**
+ * Given the passed arguments, the caption of a chart is created, containing the title of the chart and a legend entry
+ * for every series.
+ * @param title the title of the chart.
+ * @param legend the legend entries, each with the name of the series and the class used to colour the series.
+ * @returns {HTMLElement} the caption of the chart.
+ */
+function createCaption(title, legend) {
+    /**
+     * The caption is created by creating a new HTML <figcaption> element, which starts with the title.
+     * @type {HTMLElement}
+     */
+    const caption = document.createElement('figcaption');
+    caption.textContent = title;
+    /** A legend entry, with a swatch in the colour of the series, is added for every series. */
+    for (const [name, className] of legend) {
+        const entry = document.createElement('span');
+        entry.classList.add('chart-legend', className);
+        entry.textContent = name;
+        caption.appendChild(entry);
+    }
+    /** The caption is returned. */
+    return caption;
+}
+
+/**
+ * Given the passed arguments, the axes of a chart are drawn, with the maximum and half the maximum labelled on the
+ * vertical axis, and the end of every fifth year labelled on the horizontal axis.
+ * @param area the drawing area of the chart.
+ * @param maximum the maximum of the vertical axis.
+ * @param rows the rows of the mortgage amortization schedule.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @param translate the function that translates the labels of the horizontal axis.
+ * @param paymentsPerYear the number of payments made per year, which is 12 for monthly payments.
+ */
+function drawAxes(area, maximum, rows, formatter, translate, paymentsPerYear) {
+    /** The horizontal and vertical axis lines are drawn along the bottom and the left of the drawing area. */
+    area.appendChild(createSvgElement('line', {
+        class: 'chart-axis', x1: '0', y1: String(CHART_HEIGHT), x2: String(CHART_WIDTH), y2: String(CHART_HEIGHT)
+    }));
+    area.appendChild(createSvgElement('line', {
+        class: 'chart-axis', x1: '0', y1: '0', x2: '0', y2: String(CHART_HEIGHT)
+    }));
+    /** The vertical axis is labelled at 0, half the maximum, and the maximum. */
+    for (const value of [0, maximum / 2, maximum]) {
+        const label = createSvgElement('text', {
+            class: 'chart-label', x: '-5', y: String(round(scaleY(value, maximum) + 4)), 'text-anchor': 'end'
+        });
+        label.textContent = formatter.format(value);
+        area.appendChild(label);
+    }
+    /** The horizontal axis is labelled at the end of every fifth year of the schedule. */
+    for (const [index, row] of rows.entries()) {
+        if (row.month % (paymentsPerYear * 5) === 0) {
+            const label = createSvgElement('text', {
+                class: 'chart-label', x: String(round(bandCentre(index, rows.length))), y: String(CHART_HEIGHT + 15),
+                'text-anchor': 'middle'
+            });
+            label.textContent = translate('chart.year', {year: row.month / paymentsPerYear});
+            area.appendChild(label);
+        }
+    }
+}
+
+/**
+ * Given the passed arguments, the principal and interest portions of every payment are drawn as stacked bars, with the
+ * principal portion at the bottom and the interest portion on top of it. For a long schedule, neighbouring payments
+ * share a bar, as calculated by the 'groupBars()' function.
+ * @param area the drawing area of the chart.
+ * @param rows the rows of the mortgage amortization schedule.
+ * @param maximum the maximum of the vertical axis.
+ */
+function drawStackedBars(area, rows, maximum) {
+    /**
+     * The width of the band of every payment.
+     * @type {number}
+     */
+    const width = CHART_WIDTH / Math.max(rows.length, 1);
+    /** For every bar, a bar is drawn for the principal portion, and a bar on top of it for the interest portion. */
+    for (const bar of groupBars(rows)) {
+        const x = String(round(bar.start * width));
+        const barWidth = String(round(bar.count * width));
+        const principalTop = scaleY(bar.principal, maximum);
+        const interestTop = scaleY(bar.principal + bar.interest, maximum);
+        area.appendChild(createSvgElement('rect', {
+            class: 'chart-principal', x, y: String(round(principalTop)), width: barWidth,
+            height: String(round(CHART_HEIGHT - principalTop))
+        }));
+        area.appendChild(createSvgElement('rect', {
+            class: 'chart-interest', x, y: String(round(interestTop)), width: barWidth,
+            height: String(round(principalTop - interestTop))
+        }));
+    }
+}
+
+/**
+ * Given the passed arguments, an SVG <path> element is created for a line through the given values.
+ * @param values the values of the line, one for every payment.
+ * @param maximum the maximum of the vertical axis.
+ * @param className the class used to colour the line.
+ * @returns {SVGPathElement} the SVG <path> element.
+ */
+function createPath(values, maximum, className) {
+    return createSvgElement('path', {class: `chart-line ${className}`, d: linePath(values, maximum)});
+}
+
+/**
+ * Given the passed arguments, an SVG element is created with the given attributes.
+ * @param name the name of the SVG element, for example 'path'.
+ * @param attributes the attributes of the SVG element.
+ * @returns {SVGElement} the SVG element.
+ */
+function createSvgElement(name, attributes) {
+    /**
+     * The SVG element is created using the namespace of SVG elements.
+     * @type {SVGElement}
+     */
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    /** Every attribute is set on the SVG element. */
+    for (const [attribute, value] of Object.entries(attributes)) {
+        element.setAttribute(attribute, value);
+    }
+    /** The SVG element is returned. */
+    return element;
+}
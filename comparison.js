@@ -0,0 +1,178 @@
+/**
+ * The comparison of mortgage scenarios, which summarizes several named mortgage amortization schedules side by side,
+ * and calculates the month by month differences between two of them. None of the functions in this module access the
+ * DOM, so that the module can be imported both by the web page and by the test suite, which is run with Node.js.
+ */
+import {toMajorUnits, toMinorUnits} from './amortization.js';
+import {PAYMENT_FREQUENCIES, toAnnualRate} from './frequency.js';
+
+/**
+ * Given the passed scenarios, a summary of every scenario is created, containing the figures that are compared side by
+ * side. The differences in total interest and total cost are measured against the first scenario, so that the first
+ * scenario acts as the baseline of the comparison. Amounts are added up in the minor units of the currency of every
+ * scenario, as given by the number of fraction digits in its parameters.
+ * @param scenarios the scenarios to be compared, each with a name, the parameters of the mortgage, and the mortgage
+ * amortization schedule built from those parameters.
+ * @returns {ScenarioSummary[]} the summaries of the scenarios, in the same order as the scenarios.
+ */
+export function compareScenarios(scenarios) {
+    /**
+     * The summaries of the scenarios, where the total cost of every scenario is the total principal paid plus the total
+     * interest paid, added up in minor units.
+     * @type {ScenarioSummary[]}
+     */
+    const summaries = scenarios.map(({name, params, schedule}) => ({
+        name,
+        fractionDigits: params.fractionDigits ?? 2,
+        principal: params.principal,
+        monthlyInterestRate: params.monthlyInterestRate,
+        interestRate: toAnnualRate(params.monthlyInterestRate, params.repayment?.frequency ?? 'monthly',
+            params.repayment?.compounding ?? 'payment'),
+        termInMonths: params.termInMonths,
+        termInYears:
+            params.termInMonths / PAYMENT_FREQUENCIES[params.repayment?.frequency ?? 'monthly'].paymentsPerYear,
+        paymentFrequency: params.repayment?.frequency ?? 'monthly',
+        monthlyPayment: schedule.totals.monthlyPayment,
+        interestPaid: schedule.totals.interestPaid,
+        totalCost: addAmounts(schedule.totals.principalPaid, schedule.totals.interestPaid, params.fractionDigits ?? 2),
+        finalMonth: schedule.totals.finalMonth,
+        payoffDate: schedule.totals.payoffDate ?? null,
+        interestDifference: 0,
+        totalCostDifference: 0
+    }));
+    /** The differences of every summary are measured against the first summary, if there is one. */
+    for (const summary of summaries) {
+        summary.interestDifference =
+            subtractAmounts(summary.interestPaid, summaries[0].interestPaid, summary.fractionDigits);
+        summary.totalCostDifference =
+            subtractAmounts(summary.totalCost, summaries[0].totalCost, summary.fractionDigits);
+    }
+    /** The summaries of the scenarios are returned. */
+    return summaries;
+}
+
+/**
+ * Given the passed arguments, the month by month differences between two mortgage amortization schedules are
+ * calculated. The comparison covers every month of the longer schedule, where a schedule that is already paid off is
+ * treated as paying nothing and having a balance of 0. Every difference is the amount of the second schedule minus the
+ * amount of the first schedule.
+ * @param first the first mortgage amortization schedule, which acts as the baseline.
+ * @param second the second mortgage amortization schedule.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {ScheduleDifference[]} the differences between the schedules, one for every month.
+ */
+export function diffSchedules(first, second, fractionDigits = 2) {
+    /**
+     * The number of months to be compared, which is the number of months of the longer schedule.
+     * @type {number}
+     */
+    const months = Math.max(first.rows.length, second.rows.length);
+    /**
+     * The differences between the schedules, which is initially empty.
+     * @type {ScheduleDifference[]}
+     */
+    const differences = [];
+    /** Every month of the longer schedule is iterated over. */
+    for (let index = 0; index < months; index++) {
+        /**
+         * The figures of the first schedule for the month, which are 0 if the schedule is already paid off.
+         * @type {{payment: number, interestPaid: number, endingBalance: number}}
+         */
+        const firstMonth = describeMonth(first.rows[index], fractionDigits);
+        /**
+         * The figures of the second schedule for the month, which are 0 if the schedule is already paid off.
+         * @type {{payment: number, interestPaid: number, endingBalance: number}}
+         */
+        const secondMonth = describeMonth(second.rows[index], fractionDigits);
+        /** The difference for the month is added to the differences between the schedules. */
+        differences.push({
+            month: index + 1,
+            first: firstMonth,
+            second: secondMonth,
+            paymentDifference: subtractAmounts(secondMonth.payment, firstMonth.payment, fractionDigits),
+            interestDifference: subtractAmounts(secondMonth.interestPaid, firstMonth.interestPaid, fractionDigits),
+            balanceDifference: subtractAmounts(secondMonth.endingBalance, firstMonth.endingBalance, fractionDigits)
+        });
+    }
+    /** The differences between the schedules are returned. */
+    return differences;
+}
+
+/**
+ * Given the passed row of a mortgage amortization schedule, the figures that are compared are picked out of it. The
+ * payment of the month includes the extra payment, since that is the amount that actually leaves the borrower's
+ * account. If there is no row, because the schedule is already paid off, all the figures are 0.
+ * @param row the row of the mortgage amortization schedule, if any.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {{payment: number, interestPaid: number, endingBalance: number}} the figures of the month.
+ */
+function describeMonth(row, fractionDigits) {
+    /** If there is no row, the schedule is already paid off, so all the figures are 0. */
+    if (!row) {
+        return {payment: 0, interestPaid: 0, endingBalance: 0};
+    }
+    /** Otherwise, the figures are picked out of the row. */
+    return {
+        payment: addAmounts(row.payment, row.extraPayment, fractionDigits),
+        interestPaid: row.interestPaid,
+        endingBalance: row.endingBalance
+    };
+}
+
+/**
+ * Given the passed amounts, their sum is calculated in minor units, so that the sum is not affected by floating point
+ * rounding errors.
+ * @param first the first amount.
+ * @param second the second amount.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the sum of the amounts.
+ */
+function addAmounts(first, second, fractionDigits) {
+    return toMajorUnits(toMinorUnits(first, fractionDigits) + toMinorUnits(second, fractionDigits), fractionDigits);
+}
+
+/**
+ * Given the passed amounts, their difference is calculated in minor units, so that the difference is not affected by
+ * floating point rounding errors.
+ * @param first the amount to be subtracted from.
+ * @param second the amount to be subtracted.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the first amount minus the second amount.
+ */
+function subtractAmounts(first, second, fractionDigits) {
+    return toMajorUnits(toMinorUnits(first, fractionDigits) - toMinorUnits(second, fractionDigits), fractionDigits);
+}
+
+/**
+ * The summary of a single scenario, containing the figures that are compared side by side.
+ * @typedef {Object} ScenarioSummary
+ * @property {string} name the name of the scenario.
+ * @property {number} fractionDigits the number of fraction digits of the currency of the scenario.
+ * @property {number} principal the principal amount.
+ * @property {number} monthlyInterestRate the decimal monthly interest rate that applies until the first interest rate
+ * change, which is the decimal interest rate of a single payment period for other payment frequencies than monthly.
+ * @property {number} interestRate the decimal annual interest rate that applies until the first interest rate change.
+ * @property {number} termInMonths the term in months, which is the number of payments for other payment frequencies
+ * than monthly.
+ * @property {number} termInYears the term in years.
+ * @property {string} paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES'.
+ * @property {number} monthlyPayment the monthly payment that applies until the first interest rate change.
+ * @property {number} interestPaid the total interest paid.
+ * @property {number} totalCost the total principal and interest paid.
+ * @property {number} finalMonth the last month in which a payment is made.
+ * @property {string|null} payoffDate the due date of the final payment, as an ISO 8601 date string, or null if the
+ * schedule was built without a calendar.
+ * @property {number} interestDifference the total interest paid minus that of the first scenario.
+ * @property {number} totalCostDifference the total cost minus that of the first scenario.
+ */
+
+/**
+ * The differences between two mortgage amortization schedules in a single month.
+ * @typedef {Object} ScheduleDifference
+ * @property {number} month the month in question.
+ * @property {{payment: number, interestPaid: number, endingBalance: number}} first the figures of the first schedule.
+ * @property {{payment: number, interestPaid: number, endingBalance: number}} second the figures of the second schedule.
+ * @property {number} paymentDifference the payment of the second schedule minus that of the first schedule.
+ * @property {number} interestDifference the interest paid of the second schedule minus that of the first schedule.
+ * @property {number} balanceDifference the ending balance of the second schedule minus that of the first schedule.
+ */
@@ -0,0 +1,234 @@
+/**
+ * The total cost of ownership of the mortgage, which adds the recurring costs of owning the property, such as property
+ * tax, home insurance, and private mortgage insurance (PMI), and the upfront fees of the loan to the payments of the
+ * mortgage amortization schedule, and calculates the effective annual percentage rate (APR) of the loan from all of
+ * its cash flows. None of the functions in this module access the DOM, so that the module can be imported both by the
+ * web page and by the test suite, which is run with Node.js.
+ */
+import {toMajorUnits, toMinorUnits} from './amortization.js';
+
+/**
+ * The number of times the interval holding the internal rate of return is halved, which narrows the interval far below
+ * the precision of a floating point number.
+ * @type {number}
+ */
+const MAXIMUM_ITERATIONS = 200;
+
+/**
+ * Given the passed arguments, the costs of owning the property are added to every row of the mortgage amortization
+ * schedule, and the totals of the costs and the APR are calculated.
+ *
+ * The annual property tax and home insurance are spread evenly over the payments of a year. PMI is charged with every
+ * payment as an annual percentage of the principal, until the starting balance of a payment is no longer above the
+ * chosen loan-to-value of the property, from when it drops off for good, since the balance never grows again. Without
+ * a property value, the loan-to-value is unknown, so no PMI is charged.
+ *
+ * The APR is the annual rate at which the payments, including the extra payments and the PMI, pay off the principal
+ * less the upfront fees, which is the amount that the borrower actually receives. The property tax and home insurance
+ * are not part of it, since they are paid whether or not the property is bought with a loan.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param costs the costs of owning the property, made up of the property value, the annual property tax, the annual
+ * home insurance, the decimal annual PMI rate, the decimal loan-to-value at which the PMI drops off, and the upfront
+ * fees.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @param paymentsPerYear the number of payments made per year, which is 12 for monthly payments.
+ * @returns {{rows: CostRow[], totals: CostTotals}} the costs of every row of the mortgage amortization schedule, in the
+ * same order as the rows, and the totals of the costs.
+ */
+export function calculateOwnershipCosts(schedule, {
+    propertyValue = 0, propertyTax = 0, insurance = 0, pmiRate = 0, pmiLoanToValue = 0.78, upfrontFees = 0
+}, fractionDigits = 2, paymentsPerYear = 12) {
+    /**
+     * All amounts are converted from minor units into major units using this function, which passes the number of
+     * fraction digits of the currency to the 'toMajorUnits()' function.
+     * @param amount the amount as a whole number of minor units.
+     * @returns {number} the amount in major units.
+     */
+    const toMajor = (amount) => toMajorUnits(amount, fractionDigits);
+    /**
+     * The principal amount, which is the starting balance of the first row.
+     * @type {number}
+     */
+    const principal = schedule.rows.length > 0 ? schedule.rows[0].startingBalance : 0;
+    /**
+     * The property tax and home insurance of every payment, in minor units.
+     * @type {number}
+     */
+    const taxesAndInsurance = Math.round(toMinorUnits(propertyTax + insurance, fractionDigits) / paymentsPerYear);
+    /**
+     * The PMI of every payment that it is charged with, in minor units, which is 0 without a property value.
+     * @type {number}
+     */
+    const pmi = propertyValue > 0 ? Math.round(toMinorUnits(principal * pmiRate, fractionDigits) / paymentsPerYear) : 0;
+    /**
+     * The balance, in minor units, above which the PMI is charged.
+     * @type {number}
+     */
+    const pmiThreshold = toMinorUnits(propertyValue * pmiLoanToValue, fractionDigits);
+
+    /**
+     * These variables are used to keep track of the totals of the property tax and home insurance, and of the PMI, in
+     * minor units.
+     * @type {number}
+     */
+    let totalTaxesAndInsurance = 0;
+    let totalPmi = 0;
+    /**
+     * This variable is used to keep track of the last month in which the PMI is charged, which stays null if it never
+     * is.
+     * @type {number|null}
+     */
+    let pmiEndMonth = null;
+    /**
+     * The costs of every row, where the outgoings are everything paid in the month, including the extra payment.
+     * @type {CostRow[]}
+     */
+    const rows = schedule.rows.map((row) => {
+        /**
+         * The PMI of the row, which is charged while the starting balance is above the chosen loan-to-value.
+         * @type {number}
+         */
+        const rowPmi = toMinorUnits(row.startingBalance, fractionDigits) > pmiThreshold ? pmi : 0;
+        totalTaxesAndInsurance += taxesAndInsurance;
+        totalPmi += rowPmi;
+        if (rowPmi > 0) {
+            pmiEndMonth = row.month;
+        }
+        return {
+            month: row.month,
+            taxesAndInsurance: toMajor(taxesAndInsurance),
+            pmi: toMajor(rowPmi),
+            outgoings: toMajor(toMinorUnits(row.payment, fractionDigits) +
+                toMinorUnits(row.extraPayment, fractionDigits) + taxesAndInsurance + rowPmi)
+        };
+    });
+
+    /**
+     * The upfront fees, in minor units.
+     * @type {number}
+     */
+    const fees = toMinorUnits(upfrontFees, fractionDigits);
+    /**
+     * The decimal interest rate of a payment period at which the payments and the PMI pay off the principal less the
+     * upfront fees, which is found using the 'solveInternalRate()' function.
+     * @type {number|null}
+     */
+    const internalRate = solveInternalRate(principal - toMajor(fees), schedule.rows.map((row, index) =>
+        row.payment + row.extraPayment + rows[index].pmi));
+
+    /** The costs of every row and the totals of the costs are returned. */
+    return {
+        rows,
+        totals: {
+            monthlyOutgoings: toMajor(toMinorUnits(schedule.totals.monthlyPayment, fractionDigits) + taxesAndInsurance +
+                (rows.length > 0 ? toMinorUnits(rows[0].pmi, fractionDigits) : 0)),
+            upfrontFees: toMajor(fees),
+            taxesAndInsurance: toMajor(totalTaxesAndInsurance),
+            pmi: toMajor(totalPmi),
+            pmiEndMonth,
+            totalCost: toMajor(toMinorUnits(schedule.totals.principalPaid, fractionDigits) +
+                toMinorUnits(schedule.totals.interestPaid, fractionDigits) + fees + totalTaxesAndInsurance + totalPmi),
+            annualPercentageRate: internalRate === null ? null : internalRate * paymentsPerYear
+        }
+    };
+}
+
+/**
+ * Given the passed arguments, the internal rate of return of a loan is found, which is the decimal interest rate of a
+ * payment period at which the present value of the payments is the amount received. It is found numerically with the
+ * bisection method, in the same way as the interest rate is solved for: the present value of the payments falls as the
+ * interest rate grows, so the interval between a rate whose present value is too high and a rate whose present value
+ * is too low is halved until it is too narrow to hold any other floating point number.
+ * @param amount the amount received at the start of the loan.
+ * @param payments the payments made at the end of every payment period, in order.
+ * @returns {number|null} the decimal interest rate of a payment period, or null if there is none, because nothing is
+ * received or nothing is paid.
+ */
+export function solveInternalRate(amount, payments) {
+    /** Without an amount received, or without any payments, there is no rate of return. */
+    if (!(amount > 0) || !payments.some((payment) => payment > 0)) {
+        return null;
+    }
+    /**
+     * The lower and upper bounds of the interval holding the interest rate, where the lower bound is just above -100%,
+     * since the payments may be less than the amount received.
+     * @type {number}
+     */
+    let lower = -0.99;
+    let upper = 1;
+    /** The upper bound is doubled until the present value of the payments at it is below the amount received. */
+    while (calculatePresentValue(payments, upper) > amount) {
+        upper *= 2;
+    }
+    /** The interval is halved, keeping the half whose bounds still have present values on either side of the amount. */
+    for (let iteration = 0; iteration < MAXIMUM_ITERATIONS; iteration++) {
+        /**
+         * The middle of the interval.
+         * @type {number}
+         */
+        const middle = (lower + upper) / 2;
+        /** Once the middle cannot be told apart from either bound, the interval cannot be narrowed any further. */
+        if (middle === lower || middle === upper) {
+            break;
+        }
+        if (calculatePresentValue(payments, middle) > amount) {
+            lower = middle;
+        } else {
+            upper = middle;
+        }
+    }
+    /** The middle of the final interval is returned. */
+    return (lower + upper) / 2;
+}
+
+/**
+ * Given the passed arguments, the present value of the payments is calculated, discounting every payment by the
+ * decimal interest rate of a payment period for every period until it is made.
+ * @param payments the payments made at the end of every payment period, in order.
+ * @param interestRate the decimal interest rate of a payment period.
+ * @returns {number} the present value of the payments.
+ */
+function calculatePresentValue(payments, interestRate) {
+    /**
+     * This variable is used to keep track of the factor by which the payment of the period is discounted.
+     * @type {number}
+     */
+    let discount = 1;
+    /**
+     * This variable is used to keep track of the present value of the payments so far.
+     * @type {number}
+     */
+    let presentValue = 0;
+    /** Every payment is discounted by one more period than the payment before it. */
+    for (const payment of payments) {
+        discount /= 1 + interestRate;
+        presentValue += payment * discount;
+    }
+    /** The present value of the payments is returned. */
+    return presentValue;
+}
+
+/**
+ * The costs of owning the property in a single row of the mortgage amortization schedule.
+ * @typedef {Object} CostRow
+ * @property {number} month the month in question.
+ * @property {number} taxesAndInsurance the property tax and home insurance paid in the month.
+ * @property {number} pmi the PMI paid in the month.
+ * @property {number} outgoings everything paid in the month, which is the payment, the extra payment, the property tax
+ * and home insurance, and the PMI.
+ */
+
+/**
+ * The totals of the costs of owning the property.
+ * @typedef {Object} CostTotals
+ * @property {number} monthlyOutgoings the regular payment plus the property tax and home insurance and the PMI of a
+ * payment.
+ * @property {number} upfrontFees the upfront fees.
+ * @property {number} taxesAndInsurance the total property tax and home insurance paid.
+ * @property {number} pmi the total PMI paid.
+ * @property {number|null} pmiEndMonth the last month in which PMI is paid, or null if it never is.
+ * @property {number} totalCost the total cost of ownership, which is the principal, the interest, the upfront fees, the
+ * property tax and home insurance, and the PMI paid.
+ * @property {number|null} annualPercentageRate the decimal APR, which is the internal rate of return of the loan times
+ * the number of payments made per year, or null if there is none.
+ */
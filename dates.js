@@ -0,0 +1,243 @@
+/**
+ * The calendar of the mortgage amortization schedule, which calculates the due date of every payment from the start
+ * date of the loan and the payment day of the month, applying the end of month and business day conventions used by
+ * lenders. None of the functions in this module access the DOM, so that the module can be imported both by the web page
+ * and by the test suite, which is run with Node.js.
+ *
+ * Dates are passed around as ISO 8601 date strings, for example '2026-03-31', and are only converted into 'Date'
+ * objects at midnight UTC for calculations, so that the due dates do not depend on the time zone of the browser.
+ */
+
+/**
+ * The business day conventions, which decide how a due date that falls on a weekend or a holiday is moved. With 'none'
+ * the due date is not moved, with 'following' it is moved to the next business day, with 'preceding' it is moved to the
+ * previous business day, and with 'modified-following' it is moved to the next business day, unless that is in the next
+ * month, in which case it is moved to the previous business day.
+ * @type {string[]}
+ */
+export const ROLL_CONVENTIONS = ['none', 'following', 'modified-following', 'preceding'];
+
+/**
+ * The day count conventions, which decide how much interest accrues between two due dates, mapping each convention to
+ * the number of days in its year. With '30/360' every month counts as 30 days of a 360-day year, so that every payment
+ * period accrues the same fraction of the annual interest rate, which is why it maps to null. With 'actual/365' and
+ * 'actual/360' the interest accrues daily, for the actual number of days between the due dates, and a day accrues 1/365
+ * or 1/360 of the annual interest rate respectively.
+ * @type {Object<string, number|null>}
+ */
+export const DAY_COUNT_CONVENTIONS = {'30/360': null, 'actual/365': 365, 'actual/360': 360};
+
+/**
+ * The number of milliseconds in a day, which is used to move a date by whole days.
+ * @type {number}
+ */
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+/**
+ * Given the passed text, an ISO 8601 date string is parsed into a 'Date' object at midnight UTC.
+ * @param text the text to be parsed, for example '2026-03-31'.
+ * @returns {Date|null} the date, or null if the text is not a valid date, for example '2026-02-30'.
+ */
+export function parseIsoDate(text) {
+    /**
+     * The year, month, and day are matched from the text, which must contain nothing else.
+     * @type {RegExpMatchArray|null}
+     */
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+    /** If the text is not in the form of an ISO 8601 date string, it cannot be parsed. */
+    if (!match) {
+        return null;
+    }
+    /**
+     * The date is created from the year, month, and day. Note that the month of a 'Date' object starts from 0.
+     * @type {Date}
+     */
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    /**
+     * Days that do not exist in the month roll over into the next month, so the date is only valid if converting it
+     * back gives the same text.
+     */
+    return toIsoDate(date) === match[0] ? date : null;
+}
+
+/**
+ * Given the passed date, it is converted into an ISO 8601 date string.
+ * @param date the date at midnight UTC.
+ * @returns {string} the ISO 8601 date string, for example '2026-03-31'.
+ */
+export function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Given the passed arguments, the number of days in a month is calculated.
+ * @param year the year, for example 2026.
+ * @param monthIndex the month, starting from 0 for January.
+ * @returns {number} the number of days in the month.
+ */
+export function daysInMonth(year, monthIndex) {
+    /** Day 0 of the next month is the last day of the month. */
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * Given the passed arguments, it is determined if a date is a business day, which is any day from Monday to Friday that
+ * is not a holiday.
+ * @param date the date at midnight UTC.
+ * @param holidays the holidays, as ISO 8601 date strings.
+ * @returns {boolean} whether the date is a business day.
+ */
+export function isBusinessDay(date, holidays) {
+    /**
+     * The day of the week, starting from 0 for Sunday.
+     * @type {number}
+     */
+    const weekday = date.getUTCDay();
+    /** The date is a business day if it is neither a Saturday, a Sunday, nor a holiday. */
+    return weekday !== 0 && weekday !== 6 && !holidays.has(toIsoDate(date));
+}
+
+/**
+ * Given the passed arguments, a date is moved to a business day according to the business day convention. A date that
+ * is already a business day is never moved.
+ * @param date the date at midnight UTC.
+ * @param convention the business day convention, which is one of the 'ROLL_CONVENTIONS'.
+ * @param holidays the holidays, as ISO 8601 date strings.
+ * @returns {Date} the moved date at midnight UTC.
+ */
+export function rollDate(date, convention, holidays) {
+    /** With the 'none' convention, the date is never moved. */
+    if (convention === 'none') {
+        return date;
+    }
+    /**
+     * The date is moved one day at a time, forwards or backwards, until it is a business day.
+     * @param direction 1 to move forwards, or -1 to move backwards.
+     * @returns {Date} the first business day in the direction.
+     */
+    const moveTo = (direction) => {
+        let moved = date;
+        while (!isBusinessDay(moved, holidays)) {
+            moved = new Date(moved.getTime() + direction * DAY_IN_MILLISECONDS);
+        }
+        return moved;
+    };
+    /** With the 'preceding' convention, the date is moved backwards. */
+    if (convention === 'preceding') {
+        return moveTo(-1);
+    }
+    /**
+     * With both following conventions, the date is moved forwards.
+     * @type {Date}
+     */
+    const following = moveTo(1);
+    /**
+     * With the 'modified-following' convention, the date is moved backwards instead if moving it forwards would cross
+     * into the next month.
+     */
+    return convention === 'modified-following' && following.getUTCMonth() !== date.getUTCMonth() ?
+        moveTo(-1) :
+        following;
+}
+
+/**
+ * Given the passed arguments, the due date of the payment of a month of the mortgage is calculated. The payment of
+ * month 1 is due one month after the start date of the loan, on the payment day of the month. If the payment day does
+ * not exist in a month, for example the 31st in April, the payment is due on the last day of that month, which means
+ * that a payment day of 31 always means the end of the month. For other payment frequencies than monthly, the month is
+ * the number of the payment, and the payment is due that many intervals of the payment frequency after the start date,
+ * where an interval of months keeps the payment day, and an interval of days does not. The due date is then moved to a
+ * business day according to the business day convention.
+ * @param calendar the calendar of the mortgage.
+ * @param calendar.startDate the start date of the loan, as an ISO 8601 date string.
+ * @param calendar.paymentDay the day of the month on which payments are due, from 1 to 31.
+ * @param calendar.roll the business day convention, which is one of the 'ROLL_CONVENTIONS', and is 'none' by default.
+ * @param calendar.holidays the holidays, as ISO 8601 date strings, on which no payment is due.
+ * @param month the month of the mortgage, starting from 1.
+ * @param interval the interval between the due dates of the payments, which is either a number of months or a number
+ * of days, and is 1 month by default.
+ * @returns {string} the due date of the payment, as an ISO 8601 date string.
+ */
+export function calculateDueDate({startDate, paymentDay, roll = 'none', holidays = new Set()}, month,
+                                 interval = {months: 1}) {
+    /**
+     * The start date of the loan.
+     * @type {Date}
+     */
+    const start = parseIsoDate(startDate);
+    /**
+     * If the interval is a number of days, the payment day is not used, and the unadjusted due date is the interval
+     * times the number of the payment after the start date, so that moving one due date to a business day does not
+     * move the ones after it. The due date is then moved to a business day, and converted into an ISO 8601 date string.
+     */
+    if (interval.days !== undefined) {
+        return toIsoDate(rollDate(new Date(start.getTime() + interval.days * month * DAY_IN_MILLISECONDS), roll,
+            holidays));
+    }
+    /**
+     * The year of the start date of the loan.
+     * @type {number}
+     */
+    const year = start.getUTCFullYear();
+    /**
+     * The month in which the payment is due, counted from January of the year of the start date, where a month
+     * greater than 11 is carried into the following years by the 'Date.UTC()' function. For monthly payments, the
+     * interval is 1 month.
+     * @type {number}
+     */
+    const monthIndex = start.getUTCMonth() + month * interval.months;
+    /**
+     * The unadjusted due date, on the payment day, or on the last day of the month if the payment day does not exist in
+     * the month.
+     * @type {Date}
+     */
+    const dueDate = new Date(Date.UTC(year, monthIndex,
+        Math.min(paymentDay, daysInMonth(year, monthIndex))));
+    /** The due date is moved to a business day, and converted into an ISO 8601 date string. */
+    return toIsoDate(rollDate(dueDate, roll, holidays));
+}
+
+/**
+ * Given the passed arguments, the number of days between two dates is counted.
+ * @param startDate the earlier date, as an ISO 8601 date string.
+ * @param endDate the later date, as an ISO 8601 date string.
+ * @returns {number} the number of days from the earlier date to the later date, which counts the later date but not
+ * the earlier one.
+ */
+export function countDays(startDate, endDate) {
+    /** Both dates are at midnight UTC, so the difference between them is a whole number of days. */
+    return Math.round((parseIsoDate(endDate).getTime() - parseIsoDate(startDate).getTime()) / DAY_IN_MILLISECONDS);
+}
+
+/**
+ * Given the passed arguments, the fraction of a year over which the interest of a payment accrues is calculated
+ * according to the day count convention of the calendar. The interest of a payment accrues from the due date of the
+ * previous payment, or from the start date of the loan for the first payment, up to the due date of the payment, so
+ * that a due date moved to a business day also moves the interest between the two payments either side of it.
+ * @param calendar the calendar of the mortgage, as passed to the 'calculateDueDate()' function.
+ * @param calendar.dayCount the day count convention, which is one of the keys of 'DAY_COUNT_CONVENTIONS', and is
+ * '30/360' by default.
+ * @param month the month of the mortgage, starting from 1.
+ * @param interval the interval between the due dates of the payments, which is either a number of months or a number
+ * of days, and is 1 month by default.
+ * @returns {number|null} the fraction of a year, or null if the day count convention is '30/360', in which case every
+ * payment period accrues the same fraction of a year.
+ */
+export function calculateYearFraction(calendar, month, interval = {months: 1}) {
+    /**
+     * The number of days in the year of the day count convention, which is null for the '30/360' convention.
+     * @type {number|null}
+     */
+    const daysInYear = DAY_COUNT_CONVENTIONS[calendar.dayCount ?? '30/360'] ?? null;
+    /** With the '30/360' convention, the actual number of days does not matter. */
+    if (daysInYear === null) {
+        return null;
+    }
+    /**
+     * The date from which the interest accrues, which is the start date of the loan for the first payment.
+     * @type {string}
+     */
+    const accruedFrom = month > 1 ? calculateDueDate(calendar, month - 1, interval) : calendar.startDate;
+    /** The actual number of days is divided by the number of days in the year of the day count convention. */
+    return countDays(accruedFrom, calculateDueDate(calendar, month, interval)) / daysInYear;
+}
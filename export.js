@@ -0,0 +1,434 @@
+/**
+ * The export of the mortgage amortization schedule, which converts a schedule built by the amortization engine into
+ * CSV or JSON text. None of the functions in this module access the DOM, so that the module can be imported both by the
+ * web page and by the test suite, which is run with Node.js.
+ */
+import {summarizeYears} from './amortization.js';
+import {PAYMENT_FREQUENCIES, toAnnualRate} from './frequency.js';
+
+/**
+ * The column headers of the CSV export, which are the same as the columns of the mortgage amortization table, apart
+ * from the costs of owning the property and the discounted figures. For other payment frequencies than monthly, the
+ * first column header is replaced by 'Payment #'.
+ * @type {string[]}
+ */
+const CSV_HEADERS = ['Month #', 'Due Date', 'Interest Rate (%)', 'Starting Balance', 'Extra Payment', 'Principal Paid',
+    'Total Principal Paid', 'Interest Paid', 'Total Interest Paid', 'Ending Balance'];
+
+/**
+ * Given the passed locale, the separators used by the CSV export are determined. The decimal separator is the one used
+ * by the locale, and the delimiter is a semicolon if the decimal separator is a comma, as is expected by spreadsheet
+ * applications in such locales, and is otherwise a comma.
+ * @param locale the locale, for example 'en-US' or 'de-DE'.
+ * @returns {{decimal: string, delimiter: string}} the decimal separator and the delimiter.
+ */
+export function getCsvSeparators(locale) {
+    /**
+     * The decimal separator is found by formatting a number with a fraction using the locale, and picking out the part
+     * of the formatted number that is the decimal separator.
+     * @type {string}
+     */
+    const decimal = new Intl.NumberFormat(locale).formatToParts(1.5)
+        .find((part) => part.type === 'decimal').value;
+    /** The decimal separator and the matching delimiter are returned. */
+    return {decimal, delimiter: decimal === ',' ? ';' : ','};
+}
+
+/**
+ * Given the passed arguments, the mortgage amortization schedule is converted into CSV text. The text starts with the
+ * details of the mortgage that are shown in the title of the mortgage amortization table, followed by an empty line,
+ * the column headers, and the rows of every month, with a subtotal row after the last month of every year.
+ * @param params the parameters of the mortgage, as passed to the 'buildSchedule()' function.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param locale the locale that decides the decimal separator and the delimiter, for example 'en-US' or 'de-DE'.
+ * @returns {string} the CSV text, with lines separated by CRLF.
+ */
+export function toCsv(params, schedule, locale) {
+    /**
+     * The decimal separator and the delimiter used for the locale.
+     * @type {{decimal: string, delimiter: string}}
+     */
+    const {decimal, delimiter} = getCsvSeparators(locale);
+    /**
+     * The number of fraction digits of the currency, which is 2 for cents unless otherwise passed.
+     * @type {number}
+     */
+    const fractionDigits = params.fractionDigits ?? 2;
+    /**
+     * Amounts are formatted with the number of fraction digits of the currency, without grouping separators, and with
+     * the decimal separator of the locale.
+     * @param amount the amount to be formatted.
+     * @returns {string} the formatted amount.
+     */
+    const formatAmount = (amount) => amount.toFixed(fractionDigits).replace('.', decimal);
+    /**
+     * Interest rates are formatted as percentages with up to 6 fraction digits, and with the decimal separator of the
+     * locale.
+     * @param monthlyInterestRate the decimal monthly interest rate to be formatted.
+     * @returns {string} the formatted annual interest rate as a percentage.
+     */
+    const formatRate = (monthlyInterestRate) =>
+        String(toAnnualPercentage(monthlyInterestRate, params.repayment)).replace('.', decimal);
+    /**
+     * The details of the mortgage, as shown in the title of the mortgage amortization table.
+     * @type {MortgageSummary}
+     */
+    const summary = summarizeMortgage(params, schedule);
+    /**
+     * Whether the subtotals are calculated for calendar years rather than loan years, as chosen in the calendar of the
+     * mortgage.
+     * @type {boolean}
+     */
+    const calendarYears = params.calendar?.calendarYears ?? false;
+    /**
+     * Whether the payments are monthly, since otherwise the details and the column headers refer to payments rather
+     * than months.
+     * @type {boolean}
+     */
+    const monthly = (params.repayment?.frequency ?? 'monthly') === 'monthly';
+
+    /**
+     * The lines of the CSV text, where every line is an array of fields, starting with the details of the mortgage.
+     * @type {string[][]}
+     */
+    const lines = [
+        ['Principal', formatAmount(summary.principal)],
+        ['Interest Rate (%)', formatRate(params.monthlyInterestRate)],
+        ['Term (Years)', String(summary.termInYears).replace('.', decimal)],
+        [monthly ? 'Monthly Payment' : 'Regular Payment', formatAmount(summary.monthlyPayment)],
+        ['Final Payment', formatAmount(summary.finalPayment)],
+        ['Total Principal Paid', formatAmount(summary.principalPaid)],
+        ['Total Interest Paid', formatAmount(summary.interestPaid)],
+        ['Repayment Type', summary.repayment.type]
+    ];
+    /** The interest-only period is only added if there is one. */
+    if (summary.repayment.interestOnlyMonths > 0) {
+        lines.push([monthly ? 'Interest-Only Months' : 'Interest-Only Payments',
+            String(summary.repayment.interestOnlyMonths)]);
+        lines.push(['Interest-Only Payment', formatAmount(summary.interestOnlyPayment)]);
+    }
+    /** The balloon payment is only added for balloon repayment. */
+    if (summary.repayment.type === 'balloon') {
+        lines.push(['Balloon Payment', formatAmount(summary.repayment.balloonPayment)]);
+    }
+    /** The interest saved and the final month are only added if any prepayment is scheduled. */
+    if (summary.interestSaved !== undefined) {
+        lines.push(['Interest Saved', formatAmount(summary.interestSaved)]);
+        lines.push([monthly ? 'Paid Off in Month' : 'Paid Off with Payment', String(summary.finalMonth)]);
+    }
+    /** The amounts capitalised and the late fees are only added if any payment event is scheduled. */
+    if (summary.paymentEvents !== undefined) {
+        lines.push(['Capitalised', formatAmount(summary.paymentEvents.capitalised)]);
+        lines.push(['Late Fees', formatAmount(summary.paymentEvents.lateFees)]);
+    }
+    /** The interest saved by the offset account is only added if there is an offset account. */
+    if (summary.offsetAccount !== undefined) {
+        lines.push(['Offset Savings Balance', formatAmount(summary.offsetAccount.balance)]);
+        lines.push(['Interest Saved by Offset', formatAmount(summary.offsetAccount.interestSaved)]);
+    }
+    /** The start date, the payoff date, and the day count convention are only added if the mortgage has a calendar. */
+    if (summary.startDate !== undefined) {
+        lines.push(['Start Date', summary.startDate]);
+        lines.push(['Payoff Date', summary.payoffDate]);
+        lines.push(['Day Count', summary.dayCount]);
+    }
+    /** The currency is only added if it is known. */
+    if (summary.currency !== undefined) {
+        lines.push(['Currency', summary.currency]);
+    }
+    /** The payment and compounding frequencies are only added if they are given. */
+    if (summary.repayment.frequency !== undefined) {
+        lines.push(['Payment Frequency', summary.repayment.frequency]);
+        lines.push(['Compounding', summary.repayment.compounding]);
+    }
+    /** An empty line separates the details of the mortgage from the column headers. */
+    lines.push([], monthly ? CSV_HEADERS : ['Payment #', ...CSV_HEADERS.slice(1)]);
+
+    /** Every year of the mortgage amortization schedule is iterated over. */
+    for (const year of summarizeYears(schedule.rows, fractionDigits, calendarYears, getPaymentsPerYear(params))) {
+        /** A line is added for every month of the year. */
+        for (const row of year.rows) {
+            lines.push([String(row.month), row.dueDate ?? '', formatRate(row.monthlyInterestRate),
+                formatAmount(row.startingBalance), formatAmount(row.extraPayment), formatAmount(row.principalPaid),
+                formatAmount(row.totalPrincipalPaid), formatAmount(row.interestPaid),
+                formatAmount(row.totalInterestPaid), formatAmount(row.endingBalance)]);
+        }
+        /**
+         * A subtotal line is added after the last month of the year, which contains the subtotals of the year in the
+         * columns of the amounts paid in the month, and the ending balance of the year.
+         */
+        lines.push([calendarYears ? `End of ${year.year}` : `End of Year ${year.year}`, '', '', '',
+            formatAmount(year.extraPayment),
+            formatAmount(year.principalPaid), '', formatAmount(year.interestPaid), '',
+            formatAmount(year.endingBalance)]);
+    }
+
+    /**
+     * The fields of every line are escaped and joined with the delimiter, and the lines are joined with CRLF, as is
+     * specified for CSV files.
+     */
+    return lines.map((fields) => fields.map((field) => escapeCsvField(field, delimiter)).join(delimiter))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Given the passed arguments, the mortgage amortization schedule is converted into JSON text. The JSON contains the
+ * details of the mortgage that are shown in the title of the mortgage amortization table, and every year of the
+ * schedule with its subtotals and the rows of its months.
+ * @param params the parameters of the mortgage, as passed to the 'buildSchedule()' function.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @returns {string} the JSON text, indented by 2 spaces.
+ */
+export function toJson(params, schedule) {
+    /**
+     * The years of the mortgage amortization schedule, where every row only contains the columns of the mortgage
+     * amortization table, with the interest rate converted into an annual percentage.
+     */
+    const years = summarizeYears(schedule.rows, params.fractionDigits ?? 2, params.calendar?.calendarYears,
+        getPaymentsPerYear(params))
+        .map((year) => ({
+            year: year.year,
+            subtotals: {
+                extraPayment: year.extraPayment,
+                principalPaid: year.principalPaid,
+                interestPaid: year.interestPaid,
+                endingBalance: year.endingBalance
+            },
+            months: year.rows.map((row) => ({
+                month: row.month,
+                dueDate: row.dueDate,
+                interestRate: toAnnualPercentage(row.monthlyInterestRate, params.repayment),
+                payment: row.payment,
+                startingBalance: row.startingBalance,
+                extraPayment: row.extraPayment,
+                principalPaid: row.principalPaid,
+                totalPrincipalPaid: row.totalPrincipalPaid,
+                interestPaid: row.interestPaid,
+                totalInterestPaid: row.totalInterestPaid,
+                endingBalance: row.endingBalance
+            }))
+        }));
+    /** The details of the mortgage and the years are converted into JSON text. */
+    return JSON.stringify({mortgage: summarizeMortgage(params, schedule), years}, null, 2);
+}
+
+/**
+ * Given the passed arguments, the details of the mortgage that are shown in the title of the mortgage amortization
+ * table are collected, with the interest rates converted into annual percentages, and the maps of the interest rate
+ * changes and one-off payments converted into arrays.
+ * @param params the parameters of the mortgage, as passed to the 'buildSchedule()' function.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @returns {MortgageSummary} the details of the mortgage.
+ */
+function summarizeMortgage(params, schedule) {
+    /**
+     * The totals of the mortgage amortization schedule.
+     * @type {ScheduleTotals}
+     */
+    const {totals} = schedule;
+    /**
+     * The details of the mortgage, which are always present.
+     * @type {MortgageSummary}
+     */
+    const summary = {
+        principal: params.principal,
+        interestRate: toAnnualPercentage(params.monthlyInterestRate, params.repayment),
+        termInYears: params.termInMonths / getPaymentsPerYear(params),
+        rateChanges: [...(params.rateChanges ?? new Map())]
+            .map(([month, monthlyInterestRate]) =>
+                ({month, interestRate: toAnnualPercentage(monthlyInterestRate, params.repayment)})),
+        repayment: {
+            type: params.repayment?.type ?? 'annuity',
+            interestOnlyMonths: params.repayment?.interestOnlyMonths ?? 0,
+            balloonPayment: params.repayment?.type === 'balloon' ? params.repayment.balloonPayment : 0
+        },
+        monthlyPayment: totals.monthlyPayment,
+        interestOnlyPayment: totals.interestOnlyPayment,
+        finalPayment: totals.finalPayment,
+        principalPaid: totals.principalPaid,
+        interestPaid: totals.interestPaid
+    };
+    /** The payment and compounding frequencies are only added if they are given. */
+    if (params.repayment?.frequency) {
+        summary.repayment.frequency = params.repayment.frequency;
+        summary.repayment.compounding = params.repayment.compounding ?? 'payment';
+    }
+    /** The prepayments, the interest saved and the final month are only added if any prepayment is scheduled. */
+    if (totals.hasPrepayments) {
+        summary.prepayments = {
+            monthly: params.prepayments.monthly,
+            annual: params.prepayments.annual,
+            lumpSums: [...params.prepayments.lumpSums].map(([month, amount]) => ({month, amount}))
+        };
+        summary.interestSaved = totals.interestSaved;
+        summary.finalMonth = totals.finalMonth;
+    }
+    /**
+     * The payment events, and the totals of the amounts capitalised and of the late fees, are only added if any payment
+     * event is scheduled, with the final month, which may be later than the end of the term.
+     */
+    if (totals.hasPaymentEvents) {
+        summary.paymentEvents = {
+            events: [...params.paymentEvents.events].map(([month, event]) => ({month, ...event})),
+            lateFee: params.paymentEvents.lateFee,
+            reamortization: params.paymentEvents.reamortization,
+            capitalised: totals.capitalised,
+            lateFees: totals.lateFees,
+            finalMonth: totals.finalMonth
+        };
+    }
+    /**
+     * The offset account, and the interest saved by it, are only added if there is an offset account, with the number
+     * of payments by which it pays off the mortgage early and the amount by which it lowers the payment on average.
+     */
+    if (totals.offsetAccount) {
+        summary.offsetAccount = {...params.offsetAccount, ...totals.offsetAccount};
+    }
+    /**
+     * The refinancing is only added if the mortgage is refinanced, with the interest rate of the new loan converted
+     * into an annual percentage and its term into years.
+     */
+    if (params.refinancing) {
+        summary.refinancing = {
+            month: params.refinancing.month,
+            principal: params.refinancing.principal,
+            interestRate: toAnnualPercentage(params.refinancing.monthlyInterestRate, params.repayment),
+            termInYears: params.refinancing.termInMonths / getPaymentsPerYear(params),
+            monthlyPayment: params.refinancing.monthlyPayment,
+            costs: params.refinancing.costs,
+            breakEvenMonth: params.refinancing.breakEvenMonth,
+            netSavings: params.refinancing.netSavings
+        };
+    }
+    /**
+     * The totals of the costs of owning the property are only added if any cost is paid, with the APR converted into a
+     * percentage.
+     */
+    if (params.ownershipCosts) {
+        summary.ownershipCosts = {
+            monthlyOutgoings: params.ownershipCosts.monthlyOutgoings,
+            upfrontFees: params.ownershipCosts.upfrontFees,
+            taxesAndInsurance: params.ownershipCosts.taxesAndInsurance,
+            pmi: params.ownershipCosts.pmi,
+            pmiEndMonth: params.ownershipCosts.pmiEndMonth,
+            totalCost: params.ownershipCosts.totalCost,
+            annualPercentageRate: params.ownershipCosts.annualPercentageRate === null ?
+                null :
+                params.ownershipCosts.annualPercentageRate * 100
+        };
+    }
+    /**
+     * The totals of the present values are only added if the schedule is discounted, with the inflation rate and the
+     * discount rate converted into percentages.
+     */
+    if (params.presentValue) {
+        summary.presentValue = {
+            inflationRate: params.presentValue.inflationRate * 100,
+            discountRate: params.presentValue.discountRate * 100,
+            presentValueOfPayments: params.presentValue.presentValueOfPayments,
+            presentValueOfInterest: params.presentValue.presentValueOfInterest
+        };
+    }
+    /**
+     * The reconciliation is only added if a statement of actual payments is reconciled against the schedule, with the
+     * last reconciled month and the expected and actual balances at its end, from which the schedule is projected.
+     */
+    if (params.reconciliation) {
+        summary.reconciliation = {
+            month: params.reconciliation.month,
+            expectedBalance: params.reconciliation.expectedBalance,
+            actualBalance: params.reconciliation.actualBalance,
+            balanceDifference: params.reconciliation.balanceDifference
+        };
+    }
+    /** The start date, the payoff date, and the day count convention are only added if the mortgage has a calendar. */
+    if (params.calendar) {
+        summary.startDate = params.calendar.startDate;
+        summary.payoffDate = totals.payoffDate;
+        summary.dayCount = params.calendar.dayCount ?? '30/360';
+    }
+    /** The currency is only added if it is known. */
+    if (params.currency) {
+        summary.currency = params.currency;
+    }
+    /** The details of the mortgage are returned. */
+    return summary;
+}
+
+/**
+ * Given the passed arguments, the annual interest rate as a percentage is calculated using the 'toAnnualRate()'
+ * function, rounded to 6 fraction digits to remove floating point rounding errors, so that for example 6.5% is not
+ * shown as 6.500000000000001%.
+ * @param monthlyInterestRate the decimal monthly interest rate, or the decimal interest rate of a single payment period
+ * for other payment frequencies than monthly.
+ * @param repayment the repayment structure of the mortgage, if any, which has the payment and compounding frequencies.
+ * @returns {number} the annual interest rate as a percentage.
+ */
+function toAnnualPercentage(monthlyInterestRate, repayment = {}) {
+    return Number((toAnnualRate(monthlyInterestRate, repayment.frequency, repayment.compounding) * 100).toFixed(6));
+}
+
+/**
+ * Given the passed parameters of the mortgage, the number of payments made per year is determined from the payment
+ * frequency of the repayment structure, which is monthly if it is not given.
+ * @param params the parameters of the mortgage, as passed to the 'buildSchedule()' function.
+ * @returns {number} the number of payments made per year.
+ */
+function getPaymentsPerYear(params) {
+    return PAYMENT_FREQUENCIES[params.repayment?.frequency ?? 'monthly'].paymentsPerYear;
+}
+
+/**
+ * Given the passed arguments, a field of the CSV text is escaped. If the field contains the delimiter, a double quote,
+ * or a line break, it is surrounded by double quotes, and every double quote inside it is doubled.
+ * @param field the field to be escaped.
+ * @param delimiter the delimiter of the CSV text.
+ * @returns {string} the escaped field.
+ */
+function escapeCsvField(field, delimiter) {
+    return field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field;
+}
+
+/**
+ * The details of the mortgage that are shown in the title of the mortgage amortization table.
+ * @typedef {Object} MortgageSummary
+ * @property {number} principal the principal amount.
+ * @property {number} interestRate the annual interest rate, as a percentage, that applies until the first interest
+ * rate change.
+ * @property {number} termInYears the term in years.
+ * @property {{month: number, interestRate: number}[]} rateChanges the interest rate changes, with the annual interest
+ * rate, as a percentage, that applies from each month onwards.
+ * @property {{type: string, interestOnlyMonths: number, balloonPayment: number, frequency: (string|undefined),
+ * compounding: (string|undefined)}} repayment the repayment structure, where the balloon payment is 0 unless the
+ * repayment type is balloon repayment, and the payment and compounding frequencies are only present if they are given.
+ * @property {number} monthlyPayment the monthly payment when the principal starts to be paid off, after any
+ * interest-only period.
+ * @property {number} interestOnlyPayment the payment of the first month of the interest-only period, or 0 if there is
+ * no interest-only period.
+ * @property {number} finalPayment the payment made in the final month, including any balloon payment.
+ * @property {number} principalPaid the total principal paid.
+ * @property {number} interestPaid the total interest paid.
+ * @property {Object} [prepayments] the prepayments, if any prepayment is scheduled.
+ * @property {number} [interestSaved] the interest saved by the prepayments, if any prepayment is scheduled.
+ * @property {number} [finalMonth] the last month in which a payment is made, if any prepayment is scheduled.
+ * @property {Object} [paymentEvents] the payment events, with the totals of the amounts capitalised and of the late
+ * fees, if any payment event is scheduled.
+ * @property {Object} [offsetAccount] the offset account, with the interest saved by it, the number of payments by which
+ * it pays off the mortgage early, and the amount by which it lowers the payment on average, if there is an offset
+ * account.
+ * @property {Object} [refinancing] the refinancing, if the mortgage is refinanced, with the annual interest rate of
+ * the new loan as a percentage and its term in years.
+ * @property {Object} [ownershipCosts] the totals of the costs of owning the property, if any cost is paid, with the APR
+ * as a percentage.
+ * @property {Object} [presentValue] the totals of the present values, if the schedule is discounted, with the
+ * inflation rate and the discount rate as percentages.
+ * @property {Object} [reconciliation] the last reconciled month and the expected and actual balances at its end, if a
+ * statement of actual payments is reconciled against the schedule.
+ * @property {string} [startDate] the start date of the loan, as an ISO 8601 date string, if the mortgage has a
+ * calendar.
+ * @property {string} [payoffDate] the due date of the final payment, as an ISO 8601 date string, if the mortgage has a
+ * calendar.
+ * @property {string} [dayCount] the day count convention by which the interest accrues, which is one of the keys of
+ * 'DAY_COUNT_CONVENTIONS', if the mortgage has a calendar.
+ * @property {string} [currency] the ISO 4217 code of the currency of the amounts, if it is known.
+ */
@@ -0,0 +1,138 @@
+/**
+ * The payment frequencies of the mortgage, and the conversion of the annual interest rate into the interest rate of a
+ * single payment period, which may compound at a different frequency than payments are made, as is the case for
+ * Canadian mortgages, which compound semi-annually but are usually paid monthly or more often. None of the functions in
+ * this module access the DOM, so that the module can be imported both by the web page and by the test suite, which is
+ * run with Node.js.
+ */
+
+/**
+ * The payment frequencies, keyed by their names. Every payment frequency has the number of payments made per year, and
+ * the interval between the due dates of the payments, which is either a number of months or a number of days. The
+ * payment of an accelerated payment frequency is not calculated from the term, but is the monthly payment divided by
+ * the number of payments made in a month, so that the extra payments made every year pay the mortgage off early.
+ * @type {Object<string, PaymentFrequency>}
+ */
+export const PAYMENT_FREQUENCIES = {
+    'monthly': {paymentsPerYear: 12, interval: {months: 1}, accelerated: false},
+    'fortnightly': {paymentsPerYear: 26, interval: {days: 14}, accelerated: false},
+    'weekly': {paymentsPerYear: 52, interval: {days: 7}, accelerated: false},
+    'accelerated-bi-weekly': {paymentsPerYear: 26, interval: {days: 14}, accelerated: true},
+    'quarterly': {paymentsPerYear: 4, interval: {months: 3}, accelerated: false}
+};
+
+/**
+ * The compounding frequencies, keyed by their names, mapping every compounding frequency to the number of times the
+ * interest is compounded per year. With 'payment' the interest is compounded with every payment, whatever the payment
+ * frequency, which is how the annual interest rate is converted when the compounding frequency is not given.
+ * @type {Object<string, number|null>}
+ */
+export const COMPOUNDING_FREQUENCIES = {
+    'payment': null,
+    'monthly': 12,
+    'quarterly': 4,
+    'semi-annual': 2,
+    'annual': 1
+};
+
+/**
+ * Given the passed arguments, the decimal annual interest rate is converted into the decimal interest rate of a single
+ * payment period.
+ *
+ * The formula for the conversion is as follows:
+ *
+ * <pre>
+ * r - the decimal annual interest rate
+ * m - the number of times the interest is compounded per year
+ * n - the number of payments made per year
+ * i - the decimal interest rate of a single payment period
+ *
+ * i = (1 + r / m)^(m / n) - 1
+ * </pre>
+ *
+ * Note that if the interest is compounded with every payment, m is equal to n, and the formula is simply i = r / n,
+ * which is used directly, so that the usual monthly interest rate is not changed by floating point rounding errors.
+ * @param annualInterestRate the decimal annual interest rate.
+ * @param paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES'.
+ * @param compounding the compounding frequency, which is one of the keys of 'COMPOUNDING_FREQUENCIES'.
+ * @returns {number} the decimal interest rate of a single payment period.
+ */
+export function toPeriodicRate(annualInterestRate, paymentFrequency = 'monthly', compounding = 'payment') {
+    /**
+     * The number of payments made per year.
+     * @type {number}
+     */
+    const paymentsPerYear = PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear;
+    /**
+     * The number of times the interest is compounded per year, which is the number of payments made per year if the
+     * interest is compounded with every payment.
+     * @type {number}
+     */
+    const compoundsPerYear = COMPOUNDING_FREQUENCIES[compounding] ?? paymentsPerYear;
+    /** If the interest is compounded with every payment, the annual interest rate is simply divided. */
+    if (compoundsPerYear === paymentsPerYear) {
+        return annualInterestRate / paymentsPerYear;
+    }
+    /** Otherwise, the interest rate of a compounding period is converted into that of a payment period. */
+    return Math.pow(1 + annualInterestRate / compoundsPerYear, compoundsPerYear / paymentsPerYear) - 1;
+}
+
+/**
+ * Given the passed arguments, the decimal interest rate of a single payment period is converted back into the decimal
+ * annual interest rate, which is the reverse of the 'toPeriodicRate()' function, so that the annual interest rate can
+ * be shown as it was entered.
+ * @param periodicInterestRate the decimal interest rate of a single payment period.
+ * @param paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES'.
+ * @param compounding the compounding frequency, which is one of the keys of 'COMPOUNDING_FREQUENCIES'.
+ * @returns {number} the decimal annual interest rate.
+ */
+export function toAnnualRate(periodicInterestRate, paymentFrequency = 'monthly', compounding = 'payment') {
+    /**
+     * The number of payments made per year.
+     * @type {number}
+     */
+    const paymentsPerYear = PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear;
+    /**
+     * The number of times the interest is compounded per year.
+     * @type {number}
+     */
+    const compoundsPerYear = COMPOUNDING_FREQUENCIES[compounding] ?? paymentsPerYear;
+    /** If the interest is compounded with every payment, the interest rate is simply multiplied. */
+    if (compoundsPerYear === paymentsPerYear) {
+        return periodicInterestRate * paymentsPerYear;
+    }
+    /** Otherwise, the interest rate of a payment period is converted into that of a compounding period. */
+    return (Math.pow(1 + periodicInterestRate, paymentsPerYear / compoundsPerYear) - 1) * compoundsPerYear;
+}
+
+/**
+ * Given the passed arguments, the month of the mortgage is converted into the number of the first payment made in that
+ * month or later, so that the months entered in the user input form, such as the months of the interest rate changes,
+ * mean the same whatever the payment frequency. For monthly payments, the number of the payment is the month itself.
+ * @param month the month of the mortgage, starting from 1.
+ * @param paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES'.
+ * @returns {number} the number of the payment, starting from 1.
+ */
+export function toPaymentNumber(month, paymentFrequency = 'monthly') {
+    return Math.floor((month - 1) * PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear / 12) + 1;
+}
+
+/**
+ * Given the passed arguments, a number of months is converted into the nearest whole number of payments, for example
+ * to convert the number of interest-only months.
+ * @param months the number of months.
+ * @param paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES'.
+ * @returns {number} the number of payments.
+ */
+export function toPaymentCount(months, paymentFrequency = 'monthly') {
+    return Math.round(months * PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear / 12);
+}
+
+/**
+ * A payment frequency of the mortgage.
+ * @typedef {Object} PaymentFrequency
+ * @property {number} paymentsPerYear the number of payments made per year.
+ * @property {{months: number}|{days: number}} interval the interval between the due dates of the payments.
+ * @property {boolean} accelerated whether the payment is the monthly payment divided by the number of payments made in
+ * a month, rather than calculated from the term.
+ */
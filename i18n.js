@@ -0,0 +1,674 @@
+/**
+ * The localization of the mortgage repayment calculator, which formats amounts, interest rates, and dates for the
+ * chosen locale and currency using the 'Intl' API, and translates the text of the page using a message catalogue. None
+ * of the functions in this module access the DOM, so that the module can be imported both by the web page and by the
+ * test suite, which is run with Node.js.
+ */
+
+/**
+ * The language whose messages are used when the language of a locale has no messages, or a message is missing.
+ * @type {string}
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * The message catalogue, which maps every supported language to its messages, keyed by the name of the message. A
+ * message may contain placeholders in curly braces, for example '{currency}', which are replaced by the values passed
+ * to the 'translate()' function.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const MESSAGES = {
+    en: {
+        'form.locale': 'Language and Region:',
+        'form.currency': 'Currency:',
+        'form.solveFor': 'Solve For:',
+        'form.solveFor.payment': 'Regular Payment',
+        'form.solveFor.principal': 'Maximum Principal',
+        'form.solveFor.term': 'Required Term',
+        'form.solveFor.interest': 'Break-Even Interest Rate',
+        'form.targetPayment': '{frequency} Payment in {currency}:',
+        'form.principal': 'Principal in {currency}:',
+        'form.interest': 'Annual Interest Rate as %:',
+        'form.rateChanges': 'Rate Changes as Month:%:',
+        'form.term': 'Term in Years:',
+        'form.paymentFrequency': 'Payment Frequency:',
+        'form.paymentFrequency.monthly': 'Monthly',
+        'form.paymentFrequency.fortnightly': 'Fortnightly',
+        'form.paymentFrequency.weekly': 'Weekly',
+        'form.paymentFrequency.acceleratedBiWeekly': 'Accelerated Bi-Weekly',
+        'form.paymentFrequency.quarterly': 'Quarterly',
+        'form.compounding': 'Interest Compounded:',
+        'form.compounding.payment': 'With Every Payment',
+        'form.compounding.monthly': 'Monthly',
+        'form.compounding.quarterly': 'Quarterly',
+        'form.compounding.semiAnnual': 'Semi-Annually',
+        'form.compounding.annual': 'Annually',
+        'form.repaymentType': 'Repayment Type:',
+        'form.repaymentType.annuity': 'Annuity (Level Payments)',
+        'form.repaymentType.linear': 'Linear (Constant Principal)',
+        'form.repaymentType.balloon': 'Balloon',
+        'form.interestOnly': 'Interest-Only Months:',
+        'form.balloon': 'Balloon Payment in {currency}:',
+        'form.startDate': 'Loan Start Date:',
+        'form.paymentDay': 'Payment Day of Month:',
+        'form.roll': 'Weekends and Holidays:',
+        'form.roll.none': 'Pay on the Day',
+        'form.roll.following': 'Next Business Day',
+        'form.roll.modifiedFollowing': 'Next Business Day in Month',
+        'form.roll.preceding': 'Previous Business Day',
+        'form.holidays': 'Holidays as YYYY-MM-DD:',
+        'form.dayCount': 'Interest Day Count:',
+        'form.dayCount.30/360': '30/360',
+        'form.dayCount.actual/365': 'Actual/365',
+        'form.dayCount.actual/360': 'Actual/360',
+        'form.yearMode': 'Year Separators:',
+        'form.yearMode.loan': 'Loan Years',
+        'form.yearMode.calendar': 'Calendar Years',
+        'form.tableView': 'Table View:',
+        'form.tableView.monthly': 'Every Payment',
+        'form.tableView.annual': 'Annual Summary',
+        'form.extraMonthly': 'Extra {frequency} Payment in {currency}:',
+        'form.extraAnnual': 'Extra Annual Payment in {currency}:',
+        'form.lumpSums': 'One-off Payments as Month:{currency}:',
+        'form.paymentEvents': 'Payment Events as Month:Event:',
+        'form.lateFee': 'Late Fee per Missed Payment in {currency}:',
+        'form.reamortization': 'After a Payment Event:',
+        'form.reamortization.payment': 'Raise the Payment',
+        'form.reamortization.term': 'Extend the Term',
+        'form.statement': 'Statement of Actual Payments (CSV or JSON):',
+        'form.clearStatement': 'Clear Statement',
+        'form.offsetBalance': 'Offset Savings Balance in {currency}:',
+        'form.offsetContribution': '{frequency} Savings Contribution in {currency} (Negative to Withdraw):',
+        'form.offsetMode': 'Use the Offset Savings to:',
+        'form.offsetMode.term': 'Pay Off Earlier',
+        'form.offsetMode.payment': 'Lower the Payment',
+        'form.refinanceMonth': 'Refinance in Month (0 for None):',
+        'form.refinanceInterest': 'New Annual Interest Rate as %:',
+        'form.refinanceTerm': 'New Term in Years:',
+        'form.closingCosts': 'Closing Costs in {currency}:',
+        'form.refinanceFees': 'Refinancing Fees in {currency}:',
+        'form.propertyValue': 'Property Value in {currency}:',
+        'form.propertyTax': 'Annual Property Tax in {currency}:',
+        'form.insurance': 'Annual Home Insurance in {currency}:',
+        'form.pmiRate': 'Annual PMI Rate as %:',
+        'form.pmiLoanToValue': 'PMI Drops Off at Loan-to-Value %:',
+        'form.upfrontFees': 'Upfront Fees in {currency}:',
+        'form.inflationRate': 'Annual Inflation Rate as %:',
+        'form.discountRate': 'Annual Discount Rate as %:',
+        'form.calculate': 'Calculate',
+        'form.exportCsv': 'Export CSV',
+        'form.exportJson': 'Export JSON',
+        'form.print': 'Print',
+        'form.scenarioName': 'Scenario Name:',
+        'form.addScenario': 'Add Scenario',
+        'form.saveScenario': 'Save Scenario',
+        'form.loanName': 'Loan Name:',
+        'form.addLoan': 'Add Loan to Portfolio',
+        'button.load': 'Load',
+        'button.delete': 'Delete',
+        'button.remove': 'Remove',
+        'button.moveUp': 'Move Up',
+        'button.collapse': 'Collapse',
+        'button.expand': 'Expand',
+        'scenario.defaultName': 'Scenario {number}',
+        'scenario.defaultSavedName': 'Saved Scenario {number}',
+        'comparison.title': 'Scenario Comparison',
+        'comparison.scenario': 'Scenario',
+        'comparison.principal': 'Principal',
+        'comparison.interestRate': 'Interest Rate',
+        'comparison.term': 'Term',
+        'comparison.monthlyPayment': 'Regular Payment',
+        'comparison.totalInterest': 'Total Interest',
+        'comparison.totalCost': 'Total Cost',
+        'comparison.totalCostDifference': 'Difference in Total Cost',
+        'comparison.paidOff': 'Payoff Date',
+        'comparison.years': '{years} Years',
+        'comparison.month': '{period} {month}',
+        'diff.summary': 'Compare Schedules',
+        'diff.first': 'Baseline:',
+        'diff.second': 'Compared To:',
+        'diff.payment': 'Payment',
+        'diff.baseline': 'Baseline',
+        'diff.comparedTo': 'Compared To',
+        'diff.difference': 'Difference',
+        'portfolio.defaultName': 'Loan {number}',
+        'portfolio.title': 'Debt Portfolio',
+        'portfolio.loan': 'Loan',
+        'portfolio.minimumPayment': 'Minimum Monthly Payment',
+        'portfolio.budget': 'Total Monthly Budget in {currency}:',
+        'portfolio.strategy': 'Strategy',
+        'portfolio.order': 'Payoff Order',
+        'portfolio.debtFree': 'Debt Free',
+        'portfolio.schedules': 'Schedules of the Loans',
+        'portfolio.showStrategy': 'Strategy:',
+        'portfolio.strategy.avalanche': 'Avalanche (Highest Rate First)',
+        'portfolio.strategy.snowball': 'Snowball (Smallest Balance First)',
+        'portfolio.strategy.custom': 'Custom (Listed Order)',
+        'portfolio.month': 'Month #',
+        'portfolio.finalMonth': 'Month {month}',
+        'portfolio.extraPayment': 'Extra and Rolled Over',
+        'portfolio.loanSummary': '{name} | Total Interest: {amount} | Paid Off: {paidOff}',
+        'table.month': '{period} #',
+        'table.dueDate': 'Due Date',
+        'table.interestRate': 'Interest Rate',
+        'table.startingBalance': 'Starting Balance',
+        'table.extraPayment': 'Extra Payment',
+        'table.principalPaid': 'Principal Paid',
+        'table.interestPaid': 'Interest Paid',
+        'table.offsetBalance': 'Offset Savings Balance',
+        'table.interestOffset': 'Interest Saved by Offset',
+        'table.lateFee': 'Late Fee',
+        'table.arrears': 'Arrears',
+        'table.taxesAndInsurance': 'Taxes and Insurance',
+        'table.pmi': 'PMI',
+        'table.outgoings': 'Total Outgoings',
+        'table.endingBalance': 'Ending Balance',
+        'table.actualPrincipal': 'Actual Principal Paid',
+        'table.actualInterest': 'Actual Interest Paid',
+        'table.actualBalance': 'Actual Ending Balance',
+        'table.difference': 'Difference from the Schedule: {amount}',
+        'table.realBalance': 'Ending Balance in Today\'s Money',
+        'table.presentValue': 'Present Value of Payment',
+        'table.currentMonth': 'Current {period}',
+        'table.total': 'Total',
+        'table.title': 'Mortgage Amortization Table for: {principal} | {rate} {rateLabel} | {term} Years',
+        'table.title.interestRate': 'Interest Rate',
+        'table.title.initialInterestRate': 'Initial Interest Rate',
+        'table.title.linear': 'Linear Repayment',
+        'table.title.balloon': 'Balloon Repayment',
+        'table.title.interestOnlyPayment': 'Interest-Only Payment: {payment} for {months} {periods}',
+        'table.title.monthlyPayment': '{frequency} Payment: {payment}',
+        'table.title.firstPayment': 'First Payment: {payment}',
+        'table.title.finalPayment': 'Final Payment: {payment}',
+        'table.title.finalPaymentWithBalloon': 'Final Payment with Balloon: {payment}',
+        'table.title.interestSaved': 'Interest Saved: {amount}',
+        'table.title.paidOff': 'Paid Off: {period} {month} ({monthsEarly} {periods} Early)',
+        'table.title.payoffDate': 'Payoff Date: {date}',
+        'table.title.dayCount': 'Day Count: {convention}',
+        'table.title.offsetInterestSaved': 'Interest Saved by Offset: {amount}',
+        'table.title.offsetEarly': 'Offset Pays Off {months} {periods} Early',
+        'table.title.offsetPaymentLowered': 'Offset Lowers the Payment by {amount} on Average',
+        'table.title.solved': 'Solved for {unknown} from a Payment of {payment}',
+        'table.title.refinanced': 'Refinanced in {period} {month} at {rate}: {frequency} Payment {payment}',
+        'table.title.breakEven': 'Break-Even: {period} {month}',
+        'table.title.noBreakEven': 'Break-Even: Never',
+        'table.title.netSavings': 'Net Savings: {amount}',
+        'table.title.outgoings': '{frequency} Outgoings: {amount}',
+        'table.title.upfrontFees': 'Upfront Fees: {amount}',
+        'table.title.pmiEnds': 'PMI Ends: {period} {month}',
+        'table.title.totalCost': 'Total Cost of Ownership: {amount}',
+        'table.title.apr': 'APR: {rate}',
+        'table.title.presentValueOfInterest': 'Present Value of Interest at {rate}: {amount}',
+        'table.title.presentValueOfPayments': 'Present Value of Payments: {amount}',
+        'table.title.capitalised': 'Capitalised: {amount}',
+        'table.title.lateFees': 'Late Fees: {amount}',
+        'table.title.lastPayment': 'Paid Off in {period} {month}',
+        'table.title.reconciled': 'Reconciled to {period} {month}: Actual Balance {balance} ({difference})',
+        'event.holiday': 'Payment Holiday',
+        'event.missed': 'Missed Payment',
+        'event.partial': 'Partial Payment',
+        'event.capitalise': 'Arrears Capitalised',
+        'separator.loanYear': 'End of Year {year}',
+        'separator.loanYears': 'End of Year {year} | Start of Year {nextYear}',
+        'separator.calendarYear': 'End of {year}',
+        'separator.calendarYears': 'End of {year} | Start of {nextYear}',
+        'separator.rateChange': 'Rate Change: {previousRate} to {rate} | New {frequency} Payment: {payment}',
+        'separator.refinance':
+            'Refinanced: {principal} at {rate} over {term} Years | New {frequency} Payment: {payment}',
+        'separator.reconciled':
+            'Projected from the Actual Balance of {balance} | {frequency} Payment: {payment}',
+        'chart.balance': 'Remaining Balance',
+        'chart.balance.endingBalance': 'Ending Balance',
+        'chart.balance.readout': '{period} {month}: Balance {balance}',
+        'chart.split': 'Principal and Interest per Payment',
+        'chart.split.principal': 'Principal Paid',
+        'chart.split.interest': 'Interest Paid',
+        'chart.split.readout': '{period} {month}: Principal {principal} | Interest {interest}',
+        'chart.totals': 'Cumulative Totals',
+        'chart.totals.principal': 'Total Principal Paid',
+        'chart.totals.interest': 'Total Interest Paid',
+        'chart.year': 'Year {year}',
+        'frequency.monthly': 'Monthly',
+        'frequency.fortnightly': 'Fortnightly',
+        'frequency.weekly': 'Weekly',
+        'frequency.accelerated-bi-weekly': 'Accelerated Bi-Weekly',
+        'frequency.quarterly': 'Quarterly',
+        'period.month': 'Month',
+        'period.months': 'Months',
+        'period.payment': 'Payment',
+        'period.payments': 'Payments',
+        'validation.required': 'Please enter a value.',
+        'validation.number': 'Please enter a number.',
+        'validation.wholeNumber': 'Please enter a whole number.',
+        'validation.greaterThan': 'Please enter a value greater than {minimum}.',
+        'validation.minimum': 'Please enter a value of at least {minimum}.',
+        'validation.maximum': 'Please enter a value of at most {maximum}.',
+        'validation.date': 'Please enter a valid date.',
+        'validation.balloonTooLarge': 'The balloon payment cannot be more than the principal.',
+        'validation.feesTooLarge': 'The upfront fees must be less than the principal.',
+        'validation.monthEntry': '"{entry}" is not in the form Month:Value.',
+        'validation.entryMonth': 'The month of "{entry}" must be a whole number from 1 to {maximum}.',
+        'validation.entryMonthPositive': 'The month of "{entry}" must be a whole number of at least 1.',
+        'validation.entryValue': 'The value of "{entry}" must be from {minimum} to {maximum}.',
+        'validation.holiday': '"{entry}" is not a valid date in the form YYYY-MM-DD.',
+        'validation.paymentEvent': '"{entry}" is not in the form Month:Event, where the event is holiday, missed, ' +
+            'capitalise, or the amount paid.',
+        'validation.solverAnnuity': 'Solving is only possible for annuity repayment.',
+        'validation.solverRateChanges': 'Solving is only possible without interest rate changes.',
+        'validation.solverDayCount': 'Solving is only possible with the 30/360 day count.',
+        'validation.neverAmortizes': 'The regular payment would not pay off any of the principal, so the mortgage ' +
+            'would never be repaid. Please check the principal, the interest rate, and the term.',
+        'solver.neverPaidOff': 'The regular payment does not pay more than the interest, so the mortgage would never ' +
+            'be repaid. Please enter a higher payment.',
+        'solver.termTooLong': 'The mortgage would take more than {maximum} years to repay. Please enter a higher ' +
+            'payment.',
+        'solver.noInterestRate': 'No interest rate from 0% to {maximum}% gives this payment over the term. Please ' +
+            'check the payment, the principal, and the term.',
+        'refinance.paidOff': 'The mortgage is paid off before the month of the refinancing, so there is nothing to ' +
+            'refinance. Please enter an earlier month.',
+        'reconciliation.invalidJson': 'The statement is not valid JSON, or does not contain a list of payments.',
+        'reconciliation.invalidEntry': '"{entry}" is not a payment with a date in the form YYYY-MM-DD and an amount ' +
+            'of at least 0.',
+        'reconciliation.empty': 'The statement does not contain any payments.',
+        'reconciliation.noDueDates': 'The payments can only be reconciled against a schedule with a start date.',
+        'reconciliation.afterPayoff': 'The payment made on {date} is due after the final payment of the mortgage.',
+        'reconciliation.refinanced': 'The statement is reconciled up to {period} {month}, so the mortgage can only ' +
+            'be refinanced after it. Please enter a later month.',
+        'portfolio.budgetTooLow': 'The budget does not cover the minimum payments of the loans, which add up to ' +
+            '{minimum} a month. Please enter a higher budget.',
+        'portfolio.neverPaidOff': 'The loans would take more than 100 years to pay off with this budget. Please ' +
+            'enter a higher budget.'
+    },
+    de: {
+        'form.locale': 'Sprache und Region:',
+        'form.currency': 'Währung:',
+        'form.solveFor': 'Berechnen nach:',
+        'form.solveFor.payment': 'Regelmäßige Rate',
+        'form.solveFor.principal': 'Maximaler Darlehensbetrag',
+        'form.solveFor.term': 'Benötigte Laufzeit',
+        'form.solveFor.interest': 'Kostendeckender Zinssatz',
+        'form.targetPayment': '{frequency} Rate in {currency}:',
+        'form.principal': 'Darlehensbetrag in {currency}:',
+        'form.interest': 'Jährlicher Zinssatz in %:',
+        'form.rateChanges': 'Zinsänderungen als Monat:%:',
+        'form.term': 'Laufzeit in Jahren:',
+        'form.paymentFrequency': 'Zahlungsweise:',
+        'form.paymentFrequency.monthly': 'Monatlich',
+        'form.paymentFrequency.fortnightly': 'Vierzehntäglich',
+        'form.paymentFrequency.weekly': 'Wöchentlich',
+        'form.paymentFrequency.acceleratedBiWeekly': 'Beschleunigt vierzehntäglich',
+        'form.paymentFrequency.quarterly': 'Vierteljährlich',
+        'form.compounding': 'Zinsverrechnung:',
+        'form.compounding.payment': 'Mit jeder Rate',
+        'form.compounding.monthly': 'Monatlich',
+        'form.compounding.quarterly': 'Vierteljährlich',
+        'form.compounding.semiAnnual': 'Halbjährlich',
+        'form.compounding.annual': 'Jährlich',
+        'form.repaymentType': 'Tilgungsart:',
+        'form.repaymentType.annuity': 'Annuität (gleichbleibende Raten)',
+        'form.repaymentType.linear': 'Linear (gleichbleibende Tilgung)',
+        'form.repaymentType.balloon': 'Schlussrate',
+        'form.interestOnly': 'Tilgungsfreie Monate:',
+        'form.balloon': 'Schlussrate in {currency}:',
+        'form.startDate': 'Darlehensbeginn:',
+        'form.paymentDay': 'Zahltag im Monat:',
+        'form.roll': 'Wochenenden und Feiertage:',
+        'form.roll.none': 'Am Zahltag zahlen',
+        'form.roll.following': 'Nächster Bankarbeitstag',
+        'form.roll.modifiedFollowing': 'Nächster Bankarbeitstag im Monat',
+        'form.roll.preceding': 'Vorheriger Bankarbeitstag',
+        'form.holidays': 'Feiertage als JJJJ-MM-TT:',
+        'form.dayCount': 'Zinstage:',
+        'form.dayCount.30/360': '30/360',
+        'form.dayCount.actual/365': 'Act/365',
+        'form.dayCount.actual/360': 'Act/360',
+        'form.yearMode': 'Jahrestrenner:',
+        'form.yearMode.loan': 'Darlehensjahre',
+        'form.yearMode.calendar': 'Kalenderjahre',
+        'form.tableView': 'Tabellenansicht:',
+        'form.tableView.monthly': 'Jede Rate',
+        'form.tableView.annual': 'Jahresübersicht',
+        'form.extraMonthly': '{frequency} Sondertilgung in {currency}:',
+        'form.extraAnnual': 'Jährliche Sondertilgung in {currency}:',
+        'form.lumpSums': 'Einmalige Sondertilgungen als Monat:{currency}:',
+        'form.paymentEvents': 'Zahlungsereignisse als Monat:Ereignis:',
+        'form.lateFee': 'Mahngebühr je ausgefallener Rate in {currency}:',
+        'form.reamortization': 'Nach einem Zahlungsereignis:',
+        'form.reamortization.payment': 'Rate erhöhen',
+        'form.reamortization.term': 'Laufzeit verlängern',
+        'form.statement': 'Kontoauszug der tatsächlichen Zahlungen (CSV oder JSON):',
+        'form.clearStatement': 'Kontoauszug entfernen',
+        'form.offsetBalance': 'Guthaben auf dem Verrechnungskonto in {currency}:',
+        'form.offsetContribution': '{frequency} Sparrate in {currency} (negativ für Entnahmen):',
+        'form.offsetMode': 'Zinsersparnis verwenden für:',
+        'form.offsetMode.term': 'Frühere Tilgung',
+        'form.offsetMode.payment': 'Niedrigere Rate',
+        'form.refinanceMonth': 'Umschuldung im Monat (0 für keine):',
+        'form.refinanceInterest': 'Neuer jährlicher Zinssatz in %:',
+        'form.refinanceTerm': 'Neue Laufzeit in Jahren:',
+        'form.closingCosts': 'Abschlusskosten in {currency}:',
+        'form.refinanceFees': 'Umschuldungsgebühren in {currency}:',
+        'form.propertyValue': 'Immobilienwert in {currency}:',
+        'form.propertyTax': 'Jährliche Grundsteuer in {currency}:',
+        'form.insurance': 'Jährliche Gebäudeversicherung in {currency}:',
+        'form.pmiRate': 'Jährliche PMI-Prämie in %:',
+        'form.pmiLoanToValue': 'PMI entfällt ab Beleihungsauslauf in %:',
+        'form.upfrontFees': 'Einmalige Gebühren in {currency}:',
+        'form.inflationRate': 'Jährliche Inflationsrate in %:',
+        'form.discountRate': 'Jährlicher Diskontierungszins in %:',
+        'form.calculate': 'Berechnen',
+        'form.exportCsv': 'CSV exportieren',
+        'form.exportJson': 'JSON exportieren',
+        'form.print': 'Drucken',
+        'form.scenarioName': 'Name des Szenarios:',
+        'form.addScenario': 'Szenario hinzufügen',
+        'form.saveScenario': 'Szenario speichern',
+        'form.loanName': 'Name des Kredits:',
+        'form.addLoan': 'Kredit zum Portfolio hinzufügen',
+        'button.load': 'Laden',
+        'button.delete': 'Löschen',
+        'button.remove': 'Entfernen',
+        'button.moveUp': 'Nach oben',
+        'button.collapse': 'Einklappen',
+        'button.expand': 'Ausklappen',
+        'scenario.defaultName': 'Szenario {number}',
+        'scenario.defaultSavedName': 'Gespeichertes Szenario {number}',
+        'comparison.title': 'Vergleich der Szenarien',
+        'comparison.scenario': 'Szenario',
+        'comparison.principal': 'Darlehensbetrag',
+        'comparison.interestRate': 'Zinssatz',
+        'comparison.term': 'Laufzeit',
+        'comparison.monthlyPayment': 'Regelmäßige Rate',
+        'comparison.totalInterest': 'Zinsen gesamt',
+        'comparison.totalCost': 'Gesamtkosten',
+        'comparison.totalCostDifference': 'Differenz der Gesamtkosten',
+        'comparison.paidOff': 'Letzte Fälligkeit',
+        'comparison.years': '{years} Jahre',
+        'comparison.month': '{period} {month}',
+        'diff.summary': 'Tilgungspläne vergleichen',
+        'diff.first': 'Basis:',
+        'diff.second': 'Verglichen mit:',
+        'diff.payment': 'Zahlung',
+        'diff.baseline': 'Basis',
+        'diff.comparedTo': 'Verglichen mit',
+        'diff.difference': 'Differenz',
+        'portfolio.defaultName': 'Kredit {number}',
+        'portfolio.title': 'Schuldenportfolio',
+        'portfolio.loan': 'Kredit',
+        'portfolio.minimumPayment': 'Monatliche Mindestrate',
+        'portfolio.budget': 'Monatliches Gesamtbudget in {currency}:',
+        'portfolio.strategy': 'Strategie',
+        'portfolio.order': 'Tilgungsreihenfolge',
+        'portfolio.debtFree': 'Schuldenfrei',
+        'portfolio.schedules': 'Tilgungspläne der Kredite',
+        'portfolio.showStrategy': 'Strategie:',
+        'portfolio.strategy.avalanche': 'Lawine (höchster Zinssatz zuerst)',
+        'portfolio.strategy.snowball': 'Schneeball (kleinster Saldo zuerst)',
+        'portfolio.strategy.custom': 'Eigene (aufgelistete Reihenfolge)',
+        'portfolio.month': 'Monat',
+        'portfolio.finalMonth': 'Monat {month}',
+        'portfolio.extraPayment': 'Zusätzlich und übertragen',
+        'portfolio.loanSummary': '{name} | Zinsen gesamt: {amount} | Getilgt: {paidOff}',
+        'table.month': '{period}',
+        'table.dueDate': 'Fälligkeit',
+        'table.interestRate': 'Zinssatz',
+        'table.startingBalance': 'Anfangssaldo',
+        'table.extraPayment': 'Sondertilgung',
+        'table.principalPaid': 'Tilgung',
+        'table.interestPaid': 'Zinsen',
+        'table.offsetBalance': 'Guthaben Verrechnungskonto',
+        'table.interestOffset': 'Zinsersparnis durch Verrechnung',
+        'table.lateFee': 'Mahngebühr',
+        'table.arrears': 'Rückstand',
+        'table.taxesAndInsurance': 'Steuern und Versicherung',
+        'table.pmi': 'PMI',
+        'table.outgoings': 'Gesamtbelastung',
+        'table.endingBalance': 'Restschuld',
+        'table.actualPrincipal': 'Tatsächliche Tilgung',
+        'table.actualInterest': 'Tatsächliche Zinsen',
+        'table.actualBalance': 'Tatsächliche Restschuld',
+        'table.difference': 'Abweichung vom Tilgungsplan: {amount}',
+        'table.realBalance': 'Restschuld in heutiger Kaufkraft',
+        'table.presentValue': 'Barwert der Rate',
+        'table.currentMonth': '{period} (aktuell)',
+        'table.total': 'Gesamt',
+        'table.title': 'Tilgungsplan für: {principal} | {rate} {rateLabel} | {term} Jahre',
+        'table.title.interestRate': 'Zinssatz',
+        'table.title.initialInterestRate': 'Anfänglicher Zinssatz',
+        'table.title.linear': 'Lineare Tilgung',
+        'table.title.balloon': 'Tilgung mit Schlussrate',
+        'table.title.interestOnlyPayment': 'Zinsrate: {payment} für {months} {periods}',
+        'table.title.monthlyPayment': '{frequency} Rate: {payment}',
+        'table.title.firstPayment': 'Erste Rate: {payment}',
+        'table.title.finalPayment': 'Letzte Rate: {payment}',
+        'table.title.finalPaymentWithBalloon': 'Letzte Rate mit Schlussrate: {payment}',
+        'table.title.interestSaved': 'Gesparte Zinsen: {amount}',
+        'table.title.paidOff': 'Getilgt: {period} {month} ({monthsEarly} {periods} früher)',
+        'table.title.payoffDate': 'Letzte Fälligkeit: {date}',
+        'table.title.dayCount': 'Zinstage: {convention}',
+        'table.title.offsetInterestSaved': 'Zinsersparnis durch Verrechnung: {amount}',
+        'table.title.offsetEarly': 'Verrechnungskonto verkürzt die Laufzeit um {months} {periods}',
+        'table.title.offsetPaymentLowered': 'Verrechnungskonto senkt die Rate um durchschnittlich {amount}',
+        'table.title.solved': 'Berechnet: {unknown} bei einer Rate von {payment}',
+        'table.title.refinanced': 'Umgeschuldet in {period} {month} zu {rate}: {frequency} Rate {payment}',
+        'table.title.breakEven': 'Gewinnschwelle: {period} {month}',
+        'table.title.noBreakEven': 'Gewinnschwelle: nie',
+        'table.title.netSavings': 'Nettoersparnis: {amount}',
+        'table.title.outgoings': '{frequency} Belastung: {amount}',
+        'table.title.upfrontFees': 'Einmalige Gebühren: {amount}',
+        'table.title.pmiEnds': 'PMI endet: {period} {month}',
+        'table.title.totalCost': 'Gesamtkosten: {amount}',
+        'table.title.apr': 'Effektiver Jahreszins: {rate}',
+        'table.title.presentValueOfInterest': 'Barwert der Zinsen bei {rate}: {amount}',
+        'table.title.presentValueOfPayments': 'Barwert der Raten: {amount}',
+        'table.title.capitalised': 'Kapitalisiert: {amount}',
+        'table.title.lateFees': 'Mahngebühren: {amount}',
+        'table.title.lastPayment': 'Getilgt in {period} {month}',
+        'table.title.reconciled': 'Abgeglichen bis {period} {month}: Tatsächliche Restschuld {balance} ({difference})',
+        'event.holiday': 'Ratenpause',
+        'event.missed': 'Ausgefallene Rate',
+        'event.partial': 'Teilzahlung',
+        'event.capitalise': 'Rückstand kapitalisiert',
+        'separator.loanYear': 'Ende von Jahr {year}',
+        'separator.loanYears': 'Ende von Jahr {year} | Beginn von Jahr {nextYear}',
+        'separator.calendarYear': 'Ende {year}',
+        'separator.calendarYears': 'Ende {year} | Beginn {nextYear}',
+        'separator.rateChange': 'Zinsänderung: {previousRate} auf {rate} | {frequency} Rate ab jetzt: {payment}',
+        'separator.refinance':
+            'Umschuldung: {principal} zu {rate} über {term} Jahre | {frequency} Rate ab jetzt: {payment}',
+        'separator.reconciled':
+            'Hochgerechnet aus der tatsächlichen Restschuld von {balance} | {frequency} Rate ab jetzt: {payment}',
+        'chart.balance': 'Restschuld',
+        'chart.balance.endingBalance': 'Restschuld nach der Rate',
+        'chart.balance.readout': '{period} {month}: Restschuld {balance}',
+        'chart.split': 'Tilgung und Zinsen je Rate',
+        'chart.split.principal': 'Tilgung',
+        'chart.split.interest': 'Zinsen',
+        'chart.split.readout': '{period} {month}: Tilgung {principal} | Zinsen {interest}',
+        'chart.totals': 'Kumulierte Summen',
+        'chart.totals.principal': 'Tilgung gesamt',
+        'chart.totals.interest': 'Zinsen gesamt',
+        'chart.year': 'Jahr {year}',
+        'frequency.monthly': 'Monatliche',
+        'frequency.fortnightly': 'Vierzehntägliche',
+        'frequency.weekly': 'Wöchentliche',
+        'frequency.accelerated-bi-weekly': 'Beschleunigte vierzehntägliche',
+        'frequency.quarterly': 'Vierteljährliche',
+        'period.month': 'Monat',
+        'period.months': 'Monate',
+        'period.payment': 'Rate',
+        'period.payments': 'Raten',
+        'validation.required': 'Bitte geben Sie einen Wert ein.',
+        'validation.number': 'Bitte geben Sie eine Zahl ein.',
+        'validation.wholeNumber': 'Bitte geben Sie eine ganze Zahl ein.',
+        'validation.greaterThan': 'Bitte geben Sie einen Wert größer als {minimum} ein.',
+        'validation.minimum': 'Bitte geben Sie einen Wert von mindestens {minimum} ein.',
+        'validation.maximum': 'Bitte geben Sie einen Wert von höchstens {maximum} ein.',
+        'validation.date': 'Bitte geben Sie ein gültiges Datum ein.',
+        'validation.balloonTooLarge': 'Die Schlussrate darf nicht höher als der Darlehensbetrag sein.',
+        'validation.feesTooLarge': 'Die einmaligen Gebühren müssen geringer als der Darlehensbetrag sein.',
+        'validation.monthEntry': '„{entry}“ hat nicht die Form Monat:Wert.',
+        'validation.entryMonth': 'Der Monat von „{entry}“ muss eine ganze Zahl von 1 bis {maximum} sein.',
+        'validation.entryMonthPositive': 'Der Monat von „{entry}“ muss eine ganze Zahl von mindestens 1 sein.',
+        'validation.entryValue': 'Der Wert von „{entry}“ muss zwischen {minimum} und {maximum} liegen.',
+        'validation.holiday': '„{entry}“ ist kein gültiges Datum in der Form JJJJ-MM-TT.',
+        'validation.paymentEvent': '„{entry}“ hat nicht die Form Monat:Ereignis, wobei das Ereignis holiday, ' +
+            'missed, capitalise oder der gezahlte Betrag ist.',
+        'validation.solverAnnuity': 'Die Berechnung ist nur für Annuitätentilgung möglich.',
+        'validation.solverRateChanges': 'Die Berechnung ist nur ohne Zinsänderungen möglich.',
+        'validation.solverDayCount': 'Die Berechnung ist nur mit der Zinsmethode 30/360 möglich.',
+        'validation.neverAmortizes': 'Die Rate würde nichts vom Darlehensbetrag tilgen, sodass das Darlehen ' +
+            'nie zurückgezahlt würde. Bitte prüfen Sie Darlehensbetrag, Zinssatz und Laufzeit.',
+        'solver.neverPaidOff': 'Die Rate deckt nicht mehr als die Zinsen, sodass das Darlehen nie zurückgezahlt ' +
+            'würde. Bitte geben Sie eine höhere Rate ein.',
+        'solver.termTooLong': 'Die Rückzahlung würde länger als {maximum} Jahre dauern. Bitte geben Sie eine ' +
+            'höhere Rate ein.',
+        'solver.noInterestRate': 'Kein Zinssatz von 0 % bis {maximum} % ergibt diese Rate über die Laufzeit. Bitte ' +
+            'prüfen Sie Rate, Darlehensbetrag und Laufzeit.',
+        'refinance.paidOff': 'Das Darlehen ist vor dem Monat der Umschuldung getilgt, sodass nichts ' +
+            'umzuschulden ist. Bitte geben Sie einen früheren Monat ein.',
+        'reconciliation.invalidJson': 'Der Kontoauszug ist kein gültiges JSON oder enthält keine Liste von ' +
+            'Zahlungen.',
+        'reconciliation.invalidEntry': '„{entry}“ ist keine Zahlung mit einem Datum in der Form JJJJ-MM-TT und ' +
+            'einem Betrag von mindestens 0.',
+        'reconciliation.empty': 'Der Kontoauszug enthält keine Zahlungen.',
+        'reconciliation.noDueDates': 'Die Zahlungen können nur mit einem Tilgungsplan mit Startdatum abgeglichen ' +
+            'werden.',
+        'reconciliation.afterPayoff': 'Die Zahlung vom {date} ist nach der letzten Rate des Darlehens fällig.',
+        'reconciliation.refinanced': 'Der Kontoauszug ist bis {period} {month} abgeglichen, sodass das Darlehen erst ' +
+            'danach umgeschuldet werden kann. Bitte geben Sie einen späteren Monat ein.',
+        'portfolio.budgetTooLow': 'Das Budget deckt die Mindestraten der Kredite nicht, die sich auf {minimum} im ' +
+            'Monat summieren. Bitte geben Sie ein höheres Budget ein.',
+        'portfolio.neverPaidOff': 'Mit diesem Budget würde die Tilgung der Kredite mehr als 100 Jahre dauern. Bitte ' +
+            'geben Sie ein höheres Budget ein.'
+    }
+};
+
+/**
+ * Given the passed locale, the language of the message catalogue used for it is determined, which is the language of
+ * the locale if the message catalogue has messages for it, and the default language otherwise.
+ * @param locale the locale, for example 'de-AT'.
+ * @returns {string} the language of the message catalogue, for example 'de'.
+ */
+export function resolveLanguage(locale) {
+    /**
+     * The language of the locale, which is the part of the locale before the first hyphen.
+     * @type {string}
+     */
+    const language = locale.split('-')[0].toLowerCase();
+    /** The language is only used if the message catalogue has messages for it. */
+    return Object.hasOwn(MESSAGES, language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Given the passed arguments, a message is translated into a language, and its placeholders are replaced by the given
+ * values. If the language has no such message, the message of the default language is used, and if neither has it,
+ * the key itself is returned, so that a missing message is visible rather than breaking the page.
+ * @param language the language of the message catalogue, for example 'de'.
+ * @param key the key of the message, for example 'form.principal'.
+ * @param values the values of the placeholders, keyed by their names. Placeholders without a value are left as they
+ * are.
+ * @returns {string} the translated message.
+ */
+export function translate(language, key, values = {}) {
+    /**
+     * The message, in the language if possible, and otherwise in the default language.
+     * @type {string}
+     */
+    const message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    /** Every placeholder that has a value is replaced by that value. */
+    return message.replace(/\{(\w+)}/g,
+        (placeholder, name) => Object.hasOwn(values, name) ? String(values[name]) : placeholder);
+}
+
+/**
+ * Given the passed arguments, the words that describe the payment periods of a payment frequency are translated, which
+ * are the values of the '{frequency}', '{period}', and '{periods}' placeholders. The payment periods of monthly
+ * payments are months, while those of the other payment frequencies are simply payments, since a payment period is
+ * then not a month.
+ * @param language the language of the message catalogue, for example 'de'.
+ * @param paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES' in the
+ * 'frequency.js' module.
+ * @returns {{frequency: string, period: string, periods: string}} the translated words, for example 'Monthly', 'Month',
+ * and 'Months'.
+ */
+export function translatePeriods(language, paymentFrequency) {
+    /**
+     * The name of the payment periods in the message catalogue.
+     * @type {string}
+     */
+    const period = paymentFrequency === 'monthly' ? 'month' : 'payment';
+    /** The translated words are returned. */
+    return {
+        frequency: translate(language, `frequency.${paymentFrequency}`),
+        period: translate(language, `period.${period}`),
+        periods: translate(language, `period.${period}s`)
+    };
+}
+
+/**
+ * Given the passed arguments, the localization of the page is created, with formatters for amounts, interest rates,
+ * and dates, and a function that translates messages into the language of the locale. Amounts are formatted in the
+ * currency style of the locale, so that the currency symbol, its position, the separators, and the number of fraction
+ * digits all follow the conventions of the locale and the currency, for example 'JPY' has no fraction digits, while
+ * 'KWD' has three. Messages are translated with the words that describe the payment periods of the payment frequency,
+ * unless other values are given for them.
+ * @param locale the locale, for example 'en-IE' or 'de-DE'.
+ * @param currency the ISO 4217 code of the currency, for example 'EUR'.
+ * @param paymentFrequency the payment frequency, which is one of the keys of 'PAYMENT_FREQUENCIES' in the
+ * 'frequency.js' module.
+ * @returns {Localization} the localization of the page.
+ */
+export function createLocalization(locale, currency, paymentFrequency = 'monthly') {
+    /**
+     * The formatter of amounts, in the currency style of the locale.
+     * @type {Intl.NumberFormat}
+     */
+    const currencyFormatter = new Intl.NumberFormat(locale, {style: 'currency', currency});
+    /**
+     * The language of the message catalogue used for the locale.
+     * @type {string}
+     */
+    const language = resolveLanguage(locale);
+    /**
+     * The words that describe the payment periods of the payment frequency.
+     * @type {{frequency: string, period: string, periods: string}}
+     */
+    const periods = translatePeriods(language, paymentFrequency);
+    /** The localization is returned. */
+    return {
+        locale,
+        currency,
+        language,
+        paymentFrequency,
+        fractionDigits: currencyFormatter.resolvedOptions().maximumFractionDigits,
+        currencySymbol: currencyFormatter.formatToParts(0).find((part) => part.type === 'currency').value,
+        currencyFormatter,
+        percentFormatter: new Intl.NumberFormat(locale,
+            {style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2}),
+        integerFormatter: new Intl.NumberFormat(locale, {maximumFractionDigits: 0}),
+        numberFormatter: new Intl.NumberFormat(locale, {maximumFractionDigits: 2}),
+        dateFormatter: new Intl.DateTimeFormat(locale, {dateStyle: 'medium', timeZone: 'UTC'}),
+        translate: (key, values = {}) => translate(language, key, {...periods, ...values})
+    };
+}
+
+/**
+ * The localization of the page, for a locale and a currency.
+ * @typedef {Object} Localization
+ * @property {string} locale the locale, for example 'en-IE'.
+ * @property {string} currency the ISO 4217 code of the currency, for example 'EUR'.
+ * @property {string} language the language of the message catalogue used for the locale, for example 'en'.
+ * @property {string} paymentFrequency the payment frequency whose payment periods are described by the messages.
+ * @property {number} fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @property {string} currencySymbol the symbol of the currency in the locale, for example '€'.
+ * @property {Intl.NumberFormat} currencyFormatter the formatter of amounts, in the currency style of the locale.
+ * @property {Intl.NumberFormat} percentFormatter the formatter of decimal interest rates, as percentages with two
+ * fraction digits.
+ * @property {Intl.NumberFormat} integerFormatter the formatter of whole numbers, such as the term in years.
+ * @property {Intl.NumberFormat} numberFormatter the formatter of numbers with at most two fraction digits, such as a
+ * solved term in years.
+ * @property {Intl.DateTimeFormat} dateFormatter the formatter of dates at midnight UTC.
+ * @property {function(string, Object=): string} translate the function that translates a message into the language of
+ * the locale, replacing its placeholders by the given values.
+ */
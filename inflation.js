@@ -0,0 +1,123 @@
+/**
+ * The inflation-adjusted and present-value view of the mortgage amortization schedule, which expresses the balances in
+ * today's money using an inflation rate, and discounts the payments to their present value using a discount rate, so
+ * that payments made decades apart can be compared fairly. None of the functions in this module access the DOM, so
+ * that the module can be imported both by the web page and by the test suite, which is run with Node.js.
+ */
+import {toMajorUnits, toMinorUnits} from './amortization.js';
+
+/**
+ * Given the passed arguments, every row of the mortgage amortization schedule is discounted, and the present values of
+ * the payments and of the interest are totalled.
+ *
+ * Both rates are decimal annual rates, compounded annually, and a payment is made a fraction of a year after the start
+ * of the loan, which is its payment number divided by the number of payments made per year. The ending balance of a
+ * row is deflated by the inflation rate, which gives the balance in today's money, while the payment of a row,
+ * including the extra payment, is discounted by the discount rate, which gives its present value. Without a discount
+ * rate, the inflation rate is used for both, so that the present values are also in today's money.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param rates the decimal annual inflation rate, and the decimal annual discount rate, which is null or undefined if
+ * the inflation rate is to be used instead.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @param paymentsPerYear the number of payments made per year, which is 12 for monthly payments.
+ * @returns {{rows: DiscountedRow[], totals: DiscountedTotals}} the discounted figures of every row of the mortgage
+ * amortization schedule, in the same order as the rows, and the totals of the present values.
+ */
+export function discountSchedule(schedule, {inflationRate = 0, discountRate = null}, fractionDigits = 2,
+                                 paymentsPerYear = 12) {
+    /**
+     * The discount rate that is actually used, which is the inflation rate if no discount rate is given.
+     * @type {number}
+     */
+    const rate = discountRate ?? inflationRate;
+    /**
+     * All amounts are rounded to whole minor units and converted into major units using this function, which passes
+     * the number of fraction digits of the currency to the 'toMinorUnits()' and 'toMajorUnits()' functions.
+     * @param amount the amount in major units.
+     * @returns {number} the rounded amount in major units.
+     */
+    const round = (amount) => toMajorUnits(toMinorUnits(amount, fractionDigits), fractionDigits);
+
+    /**
+     * These variables are used to keep track of the present values of the payments and of the interest, in minor
+     * units, so that the totals do not pick up any rounding errors of floating point numbers.
+     * @type {number}
+     */
+    let totalPresentValue = 0;
+    let totalInterestPresentValue = 0;
+    /**
+     * The discounted figures of every row.
+     * @type {DiscountedRow[]}
+     */
+    const rows = schedule.rows.map((row) => {
+        /**
+         * The number of years after the start of the loan at which the payment is made.
+         * @type {number}
+         */
+        const years = row.month / paymentsPerYear;
+        /**
+         * The factor by which the payment and the interest of the row are discounted.
+         * @type {number}
+         */
+        const discount = (1 + rate) ** -years;
+        /**
+         * The present value of the payment, including the extra payment, in minor units.
+         * @type {number}
+         */
+        const presentValue = toMinorUnits((row.payment + row.extraPayment) * discount, fractionDigits);
+        totalPresentValue += presentValue;
+        totalInterestPresentValue += toMinorUnits(row.interestPaid * discount, fractionDigits);
+        return {
+            month: row.month,
+            realBalance: round(row.endingBalance * (1 + inflationRate) ** -years),
+            presentValue: toMajorUnits(presentValue, fractionDigits)
+        };
+    });
+
+    /** The discounted figures of every row and the totals of the present values are returned. */
+    return {
+        rows,
+        totals: {
+            inflationRate,
+            discountRate: rate,
+            presentValueOfPayments: toMajorUnits(totalPresentValue, fractionDigits),
+            presentValueOfInterest: toMajorUnits(totalInterestPresentValue, fractionDigits)
+        }
+    };
+}
+
+/**
+ * Given the passed arguments, the discounted figures of several consecutive rows, such as the rows of a year, are
+ * summarized, so that they can be shown next to the subtotals of the year.
+ * @param rows the discounted figures of the rows, in order, as calculated by the 'discountSchedule()' function.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {{realBalance: number, presentValue: number}} the balance in today's money after the last of the rows, and
+ * the total present value of the payments of the rows.
+ */
+export function summarizeDiscountedRows(rows, fractionDigits = 2) {
+    /** The present values are added up in minor units, so that the total does not pick up any rounding errors. */
+    return {
+        realBalance: rows.length > 0 ? rows[rows.length - 1].realBalance : 0,
+        presentValue: toMajorUnits(
+            rows.reduce((total, row) => total + toMinorUnits(row.presentValue, fractionDigits), 0), fractionDigits)
+    };
+}
+
+/**
+ * The discounted figures of a single row of the mortgage amortization schedule.
+ * @typedef {Object} DiscountedRow
+ * @property {number} month the month in question.
+ * @property {number} realBalance the ending balance in today's money, deflated by the inflation rate.
+ * @property {number} presentValue the present value of the payment, including the extra payment, discounted by the
+ * discount rate.
+ */
+
+/**
+ * The totals of the present values of the mortgage amortization schedule.
+ * @typedef {Object} DiscountedTotals
+ * @property {number} inflationRate the decimal annual inflation rate.
+ * @property {number} discountRate the decimal annual discount rate that was used, which is the inflation rate if no
+ * discount rate was given.
+ * @property {number} presentValueOfPayments the total present value of the payments, including the extra payments.
+ * @property {number} presentValueOfInterest the total present value of the interest paid.
+ */
@@ -1,201 +1,1426 @@
+import {buildSchedule, PAYMENT_EVENT_TYPES, summarizeYears} from './amortization.js';
+import {toCsv, toJson} from './export.js';
+import {compareScenarios, diffSchedules} from './comparison.js';
+import {renderCharts} from './charts.js';
+import {parseIsoDate, toIsoDate} from './dates.js';
+import {PAYMENT_FREQUENCIES, toAnnualRate, toPaymentCount, toPaymentNumber, toPeriodicRate} from './frequency.js';
+import {createLocalization, translatePeriods} from './i18n.js';
+import {
+    decodeState,
+    deleteSavedScenario,
+    encodeState,
+    loadSavedScenarios,
+    saveScenario,
+    STATE_FIELDS
+} from './state.js';
+import {checkSchedule, validateForm, VALIDATED_FIELDS} from './validation.js';
+import {solveMortgage} from './solver.js';
+import {refinanceMortgage} from './refinance.js';
+import {calculateOwnershipCosts} from './costs.js';
+import {discountSchedule, summarizeDiscountedRows} from './inflation.js';
+import {parseStatement, reconcileSchedule} from './reconciliation.js';
+import {calculateMinimumBudget, comparePayoffStrategies, describeLoans, PAYOFF_STRATEGIES} from './portfolio.js';
+
 /** All the needed HTML elements are retrieved via their IDs. */
 const inputForm = document.getElementById('input-form');
+const localeSelect = document.getElementById('locale');
+const currencySelect = document.getElementById('currency');
+const solveForSelect = document.getElementById('solve-for');
+const targetPaymentInput = document.getElementById('target-payment');
 const principalInput = document.getElementById('principal');
 const interestInput = document.getElementById('interest');
+const rateChangesInput = document.getElementById('rate-changes');
 const termInput = document.getElementById('term');
+const paymentFrequencySelect = document.getElementById('payment-frequency');
+const compoundingSelect = document.getElementById('compounding');
+const repaymentTypeSelect = document.getElementById('repayment-type');
+const interestOnlyInput = document.getElementById('interest-only');
+const balloonInput = document.getElementById('balloon');
+const startDateInput = document.getElementById('start-date');
+const paymentDayInput = document.getElementById('payment-day');
+const rollSelect = document.getElementById('roll');
+const holidaysInput = document.getElementById('holidays');
+const dayCountSelect = document.getElementById('day-count');
+const yearModeSelect = document.getElementById('year-mode');
+const tableViewSelect = document.getElementById('table-view');
+const extraMonthlyInput = document.getElementById('extra-monthly');
+const extraAnnualInput = document.getElementById('extra-annual');
+const lumpSumsInput = document.getElementById('lump-sums');
+const paymentEventsInput = document.getElementById('payment-events');
+const lateFeeInput = document.getElementById('late-fee');
+const reamortizationSelect = document.getElementById('reamortization');
+const statementInput = document.getElementById('statement');
+const clearStatementButton = document.getElementById('clear-statement');
+const statementError = document.getElementById('statement-error');
+const offsetBalanceInput = document.getElementById('offset-balance');
+const offsetContributionInput = document.getElementById('offset-contribution');
+const offsetModeSelect = document.getElementById('offset-mode');
+const refinanceMonthInput = document.getElementById('refinance-month');
+const refinanceInterestInput = document.getElementById('refinance-interest');
+const refinanceTermInput = document.getElementById('refinance-term');
+const closingCostsInput = document.getElementById('closing-costs');
+const refinanceFeesInput = document.getElementById('refinance-fees');
+const propertyValueInput = document.getElementById('property-value');
+const propertyTaxInput = document.getElementById('property-tax');
+const insuranceInput = document.getElementById('insurance');
+const pmiRateInput = document.getElementById('pmi-rate');
+const pmiLoanToValueInput = document.getElementById('pmi-ltv');
+const upfrontFeesInput = document.getElementById('upfront-fees');
+const inflationRateInput = document.getElementById('inflation-rate');
+const discountRateInput = document.getElementById('discount-rate');
+const formError = document.getElementById('form-error');
+const amortizationTable = document.getElementById('amortization-table');
 const amortizationTableTitle = document.getElementById('amortization-table-title');
 const amortizationTableBody = document.getElementById('amortization-table-body');
+const exportCsvButton = document.getElementById('export-csv');
+const exportJsonButton = document.getElementById('export-json');
+const printTableButton = document.getElementById('print-table');
+const scenarioNameInput = document.getElementById('scenario-name');
+const addScenarioButton = document.getElementById('add-scenario');
+const scenarioComparison = document.getElementById('scenario-comparison');
+const comparisonTableBody = document.getElementById('comparison-table-body');
+const scenarioDiff = document.getElementById('scenario-diff');
+const diffFirstSelect = document.getElementById('diff-first');
+const diffSecondSelect = document.getElementById('diff-second');
+const diffTableBody = document.getElementById('diff-table-body');
+const saveScenarioButton = document.getElementById('save-scenario');
+const savedScenariosList = document.getElementById('saved-scenarios');
+const loanNameInput = document.getElementById('loan-name');
+const addLoanButton = document.getElementById('add-loan');
+const debtPortfolio = document.getElementById('debt-portfolio');
+const portfolioTableBody = document.getElementById('portfolio-table-body');
+const portfolioBudgetInput = document.getElementById('portfolio-budget');
+const portfolioError = document.getElementById('portfolio-error');
+const strategyTable = document.getElementById('strategy-table');
+const strategyTableBody = document.getElementById('strategy-table-body');
+const portfolioSchedules = document.getElementById('portfolio-schedules');
+const portfolioStrategySelect = document.getElementById('portfolio-strategy');
+const portfolioScheduleTableBody = document.getElementById('portfolio-schedule-table-body');
+const chartsContainer = document.getElementById('charts');
+
+/**
+ * The parameters and schedule of the most recent calculation, which are kept so that they can be exported, and which
+ * are null while the user input form is not valid.
+ */
+let currentCalculation = null;
+/** The scenarios of the scenario comparison, which are kept when the form is calculated again. */
+const scenarios = [];
+/** The loans of the debt portfolio, in the custom order, which are kept when the form is calculated again. */
+const portfolioLoans = [];
+/** The localization of the page, for the locale and currency chosen in the user input form. */
+let localization = null;
+/** The number of rows added to the mortgage amortization table at a time, one batch per animation frame. */
+const RENDER_BATCH_SIZE = 120;
+/** The rendering of the mortgage amortization table that is still in progress, if any. */
+let pendingRender = null;
+/** The years whose rows are collapsed into their summary rows, which is reset whenever the table is updated. */
+let collapsedYears = new Set();
+/**
+ * The payments of the statement of actual payments that is reconciled against the schedule, and the error of the
+ * statement if it cannot be parsed, which are kept when the form is calculated again, since a statement is not part of
+ * the state in the URL.
+ */
+let statement = {payments: [], error: null};
 
 /**
  * An event listener, in the form of a lambda function, is added to the user input form, which is called when the
  * 'submit' event is triggered, in this case either by the user clicking the 'Calculate' button in the form or by
  * pressing the 'Enter' key while the form is in focus. It is prevented from submitting and reloading the page, then the
- * input form is handled.
+ * input form is handled, and either the state is added to the history or the first input field with an error is
+ * focused.
  */
 inputForm.addEventListener('submit', (event) => {
     event.preventDefault();
+    if (parseFormAndUpdate()) {
+        updateHistory();
+    } else {
+        inputForm.querySelector('[aria-invalid="true"]')?.focus();
+    }
+});
+
+/**
+ * Event listeners are added to the user input form, which validate the form and recalculate the mortgage amortization
+ * table on every change of an input field that is part of the state, and add the state to the history once a valid
+ * change is committed.
+ */
+inputForm.addEventListener('input', (event) => {
+    if (STATE_FIELDS.includes(event.target.name)) {
+        parseFormAndUpdate();
+    }
+});
+inputForm.addEventListener('change', (event) => {
+    if (STATE_FIELDS.includes(event.target.name) && currentCalculation) {
+        updateHistory();
+    }
+});
+
+/**
+ * An event listener is added to the window, which restores the user input form from the state in the URL when the user
+ * navigates through the history of the browser, and updates the mortgage amortization table.
+ */
+window.addEventListener('popstate', () => {
+    restoreFormState(decodeState(window.location.search));
+    parseFormAndUpdate();
+});
+
+/**
+ * An event listener is added to the repayment type drop-down list, which enables the balloon payment input field only
+ * for balloon repayment.
+ */
+repaymentTypeSelect.addEventListener('change', () => updateBalloonInput());
+
+/**
+ * An event listener is added to the drop-down list of the figure that is solved for, which enables the regular payment
+ * input field and makes the input field of the solved figure read only.
+ */
+solveForSelect.addEventListener('change', () => updateSolverInputs());
+
+/**
+ * Event listeners are added to the export buttons, which download the schedule of the most recent calculation as a CSV
+ * file, using the chosen locale to decide the decimal separator and the delimiter, or as a JSON file, and to the print
+ * button, which opens the print dialog of the browser.
+ */
+exportCsvButton.addEventListener('click', () => {
+    downloadFile('amortization-table.csv', 'text/csv',
+        toCsv(currentCalculation.params, currentCalculation.schedule, localization.locale));
+});
+exportJsonButton.addEventListener('click', () => {
+    downloadFile('amortization-table.json', 'application/json',
+        toJson(currentCalculation.params, currentCalculation.schedule));
+});
+printTableButton.addEventListener('click', () => window.print());
+
+/**
+ * Event listeners are added to the statement input field, which reads and parses the chosen statement of actual
+ * payments and recalculates the mortgage amortization table, and to the clear statement button, which removes the
+ * statement again.
+ */
+statementInput.addEventListener('change', () => {
+    const [file] = statementInput.files;
+    if (!file) {
+        return;
+    }
+    file.text().then((text) => {
+        statement = parseStatement(text);
+        parseFormAndUpdate();
+    });
+});
+clearStatementButton.addEventListener('click', () => {
+    statementInput.value = '';
+    statement = {payments: [], error: null};
     parseFormAndUpdate();
 });
 
+/** An event listener is added to the window, which adds any rows that are left before the page is printed. */
+window.addEventListener('beforeprint', () => finishRendering());
+
+/**
+ * Event listeners are added to the add scenario button, which adds the most recent calculation to the scenario
+ * comparison, to the save scenario button, which saves the state of the user input form to the storage of the browser,
+ * and to both drop-down lists of the schedule comparison, which update the differences between the
+ * schedules of the selected scenarios.
+ */
+addScenarioButton.addEventListener('click', () => addScenario());
+saveScenarioButton.addEventListener('click', () => saveCurrentScenario());
+diffFirstSelect.addEventListener('change', () => updateDiffTable());
+diffSecondSelect.addEventListener('change', () => updateDiffTable());
+
+/**
+ * Event listeners are added to the add loan button, which adds the most recent calculation to the debt portfolio, and
+ * to the budget input field and the strategy drop-down list of the debt portfolio, which update the debt portfolio.
+ */
+addLoanButton.addEventListener('click', () => addLoan());
+portfolioBudgetInput.addEventListener('input', () => updatePortfolio());
+portfolioStrategySelect.addEventListener('change', () => updatePortfolio());
+
+restoreFormState(decodeState(window.location.search));
 parseFormAndUpdate();
+updateSavedScenarios(loadSavedScenarios(localStorage));
 
 /**
- * The input fields of the user input form are parsed, and then the values are used to populate the mortgage
- * amortization table.
+ * The input fields of the user input form are validated and parsed, and then the values are used to populate the
+ * mortgage amortization table. If the form is not valid, the errors are shown instead.
+ * @returns {boolean} whether the user input form is valid, and the mortgage amortization table was updated.
  */
 function parseFormAndUpdate() {
+    localization = createLocalization(localeSelect.value, currencySelect.value, paymentFrequencySelect.value);
+    updateLocalization();
+    updateStatementError();
+
+    const errors = validateForm(readFormState());
+    updateErrors(errors, null);
+    if (Object.keys(errors).length > 0) {
+        currentCalculation = null;
+        updateCalculationButtons();
+        return false;
+    }
+
+    let paymentFrequency = paymentFrequencySelect.value;
+    let compounding = compoundingSelect.value;
     let principal = parseFloat(principalInput.value);
-    let interest = parseFloat(interestInput.value) / 100 / 12;
-    let term = parseFloat(termInput.value) * 12;
-
-    updateTable(amortizationTableBody, principal, term, interest);
-}
-
-/**
- * Given the various passed arguments, the monthly payment is calculated.
- *
- * The formula for the calculation of the monthly payment is as follows:
- *
- * <pre>
- * p - the principal amount
- * i - the decimal monthly interest rate
- * t - the term in months
- * c - the monthly payment
- *
- * c = p * (i / (1 - (1 + i)^(-t)))
- * </pre>
- *
- * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0, so in that
- * case, the monthly payment is defined as:
- *
- * <pre>
- * c = p / t
- * </pre>
- * @param principal the principal amount.
- * @param termInMonths the term in months.
- * @param monthlyInterestRate the decimal monthly interest rate.
- * @returns {number} the monthly payment.
- */
-function calculateMonthlyPayment(principal, termInMonths, monthlyInterestRate) {
-    if (monthlyInterestRate > 0) {
-        return principal * (monthlyInterestRate / (1 - Math.pow(1 + monthlyInterestRate, -termInMonths)));
-    }
-    return principal / termInMonths;
-}
-
-/**
- * Given the various passed arguments, the remaining balance to be paid is calculated.
- *
- * The formula for the calculation of the remaining balance to be paid is as follows:
- *
- * <pre>
- * p - the principal amount
- * i - the decimal monthly interest rate
- * c - the monthly payment
- * m - the number of months already paid
- * b - the remaining balance to be paid
- *
- * b = (1 + i)^m * p - ((1 + i)^m - 1) / i * c)
- * </pre>
- *
- * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0, so in that
- * case, the remaining balance to be paid is defined as:
- *
- * <pre>
- * b = p - c * m
- * </pre>
- * @param principal the principal amount.
- * @param monthlyInterestRate the decimal monthly interest rate.
- * @param monthlyPayment the monthly payment.
- * @param monthsPaid the number of months already paid.
- * @returns {number} the remaining balance to be paid.
- */
-function calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, monthsPaid) {
-    if (monthlyInterestRate > 0) {
-        return Math.abs(Math.pow(1 + monthlyInterestRate, monthsPaid) * principal -
-            (Math.pow(1 + monthlyInterestRate, monthsPaid) - 1) / monthlyInterestRate * monthlyPayment);
-    }
-    return Math.abs(principal - monthlyPayment * monthsPaid);
-}
-
-/**
- * Given the various passed arguments, the amount of interest paid in the given month is calculated.
- *
- * The formula for the calculation of the amount of interest paid in the given month is as follows:
- *
- * <pre>
- * i - the decimal monthly interest rate
- * b - the remaining balance to be paid as of the previous month to the one in question
- * n - the amount of interest paid in the given month
- *
- * n = i * b
- * </pre>
- * @param principal the principal amount.
- * @param monthlyInterestRate the decimal monthly interest rate.
- * @param monthlyPayment the monthly payment.
- * @param month the month in question.
- * @returns {number} the amount of interest paid in the given month.
+    let interest = toPeriodicRate(parseFloat(interestInput.value) / 100, paymentFrequency, compounding);
+    let rateChanges = parseRateChanges(rateChangesInput.value, paymentFrequency, compounding);
+    let term = parseFloat(termInput.value) * PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear;
+    let interestOnlyPayments = toPaymentCount(parseInt(interestOnlyInput.value) || 0, paymentFrequency);
+
+    /**
+     * If the form solves for a figure, the solved figure is used for the calculation and shown in its input field. A
+     * solved term is built with the regular payment to solve from as its instalment.
+     */
+    let instalment = 0;
+    let solved = solveForSelect.value === 'payment' ?
+        null :
+        {unknown: solveForSelect.value, payment: parseFloat(targetPaymentInput.value)};
+    if (solved) {
+        const solution = solveMortgage(solved.unknown, {
+            payment: solved.payment, principal, termInMonths: term, monthlyInterestRate: interest,
+            interestOnlyMonths: interestOnlyPayments, frequency: paymentFrequency, compounding,
+            fractionDigits: localization.fractionDigits
+        });
+        if (solution.error) {
+            currentCalculation = null;
+            updateErrors(errors, solution.error);
+            updateCalculationButtons();
+            return false;
+        }
+        ({principal, termInMonths: term, monthlyInterestRate: interest, instalment = 0} = solution.params);
+        updateSolvedInput(solved.unknown, solution.params, paymentFrequency, compounding);
+    }
+
+    let prepayments = {
+        monthly: parseFloat(extraMonthlyInput.value) || 0,
+        annual: parseFloat(extraAnnualInput.value) || 0,
+        lumpSums: parseLumpSums(lumpSumsInput.value, paymentFrequency)
+    };
+    let paymentEvents = {
+        events: parsePaymentEvents(paymentEventsInput.value, paymentFrequency),
+        lateFee: parseFloat(lateFeeInput.value) || 0,
+        reamortization: reamortizationSelect.value
+    };
+    /** There is only an offset account if there is a savings balance, or if savings are paid in. */
+    let offsetBalance = parseFloat(offsetBalanceInput.value) || 0;
+    let offsetContribution = parseFloat(offsetContributionInput.value) || 0;
+    let offsetAccount = offsetBalance > 0 || offsetContribution > 0 ?
+        {balance: offsetBalance, contribution: offsetContribution, mode: offsetModeSelect.value} :
+        null;
+    /** At least the final payment is left to amortize after the interest-only payments. */
+    let repayment = {
+        type: repaymentTypeSelect.value,
+        interestOnlyMonths: Math.min(interestOnlyPayments, term - 1),
+        balloonPayment: parseFloat(balloonInput.value) || 0,
+        frequency: paymentFrequency,
+        compounding,
+        instalment
+    };
+    let calendar = {
+        startDate: startDateInput.value,
+        paymentDay: parseInt(paymentDayInput.value),
+        roll: rollSelect.value,
+        holidays: parseHolidays(holidaysInput.value),
+        dayCount: dayCountSelect.value,
+        calendarYears: yearModeSelect.value === 'calendar'
+    };
+    /** A month of 0 means that the mortgage is not refinanced. */
+    let refinanceMonth = parseInt(refinanceMonthInput.value) || 0;
+    let refinancing = refinanceMonth > 0 ? {
+        month: toPaymentNumber(refinanceMonth, paymentFrequency),
+        monthlyInterestRate:
+            toPeriodicRate(parseFloat(refinanceInterestInput.value) / 100, paymentFrequency, compounding),
+        termInMonths: parseFloat(refinanceTermInput.value) * PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear,
+        closingCosts: parseFloat(closingCostsInput.value) || 0,
+        fees: parseFloat(refinanceFeesInput.value) || 0
+    } : null;
+    /** The PMI rate and the loan-to-value at which the PMI drops off are converted to decimal percentages. */
+    let ownershipCosts = {
+        propertyValue: parseFloat(propertyValueInput.value) || 0,
+        propertyTax: parseFloat(propertyTaxInput.value) || 0,
+        insurance: parseFloat(insuranceInput.value) || 0,
+        pmiRate: (parseFloat(pmiRateInput.value) || 0) / 100,
+        pmiLoanToValue: (parseFloat(pmiLoanToValueInput.value) || 0) / 100,
+        upfrontFees: parseFloat(upfrontFeesInput.value) || 0
+    };
+    /** Without a discount rate, the payments are discounted by the inflation rate. */
+    let discounting = {
+        inflationRate: (parseFloat(inflationRateInput.value) || 0) / 100,
+        discountRate: discountRateInput.value === '' ? null : parseFloat(discountRateInput.value) / 100
+    };
+
+    const error = updateTable(amortizationTableBody, principal, term, interest, rateChanges, prepayments,
+        paymentEvents, offsetAccount, repayment, calendar, solved, statement.payments, refinancing, ownershipCosts,
+        discounting, tableViewSelect.value === 'annual');
+    updateErrors(errors, error);
+    updateCalculationButtons();
+    return error === null;
+}
+
+/**
+ * Given the passed text, the entries of a month list are parsed. The text is a comma separated list of entries in the
+ * form 'month:value', for example '12:5000, 60:10000'. Entries that cannot be parsed, that do not have a whole,
+ * positive month, or that have a negative value, are ignored.
+ * @param text the text to be parsed.
+ * @returns {{month: number, value: number}[]} the entries of the month list, in the order in which they were given.
+ */
+function parseMonthEntries(text) {
+    const entries = [];
+    for (const entry of text.split(',')) {
+        const [month, value] = entry.split(':').map((part) => parseFloat(part));
+        if (Number.isInteger(month) && month > 0 && value >= 0) {
+            entries.push({month, value});
+        }
+    }
+    return entries;
+}
+
+/**
+ * Given the passed arguments, the one-off payments are parsed using the 'parseMonthEntries()' function, where each
+ * value is the amount paid in the month, for example '12:5000, 60:10000'. Every month is converted into the number of
+ * the first payment made in that month, and entries for the same payment are added together.
+ * @param text the text to be parsed.
+ * @param paymentFrequency the payment frequency.
+ * @returns {Map<number, number>} the one-off payments, mapping each payment to the amount paid with that payment.
+ */
+function parseLumpSums(text, paymentFrequency) {
+    const lumpSums = new Map();
+    for (const {month, value} of parseMonthEntries(text)) {
+        const payment = toPaymentNumber(month, paymentFrequency);
+        lumpSums.set(payment, (lumpSums.get(payment) || 0) + value);
+    }
+    return lumpSums;
+}
+
+/**
+ * Given the passed arguments, the payment events are parsed. The text is a comma separated list of entries in the form
+ * 'month:event', for example '13:holiday, 25:missed, 26:500, 27:capitalise', where the event is 'holiday', 'missed',
+ * 'capitalise', or the amount of a partial payment. Every month is converted into the number of the first payment made
+ * in that month. Entries that cannot be parsed are ignored, and if multiple entries are given for the same payment, the
+ * last one is used.
+ * @param text the text to be parsed.
+ * @param paymentFrequency the payment frequency.
+ * @returns {Map<number, {type: string, amount: number}>} the payment events, mapping each payment to its event, where
+ * the amount is the amount paid on a partial payment, and is otherwise 0.
+ */
+function parsePaymentEvents(text, paymentFrequency) {
+    const paymentEvents = new Map();
+    for (const entry of text.split(',')) {
+        const [month, event] = entry.split(':').map((part) => part.trim());
+        const amount = parseFloat(event);
+        if (!Number.isInteger(Number(month)) || Number(month) < 1) {
+            continue;
+        }
+        if (PAYMENT_EVENT_TYPES.includes(event) && event !== 'partial') {
+            paymentEvents.set(toPaymentNumber(Number(month), paymentFrequency), {type: event, amount: 0});
+        } else if (amount >= 0) {
+            paymentEvents.set(toPaymentNumber(Number(month), paymentFrequency), {type: 'partial', amount});
+        }
+    }
+    return paymentEvents;
+}
+
+/**
+ * Given the passed arguments, the interest rate changes are parsed using the 'parseMonthEntries()' function, where each
+ * value is the annual interest rate as a percentage that applies from the month onwards, for example '37:5.1' for a
+ * rate of 5.1% from month 37. Every month is converted into the number of the first payment made in that month. If
+ * multiple entries are given for the same payment, the last one is used.
+ * @param text the text to be parsed.
+ * @param paymentFrequency the payment frequency.
+ * @param compounding the compounding frequency.
+ * @returns {Map<number, number>} the interest rate changes, mapping each payment to the decimal interest rate of a
+ * payment period that applies from that payment onwards.
+ */
+function parseRateChanges(text, paymentFrequency, compounding) {
+    const rateChanges = new Map();
+    for (const {month, value} of parseMonthEntries(text)) {
+        rateChanges.set(toPaymentNumber(month, paymentFrequency),
+            toPeriodicRate(value / 100, paymentFrequency, compounding));
+    }
+    return rateChanges;
+}
+
+/**
+ * Given the passed text, the holidays are parsed. The text is a comma separated list of ISO 8601 dates, for example
+ * '2026-12-25, 2027-01-01'. Entries that are not valid dates are ignored.
+ * @param text the text to be parsed.
+ * @returns {Set<string>} the holidays, as ISO 8601 date strings.
  */
-function calculateInterestPaid(principal, monthlyInterestRate, monthlyPayment, month) {
-    return monthlyInterestRate *
-        calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, month - 1);
+function parseHolidays(text) {
+    const holidays = new Set();
+    for (const entry of text.split(',')) {
+        const date = parseIsoDate(entry);
+        if (date) {
+            holidays.add(toIsoDate(date));
+        }
+    }
+    return holidays;
 }
 
 /**
- * Updates the mortgage amortization table with the passed arguments, by clearing the table of any previous data,
- * creating and adding rows to the table for every month, adding year rows, and setting the table title with the
- * pertinent information.
+ * Updates the mortgage amortization table with the passed arguments, by building the mortgage amortization schedule
+ * with the amortization engine, refusing it if it would never be paid off, reconciling it against the statement of
+ * actual payments, clearing the table of any previous data, creating and adding rows to the table for every month of
+ * the schedule, adding year rows and rate change rows, and setting the table title with the pertinent
+ * information.
  * @param tableBody the table body to update.
  * @param principal the principal amount.
- * @param termInMonths the term in months.
- * @param monthlyInterestRate the decimal monthly interest rate.
+ * @param termInMonths the term in months, which is the number of payments for other payment frequencies than monthly.
+ * @param monthlyInterestRate the decimal interest rate of a payment period that applies until the first interest rate
+ * change, which is the monthly interest rate for monthly payments.
+ * @param rateChanges the interest rate changes, mapping each payment to the decimal interest rate of a payment period
+ * that applies from that payment onwards.
+ * @param prepayments the prepayments, as parsed from the user input form.
+ * @param paymentEvents the payment events, the late fee, and the way in which the mortgage is re-amortized after a
+ * payment event, as parsed from the user input form.
+ * @param offsetAccount the offset account, as parsed from the user input form, or null if there is no offset account.
+ * @param repayment the repayment structure, as parsed from the user input form.
+ * @param calendar the calendar, as parsed from the user input form, which decides the due dates of the payments and
+ * whether the year separators follow loan years or calendar years.
+ * @param solved the figure that was solved for and the regular payment it was solved from, or null if the form is used
+ * as usual.
+ * @param statementPayments the payments of the statement of actual payments, sorted by date, which are empty if there
+ * is no statement to reconcile.
+ * @param refinancing the refinancing, as parsed from the user input form, or null if the mortgage is not refinanced.
+ * @param ownershipCosts the costs of owning the property, as parsed from the user input form.
+ * @param discounting the inflation rate and the discount rate, as parsed from the user input form.
+ * @param annualView whether the table starts in the annual summary view, in which the rows of every year are collapsed
+ * into the summary row of the year.
+ * @returns {ValidationError|null} the error of the calculation if the mortgage would never be paid off, or cannot be
+ * reconciled or refinanced, in which case the table is left as it is, or otherwise null.
  */
-function updateTable(tableBody, principal, termInMonths, monthlyInterestRate) {
+function updateTable(tableBody, principal, termInMonths, monthlyInterestRate, rateChanges, prepayments, paymentEvents,
+                     offsetAccount, repayment, calendar, solved, statementPayments, refinancing, ownershipCosts,
+                     discounting, annualView) {
+    const params = {
+        principal, termInMonths, monthlyInterestRate, rateChanges, prepayments, paymentEvents, offsetAccount, repayment,
+        calendar, currency: localization.currency, fractionDigits: localization.fractionDigits
+    };
+    let schedule = buildSchedule(params);
+    const error = checkSchedule(schedule, repayment);
+    if (error) {
+        currentCalculation = null;
+        return error;
+    }
+    /**
+     * A reconciled mortgage is shown as the schedule up to the last reconciled month, followed by the projection from
+     * the actual balance, which can only be refinanced after the last reconciled month.
+     */
+    const reconciled = statementPayments.length > 0 ? reconcileSchedule(params, schedule, statementPayments) : null;
+    if (reconciled?.error) {
+        currentCalculation = null;
+        return reconciled.error;
+    }
+    if (reconciled && refinancing && refinancing.month <= reconciled.reconciliation.month) {
+        currentCalculation = null;
+        return {key: 'reconciliation.refinanced', values: {month: reconciled.reconciliation.month}};
+    }
+    if (reconciled) {
+        schedule = reconciled.schedule;
+    }
+    /** A refinanced mortgage is shown as the current loan up to the refinancing, followed by the new loan. */
+    const refinanced = refinancing ? refinanceMortgage(params, schedule, refinancing) : null;
+    if (refinanced?.error) {
+        currentCalculation = null;
+        return refinanced.error;
+    }
+    if (refinanced) {
+        schedule = refinanced.schedule;
+    }
+    const paymentsPerYear = PAYMENT_FREQUENCIES[repayment.frequency].paymentsPerYear;
+    /** The costs of owning the property are only summarized in the title and exported if any cost is paid. */
+    const costs = calculateOwnershipCosts(schedule, ownershipCosts, localization.fractionDigits, paymentsPerYear);
+    const hasCosts = costs.totals.upfrontFees > 0 || costs.totals.taxesAndInsurance > 0 || costs.totals.pmi > 0;
+    /** The present values are only summarized in the title and exported if the schedule is discounted at all. */
+    const discounted = discountSchedule(schedule, discounting, localization.fractionDigits, paymentsPerYear);
+    const hasDiscounting = discounted.totals.inflationRate > 0 || discounted.totals.discountRate > 0;
+
+    cancelRendering();
     while (tableBody.hasChildNodes()) {
         tableBody.removeChild(tableBody.firstChild);
     }
 
-    const monthlyPayment = calculateMonthlyPayment(principal, termInMonths, monthlyInterestRate);
-    const formatter = Intl.NumberFormat('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2});
-
-    let totalPrincipalPaid = 0;
-    let totalInterestPaid = 0;
-    for (let month = 1; month <= termInMonths; month++) {
-        const startingBalance =
-            calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, month - 1);
-        const interestPaid = calculateInterestPaid(principal, monthlyInterestRate, monthlyPayment, month);
-        totalInterestPaid += interestPaid;
-        const principalPaid = monthlyPayment - interestPaid;
-        totalPrincipalPaid += principalPaid;
-        const endingBalance = calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, month);
-
-        const row = createRow(month, startingBalance, principalPaid, totalPrincipalPaid, interestPaid,
-            totalInterestPaid, endingBalance, formatter);
-        tableBody.appendChild(row);
-
-        if (month % 12 === 0) {
-            const yearRow = month + 1 > termInMonths ?
-                createYearRow(`End of Year ${month / 12}`) :
-                createYearRow(`End of Year ${month / 12} | Start of Year ${month / 12 + 1}`);
-            tableBody.appendChild(yearRow);
+    const {rows, totals} = schedule;
+    /**
+     * Only the columns of the features in use are shown, in the same way as the title only summarizes the features in
+     * use, and the style sheet hides the cells of the others.
+     */
+    const features = Object.entries({
+        offset: Boolean(totals.offsetAccount),
+        events: totals.hasPaymentEvents,
+        costs: hasCosts,
+        reconciliation: reconciled !== null,
+        discounting: hasDiscounting
+    }).filter(([, used]) => used).map(([feature]) => feature);
+    amortizationTable.dataset.features = features.join(' ');
+    amortizationTableTitle.colSpan = countColumns(features);
+    currentCalculation = {
+        params: {
+            ...params,
+            ...(reconciled ? {reconciliation: reconciled.reconciliation} : {}),
+            ...(refinanced ? {refinancing: refinanced.refinancing} : {}),
+            ...(hasCosts ? {ownershipCosts: costs.totals} : {}),
+            ...(hasDiscounting ? {presentValue: discounted.totals} : {})
+        },
+        schedule
+    };
+    const {currencyFormatter: formatter, percentFormatter, dateFormatter, translate} = localization;
+
+    const tableRows = [];
+    const years = summarizeYears(rows, localization.fractionDigits, calendar.calendarYears, paymentsPerYear);
+    /** In the annual summary view, every year starts collapsed. */
+    collapsedYears = new Set(annualView ? years.map((year) => year.year) : []);
+    let yearIndex = 0;
+    for (const [index, row] of rows.entries()) {
+        const year = years[yearIndex];
+        if (row.rateChanged) {
+            tableRows.push(() => addToYear(createRateChangeRow(translate('separator.rateChange', {
+                previousRate: percentFormatter.format(
+                    toAnnualRate(row.previousInterestRate, repayment.frequency, repayment.compounding)),
+                rate: percentFormatter.format(
+                    toAnnualRate(row.monthlyInterestRate, repayment.frequency, repayment.compounding)),
+                payment: formatter.format(row.monthlyPayment)
+            })), year.year));
+        }
+
+        if (refinanced && row.month === refinanced.refinancing.month) {
+            tableRows.push(() => addToYear(createRefinanceRow(translate('separator.refinance', {
+                principal: formatter.format(refinanced.refinancing.principal),
+                rate: percentFormatter.format(toAnnualRate(refinanced.refinancing.monthlyInterestRate,
+                    repayment.frequency, repayment.compounding)),
+                term: localization.numberFormatter.format(refinanced.refinancing.termInMonths / paymentsPerYear),
+                payment: formatter.format(refinanced.refinancing.monthlyPayment)
+            })), year.year));
         }
+
+        tableRows.push(() => addToYear(createRow(row, costs.rows[index], discounted.rows[index],
+            reconciled?.reconciliation.rows[index], formatter, percentFormatter, dateFormatter, repayment), year.year));
+
+        /** The projection from the actual balance follows the last reconciled month, if there is one. */
+        if (reconciled && row.month === reconciled.reconciliation.month && index < rows.length - 1) {
+            tableRows.push(() => addToYear(createReconciliationRow(translate('separator.reconciled', {
+                balance: formatter.format(reconciled.reconciliation.actualBalance),
+                payment: formatter.format(rows[index + 1].monthlyPayment)
+            })), year.year));
+        }
+
+        /** The summary row of the year follows the last row of the year. */
+        if (row !== year.rows[year.rows.length - 1]) {
+            continue;
+        }
+        const lastYear = yearIndex === years.length - 1;
+        const yearText = calendar.calendarYears ?
+            translate(lastYear ? 'separator.calendarYear' : 'separator.calendarYears',
+                {year: year.year, nextYear: year.year + 1}) :
+            translate(lastYear ? 'separator.loanYear' : 'separator.loanYears',
+                {year: year.year, nextYear: year.year + 1});
+        const discountedYear = summarizeDiscountedRows(
+            discounted.rows.slice(index + 1 - year.rows.length, index + 1), localization.fractionDigits);
+        tableRows.push(() => createYearRow(yearText, year, discountedYear, formatter,
+            (event) => toggleYear(tableBody, year.year, event.target)));
+        yearIndex++;
     }
+    renderRows(tableBody, tableRows, 0);
 
     const formattedPrincipal = formatter.format(principal);
-    const formattedInterestRate = formatter.format(monthlyInterestRate * 12 * 100);
-    const formattedTerm = Intl.NumberFormat('en-US', {maximumFractionDigits: 0}).format(termInMonths / 12);
-    const formattedMonthlyPayment = formatter.format(monthlyPayment);
+    const formattedInterestRate =
+        percentFormatter.format(toAnnualRate(monthlyInterestRate, repayment.frequency, repayment.compounding));
+    const interestRateLabel =
+        translate(rateChanges.size > 0 ? 'table.title.initialInterestRate' : 'table.title.interestRate');
+    const formattedTerm = localization.numberFormatter.format(termInMonths / paymentsPerYear);
+    const repaymentLabel = repayment.type === 'annuity' ? '' : ` | ${translate(`table.title.${repayment.type}`)}`;
+    const solvedSummary = solved ?
+        `${translate('table.title.solved', {
+            unknown: translate(`form.solveFor.${solved.unknown}`),
+            payment: formatter.format(solved.payment)
+        })} | ` :
+        '';
+    const interestOnlySummary = totals.interestOnlyPayment > 0 ?
+        `${translate('table.title.interestOnlyPayment', {
+            payment: formatter.format(totals.interestOnlyPayment),
+            months: repayment.interestOnlyMonths
+        })} | ` :
+        '';
+    const monthlyPaymentSummary = translate(
+        repayment.type === 'linear' ? 'table.title.firstPayment' : 'table.title.monthlyPayment',
+        {payment: formatter.format(totals.monthlyPayment)});
+    const finalPaymentSummary = totals.finalPayment !== totals.monthlyPayment ?
+        ` | ${translate(
+            repayment.type === 'balloon' ? 'table.title.finalPaymentWithBalloon' : 'table.title.finalPayment',
+            {payment: formatter.format(totals.finalPayment)})}` :
+        '';
+
+    const prepaymentSummary = totals.hasPrepayments ?
+        ` | ${[
+            translate('table.title.interestSaved', {amount: formatter.format(totals.interestSaved)}),
+            translate('table.title.paidOff', {month: totals.finalMonth, monthsEarly: totals.monthsEarly})
+        ].join(' | ')}` :
+        '';
+    /**
+     * The last payment is shown, since a payment event may move it past the end of the term, unless the prepayment
+     * summary already shows it.
+     */
+    const paymentEventSummary = totals.hasPaymentEvents ?
+        ` | ${[
+            translate('table.title.capitalised', {amount: formatter.format(totals.capitalised)}),
+            translate('table.title.lateFees', {amount: formatter.format(totals.lateFees)}),
+            ...(totals.hasPrepayments ? [] : [translate('table.title.lastPayment', {month: totals.finalMonth})])
+        ].join(' | ')}` :
+        '';
+    const offsetSummary = totals.offsetAccount ?
+        ` | ${[
+            translate('table.title.offsetInterestSaved',
+                {amount: formatter.format(totals.offsetAccount.interestSaved)}),
+            ...(totals.offsetAccount.monthsEarly > 0 ?
+                [translate('table.title.offsetEarly', {months: totals.offsetAccount.monthsEarly})] :
+                []),
+            ...(totals.offsetAccount.paymentLowered > 0 ?
+                [translate('table.title.offsetPaymentLowered',
+                    {amount: formatter.format(totals.offsetAccount.paymentLowered)})] :
+                [])
+        ].join(' | ')}` :
+        '';
+    const refinanceSummary = refinanced ?
+        ` | ${[
+            translate('table.title.refinanced', {
+                month: refinanced.refinancing.month,
+                rate: percentFormatter.format(toAnnualRate(refinanced.refinancing.monthlyInterestRate,
+                    repayment.frequency, repayment.compounding)),
+                payment: formatter.format(refinanced.refinancing.monthlyPayment)
+            }),
+            refinanced.refinancing.breakEvenMonth === null ?
+                translate('table.title.noBreakEven') :
+                translate('table.title.breakEven', {month: refinanced.refinancing.breakEvenMonth}),
+            translate('table.title.netSavings', {amount: formatter.format(refinanced.refinancing.netSavings)})
+        ].join(' | ')}` :
+        '';
+    const reconciliationSummary = reconciled ?
+        ` | ${translate('table.title.reconciled', {
+            month: reconciled.reconciliation.month,
+            balance: formatter.format(reconciled.reconciliation.actualBalance),
+            difference: formatDifference(reconciled.reconciliation.balanceDifference, formatter)
+        })}` :
+        '';
+    const costSummary = hasCosts ?
+        `<br>${[
+            translate('table.title.outgoings', {amount: formatter.format(costs.totals.monthlyOutgoings)}),
+            translate('table.title.upfrontFees', {amount: formatter.format(costs.totals.upfrontFees)}),
+            ...(costs.totals.pmiEndMonth === null ?
+                [] :
+                [translate('table.title.pmiEnds', {month: costs.totals.pmiEndMonth})]),
+            translate('table.title.totalCost', {amount: formatter.format(costs.totals.totalCost)}),
+            ...(costs.totals.annualPercentageRate === null ?
+                [] :
+                [translate('table.title.apr', {rate: percentFormatter.format(costs.totals.annualPercentageRate)})])
+        ].join(' | ')}` :
+        '';
+    const presentValueSummary = hasDiscounting ?
+        `<br>${translate('table.title.presentValueOfInterest', {
+            rate: percentFormatter.format(discounted.totals.discountRate),
+            amount: formatter.format(discounted.totals.presentValueOfInterest)
+        })} | ${translate('table.title.presentValueOfPayments', {
+            amount: formatter.format(discounted.totals.presentValueOfPayments)
+        })}` :
+        '';
+    const formattedPayoffDate = dateFormatter.format(parseIsoDate(totals.payoffDate));
+    /** The day count convention is only shown if the interest of every month depends on its number of days. */
+    const dayCountSummary = calendar.dayCount !== '30/360' ?
+        ` | ${translate('table.title.dayCount', {convention: translate(`form.dayCount.${calendar.dayCount}`)})}` :
+        '';
+
+    amortizationTableTitle.innerHTML = `${translate('table.title', {
+        principal: formattedPrincipal,
+        rate: formattedInterestRate,
+        rateLabel: interestRateLabel,
+        term: formattedTerm
+    })}${repaymentLabel}<br>${solvedSummary}${interestOnlySummary}${monthlyPaymentSummary}${finalPaymentSummary}\
+${prepaymentSummary}${paymentEventSummary}${offsetSummary}${reconciliationSummary}${refinanceSummary} | \
+${translate('table.title.payoffDate', {date: formattedPayoffDate})}${dayCountSummary}${costSummary}\
+${presentValueSummary}`;
 
-    amortizationTableTitle.innerHTML =
-        `Mortgage Amortization Table for: €${formattedPrincipal} | ${formattedInterestRate}% Interest Rate | \
-            ${formattedTerm} Years<br>Monthly Payment: €${formattedMonthlyPayment}`;
+    renderCharts(chartsContainer, rows, localization, (month) => highlightRow(tableBody, month));
+    return null;
 }
 
 /**
- * Given the passed arguments, a row for a month in the mortgage amortization table is created.
- * @param month the month in question.
- * @param startingBalance the starting balance of the month.
- * @param principalPaid the principal paid in the month.
- * @param totalPrincipalPaid the cumulative total of the principal paid up to and including the month.
- * @param interestPaid the interest paid in the month.
- * @param totalInterestPaid the cumulative total of the interest paid up to and including the month.
- * @param endingBalance the ending balance of the month.
- * @param formatter the formatter to be used to format the currency numbers.
- * @returns {HTMLTableRowElement} the row for the month in the mortgage amortization table.
+ * Given the passed arguments, a batch of rows is added to the mortgage amortization table body, and, if there are rows
+ * left, the next batch is scheduled for the next animation frame.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param tableRows the functions that create the rows of the table, in order.
+ * @param start the index of the first row of the batch.
+ */
+function renderRows(tableBody, tableRows, start) {
+    const end = Math.min(start + RENDER_BATCH_SIZE, tableRows.length);
+    appendRows(tableBody, tableRows, start, end);
+    pendingRender = end < tableRows.length ?
+        {
+            frame: window.requestAnimationFrame(() => renderRows(tableBody, tableRows, end)),
+            tableBody,
+            tableRows,
+            start: end
+        } :
+        null;
+}
+
+/**
+ * Given the passed arguments, the rows from the start index up to the end index are created and added to the mortgage
+ * amortization table body at once, using a document fragment.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param tableRows the functions that create the rows of the table, in order.
+ * @param start the index of the first row to be added.
+ * @param end the index after the last row to be added.
+ */
+function appendRows(tableBody, tableRows, start, end) {
+    const fragment = document.createDocumentFragment();
+    for (let index = start; index < end; index++) {
+        fragment.appendChild(tableRows[index]());
+    }
+    tableBody.appendChild(fragment);
+}
+
+/**
+ * The rendering of the mortgage amortization table that is still in progress, if any, is cancelled.
+ */
+function cancelRendering() {
+    if (pendingRender !== null) {
+        window.cancelAnimationFrame(pendingRender.frame);
+        pendingRender = null;
+    }
+}
+
+/**
+ * The rendering of the mortgage amortization table that is still in progress, if any, is finished straight away.
+ */
+function finishRendering() {
+    if (pendingRender !== null) {
+        const {tableBody, tableRows, start} = pendingRender;
+        cancelRendering();
+        appendRows(tableBody, tableRows, start, tableRows.length);
+    }
+}
+
+/**
+ * The row of the given month in the mortgage amortization table is highlighted, and any row highlighted before is no
+ * longer highlighted.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param month the month whose row is highlighted, or null if no row is highlighted.
+ */
+function highlightRow(tableBody, month) {
+    tableBody.querySelector('tr.highlighted')?.classList.remove('highlighted');
+    if (month !== null) {
+        tableBody.querySelector(`tr[data-month="${month}"]`)?.classList.add('highlighted');
+    }
+}
+
+/**
+ * The balloon payment input field is enabled only for balloon repayment, since the balloon payment is not used by the
+ * other repayment types.
+ */
+function updateBalloonInput() {
+    balloonInput.disabled = repaymentTypeSelect.value !== 'balloon';
+}
+
+/**
+ * The regular payment input field is enabled only when the form solves for a figure, and the input field of that
+ * figure is made read only, since its value is calculated rather than entered.
+ */
+function updateSolverInputs() {
+    targetPaymentInput.disabled = solveForSelect.value === 'payment';
+    principalInput.readOnly = solveForSelect.value === 'principal';
+    termInput.readOnly = solveForSelect.value === 'term';
+    interestInput.readOnly = solveForSelect.value === 'interest';
+}
+
+/**
+ * Given the passed arguments, the solved figure is shown in its input field, in the whole years that the solver rounds
+ * the term up to, and rounded to an annual percentage for the interest rate, while the calculation itself uses the
+ * exact solved figure.
+ * @param unknown the figure that was solved for.
+ * @param params the principal, the term in payments, and the decimal interest rate of a payment period, including the
+ * solved figure.
+ * @param paymentFrequency the payment frequency.
+ * @param compounding the compounding frequency.
+ */
+function updateSolvedInput(unknown, params, paymentFrequency, compounding) {
+    if (unknown === 'principal') {
+        principalInput.value = String(params.principal);
+    } else if (unknown === 'term') {
+        termInput.value = String(params.termInMonths / PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear);
+    } else {
+        interestInput.value =
+            String(Number((toAnnualRate(params.monthlyInterestRate, paymentFrequency, compounding) * 100).toFixed(4)));
+    }
+}
+
+/**
+ * Given the passed arguments, the errors of the user input form are shown, by marking every validated input field as
+ * invalid or valid, and showing its error message in the element that describes it.
+ * @param errors the errors of the input fields that are not valid, keyed by the names of the input fields.
+ * @param formErrorToShow the error of the whole calculation, or null if there is none.
+ */
+function updateErrors(errors, formErrorToShow) {
+    for (const field of VALIDATED_FIELDS) {
+        const error = errors[field];
+        const input = inputForm.elements.namedItem(field);
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+        document.getElementById(`${field}-error`).textContent = error ? translateError(error) : '';
+    }
+    formError.textContent = formErrorToShow ? translateError(formErrorToShow) : '';
+    formError.hidden = !formErrorToShow;
+}
+
+/**
+ * The error of the statement of actual payments is shown, by marking the statement input field as invalid or valid, and
+ * showing the error message in the element that describes it.
+ */
+function updateStatementError() {
+    if (statement.error) {
+        statementInput.setAttribute('aria-invalid', 'true');
+    } else {
+        statementInput.removeAttribute('aria-invalid');
+    }
+    statementError.textContent = statement.error ? translateError(statement.error) : '';
+}
+
+/**
+ * Given the passed error, its message is translated into the language of the localization, with its numbers formatted
+ * for the locale.
+ * @param error the error, as returned by the validation module.
+ * @returns {string} the translated error message.
+ */
+function translateError({key, values = {}}) {
+    return localization.translate(key, Object.fromEntries(Object.entries(values).map(([name, value]) =>
+        [name, typeof value === 'number' ? localization.integerFormatter.format(value) : value])));
+}
+
+/**
+ * The buttons that use the most recent calculation are enabled only if there is a most recent calculation.
+ */
+function updateCalculationButtons() {
+    for (const button of [exportCsvButton, exportJsonButton, addScenarioButton, saveScenarioButton, addLoanButton]) {
+        button.disabled = !currentCalculation;
+    }
+}
+
+/**
+ * The page is translated into the language of the localization, by replacing the text of every element that has a
+ * 'data-i18n' attribute with the message it names, and the currency input fields accept the smallest amount of the
+ * currency.
+ */
+function updateLocalization() {
+    document.documentElement.lang = localization.language;
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+        const message = localization.translate(element.dataset.i18n, {currency: localization.currencySymbol});
+        if (element instanceof HTMLInputElement) {
+            element.value = message;
+        } else {
+            element.textContent = message;
+        }
+    }
+    for (const input of document.querySelectorAll('.currency-input')) {
+        input.step = String(Math.pow(10, -localization.fractionDigits));
+    }
+    scenarioNameInput.placeholder = localization.translate('scenario.defaultName', {number: scenarios.length + 1});
+    loanNameInput.placeholder = localization.translate('portfolio.defaultName', {number: portfolioLoans.length + 1});
+    updateComparison();
+    updatePortfolio();
+}
+
+/**
+ * Given the passed values, the input fields of the user input form that make up its state are restored. Input fields
+ * that have no value are reset to their default values from the HTML file, and the start date of the loan is set to
+ * today's date, taken in the time zone of the browser, if it is empty.
+ * @param values the values of the input fields, keyed by the names of the input fields.
+ */
+function restoreFormState(values) {
+    for (const field of STATE_FIELDS) {
+        const element = inputForm.elements.namedItem(field);
+        element.value = values[field] ?? getDefaultValue(element);
+        if (element instanceof HTMLSelectElement && element.selectedIndex === -1) {
+            element.value = getDefaultValue(element);
+        }
+    }
+
+    if (!startDateInput.value) {
+        const now = new Date();
+        startDateInput.value = toIsoDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+    }
+
+    updateBalloonInput();
+    updateSolverInputs();
+}
+
+/**
+ * Given the passed input field, its default value from the HTML file is determined.
+ * @param element the input field or drop-down list.
+ * @returns {string} the default value, which for a drop-down list is the value of the option that is selected in the
+ * HTML file, or of the first option if none is.
+ */
+function getDefaultValue(element) {
+    if (element instanceof HTMLSelectElement) {
+        return ([...element.options].find((option) => option.defaultSelected) ?? element.options[0]).value;
+    }
+    return element.defaultValue;
+}
+
+/**
+ * The values of the input fields of the user input form that make up its state are read.
+ * @returns {Object<string, string>} the values of the input fields, keyed by the names of the input fields.
+ */
+function readFormState() {
+    return Object.fromEntries(STATE_FIELDS.map((field) => [field, inputForm.elements.namedItem(field).value]));
+}
+
+/**
+ * The state of the user input form is encoded into the query string of the URL, which is added to the history of the
+ * browser, unless it is the same as the current URL, so that recalculating without changes does not add to the history.
+ */
+function updateHistory() {
+    const query = `?${encodeState(readFormState())}`;
+    if (query !== window.location.search) {
+        window.history.pushState(null, '', query);
+    }
+}
+
+/**
+ * The current state of the user input form is saved to the storage of the browser, with the name entered in the
+ * scenario name input field, or a numbered default name if no name is entered. Saving under the name of a saved
+ * scenario replaces it.
+ */
+function saveCurrentScenario() {
+    const name = scenarioNameInput.value.trim() ||
+        localization.translate('scenario.defaultSavedName', {number: loadSavedScenarios(localStorage).length + 1});
+    updateSavedScenarios(saveScenario(localStorage, name, readFormState()));
+}
+
+/**
+ * Given the passed saved scenarios, the list of saved scenarios is updated, with buttons to load or delete every saved
+ * scenario. Loading a saved scenario restores the user input form from it, enters its name in the scenario name input
+ * field, updates the mortgage amortization table, and adds the state to the history of the browser.
+ * @param saved the saved scenarios.
+ */
+function updateSavedScenarios(saved) {
+    while (savedScenariosList.hasChildNodes()) {
+        savedScenariosList.removeChild(savedScenariosList.firstChild);
+    }
+    for (const scenario of saved) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = scenario.name;
+        item.appendChild(name);
+        item.appendChild(createButton(localization.translate('button.load'), () => {
+            restoreFormState(scenario.values);
+            scenarioNameInput.value = scenario.name;
+            if (parseFormAndUpdate()) {
+                updateHistory();
+            }
+        }));
+        item.appendChild(createButton(localization.translate('button.delete'),
+            () => updateSavedScenarios(deleteSavedScenario(localStorage, scenario.name))));
+        savedScenariosList.appendChild(item);
+    }
+}
+
+/**
+ * The most recent calculation is added to the scenario comparison, with the name entered in the scenario name input
+ * field, or a numbered default name if no name is entered.
+ */
+function addScenario() {
+    const name = scenarioNameInput.value.trim() ||
+        localization.translate('scenario.defaultName', {number: scenarios.length + 1});
+    scenarios.push({name, ...currentCalculation});
+    scenarioNameInput.value = '';
+    scenarioNameInput.placeholder = localization.translate('scenario.defaultName', {number: scenarios.length + 1});
+    updateComparison();
+}
+
+/**
+ * Given the passed index, a scenario is removed from the scenario comparison.
+ * @param index the index of the scenario to be removed.
+ */
+function removeScenario(index) {
+    scenarios.splice(index, 1);
+    updateComparison();
+}
+
+/**
+ * The scenario comparison is updated with the current scenarios, by filling the comparison table with the summaries of
+ * the scenarios, refilling the drop-down lists of the schedule comparison while keeping their selection, and updating
+ * the differences between the schedules of the selected scenarios. By default, the first scenario is compared to the
+ * newest scenario. The scenario comparison is hidden if there are no scenarios.
+ */
+function updateComparison() {
+    scenarioComparison.hidden = scenarios.length === 0;
+    while (comparisonTableBody.hasChildNodes()) {
+        comparisonTableBody.removeChild(comparisonTableBody.firstChild);
+    }
+
+    for (const [index, summary] of compareScenarios(scenarios).entries()) {
+        comparisonTableBody.appendChild(createComparisonRow(summary, index, localization));
+    }
+
+    const firstIndex = Math.min(Math.max(diffFirstSelect.selectedIndex, 0), scenarios.length - 1);
+    const secondIndex = diffSecondSelect.selectedIndex < Math.min(diffSecondSelect.length, scenarios.length) - 1 ?
+        diffSecondSelect.selectedIndex :
+        scenarios.length - 1;
+    for (const select of [diffFirstSelect, diffSecondSelect]) {
+        select.replaceChildren(...scenarios.map((scenario, index) => new Option(scenario.name, String(index))));
+    }
+    diffFirstSelect.selectedIndex = firstIndex;
+    diffSecondSelect.selectedIndex = secondIndex;
+    updateDiffTable();
+}
+
+/**
+ * The differences between the schedules of the scenarios selected in the drop-down lists of the schedule comparison
+ * are calculated and shown in the difference table. The schedule comparison is hidden if there are fewer than two
+ * scenarios to compare.
+ */
+function updateDiffTable() {
+    scenarioDiff.hidden = scenarios.length < 2;
+    while (diffTableBody.hasChildNodes()) {
+        diffTableBody.removeChild(diffTableBody.firstChild);
+    }
+    if (scenarios.length < 2) {
+        return;
+    }
+
+    const formatter = localization.currencyFormatter;
+    const first = scenarios[diffFirstSelect.selectedIndex];
+    const differences = diffSchedules(first.schedule, scenarios[diffSecondSelect.selectedIndex].schedule,
+        first.params.fractionDigits);
+    for (const difference of differences) {
+        const tableRow = document.createElement('tr');
+        tableRow.appendChild(createCell(difference.month));
+        for (const [key, differenceKey] of [['payment', 'paymentDifference'],
+            ['interestPaid', 'interestDifference'], ['endingBalance', 'balanceDifference']]) {
+            tableRow.appendChild(createCell(difference.first[key], formatter));
+            tableRow.appendChild(createCell(difference.second[key], formatter));
+            tableRow.appendChild(createCell(formatDifference(difference[differenceKey], formatter)));
+        }
+        diffTableBody.appendChild(tableRow);
+    }
+}
+
+/**
+ * Given the passed arguments, a row for a scenario in the comparison table is created. Since the name of the scenario
+ * is entered by the user, it is set as the text content of its cell, so that it is never interpreted as HTML.
+ * @param summary the summary of the scenario, as calculated by the 'compareScenarios()' function.
+ * @param index the index of the scenario, which is used to remove the scenario.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row for the scenario in the comparison table.
+ */
+function createComparisonRow(summary, index, localization) {
+    const {currencyFormatter: formatter, percentFormatter, translate} = localization;
+    /** The scenario may have another payment frequency than the one chosen in the user input form. */
+    const periods = translatePeriods(localization.language, summary.paymentFrequency);
+    const tableRow = document.createElement('tr');
+    const nameCell = document.createElement('td');
+    nameCell.textContent = summary.name;
+    tableRow.appendChild(nameCell);
+    tableRow.appendChild(createCell(summary.principal, formatter));
+    tableRow.appendChild(createCell(percentFormatter.format(summary.interestRate)));
+    tableRow.appendChild(
+        createCell(translate('comparison.years', {years: localization.numberFormatter.format(summary.termInYears)})));
+    tableRow.appendChild(createCell(summary.monthlyPayment, formatter));
+    tableRow.appendChild(createCell(summary.interestPaid, formatter));
+    tableRow.appendChild(createCell(summary.totalCost, formatter));
+    tableRow.appendChild(createCell(formatDifference(summary.totalCostDifference, formatter)));
+    tableRow.appendChild(createCell(summary.payoffDate ?
+        localization.dateFormatter.format(parseIsoDate(summary.payoffDate)) :
+        translate('comparison.month', {...periods, month: summary.finalMonth})));
+
+    const removeCell = document.createElement('td');
+    removeCell.appendChild(createButton(translate('button.remove'), () => removeScenario(index)));
+    tableRow.appendChild(removeCell);
+    return tableRow;
+}
+
+/**
+ * The most recent calculation is added to the debt portfolio, with the name entered in the loan name input field, or a
+ * numbered default name if no name is entered.
+ */
+function addLoan() {
+    const name = loanNameInput.value.trim() ||
+        localization.translate('portfolio.defaultName', {number: portfolioLoans.length + 1});
+    portfolioLoans.push({name, ...currentCalculation});
+    loanNameInput.value = '';
+    loanNameInput.placeholder = localization.translate('portfolio.defaultName', {number: portfolioLoans.length + 1});
+    updatePortfolio();
+}
+
+/**
+ * Given the passed index, a loan is removed from the debt portfolio.
+ * @param index the index of the loan to be removed.
+ */
+function removeLoan(index) {
+    portfolioLoans.splice(index, 1);
+    updatePortfolio();
+}
+
+/**
+ * Given the passed index, a loan is moved up by one place in the debt portfolio, which changes the custom order.
+ * @param index the index of the loan to be moved up.
+ */
+function moveLoanUp(index) {
+    portfolioLoans.splice(index - 1, 0, ...portfolioLoans.splice(index, 1));
+    updatePortfolio();
+}
+
+/**
+ * The debt portfolio is updated with the current loans, by filling the portfolio table with the loans, the strategy
+ * table with the totals of every payoff strategy, and the schedule table with the schedules of the loans for the
+ * strategy selected in the strategy drop-down list. The placeholder of the budget input field is the total of the
+ * minimum payments, which is the budget if none is entered. The debt portfolio is hidden if there are no loans.
+ */
+function updatePortfolio() {
+    debtPortfolio.hidden = portfolioLoans.length === 0;
+    for (const tableBody of [portfolioTableBody, strategyTableBody, portfolioScheduleTableBody]) {
+        while (tableBody.hasChildNodes()) {
+            tableBody.removeChild(tableBody.firstChild);
+        }
+    }
+    if (portfolioLoans.length === 0) {
+        return;
+    }
+
+    const formatter = localization.currencyFormatter;
+    const fractionDigits = portfolioLoans[0].params.fractionDigits ?? 2;
+    const loans = describeLoans(portfolioLoans, fractionDigits);
+    for (const loan of loans) {
+        portfolioTableBody.appendChild(createPortfolioLoanRow(loan, localization));
+    }
+    portfolioBudgetInput.placeholder = String(calculateMinimumBudget(loans, fractionDigits));
+
+    const budget = parseFloat(portfolioBudgetInput.value);
+    const results = comparePayoffStrategies(portfolioLoans, Number.isNaN(budget) ? null : budget, fractionDigits);
+    /** Every strategy is paid out of the same budget, so the error, if any, is the same for every strategy. */
+    const {error} = results[0];
+    portfolioError.hidden = !error;
+    portfolioError.textContent = error ?
+        localization.translate(error.key, {minimum: formatter.format(error.values?.minimum ?? 0)}) :
+        '';
+    strategyTable.hidden = Boolean(error);
+    portfolioSchedules.hidden = Boolean(error);
+    if (error) {
+        return;
+    }
+
+    for (const {totals} of results) {
+        strategyTableBody.appendChild(createStrategyRow(totals, loans, localization));
+    }
+    for (const schedule of results[PAYOFF_STRATEGIES.indexOf(portfolioStrategySelect.value)].schedules) {
+        portfolioScheduleTableBody.appendChild(createPortfolioLoanSummaryRow(schedule, localization));
+        for (const row of schedule.rows) {
+            portfolioScheduleTableBody.appendChild(createPortfolioRow(row, localization));
+        }
+    }
+}
+
+/**
+ * Given the passed arguments, a row for a loan in the portfolio table is created, with buttons to move the loan up in
+ * the custom order, which is disabled for the first loan, and to remove the loan. Since the name of the loan is entered
+ * by the user, it is set as the text content of its cell, so that it is never interpreted as HTML.
+ * @param loan the monthly figures of the loan, as determined by the 'describeLoans()' function.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row for the loan in the portfolio table.
+ */
+function createPortfolioLoanRow(loan, localization) {
+    const {currencyFormatter: formatter, percentFormatter, translate} = localization;
+    const tableRow = document.createElement('tr');
+    const nameCell = document.createElement('td');
+    nameCell.textContent = loan.name;
+    tableRow.appendChild(nameCell);
+    tableRow.appendChild(createCell(loan.balance, formatter));
+    tableRow.appendChild(createCell(percentFormatter.format(loan.interestRate)));
+    tableRow.appendChild(createCell(loan.minimumPayment, formatter));
+
+    const buttonCell = document.createElement('td');
+    const moveUpButton = createButton(translate('button.moveUp'), () => moveLoanUp(loan.index));
+    moveUpButton.disabled = loan.index === 0;
+    buttonCell.appendChild(moveUpButton);
+    buttonCell.appendChild(createButton(translate('button.remove'), () => removeLoan(loan.index)));
+    tableRow.appendChild(buttonCell);
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, a row for a payoff strategy in the strategy table is created, with the names of the
+ * loans in the order in which they are paid off, the total interest paid, and the due date of the final payment, or
+ * its month if the loans have no due dates.
+ * @param totals the totals of the debt portfolio for the strategy, as calculated by the 'simulatePortfolio()' function.
+ * @param loans the monthly figures of the loans, as determined by the 'describeLoans()' function.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row for the strategy in the strategy table.
+ */
+function createStrategyRow(totals, loans, localization) {
+    const {currencyFormatter: formatter, translate} = localization;
+    const tableRow = document.createElement('tr');
+    tableRow.appendChild(createCell(translate(`portfolio.strategy.${totals.strategy}`)));
+    const orderCell = document.createElement('td');
+    orderCell.textContent = totals.order.map((index) => loans[index].name).join(' → ');
+    tableRow.appendChild(orderCell);
+    tableRow.appendChild(createCell(totals.interestPaid, formatter));
+    tableRow.appendChild(createCell(formatPayoff(totals, localization)));
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, the row that starts the schedule of a loan in the schedule table is created, with the
+ * name of the loan, the total interest paid on it, and when it is paid off. Since the name of the loan is entered by
+ * the user, the text is set as the text content of the cell, so that it is never interpreted as HTML.
+ * @param schedule the schedule of the loan, as calculated by the 'simulatePortfolio()' function.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row that starts the schedule of the loan.
  */
-function createRow(month, startingBalance, principalPaid, totalPrincipalPaid, interestPaid, totalInterestPaid,
-                   endingBalance, formatter) {
+function createPortfolioLoanSummaryRow(schedule, localization) {
     const row = document.createElement('tr');
-    row.appendChild(createCell(month));
-    row.appendChild(createCell(startingBalance, formatter));
-    row.appendChild(createCell(principalPaid, formatter));
-    row.appendChild(createCell(totalPrincipalPaid, formatter));
-    row.appendChild(createCell(interestPaid, formatter));
-    row.appendChild(createCell(totalInterestPaid, formatter));
-    row.appendChild(createCell(endingBalance, formatter));
+    const cell = document.createElement('td');
+    cell.textContent = localization.translate('portfolio.loanSummary', {
+        name: schedule.name,
+        amount: localization.currencyFormatter.format(schedule.totals.interestPaid),
+        paidOff: formatPayoff(schedule.totals, localization)
+    });
+    cell.classList.add('portfolio-loan-row', 'header-accent');
+    cell.setAttribute('colspan', '8');
+    row.appendChild(cell);
     return row;
 }
 
+/**
+ * Given the passed arguments, a row for a month of the schedule of a loan in the schedule table is created.
+ * @param row the row of the schedule of the loan, as calculated by the 'simulatePortfolio()' function.
+ * @param localization the localization of the page, which formats the figures of the row.
+ * @returns {HTMLTableRowElement} the row for the month in the schedule table.
+ */
+function createPortfolioRow(row, localization) {
+    const formatter = localization.currencyFormatter;
+    const tableRow = document.createElement('tr');
+    tableRow.appendChild(createCell(row.month));
+    tableRow.appendChild(createCell(row.dueDate ? localization.dateFormatter.format(parseIsoDate(row.dueDate)) : ''));
+    for (const amount of [row.startingBalance, row.payment, row.extraPayment, row.principalPaid, row.interestPaid,
+        row.endingBalance]) {
+        tableRow.appendChild(createCell(amount, formatter));
+    }
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, the time at which a loan or the whole debt portfolio is paid off is formatted, which is
+ * the due date of the final payment, or its month if the loans have no due dates.
+ * @param totals the totals of the loan or of the debt portfolio, with the final month and the payoff date.
+ * @param localization the localization of the page, which formats the date and translates the month.
+ * @returns {string} the formatted payoff date or month.
+ */
+function formatPayoff({finalMonth, payoffDate}, localization) {
+    return payoffDate ?
+        localization.dateFormatter.format(parseIsoDate(payoffDate)) :
+        localization.translate('portfolio.finalMonth', {month: finalMonth});
+}
+
+/**
+ * Given the passed arguments, a difference between two amounts is formatted, with a plus sign if the difference is
+ * positive, and a minus sign if the difference is negative.
+ * @param difference the difference to be formatted.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @returns {string} the formatted difference.
+ */
+function formatDifference(difference, formatter) {
+    const sign = difference > 0 ? '+' : difference < 0 ? '-' : '';
+    return `${sign}${formatter.format(Math.abs(difference))}`;
+}
+
+/**
+ * Given the passed arguments, a file with the given content is downloaded, by creating a temporary link to the content
+ * and clicking the link.
+ * @param fileName the name of the downloaded file.
+ * @param type the MIME type of the content.
+ * @param content the content of the file.
+ */
+function downloadFile(fileName, type, content) {
+    const url = URL.createObjectURL(new Blob([content], {type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Given the passed arguments, a row for a month in the mortgage amortization table is created. A month with a payment
+ * event is flagged, by labelling the event next to the month and adding a class to the row. The actual figures of a
+ * reconciled month are highlighted where they differ from the schedule, and are left empty for any other month.
+ * @param row the row of the mortgage amortization schedule for the month in question.
+ * @param costRow the costs of owning the property in the month in question.
+ * @param discountedRow the discounted figures of the month in question.
+ * @param reconciledRow the actual figures of the month in question, or undefined if the month is not reconciled.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @param percentFormatter the formatter to be used to format the interest rate.
+ * @param dateFormatter the formatter to be used to format the due date.
+ * @param repayment the repayment structure, whose payment frequency and compounding frequency convert the interest rate
+ * of a payment period back to the annual interest rate.
+ * @returns {HTMLTableRowElement} the row for the month in the mortgage amortization table.
+ */
+function createRow(row, costRow, discountedRow, reconciledRow, formatter, percentFormatter, dateFormatter,
+                   repayment) {
+    const tableRow = document.createElement('tr');
+    tableRow.dataset.month = String(row.month);
+    const monthCell = tableRow.appendChild(createCell(row.month));
+    if (row.paymentEvent) {
+        tableRow.classList.add('payment-event-row');
+        const eventLabel = document.createElement('span');
+        eventLabel.classList.add('payment-event');
+        eventLabel.textContent = localization.translate(`event.${row.paymentEvent}`);
+        monthCell.appendChild(eventLabel);
+    }
+    tableRow.appendChild(createCell(dateFormatter.format(parseIsoDate(row.dueDate))));
+    tableRow.appendChild(createCell(
+        percentFormatter.format(toAnnualRate(row.monthlyInterestRate, repayment.frequency, repayment.compounding))));
+    tableRow.appendChild(createCell(row.startingBalance, formatter));
+    tableRow.appendChild(createCell(row.extraPayment, formatter));
+    tableRow.appendChild(createCell(row.principalPaid, formatter));
+    tableRow.appendChild(createCell(row.totalPrincipalPaid, formatter));
+    tableRow.appendChild(createCell(row.interestPaid, formatter));
+    tableRow.appendChild(createCell(row.totalInterestPaid, formatter));
+    tableRow.appendChild(createFeatureCell('offset', row.offsetBalance, formatter));
+    tableRow.appendChild(createFeatureCell('offset', row.interestOffset, formatter));
+    tableRow.appendChild(createFeatureCell('events', row.lateFee, formatter));
+    tableRow.appendChild(createFeatureCell('events', row.arrears, formatter));
+    tableRow.appendChild(createFeatureCell('costs', costRow.taxesAndInsurance, formatter));
+    tableRow.appendChild(createFeatureCell('costs', costRow.pmi, formatter));
+    tableRow.appendChild(createFeatureCell('costs', costRow.outgoings, formatter));
+    tableRow.appendChild(createCell(row.endingBalance, formatter));
+    tableRow.appendChild(createActualCell(reconciledRow?.actualPrincipal, reconciledRow?.principalDifference,
+        formatter));
+    tableRow.appendChild(createActualCell(reconciledRow?.actualInterest, reconciledRow?.interestDifference,
+        formatter));
+    tableRow.appendChild(createActualCell(reconciledRow?.actualBalance, reconciledRow?.balanceDifference,
+        formatter));
+    tableRow.appendChild(createFeatureCell('discounting', discountedRow.realBalance, formatter));
+    tableRow.appendChild(createFeatureCell('discounting', discountedRow.presentValue, formatter));
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, a cell for an actual figure of a month in the mortgage amortization table is created,
+ * which is highlighted, with the difference as its tooltip, if the actual figure differs from the schedule.
+ * @param actual the actual figure, or undefined if the month is not reconciled, in which case the cell is left empty.
+ * @param difference the actual figure minus the figure of the schedule.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @returns {HTMLTableCellElement} the cell for the actual figure in the mortgage amortization table.
+ */
+function createActualCell(actual, difference, formatter) {
+    if (actual === undefined) {
+        return createFeatureCell('reconciliation', '');
+    }
+    const cell = createFeatureCell('reconciliation', actual, formatter);
+    if (difference !== 0) {
+        cell.classList.add('reconciled-difference');
+        cell.title = localization.translate('table.difference', {amount: formatDifference(difference, formatter)});
+    }
+    return cell;
+}
+
 /**
  * Given the passed arguments, a cell for a month in the mortgage amortization table is created.
  * @param text the text to be displayed in the cell.
@@ -204,21 +1429,169 @@ function createRow(month, startingBalance, principalPaid, totalPrincipalPaid, in
  */
 function createCell(text, formatter = undefined) {
     const cell = document.createElement('td');
-    cell.innerHTML = formatter ? `€${formatter.format(text)}` : text;
+    cell.innerHTML = formatter ? formatter.format(text) : text;
     return cell;
 }
 
 /**
- * A row for a year separator in the mortgage amortization table is created, with the given text.
+ * Given the passed arguments, a cell for a column of a feature in the mortgage amortization table is created, which is
+ * only shown if the feature is in use.
+ * @param feature the name of the feature, such as 'costs'.
+ * @param text the text to be displayed in the cell.
+ * @param formatter the formatter, if any, to be used to format the currency numbers.
+ * @returns {HTMLTableCellElement}
+ */
+function createFeatureCell(feature, text, formatter = undefined) {
+    const cell = createCell(text, formatter);
+    cell.dataset.feature = feature;
+    return cell;
+}
+
+/**
+ * Given the passed arguments, a button is created, which calls the given function when it is clicked.
+ * @param text the text to be displayed on the button.
+ * @param onClick the function called when the button is clicked.
+ * @returns {HTMLInputElement} the button.
+ */
+function createButton(text, onClick) {
+    const button = document.createElement('input');
+    button.type = 'button';
+    button.value = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Given the passed arguments, the summary row of a year in the mortgage amortization table is created, which is also
+ * the year separator. It shows the subtotals and the ending balance of the year, and has a toggle button that collapses
+ * or expands the rows of the year.
+ * @param text the text to be displayed in the row.
+ * @param year the summary of the year, as calculated by the 'summarizeYears()' function.
+ * @param discountedYear the summary of the discounted figures of the year, as calculated by the
+ * 'summarizeDiscountedRows()' function.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @param onToggle the function called when the toggle button is clicked.
+ * @returns {HTMLTableRowElement}
+ */
+function createYearRow(text, year, discountedYear, formatter, onToggle) {
+    const tableRow = document.createElement('tr');
+    const collapsed = collapsedYears.has(year.year);
+    const toggleButton =
+        createButton(localization.translate(collapsed ? 'button.expand' : 'button.collapse'), onToggle);
+    toggleButton.classList.add('year-toggle');
+    toggleButton.setAttribute('aria-expanded', String(!collapsed));
+    const labelCell = createCell(text);
+    labelCell.setAttribute('colspan', '4');
+    labelCell.prepend(toggleButton);
+    /**
+     * The columns of the totals, of the costs of owning the property, and of the actual figures are left empty, and the
+     * arrears are those at the end of the year.
+     */
+    const cells = [
+        labelCell, createCell(year.extraPayment, formatter), createCell(year.principalPaid, formatter), createCell(''),
+        createCell(year.interestPaid, formatter), createCell(''),
+        createFeatureCell('offset', year.offsetBalance, formatter),
+        createFeatureCell('offset', year.interestOffset, formatter),
+        createFeatureCell('events', year.lateFees, formatter), createFeatureCell('events', year.arrears, formatter),
+        createFeatureCell('costs', ''), createFeatureCell('costs', ''), createFeatureCell('costs', ''),
+        createCell(year.endingBalance, formatter), createFeatureCell('reconciliation', ''),
+        createFeatureCell('reconciliation', ''), createFeatureCell('reconciliation', ''),
+        createFeatureCell('discounting', discountedYear.realBalance, formatter),
+        createFeatureCell('discounting', discountedYear.presentValue, formatter)
+    ];
+    for (const cell of cells) {
+        cell.classList.add('year-row', 'header-accent');
+        tableRow.appendChild(cell);
+    }
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, a row of the mortgage amortization table is added to the group of the year it belongs to,
+ * and is hidden if the year is collapsed.
+ * @param tableRow the row of the mortgage amortization table.
+ * @param year the year that the row belongs to.
+ * @returns {HTMLTableRowElement}
+ */
+function addToYear(tableRow, year) {
+    tableRow.dataset.year = String(year);
+    tableRow.hidden = collapsedYears.has(year);
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, the rows of a year in the mortgage amortization table are collapsed if they are shown,
+ * and expanded otherwise. Rows that have not been added to the table yet follow when they are added.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param year the year to be collapsed or expanded.
+ * @param toggleButton the toggle button of the year, whose label is updated to match.
+ */
+function toggleYear(tableBody, year, toggleButton) {
+    const collapsed = !collapsedYears.has(year);
+    if (collapsed) {
+        collapsedYears.add(year);
+    } else {
+        collapsedYears.delete(year);
+    }
+    for (const tableRow of tableBody.querySelectorAll(`tr[data-year="${year}"]`)) {
+        tableRow.hidden = collapsed;
+    }
+    toggleButton.value = localization.translate(collapsed ? 'button.expand' : 'button.collapse');
+    toggleButton.setAttribute('aria-expanded', String(!collapsed));
+}
+
+/**
+ * A row for an interest rate change separator in the mortgage amortization table is created, with the given text.
  * @param text the text to be displayed in the row.
  * @returns {HTMLTableRowElement}
  */
-function createYearRow(text) {
+function createRateChangeRow(text) {
+    return createSeparatorRow(text, 'rate-change-row');
+}
+
+/**
+ * A row for a refinancing separator in the mortgage amortization table is created, with the given text.
+ * @param text the text to be displayed in the row.
+ * @returns {HTMLTableRowElement}
+ */
+function createRefinanceRow(text) {
+    return createSeparatorRow(text, 'refinance-row');
+}
+
+/**
+ * A row for a reconciliation separator in the mortgage amortization table is created, with the given text.
+ * @param text the text to be displayed in the row.
+ * @returns {HTMLTableRowElement}
+ */
+function createReconciliationRow(text) {
+    return createSeparatorRow(text, 'reconciliation-row');
+}
+
+/**
+ * A separator row spanning the entire width of the mortgage amortization table is created, with the given text and
+ * class.
+ * @param text the text to be displayed in the row.
+ * @param className the class, used for styling purposes, that identifies the kind of separator.
+ * @returns {HTMLTableRowElement}
+ */
+function createSeparatorRow(text, className) {
     const row = document.createElement('tr');
     const cell = document.createElement('td');
     cell.innerHTML = text;
-    cell.classList.add('year-row', 'header-accent');
-    cell.setAttribute('colspan', '7');
+    cell.classList.add(className, 'header-accent');
+    cell.setAttribute('colspan', String(amortizationTableTitle.colSpan));
     row.appendChild(cell);
     return row;
+}
+
+/**
+ * Given the passed features, the number of columns of the mortgage amortization table that are shown is counted, which
+ * are the columns of the header row below the title, apart from the columns of the features that are not in use.
+ * @param features the names of the features in use.
+ * @returns {number}
+ */
+function countColumns(features) {
+    return [...amortizationTable.tHead.rows[1].cells]
+        .filter((cell) => !cell.dataset.feature || features.includes(cell.dataset.feature))
+        .reduce((count, cell) => count + cell.colSpan, 0);
 }
\ No newline at end of file
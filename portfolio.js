@@ -0,0 +1,320 @@
+/**
+ * The debt portfolio, which pays off several loans, such as a mortgage, a car loan and a student loan, out of a single
+ * total monthly budget, and compares the payoff strategies that decide which loan is paid off first. None of the
+ * functions in this module access the DOM, so that the module can be imported both by the web page and by the test
+ * suite, which is run with Node.js.
+ */
+import {calculateInterestPaid, toMajorUnits, toMinorUnits} from './amortization.js';
+import {calculateDueDate} from './dates.js';
+import {PAYMENT_FREQUENCIES, toAnnualRate} from './frequency.js';
+
+/**
+ * The payoff strategies, which decide the order in which the loans are paid off. With 'avalanche' the loan with the
+ * highest interest rate is paid off first, which pays the least interest, with 'snowball' the loan with the smallest
+ * balance is paid off first, which pays off the first loans soonest, and with 'custom' the loans are paid off in the
+ * order in which they are listed.
+ * @type {string[]}
+ */
+export const PAYOFF_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+/**
+ * The maximum number of months that a debt portfolio is simulated for, which is the same as the maximum term of 100
+ * years, so that a budget that never pays off the loans does not simulate forever.
+ * @type {number}
+ */
+export const MAXIMUM_PORTFOLIO_MONTHS = 1200;
+
+/**
+ * Given the passed loans, the monthly figures of every loan are determined, which is needed since the budget of the
+ * portfolio is monthly, whatever the payment frequency of the loan. The interest rate of a payment period is converted
+ * into the monthly interest rate that compounds to the same interest over a year, and the regular payment is converted
+ * into the monthly payment that pays the same amount per year, which is the minimum payment of the loan.
+ * @param loans the loans of the portfolio, each with a name, the parameters of the loan, and the amortization schedule
+ * built from those parameters, in the order in which they are listed.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {PortfolioLoan[]} the monthly figures of the loans, in the same order as the loans.
+ */
+export function describeLoans(loans, fractionDigits = 2) {
+    return loans.map(({name, params, schedule}, index) => {
+        /**
+         * The payment and compounding frequencies of the loan, which are monthly and with every payment by default.
+         * @type {string}
+         */
+        const frequency = params.repayment?.frequency ?? 'monthly';
+        const compounding = params.repayment?.compounding ?? 'payment';
+        /**
+         * The number of payments made per year, which is 12 for monthly payments.
+         * @type {number}
+         */
+        const paymentsPerYear = PAYMENT_FREQUENCIES[frequency].paymentsPerYear;
+        /** The monthly figures of the loan are returned, with the index of the loan in the list. */
+        return {
+            index,
+            name,
+            balance: params.principal,
+            interestRate: toAnnualRate(params.monthlyInterestRate, frequency, compounding),
+            monthlyInterestRate: paymentsPerYear === 12 ?
+                params.monthlyInterestRate :
+                Math.pow(1 + params.monthlyInterestRate, paymentsPerYear / 12) - 1,
+            minimumPayment: toMajorUnits(
+                toMinorUnits(schedule.totals.monthlyPayment * paymentsPerYear / 12, fractionDigits), fractionDigits)
+        };
+    });
+}
+
+/**
+ * Given the passed arguments, the smallest total monthly budget that covers the minimum payments of the loans is
+ * calculated, adding up the minimum payments in minor units.
+ * @param loans the monthly figures of the loans, as determined by the 'describeLoans()' function.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the total of the minimum payments.
+ */
+export function calculateMinimumBudget(loans, fractionDigits = 2) {
+    return toMajorUnits(
+        loans.reduce((total, loan) => total + toMinorUnits(loan.minimumPayment, fractionDigits), 0), fractionDigits);
+}
+
+/**
+ * Given the passed arguments, the order in which the loans are paid off is determined by the payoff strategy. Loans
+ * that tie are left in the order in which they are listed.
+ * @param loans the monthly figures of the loans, as determined by the 'describeLoans()' function.
+ * @param strategy the payoff strategy, which is one of the 'PAYOFF_STRATEGIES'.
+ * @returns {PortfolioLoan[]} the loans, in the order in which they are paid off.
+ */
+export function orderLoans(loans, strategy) {
+    /** With avalanche, the highest interest rate comes first, and a tie goes to the smallest balance. */
+    if (strategy === 'avalanche') {
+        return [...loans].sort((first, second) =>
+            second.monthlyInterestRate - first.monthlyInterestRate || first.balance - second.balance);
+    }
+    /** With snowball, the smallest balance comes first, and a tie goes to the highest interest rate. */
+    if (strategy === 'snowball') {
+        return [...loans].sort((first, second) =>
+            first.balance - second.balance || second.monthlyInterestRate - first.monthlyInterestRate);
+    }
+    /** Otherwise, the loans are paid off in the order in which they are listed. */
+    return [...loans];
+}
+
+/**
+ * Given the passed arguments, the debt portfolio is paid off month by month using a payoff strategy.
+ *
+ * Every month, the interest of every loan that is not yet paid off is charged on its balance, and the minimum payment
+ * of every loan is paid out of the budget, up to what is owed on the loan. The rest of the budget is then paid towards
+ * the first loan in the order of the payoff strategy, and once that loan is paid off, towards the next one. Since the
+ * budget stays the same, the minimum payment of a loan that is paid off is rolled into the next loan. Every loan
+ * charges interest at the monthly interest rate that applies until its first interest rate change, and its other
+ * features, such as prepayments and payment events, are not used, since the portfolio decides how it is paid off.
+ * All amounts are calculated in minor units, so that they are not affected by floating point rounding errors.
+ * @param loans the loans of the portfolio, as passed to the 'describeLoans()' function. The due dates follow the
+ * calendar of the first loan, if it has one.
+ * @param budget the total monthly budget, or null to pay only the total of the minimum payments.
+ * @param strategy the payoff strategy, which is one of the 'PAYOFF_STRATEGIES'.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {{schedules: PortfolioSchedule[], totals: PortfolioTotals|null, error: ValidationError|null}} the schedule
+ * of every loan, in the order in which the loans are listed, and the totals of the portfolio, or the error if the
+ * budget does not pay off the loans.
+ */
+export function simulatePortfolio(loans, budget, strategy, fractionDigits = 2) {
+    /**
+     * All amounts are converted from minor units into major units using this function, which passes the number of
+     * fraction digits of the currency to the 'toMajorUnits()' function.
+     * @param amount the amount as a whole number of minor units.
+     * @returns {number} the amount in major units.
+     */
+    const toMajor = (amount) => toMajorUnits(amount, fractionDigits);
+    /**
+     * All amounts are converted from major units into minor units using this function, which passes the number of
+     * fraction digits of the currency to the 'toMinorUnits()' function.
+     * @param amount the amount in major units.
+     * @returns {number} the amount as a whole number of minor units.
+     */
+    const toMinor = (amount) => toMinorUnits(amount, fractionDigits);
+    /**
+     * The monthly figures of the loans, in the order in which they are paid off.
+     * @type {PortfolioLoan[]}
+     */
+    const ordered = orderLoans(describeLoans(loans, fractionDigits), strategy);
+    /**
+     * The total of the minimum payments, in minor units, which the budget has to cover.
+     * @type {number}
+     */
+    const minimumBudget = toMinor(calculateMinimumBudget(ordered, fractionDigits));
+    /**
+     * The total monthly budget, in minor units, which is the total of the minimum payments if no budget is given.
+     * @type {number}
+     */
+    const monthlyBudget = budget === null ? minimumBudget : toMinor(budget);
+    if (monthlyBudget < minimumBudget) {
+        return {
+            schedules: [], totals: null,
+            error: {key: 'portfolio.budgetTooLow', values: {minimum: toMajor(minimumBudget)}}
+        };
+    }
+
+    /**
+     * The calendar of the first loan, which gives the due dates of the portfolio, if it has one.
+     * @type {Object|null}
+     */
+    const calendar = loans[0]?.params.calendar ?? null;
+    /**
+     * The state of every loan while it is paid off, in the order in which the loans are paid off, with its balance and
+     * the total interest paid, in minor units, and its rows.
+     * @type {{loan: PortfolioLoan, balance: number, interestPaid: number, rows: PortfolioRow[]}[]}
+     */
+    const states = ordered.map((loan) => ({loan, balance: toMinor(loan.balance), interestPaid: 0, rows: []}));
+    /**
+     * This variable is used to keep track of the month, which is the last month in which a payment is made once every
+     * loan is paid off.
+     * @type {number}
+     */
+    let month = 0;
+    /** Months are simulated until every loan is paid off, or until the maximum number of months is reached. */
+    while (states.some((state) => state.balance > 0)) {
+        if (month === MAXIMUM_PORTFOLIO_MONTHS) {
+            return {schedules: [], totals: null, error: {key: 'portfolio.neverPaidOff'}};
+        }
+        month++;
+        /**
+         * The loans that are not yet paid off at the start of the month.
+         * @type {Object[]}
+         */
+        const unpaid = states.filter((state) => state.balance > 0);
+        /**
+         * The interest charged on every unpaid loan in the month, rounded to the nearest minor unit.
+         * @type {number[]}
+         */
+        const interest = unpaid.map((state) =>
+            Math.round(calculateInterestPaid(state.balance, state.loan.monthlyInterestRate)));
+        /**
+         * The minimum payment made on every unpaid loan, which is at most what is owed on the loan.
+         * @type {number[]}
+         */
+        const minimumPayments = unpaid.map((state, index) =>
+            Math.min(toMinor(state.loan.minimumPayment), state.balance + interest[index]));
+        /**
+         * This variable is used to keep track of the budget that is left over after the minimum payments, which is
+         * paid towards the loans in the order of the payoff strategy.
+         * @type {number}
+         */
+        let leftOver = monthlyBudget - minimumPayments.reduce((total, payment) => total + payment, 0);
+        /** Every unpaid loan is paid, in the order of the payoff strategy. */
+        for (const [index, state] of unpaid.entries()) {
+            /**
+             * The part of the left over budget that is paid towards the loan, on top of its minimum payment, which is
+             * at most the rest of what is owed on the loan.
+             * @type {number}
+             */
+            const extraPayment = Math.min(leftOver, state.balance + interest[index] - minimumPayments[index]);
+            leftOver -= extraPayment;
+            /**
+             * The interest paid in the month, which is at most the payment, and the principal paid, which is the rest
+             * of the payment. Any interest that is not paid is added to the balance.
+             * @type {number}
+             */
+            const interestPaid = Math.min(interest[index], minimumPayments[index] + extraPayment);
+            const principalPaid = minimumPayments[index] + extraPayment - interest[index];
+            state.rows.push({
+                month,
+                dueDate: calendar ? calculateDueDate(calendar, month) : null,
+                startingBalance: toMajor(state.balance),
+                payment: toMajor(minimumPayments[index]),
+                extraPayment: toMajor(extraPayment),
+                principalPaid: toMajor(Math.max(principalPaid, 0)),
+                interestPaid: toMajor(interestPaid),
+                endingBalance: toMajor(state.balance - principalPaid)
+            });
+            state.balance -= principalPaid;
+            state.interestPaid += interestPaid;
+        }
+    }
+
+    /**
+     * The schedule of every loan, in the order in which the loans are listed.
+     * @type {PortfolioSchedule[]}
+     */
+    const schedules = states.map((state) => ({
+        index: state.loan.index,
+        name: state.loan.name,
+        rows: state.rows,
+        totals: {
+            interestPaid: toMajor(state.interestPaid),
+            finalMonth: state.rows.length,
+            payoffDate: state.rows[state.rows.length - 1]?.dueDate ?? null
+        }
+    })).sort((first, second) => first.index - second.index);
+    /** The schedules and the totals of the portfolio are returned. */
+    return {
+        schedules,
+        totals: {
+            strategy,
+            order: ordered.map((loan) => loan.index),
+            budget: toMajor(monthlyBudget),
+            interestPaid: toMajor(states.reduce((total, state) => total + state.interestPaid, 0)),
+            finalMonth: month,
+            payoffDate: calendar && month > 0 ? calculateDueDate(calendar, month) : null
+        },
+        error: null
+    };
+}
+
+/**
+ * Given the passed arguments, the debt portfolio is paid off using every payoff strategy, so that the strategies can
+ * be compared side by side.
+ * @param loans the loans of the portfolio, as passed to the 'describeLoans()' function.
+ * @param budget the total monthly budget, or null to pay only the total of the minimum payments.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {{schedules: PortfolioSchedule[], totals: PortfolioTotals|null, error: ValidationError|null}[]} the results
+ * of the 'simulatePortfolio()' function, in the order of the 'PAYOFF_STRATEGIES'.
+ */
+export function comparePayoffStrategies(loans, budget, fractionDigits = 2) {
+    return PAYOFF_STRATEGIES.map((strategy) => simulatePortfolio(loans, budget, strategy, fractionDigits));
+}
+
+/**
+ * The monthly figures of a single loan of the debt portfolio.
+ * @typedef {Object} PortfolioLoan
+ * @property {number} index the index of the loan, in the order in which the loans are listed.
+ * @property {string} name the name of the loan.
+ * @property {number} balance the balance of the loan when the portfolio starts to be paid off, which is its principal.
+ * @property {number} interestRate the decimal annual interest rate of the loan, as it was entered.
+ * @property {number} monthlyInterestRate the decimal monthly interest rate of the loan.
+ * @property {number} minimumPayment the minimum monthly payment of the loan.
+ */
+
+/**
+ * A single month of the schedule of a loan of the debt portfolio.
+ * @typedef {Object} PortfolioRow
+ * @property {number} month the month in question.
+ * @property {string|null} dueDate the due date of the payment, as an ISO 8601 date string, or null if the first loan
+ * has no calendar.
+ * @property {number} startingBalance the balance at the start of the month.
+ * @property {number} payment the minimum payment made in the month.
+ * @property {number} extraPayment the part of the budget paid on top of the minimum payment, which includes the
+ * minimum payments of the loans that are already paid off.
+ * @property {number} principalPaid the principal paid in the month.
+ * @property {number} interestPaid the interest paid in the month.
+ * @property {number} endingBalance the balance at the end of the month.
+ */
+
+/**
+ * The schedule of a single loan of the debt portfolio.
+ * @typedef {Object} PortfolioSchedule
+ * @property {number} index the index of the loan, in the order in which the loans are listed.
+ * @property {string} name the name of the loan.
+ * @property {PortfolioRow[]} rows the rows of the months until the loan is paid off.
+ * @property {{interestPaid: number, finalMonth: number, payoffDate: (string|null)}} totals the total interest paid on
+ * the loan, the last month in which a payment is made on it, and the due date of that payment, if there is one.
+ */
+
+/**
+ * The totals of the debt portfolio for a single payoff strategy.
+ * @typedef {Object} PortfolioTotals
+ * @property {string} strategy the payoff strategy, which is one of the 'PAYOFF_STRATEGIES'.
+ * @property {number[]} order the indexes of the loans, in the order in which they are paid off.
+ * @property {number} budget the total monthly budget.
+ * @property {number} interestPaid the total interest paid on all the loans.
+ * @property {number} finalMonth the last month in which a payment is made on any loan.
+ * @property {string|null} payoffDate the due date of the final payment, as an ISO 8601 date string, or null if the
+ * first loan has no calendar.
+ */
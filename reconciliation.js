@@ -0,0 +1,570 @@
+/**
+ * The reconciliation of a live loan, which lines up a statement of the payments that were actually made against the
+ * mortgage amortization schedule, works out the principal, interest, and balance that those payments really paid, and
+ * restarts the projection of the rest of the loan from the real outstanding balance. None of the functions in this
+ * module access the DOM, so that the module can be imported both by the web page and by the test suite, which is run
+ * with Node.js.
+ */
+import {
+    advanceOffsetAccount,
+    buildSchedule,
+    calculateAccruedInterestRate,
+    calculateInterestPaid,
+    summarizeOffsetAccount,
+    toMajorUnits,
+    toMinorUnits
+} from './amortization.js';
+import {countDays, parseIsoDate, toIsoDate} from './dates.js';
+import {PAYMENT_FREQUENCIES} from './frequency.js';
+import {checkSchedule} from './validation.js';
+
+/**
+ * Given the passed text, a statement of actual payments is parsed, which is either JSON or CSV. A JSON statement is an
+ * array of payments, or an object with such an array as its 'payments' property, where every payment has a 'date' and
+ * an 'amount'. A CSV statement has a payment on every line, made up of the date and the amount, and may start with a
+ * header line. The delimiter is a semicolon if the text contains one, in which case the decimal separator may be a
+ * comma, as exported by spreadsheet applications in such locales, and is otherwise a comma. A field may be enclosed in
+ * double quotes, as exported by banks, so that an amount may contain grouping separators, such as "1,264.14". Every
+ * date must be an ISO 8601 date, and every amount a number of at least 0. Empty lines are ignored.
+ * @param text the text of the statement.
+ * @returns {{payments: StatementPayment[], error: ValidationError|null}} the payments, sorted by date, or the error
+ * if the statement cannot be parsed.
+ */
+export function parseStatement(text) {
+    /**
+     * The text of the statement without any leading or trailing whitespace, such as a trailing line break.
+     * @type {string}
+     */
+    const trimmed = text.trim();
+    /**
+     * The entries of the statement, each made up of the text of the entry, its date, and its amount, which are parsed
+     * from JSON if the text starts like a JSON array or object, and from CSV otherwise.
+     * @type {{entry: string, date: *, amount: *}[]|null}
+     */
+    const entries = /^[[{]/.test(trimmed) ? readJsonEntries(trimmed) : readCsvEntries(trimmed);
+    if (entries === null) {
+        return {payments: [], error: {key: 'reconciliation.invalidJson'}};
+    }
+
+    /**
+     * The payments of the statement, which are initially empty.
+     * @type {StatementPayment[]}
+     */
+    const payments = [];
+    /** Every entry is checked and converted into a payment. */
+    for (const {entry, date, amount} of entries) {
+        /**
+         * The date of the payment, which is null if it is not a valid ISO 8601 date.
+         * @type {Date|null}
+         */
+        const paymentDate = typeof date === 'string' ? parseIsoDate(date.trim()) : null;
+        /**
+         * The amount of the payment, as a number.
+         * @type {number}
+         */
+        const paymentAmount = typeof amount === 'number' ? amount : Number(String(amount ?? '').trim() || NaN);
+        if (!paymentDate || !Number.isFinite(paymentAmount) || paymentAmount < 0) {
+            return {payments: [], error: {key: 'reconciliation.invalidEntry', values: {entry}}};
+        }
+        payments.push({date: toIsoDate(paymentDate), amount: paymentAmount});
+    }
+    /** A statement without any payments has nothing to reconcile. */
+    if (payments.length === 0) {
+        return {payments, error: {key: 'reconciliation.empty'}};
+    }
+    /**
+     * The payments are returned in the order of their dates, which ISO 8601 date strings sort into, while payments on
+     * the same date keep the order of the statement.
+     */
+    return {payments: payments.sort((first, second) => first.date.localeCompare(second.date)), error: null};
+}
+
+/**
+ * Given the passed arguments, the payments of a statement are lined up against the mortgage amortization schedule, and
+ * the projection of the rest of the loan is restarted from the real outstanding balance.
+ *
+ * Every payment belongs to the row of the schedule whose due date is nearest to the date of the payment, as found by
+ * the 'findPaymentRow()' function, so that a payment made a few days early or late counts towards the instalment it
+ * was meant for, and several payments towards the same row are added up. The last reconciled month is the last row
+ * that any payment belongs to, and every row up to it is reconciled, including rows without any payment, which are
+ * then unpaid. In every reconciled month, the interest is charged on the real starting balance at the interest rate
+ * of the schedule, and the actual payment pays the interest first, then the principal. Any interest that the payment
+ * does not cover is added to the balance, and any amount paid beyond the balance is ignored.
+ *
+ * The rows of the reconciled months are kept as they are in the schedule, which are the expected figures, and the
+ * actual figures are returned alongside them. The rows after the last reconciled month are projected by building the
+ * rest of the loan using the 'buildSchedule()' function, with the real balance as its principal, over the rest of the
+ * term, keeping the interest rate, the instalment, the interest rate changes, the prepayments, and the payment events
+ * of the schedule. They are numbered on from the last reconciled month, and their cumulative totals are added to those
+ * that were actually paid.
+ * @param params the parameters of the mortgage, as passed to the 'buildSchedule()' function, including the calendar,
+ * since the payments are lined up by the due dates of the rows.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param payments the payments of the statement, sorted by date, as parsed by the 'parseStatement()' function.
+ * @returns {{schedule: {rows: ScheduleRow[], totals: ScheduleTotals}|null, reconciliation: Reconciliation|null,
+ * error: ValidationError|null}} the mortgage amortization schedule projected from the real balance and the actual
+ * figures of the reconciled months, or the error if the payments cannot be reconciled.
+ */
+export function reconcileSchedule(params, schedule, payments) {
+    /**
+     * The number of fraction digits of the currency, which is 2 for cents.
+     * @type {number}
+     */
+    const fractionDigits = params.fractionDigits ?? 2;
+    /**
+     * All amounts are converted from minor units into major units using this function, which passes the number of
+     * fraction digits of the currency to the 'toMajorUnits()' function.
+     * @param amount the amount as a whole number of minor units.
+     * @returns {number} the amount in major units.
+     */
+    const toMajor = (amount) => toMajorUnits(amount, fractionDigits);
+    /**
+     * All amounts are converted from major units into minor units using this function, which passes the number of
+     * fraction digits of the currency to the 'toMinorUnits()' function.
+     * @param amount the amount in major units.
+     * @returns {number} the amount as a whole number of minor units.
+     */
+    const toMinor = (amount) => toMinorUnits(amount, fractionDigits);
+    /** The payments can only be lined up against the rows if the rows have due dates. */
+    if (!schedule.rows[0]?.dueDate) {
+        return {schedule: null, reconciliation: null, error: {key: 'reconciliation.noDueDates'}};
+    }
+
+    /**
+     * The amounts paid towards every row, in minor units, in the order of the rows.
+     * @type {number[]}
+     */
+    const amountsPaid = schedule.rows.map(() => 0);
+    /**
+     * This variable is used to keep track of the number of reconciled months, which is the number of the last row
+     * that any payment belongs to.
+     * @type {number}
+     */
+    let reconciledMonths = 0;
+    /** Every payment is added to the row whose due date is nearest to its date. */
+    for (const payment of payments) {
+        /**
+         * The index of the row that the payment belongs to, which is -1 if the payment is made after the final row.
+         * @type {number}
+         */
+        const index = findPaymentRow(schedule.rows, params.calendar.startDate, payment.date);
+        if (index === -1) {
+            return {
+                schedule: null, reconciliation: null,
+                error: {key: 'reconciliation.afterPayoff', values: {date: payment.date}}
+            };
+        }
+        amountsPaid[index] += toMinor(payment.amount);
+        reconciledMonths = Math.max(reconciledMonths, index + 1);
+    }
+
+    /**
+     * This variable is used to keep track of the real balance, in minor units, which starts at the principal.
+     * @type {number}
+     */
+    let balance = toMinor(schedule.rows[0].startingBalance);
+    /**
+     * These variables are used to keep track of the principal and interest actually paid so far, in minor units.
+     * @type {number}
+     */
+    let totalPrincipalPaid = 0;
+    let totalInterestPaid = 0;
+    /**
+     * The payment frequency of the schedule, whose interval between the due dates decides how the interest accrues.
+     * @type {PaymentFrequency}
+     */
+    const frequency = PAYMENT_FREQUENCIES[params.repayment?.frequency ?? 'monthly'];
+    /**
+     * The actual figures of every reconciled month, next to the expected figures of the schedule.
+     * @type {ReconciledRow[]}
+     */
+    const rows = schedule.rows.slice(0, reconciledMonths).map((row, index) => {
+        /**
+         * The interest charged in the month on the real starting balance minus the savings balance of the offset
+         * account, if any, at the decimal interest rate that accrues in the month, which is calculated using the
+         * 'calculateAccruedInterestRate()' function, rounded to the nearest minor unit.
+         * @type {number}
+         */
+        const interestDue = Math.round(calculateInterestPaid(Math.max(balance - toMinor(row.offsetBalance ?? 0), 0),
+            calculateAccruedInterestRate(row.monthlyInterestRate, params.calendar, row.month, frequency)));
+        /**
+         * The interest actually paid, which is at most the amount paid, and the principal actually paid, which is the
+         * rest of the amount paid, up to the real starting balance.
+         * @type {number}
+         */
+        const interestPaid = Math.min(amountsPaid[index], interestDue);
+        const principalPaid = Math.min(amountsPaid[index] - interestPaid, balance);
+        balance += interestDue - interestPaid - principalPaid;
+        totalPrincipalPaid += principalPaid;
+        totalInterestPaid += interestPaid;
+        return {
+            month: row.month,
+            expectedPayment: toMajor(toMinor(row.payment) + toMinor(row.extraPayment)),
+            actualPayment: toMajor(amountsPaid[index]),
+            expectedPrincipal: row.principalPaid,
+            actualPrincipal: toMajor(principalPaid),
+            principalDifference: toMajor(principalPaid - toMinor(row.principalPaid)),
+            expectedInterest: row.interestPaid,
+            actualInterest: toMajor(interestPaid),
+            interestDifference: toMajor(interestPaid - toMinor(row.interestPaid)),
+            expectedBalance: row.endingBalance,
+            actualBalance: toMajor(balance),
+            balanceDifference: toMajor(balance - toMinor(row.endingBalance))
+        };
+    });
+    /**
+     * The last reconciled row of the schedule.
+     * @type {ScheduleRow}
+     */
+    const lastRow = schedule.rows[reconciledMonths - 1];
+    /**
+     * The figures of the reconciliation, as at the end of the last reconciled month.
+     * @type {Reconciliation}
+     */
+    const reconciliation = {
+        month: reconciledMonths,
+        rows,
+        expectedBalance: lastRow.endingBalance,
+        actualBalance: toMajor(balance),
+        balanceDifference: toMajor(balance - toMinor(lastRow.endingBalance))
+    };
+    /**
+     * The projection of the rest of the loan from the real balance, using the 'projectFromBalance()' function, which is
+     * empty if the real balance is already paid off.
+     * @type {{rows: ScheduleRow[], totals: ScheduleTotals}|null}
+     */
+    const projection = balance > 0 ? projectFromBalance(params, schedule, reconciledMonths, toMajor(balance)) : null;
+    /** A projection whose payment does not pay off any of the principal would never be paid off. */
+    const error = projection && checkSchedule(projection, projection.repayment);
+    if (error) {
+        return {schedule: null, reconciliation: null, error};
+    }
+
+    /**
+     * The rows of the reconciled schedule, where the rows of the projection are numbered on from the last reconciled
+     * month, and their cumulative totals include everything actually paid. Note that this line is broken onto multiple
+     * lines to keep the code readable.
+     * @type {ScheduleRow[]}
+     */
+    const scheduleRows = [
+        ...schedule.rows.slice(0, reconciledMonths),
+        ...(projection?.rows ?? []).map((row) => ({
+            ...row,
+            month: row.month + reconciledMonths,
+            totalPrincipalPaid: toMajor(toMinor(row.totalPrincipalPaid) + totalPrincipalPaid),
+            totalInterestPaid: toMajor(toMinor(row.totalInterestPaid) + totalInterestPaid)
+        }))
+    ];
+    /**
+     * The final row of the reconciled schedule, which is the last reconciled month if the real balance is already
+     * paid off.
+     * @type {ScheduleRow}
+     */
+    const finalRow = scheduleRows[scheduleRows.length - 1];
+    /**
+     * The total principal and interest paid on the reconciled schedule, in minor units, which are the totals actually
+     * paid if there is nothing left to project.
+     * @type {number}
+     */
+    const principalPaid = projection ? toMinor(finalRow.totalPrincipalPaid) : totalPrincipalPaid;
+    const interestPaid = projection ? toMinor(finalRow.totalInterestPaid) : totalInterestPaid;
+
+    /**
+     * The reconciled schedule and the figures of the reconciliation are returned. The interest saved is measured
+     * against the interest of the schedule without any prepayments, which is the interest of the schedule plus the
+     * interest its prepayments saved, and the offset account is measured in the same way against the schedule without
+     * it.
+     */
+    return {
+        schedule: {
+            rows: scheduleRows,
+            totals: {
+                ...schedule.totals,
+                finalPayment: projection ? projection.totals.finalPayment : rows[reconciledMonths - 1].actualPayment,
+                principalPaid: toMajor(principalPaid),
+                interestPaid: toMajor(interestPaid),
+                interestSaved: toMajor(toMinor(schedule.totals.interestPaid) + toMinor(schedule.totals.interestSaved) -
+                    interestPaid),
+                finalMonth: finalRow.month,
+                monthsEarly: params.termInMonths - finalRow.month,
+                payoffDate: finalRow.dueDate,
+                capitalised: projection ? projection.totals.capitalised : 0,
+                lateFees: projection ? projection.totals.lateFees : 0,
+                offsetAccount: schedule.totals.offsetAccount ?
+                    summarizeOffsetAccount(scheduleRows, toMajor(interestPaid), {
+                        interestPaid: toMajor(toMinor(schedule.totals.interestPaid) +
+                            toMinor(schedule.totals.offsetAccount.interestSaved)),
+                        finalMonth: schedule.totals.finalMonth + schedule.totals.offsetAccount.monthsEarly
+                    }, params.offsetAccount, params.fractionDigits ?? 2) :
+                    null
+            }
+        },
+        reconciliation,
+        error: null
+    };
+}
+
+/**
+ * Given the passed arguments, the rest of the loan after the last reconciled month is built from the real balance,
+ * over the rest of the term, with the interest rate and the instalment that the schedule has in the month after the
+ * last reconciled month, and with the interest rate changes, the prepayments, and the payment events of the months
+ * after it, moved onto the months of the projection. Keeping the instalment, rather than re-amortizing the real balance
+ * over the rest of the term, means that a real balance that matches the schedule is paid off exactly as scheduled, and
+ * that any difference only moves the final payment. Any interest-only months that are left are kept, and the calendar
+ * is offset by the reconciled months, so that the due dates of the projection follow on from those of the reconciled
+ * months.
+ * @param params the parameters of the mortgage, as passed to the 'buildSchedule()' function.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param offset the number of reconciled months.
+ * @param principal the real balance at the end of the last reconciled month.
+ * @returns {{rows: ScheduleRow[], totals: ScheduleTotals, repayment: Object}} the schedule of the projection, and the
+ * repayment structure that it was built with.
+ */
+function projectFromBalance(params, schedule, offset, principal) {
+    /**
+     * The row of the schedule in the month after the last reconciled month, whose interest rate and instalment the
+     * projection starts with, which is the last row of the schedule if the schedule is paid off by then.
+     * @type {ScheduleRow}
+     */
+    const nextRow = schedule.rows[offset] ?? schedule.rows[schedule.rows.length - 1];
+    /**
+     * The rest of the term, which runs to the final month of the schedule if a payment event extended the term, and
+     * leaves at least one month to pay off the real balance, even if the payments fell so far behind that it is past
+     * the end of the term.
+     * @type {number}
+     */
+    const termInMonths = Math.max(Math.max(params.termInMonths, schedule.totals.finalMonth) - offset, 1);
+    /**
+     * The repayment structure of the projection, with the interest-only months that are left, and the instalment of
+     * the schedule, which is 0 if the principal has not started to be paid off yet.
+     * @type {Object}
+     */
+    const repayment = {
+        type: 'annuity', balloonPayment: 0, ...params.repayment,
+        interestOnlyMonths: Math.min(Math.max((params.repayment?.interestOnlyMonths ?? 0) - offset, 0),
+            termInMonths - 1),
+        instalment: nextRow.instalment
+    };
+    /**
+     * This function moves the entries of a map, keyed by the number of the payment, onto the months of the projection,
+     * leaving out the entries of the reconciled months.
+     * @param map the map to be moved.
+     * @returns {Map} the map moved onto the months of the projection.
+     */
+    const shift = (map = new Map()) =>
+        new Map([...map].filter(([month]) => month > offset).map(([month, value]) => [month - offset, value]));
+    /**
+     * The prepayments of the projection, where the extra annual payments are turned into one-off payments, so that they
+     * are still made at the end of every year of the loan, rather than at the end of every year of the projection.
+     * @type {{monthly: number, annual: number, lumpSums: Map<number, number>}}
+     */
+    const prepayments = {monthly: params.prepayments?.monthly ?? 0, annual: 0,
+        lumpSums: shift(params.prepayments?.lumpSums)};
+    /** The extra annual payments are added to the one-off payments of the months that end a year of the loan. */
+    if (params.prepayments?.annual > 0) {
+        /**
+         * The number of payments made per year, which is 12 for monthly payments.
+         * @type {number}
+         */
+        const paymentsPerYear = PAYMENT_FREQUENCIES[params.repayment?.frequency ?? 'monthly'].paymentsPerYear;
+        for (let month = 1; month <= termInMonths; month++) {
+            if ((month + offset) % paymentsPerYear === 0) {
+                prepayments.lumpSums.set(month, (prepayments.lumpSums.get(month) || 0) + params.prepayments.annual);
+            }
+        }
+    }
+    /** The projection is built and returned, together with its repayment structure. */
+    return {
+        ...buildSchedule({
+            ...params, principal, termInMonths, monthlyInterestRate: nextRow.monthlyInterestRate, repayment,
+            rateChanges: shift(params.rateChanges), prepayments, calendar: {...params.calendar, offset},
+            offsetAccount: advanceOffsetAccount(params.offsetAccount, offset, params.fractionDigits ?? 2),
+            paymentEvents: params.paymentEvents && {...params.paymentEvents, events: shift(params.paymentEvents.events)}
+        }),
+        repayment
+    };
+}
+
+/**
+ * Given the passed arguments, the row of the schedule that a payment belongs to is found, which is the row whose due
+ * date is nearest to the date of the payment. A payment made exactly halfway between two due dates belongs to the
+ * earlier row, which is already due, and a payment made before the first due date belongs to the first row. A payment
+ * made after the final due date only belongs to the final row if it is made within half a payment period of it, where
+ * the payment period is the time between the final due date and the one before it, or the start date of the loan.
+ * @param rows the rows of the mortgage amortization schedule, which must have due dates.
+ * @param startDate the start date of the loan, as an ISO 8601 date string.
+ * @param date the date of the payment, as an ISO 8601 date string.
+ * @returns {number} the index of the row that the payment belongs to, or -1 if the payment is made after the final
+ * row.
+ */
+function findPaymentRow(rows, startDate, date) {
+    /**
+     * The index of the first row that is due on or after the date of the payment, which is -1 if the payment is made
+     * after the final due date.
+     * @type {number}
+     */
+    const next = rows.findIndex((row) => row.dueDate >= date);
+    /** A payment made on or before the first due date belongs to the first row. */
+    if (next === 0) {
+        return 0;
+    }
+    /** A payment made after the final due date belongs to the final row if it is late by at most half a period. */
+    if (next === -1) {
+        /**
+         * The index of the final row.
+         * @type {number}
+         */
+        const last = rows.length - 1;
+        /**
+         * The number of days in the payment period of the final row.
+         * @type {number}
+         */
+        const period = countDays(last > 0 ? rows[last - 1].dueDate : startDate, rows[last].dueDate);
+        return countDays(rows[last].dueDate, date) * 2 <= period ? last : -1;
+    }
+    /** Otherwise, the payment belongs to whichever of the due dates either side of it is nearer. */
+    return countDays(rows[next - 1].dueDate, date) <= countDays(date, rows[next].dueDate) ? next - 1 : next;
+}
+
+/**
+ * Given the passed text, the entries of a JSON statement are read.
+ * @param text the text of the statement.
+ * @returns {{entry: string, date: *, amount: *}[]|null} the entries of the statement, or null if the text is not JSON
+ * or does not hold an array of payments.
+ */
+function readJsonEntries(text) {
+    /**
+     * The parsed JSON, which is undefined if the text is not valid JSON.
+     * @type {*}
+     */
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    /**
+     * The array of payments, which is either the JSON itself, or its 'payments' property.
+     * @type {*}
+     */
+    const payments = Array.isArray(json) ? json : json?.payments;
+    /** Every payment is returned as an entry, with the payment as JSON as its text. */
+    return Array.isArray(payments) ?
+        payments.map((payment) => ({entry: JSON.stringify(payment), date: payment?.date, amount: payment?.amount})) :
+        null;
+}
+
+/**
+ * Given the passed text, the entries of a CSV statement are read. A first line whose amount is not a number is taken to
+ * be a header line, and is skipped.
+ * @param text the text of the statement.
+ * @returns {{entry: string, date: string, amount: string}[]} the entries of the statement.
+ */
+function readCsvEntries(text) {
+    /**
+     * The delimiter, which is a semicolon if the text contains one, and a comma otherwise.
+     * @type {string}
+     */
+    const delimiter = text.includes(';') ? ';' : ',';
+    /**
+     * The lines of the text that are not empty, which are split on both CRLF and LF line breaks.
+     * @type {string[]}
+     */
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    /**
+     * The entries of every line, whose fields are split using the 'splitCsvLine()' function. If the delimiter is a
+     * comma, any commas in an amount, which can only be there if the amount is quoted, are grouping separators, so they
+     * are removed. If the delimiter is a semicolon and an amount has a decimal comma, any points in it are grouping
+     * separators, so they are removed, and the decimal comma is replaced by a decimal point.
+     * @type {{entry: string, date: string, amount: string}[]}
+     */
+    const entries = lines.map((line) => {
+        const [date, amount] = splitCsvLine(line, delimiter);
+        return {
+            entry: line.trim(),
+            date,
+            amount: delimiter === ',' ? amount?.replaceAll(',', '') :
+                amount?.includes(',') ? amount.replaceAll('.', '').replace(',', '.') : amount
+        };
+    });
+    /** A header line is skipped. */
+    return entries.length > 0 && !Number.isFinite(Number(entries[0].amount)) && !parseIsoDate(entries[0].date) ?
+        entries.slice(1) :
+        entries;
+}
+
+/**
+ * Given the passed arguments, a line of a CSV statement is split into its fields. A field may be enclosed in double
+ * quotes, in which case it may contain the delimiter, and two double quotes in a row stand for one double quote. Any
+ * whitespace around a field is removed.
+ * @param line the line of the statement.
+ * @param delimiter the delimiter between the fields.
+ * @returns {string[]} the fields of the line, without their double quotes.
+ */
+function splitCsvLine(line, delimiter) {
+    /**
+     * The fields of the line, which start with an empty field.
+     * @type {string[]}
+     */
+    const fields = [''];
+    /**
+     * This variable is used to keep track of whether the current character is inside double quotes.
+     * @type {boolean}
+     */
+    let quoted = false;
+    /** Every character of the line is added to the current field, unless it is a double quote or a delimiter. */
+    for (let index = 0; index < line.length; index++) {
+        /**
+         * The current character.
+         * @type {string}
+         */
+        const character = line[index];
+        if (character === '"' && quoted && line[index + 1] === '"') {
+            fields[fields.length - 1] += '"';
+            index++;
+        } else if (character === '"') {
+            quoted = !quoted;
+        } else if (character === delimiter && !quoted) {
+            fields.push('');
+        } else {
+            fields[fields.length - 1] += character;
+        }
+    }
+    /** The whitespace around every field is removed. */
+    return fields.map((field) => field.trim());
+}
+
+/**
+ * A single payment of a statement of actual payments.
+ * @typedef {Object} StatementPayment
+ * @property {string} date the date on which the payment was made, as an ISO 8601 date string.
+ * @property {number} amount the amount paid.
+ */
+
+/**
+ * The actual figures of a reconciled month, next to the expected figures of the mortgage amortization schedule, where
+ * every difference is the actual figure minus the expected one.
+ * @typedef {Object} ReconciledRow
+ * @property {number} month the month in question.
+ * @property {number} expectedPayment the payment of the schedule, including the extra payment.
+ * @property {number} actualPayment the amount actually paid towards the month.
+ * @property {number} expectedPrincipal the principal paid according to the schedule.
+ * @property {number} actualPrincipal the principal actually paid.
+ * @property {number} principalDifference the difference in the principal paid.
+ * @property {number} expectedInterest the interest paid according to the schedule.
+ * @property {number} actualInterest the interest actually paid.
+ * @property {number} interestDifference the difference in the interest paid.
+ * @property {number} expectedBalance the ending balance according to the schedule.
+ * @property {number} actualBalance the real ending balance.
+ * @property {number} balanceDifference the difference in the ending balance.
+ */
+
+/**
+ * The figures of the reconciliation of a statement against the mortgage amortization schedule.
+ * @typedef {Object} Reconciliation
+ * @property {number} month the last reconciled month, from which the projection restarts.
+ * @property {ReconciledRow[]} rows the actual figures of every reconciled month.
+ * @property {number} expectedBalance the ending balance of the last reconciled month according to the schedule.
+ * @property {number} actualBalance the real ending balance of the last reconciled month.
+ * @property {number} balanceDifference the real ending balance minus the expected one.
+ */
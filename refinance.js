@@ -0,0 +1,352 @@
+/**
+ * The refinancing analysis of the mortgage repayment calculator, which replaces the current loan part way through its
+ * term with a new loan at another interest rate and term, and works out whether the savings on the payments make up
+ * for the closing costs and fees of the new loan. None of the functions in this module access the DOM, so that the
+ * module can be imported both by the web page and by the test suite, which is run with Node.js.
+ */
+import {
+    advanceOffsetAccount,
+    buildSchedule,
+    summarizeOffsetAccount,
+    toMajorUnits,
+    toMinorUnits
+} from './amortization.js';
+import {diffSchedules} from './comparison.js';
+import {PAYMENT_FREQUENCIES} from './frequency.js';
+import {checkSchedule} from './validation.js';
+
+/**
+ * Given the passed arguments, the current loan is refinanced in the given month, and the mortgage amortization schedule
+ * of the refinanced mortgage is built, made up of the rows of the current loan before the refinancing, followed by the
+ * rows of the new loan, numbered on from the month of the refinancing.
+ *
+ * The principal of the new loan is the remaining balance of the current loan at the month of the refinancing, which is
+ * the ending balance of the last month paid on the current loan, so that it matches the schedule of the current loan
+ * to the minor unit, whatever prepayments, interest rate changes, and payment events came before it, however the
+ * interest accrued under the day count convention of the calendar, and however much interest the offset account saved.
+ * Any arrears of the current loan are added to the principal of the new loan, which pays them off. The new loan is an
+ * annuity with the payment frequency of the current loan, its interest rate does not change, and the prepayments and
+ * the payment events of the current loan carry on being made on it.
+ *
+ * The savings of every month are the payments of the current loan minus those of the new loan, and the break-even
+ * month is the first month in which the cumulative savings are at least the closing costs and fees.
+ * @param params the parameters of the current loan, as passed to the 'buildSchedule()' function.
+ * @param schedule the mortgage amortization schedule of the current loan, as built by the 'buildSchedule()' function.
+ * @param refinancing the refinancing, made up of the month of the current loan from which the new loan is paid
+ * instead, the decimal monthly interest rate and the term in months of the new loan, and the closing costs and fees.
+ * @returns {{schedule: {rows: ScheduleRow[], totals: ScheduleTotals}|null, refinancing: Refinancing|null,
+ * error: ValidationError|null}} the mortgage amortization schedule of the refinanced mortgage and the figures of the
+ * refinancing, or the error if the current loan cannot be refinanced in that month.
+ */
+export function refinanceMortgage(params, schedule,
+                                  {month, monthlyInterestRate, termInMonths, closingCosts = 0, fees = 0}) {
+    /**
+     * The number of fraction digits of the currency, which is 2 for cents.
+     * @type {number}
+     */
+    const fractionDigits = params.fractionDigits ?? 2;
+    /**
+     * The payment frequency and the compounding frequency of the current loan, which are kept by the new loan.
+     * @type {string}
+     */
+    const paymentFrequency = params.repayment?.frequency ?? 'monthly';
+    const compounding = params.repayment?.compounding ?? 'payment';
+    /** A loan that is already paid off before the month of the refinancing cannot be refinanced. */
+    if (month > schedule.totals.finalMonth) {
+        return {schedule: null, refinancing: null, error: {key: 'refinance.paidOff'}};
+    }
+
+    /**
+     * The number of months paid on the current loan, which is added to the months of the new loan.
+     * @type {number}
+     */
+    const offset = month - 1;
+    /**
+     * The last row paid on the current loan, which is undefined if the loan is refinanced before the first payment.
+     * @type {ScheduleRow|undefined}
+     */
+    const lastRow = schedule.rows[offset - 1];
+    /**
+     * The principal of the new loan, which is the whole principal of the current loan if it is refinanced before the
+     * first payment, and is otherwise the ending balance of the last month paid plus any arrears.
+     * @type {number}
+     */
+    const principal = lastRow ?
+        addAmounts(lastRow.endingBalance, lastRow.arrears ?? 0, fractionDigits) :
+        params.principal;
+    /**
+     * The repayment structure of the new loan, which is an annuity without an interest-only period.
+     * @type {Object}
+     */
+    const repayment = {type: 'annuity', interestOnlyMonths: 0, balloonPayment: 0, frequency: paymentFrequency,
+        compounding};
+    /**
+     * The new loan is built using the 'buildSchedule()' function, passing the prepayments and the payment events of
+     * the current loan, moved onto the months of the new loan using the 'shiftPrepayments()' and
+     * 'shiftPaymentEvents()' functions, and the calendar of the current loan, offset by the months before the
+     * refinancing, so that the due dates of the new loan follow on from those of the current loan, and its interest
+     * accrues in the same way. The offset account of the current loan, if any, is moved on to the refinancing using
+     * the 'advanceOffsetAccount()' function, so that the new loan is offset by the savings built up by then.
+     * @type {{rows: ScheduleRow[], totals: ScheduleTotals}}
+     */
+    const loan = buildSchedule({
+        principal, termInMonths, monthlyInterestRate, fractionDigits, repayment,
+        prepayments: shiftPrepayments(params.prepayments, offset, termInMonths,
+            PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear),
+        calendar: params.calendar ? {...params.calendar, offset} : null,
+        paymentEvents: shiftPaymentEvents(params.paymentEvents, offset),
+        offsetAccount: advanceOffsetAccount(params.offsetAccount, offset, fractionDigits)
+    });
+    /** A new loan whose payment does not pay off any of the principal would never be paid off. */
+    const error = checkSchedule(loan, repayment);
+    if (error) {
+        return {schedule: null, refinancing: null, error};
+    }
+
+    /**
+     * The cumulative totals of the principal and interest paid on the current loan, which the cumulative totals of the
+     * new loan are added to.
+     * @type {number}
+     */
+    const principalPaidBefore = lastRow ? lastRow.totalPrincipalPaid : 0;
+    const interestPaidBefore = lastRow ? lastRow.totalInterestPaid : 0;
+    /**
+     * The amounts capitalised and the late fees charged on the current loan, which the totals of the new loan are added
+     * to.
+     * @type {number}
+     */
+    const capitalisedBefore = schedule.rows.slice(0, offset)
+        .reduce((total, row) => addAmounts(total, row.capitalised ?? 0, fractionDigits), 0);
+    const lateFeesBefore = schedule.rows.slice(0, offset)
+        .reduce((total, row) => addAmounts(total, row.lateFee ?? 0, fractionDigits), 0);
+    /**
+     * The rows of the refinanced mortgage, where the rows of the new loan are numbered on from the month of the
+     * refinancing, and their cumulative totals include everything paid on the current loan.
+     * @type {ScheduleRow[]}
+     */
+    const rows = [
+        ...schedule.rows.slice(0, offset),
+        ...loan.rows.map((row) => ({
+            ...row,
+            month: row.month + offset,
+            totalPrincipalPaid: addAmounts(row.totalPrincipalPaid, principalPaidBefore, fractionDigits),
+            totalInterestPaid: addAmounts(row.totalInterestPaid, interestPaidBefore, fractionDigits)
+        }))
+    ];
+
+    /**
+     * The closing costs and fees of the new loan, in minor units.
+     * @type {number}
+     */
+    const costs = toMinorUnits(closingCosts, fractionDigits) + toMinorUnits(fees, fractionDigits);
+    /**
+     * The differences between the payments of the rest of the current loan and those of the new loan, month by month,
+     * which are calculated using the 'diffSchedules()' function.
+     * @type {ScheduleDifference[]}
+     */
+    const differences = diffSchedules({rows: schedule.rows.slice(offset)}, loan, fractionDigits);
+    /**
+     * This variable is used to keep track of the cumulative savings, in minor units.
+     * @type {number}
+     */
+    let savings = 0;
+    /**
+     * This variable is used to keep track of the break-even month, which stays null if the cumulative savings never
+     * reach the closing costs and fees.
+     * @type {number|null}
+     */
+    let breakEvenMonth = null;
+    /** Every month of the longer of the two loans is iterated over, adding the savings of the month. */
+    for (const difference of differences) {
+        savings -= toMinorUnits(difference.paymentDifference, fractionDigits);
+        if (breakEvenMonth === null && savings >= costs) {
+            breakEvenMonth = difference.month + offset;
+        }
+    }
+
+    /**
+     * The final row of the refinanced mortgage, which is the month in which the new loan is paid off.
+     * @type {ScheduleRow}
+     */
+    const finalRow = rows[rows.length - 1];
+    /**
+     * The total interest paid, in minor units, on the refinanced mortgage.
+     * @type {number}
+     */
+    const interestPaid = toMinorUnits(finalRow.totalInterestPaid, fractionDigits);
+    /**
+     * The total interest paid without any prepayments, in minor units, against which the interest saved is measured.
+     * If there are prepayments, it is calculated by refinancing the current loan again without them, otherwise it is
+     * simply the total interest paid. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {number}
+     */
+    const baselineInterestPaid = schedule.totals.hasPrepayments ?
+        toMinorUnits(refinanceWithoutPrepayments(params, {month, monthlyInterestRate, termInMonths}), fractionDigits) :
+        interestPaid;
+
+    /** The schedule of the refinanced mortgage and the figures of the refinancing are returned. */
+    return {
+        schedule: {
+            rows,
+            totals: {
+                monthlyPayment: schedule.totals.monthlyPayment,
+                interestOnlyPayment: schedule.totals.interestOnlyPayment,
+                finalPayment: loan.totals.finalPayment,
+                principalPaid: finalRow.totalPrincipalPaid,
+                interestPaid: finalRow.totalInterestPaid,
+                hasPrepayments: schedule.totals.hasPrepayments,
+                interestSaved: toMajorUnits(baselineInterestPaid - interestPaid, fractionDigits),
+                finalMonth: finalRow.month,
+                monthsEarly: offset + termInMonths - finalRow.month,
+                payoffDate: finalRow.dueDate,
+                hasPaymentEvents: schedule.totals.hasPaymentEvents ?? false,
+                capitalised: addAmounts(loan.totals.capitalised, capitalisedBefore, fractionDigits),
+                lateFees: addAmounts(loan.totals.lateFees, lateFeesBefore, fractionDigits),
+                offsetAccount: params.offsetAccount ?
+                    summarizeOffsetAccount(rows, finalRow.totalInterestPaid, refinanceWithoutOffsetAccount(params,
+                        {month, monthlyInterestRate, termInMonths}), params.offsetAccount, fractionDigits) :
+                    null
+            }
+        },
+        refinancing: {
+            month,
+            principal,
+            monthlyInterestRate,
+            termInMonths,
+            monthlyPayment: loan.totals.monthlyPayment,
+            costs: toMajorUnits(costs, fractionDigits),
+            breakEvenMonth,
+            netSavings: toMajorUnits(savings - costs, fractionDigits)
+        },
+        error: null
+    };
+}
+
+/**
+ * Given the passed arguments, the prepayments of the current loan are moved onto the months of the new loan, so that
+ * every payment of the new loan comes with the same extra payment as the month of the current loan that it falls in.
+ * The extra annual payments are turned into one-off payments, so that they are still made at the end of every year of
+ * the current loan, rather than at the end of every year of the new loan.
+ * @param prepayments the prepayments of the current loan, if any.
+ * @param offset the number of months paid on the current loan.
+ * @param termInMonths the term of the new loan in months.
+ * @param paymentsPerYear the number of payments made per year, which is 12 for monthly payments.
+ * @returns {{monthly: number, annual: number, lumpSums: Map<number, number>}} the prepayments of the new loan.
+ */
+function shiftPrepayments(prepayments = {monthly: 0, annual: 0, lumpSums: new Map()}, offset, termInMonths,
+                          paymentsPerYear) {
+    /**
+     * The one-off payments of the new loan, which is initially empty.
+     * @type {Map<number, number>}
+     */
+    const lumpSums = new Map();
+    /** Every month of the new loan is iterated over, adding the one-off payment of the month, if there is one. */
+    for (let month = 1; month <= termInMonths; month++) {
+        /**
+         * The one-off payment of the month, which includes the extra annual payment if the month is the last month
+         * of a year of the current loan.
+         * @type {number}
+         */
+        const lumpSum = (prepayments.lumpSums.get(month + offset) || 0) +
+            ((month + offset) % paymentsPerYear === 0 ? prepayments.annual : 0);
+        if (lumpSum > 0) {
+            lumpSums.set(month, lumpSum);
+        }
+    }
+    /** The prepayments of the new loan are returned. */
+    return {monthly: prepayments.monthly, annual: 0, lumpSums};
+}
+
+/**
+ * Given the passed arguments, the payment events of the current loan are moved onto the months of the new loan, so that
+ * the payment events after the refinancing are marked on the same payments of the new loan.
+ * @param paymentEvents the payment events of the current loan, if any.
+ * @param offset the number of months paid on the current loan.
+ * @returns {{events: Map<number, {type: string, amount: number}>, lateFee: number, reamortization: string}} the payment
+ * events of the new loan.
+ */
+function shiftPaymentEvents(paymentEvents = {events: new Map(), lateFee: 0, reamortization: 'payment'}, offset) {
+    /**
+     * The payment events of the new loan, which are those of the months after the refinancing, numbered from the
+     * first month of the new loan.
+     * @type {Map<number, {type: string, amount: number}>}
+     */
+    const events = new Map([...paymentEvents.events]
+        .filter(([month]) => month > offset)
+        .map(([month, event]) => [month - offset, event]));
+    /** The payment events of the new loan are returned. */
+    return {...paymentEvents, events};
+}
+
+/**
+ * Given the passed arguments, the current loan is built and refinanced again without any prepayments, so that the
+ * interest saved by the prepayments can be measured.
+ * @param params the parameters of the current loan.
+ * @param refinancing the month of the refinancing, and the decimal monthly interest rate and the term in months of the
+ * new loan.
+ * @returns {number} the total interest paid on the refinanced mortgage without any prepayments.
+ */
+function refinanceWithoutPrepayments(params, refinancing) {
+    /**
+     * The parameters of the current loan without any prepayments.
+     * @type {Object}
+     */
+    const withoutPrepayments = {...params, prepayments: {monthly: 0, annual: 0, lumpSums: new Map()}};
+    /**
+     * The refinanced mortgage without any prepayments, which can always be refinanced, since without prepayments the
+     * current loan is paid off at the end of its term.
+     */
+    const {schedule} = refinanceMortgage(withoutPrepayments, buildSchedule(withoutPrepayments), refinancing);
+    /** The total interest paid on it is returned. */
+    return schedule.totals.interestPaid;
+}
+
+/**
+ * Given the passed arguments, the current loan is built and refinanced again without the offset account, so that the
+ * offset account can be measured.
+ * @param params the parameters of the current loan.
+ * @param refinancing the month of the refinancing, and the decimal monthly interest rate and the term in months of the
+ * new loan.
+ * @returns {ScheduleTotals} the totals of the refinanced mortgage without the offset account.
+ */
+function refinanceWithoutOffsetAccount(params, refinancing) {
+    /**
+     * The parameters of the current loan without the offset account.
+     * @type {Object}
+     */
+    const withoutOffsetAccount = {...params, offsetAccount: null};
+    /**
+     * The refinanced mortgage without the offset account, which can always be refinanced, since without the offset
+     * account the current loan is paid off no earlier than with it.
+     */
+    const {schedule} = refinanceMortgage(withoutOffsetAccount, buildSchedule(withoutOffsetAccount), refinancing);
+    /** Its totals are returned. */
+    return schedule.totals;
+}
+
+/**
+ * Given the passed amounts, their sum is calculated in minor units, so that the sum is not affected by floating point
+ * rounding errors.
+ * @param first the first amount.
+ * @param second the second amount.
+ * @param fractionDigits the number of fraction digits of the currency, which is 2 for cents.
+ * @returns {number} the sum of the amounts.
+ */
+function addAmounts(first, second, fractionDigits) {
+    return toMajorUnits(toMinorUnits(first, fractionDigits) + toMinorUnits(second, fractionDigits), fractionDigits);
+}
+
+/**
+ * The figures of a refinancing of the current loan.
+ * @typedef {Object} Refinancing
+ * @property {number} month the month of the current loan from which the new loan is paid instead.
+ * @property {number} principal the principal of the new loan, which is the remaining balance of the current loan.
+ * @property {number} monthlyInterestRate the decimal monthly interest rate of the new loan.
+ * @property {number} termInMonths the term of the new loan in months.
+ * @property {number} monthlyPayment the monthly payment of the new loan.
+ * @property {number} costs the closing costs and fees of the new loan.
+ * @property {number|null} breakEvenMonth the first month in which the cumulative savings on the payments are at least
+ * the closing costs and fees, or null if they never are.
+ * @property {number} netSavings the savings on the payments over the whole of both loans, minus the closing costs and
+ * fees, which is negative if refinancing costs more than it saves.
+ */
@@ -1,409 +1,3049 @@
+/**
+ * The 'buildSchedule()' function is imported from the amortization engine, which performs all the calculations needed
+ * for the mortgage amortization table, so that this file is only concerned with the user input form and the table.
+ */
+import {buildSchedule, PAYMENT_EVENT_TYPES, summarizeYears} from './amortization.js';
+
+/**
+ * The 'toCsv()' and 'toJson()' functions are imported from the export module, which converts the mortgage amortization
+ * schedule into the text of the exported files.
+ */
+import {toCsv, toJson} from './export.js';
+
+/**
+ * The 'compareScenarios()' and 'diffSchedules()' functions are imported from the comparison module, which calculates
+ * the figures shown in the scenario comparison.
+ */
+import {compareScenarios, diffSchedules} from './comparison.js';
+
+/**
+ * The 'renderCharts()' function is imported from the charts module, which draws the charts of the mortgage
+ * amortization schedule shown alongside the mortgage amortization table.
+ */
+import {renderCharts} from './charts.js';
+
+/**
+ * The 'parseIsoDate()' and 'toIsoDate()' functions are imported from the calendar module, which calculates the due
+ * dates of the payments, so that the dates entered in the user input form can be parsed and the due dates formatted.
+ */
+import {parseIsoDate, toIsoDate} from './dates.js';
+
+/**
+ * The functions of the payment frequency module are imported, which convert the annual interest rate into the interest
+ * rate of a single payment period, and the months entered in the user input form into numbers of payments.
+ */
+import {PAYMENT_FREQUENCIES, toAnnualRate, toPaymentCount, toPaymentNumber, toPeriodicRate} from './frequency.js';
+
+/**
+ * The 'createLocalization()' and 'translatePeriods()' functions are imported from the localization module, which
+ * formats amounts, interest rates, and dates for the chosen locale and currency, and translates the text of the page.
+ */
+import {createLocalization, translatePeriods} from './i18n.js';
+
+/**
+ * The functions of the state module are imported, which encodes the state of the user input form into the URL, and
+ * saves named scenarios to the storage of the browser.
+ */
+import {
+    decodeState,
+    deleteSavedScenario,
+    encodeState,
+    loadSavedScenarios,
+    saveScenario,
+    STATE_FIELDS
+} from './state.js';
+
+/**
+ * The functions of the validation module are imported, which checks the values of the input fields before a
+ * calculation is made, and refuses mortgage amortization schedules that would never be paid off.
+ */
+import {checkSchedule, validateForm, VALIDATED_FIELDS} from './validation.js';
+
+/**
+ * The 'solveMortgage()' function is imported from the solver module, which works backwards from a regular payment to
+ * the principal, the term, or the interest rate.
+ */
+import {solveMortgage} from './solver.js';
+
+/**
+ * The 'refinanceMortgage()' function is imported from the refinancing module, which replaces the mortgage part way
+ * through its term with a new loan, and works out the break-even month of the refinancing.
+ */
+import {refinanceMortgage} from './refinance.js';
+
+/**
+ * The 'calculateOwnershipCosts()' function is imported from the costs module, which adds the property tax, home
+ * insurance, PMI, and upfront fees to the mortgage amortization schedule, and calculates the APR of the loan.
+ */
+import {calculateOwnershipCosts} from './costs.js';
+
+/**
+ * The 'discountSchedule()' and 'summarizeDiscountedRows()' functions are imported from the inflation module, which
+ * expresses the balances in today's money and discounts the payments to their present value.
+ */
+import {discountSchedule, summarizeDiscountedRows} from './inflation.js';
+
+/**
+ * The 'parseStatement()' and 'reconcileSchedule()' functions are imported from the reconciliation module, which lines
+ * up a statement of the payments that were actually made against the mortgage amortization schedule, and restarts the
+ * projection of the rest of the loan from the real outstanding balance.
+ */
+import {parseStatement, reconcileSchedule} from './reconciliation.js';
+
+/**
+ * The 'calculateMinimumBudget()', 'comparePayoffStrategies()', and 'describeLoans()' functions and the payoff
+ * strategies are imported from the portfolio module, which pays off several loans out of a single total monthly budget
+ * using the avalanche, snowball, or custom payoff strategy.
+ */
+import {calculateMinimumBudget, comparePayoffStrategies, describeLoans, PAYOFF_STRATEGIES} from './portfolio.js';
+
 /**
  * The form used to capture user input is retrieved by the id 'input-form', which is associated with the <form> tag on
- * line 28 of the HTML file.
+ * line 30 of the HTML file.
  * @type {HTMLElement}
  */
 const inputForm = document.getElementById('input-form');
 
+/**
+ * The drop-down list used to choose the locale, which decides the language of the page and how numbers and dates are
+ * formatted, is retrieved by the id 'locale', which is associated with the <select> tag on line 36 of the HTML file.
+ * @type {HTMLElement}
+ */
+const localeSelect = document.getElementById('locale');
+
+/**
+ * The drop-down list used to choose the currency is retrieved by the id 'currency', which is associated with the
+ * <select> tag on line 49 of the HTML file.
+ * @type {HTMLElement}
+ */
+const currencySelect = document.getElementById('currency');
+
+/**
+ * The drop-down list used to choose the figure that is solved for is retrieved by the id 'solve-for', which is
+ * associated with the <select> tag on line 63 of the HTML file.
+ * @type {HTMLElement}
+ */
+const solveForSelect = document.getElementById('solve-for');
+
+/**
+ * The number input field used to capture the regular payment to solve from is retrieved by the id 'target-payment',
+ * which is associated with the <input> tag on line 74 of the HTML file.
+ * @type {HTMLElement}
+ */
+const targetPaymentInput = document.getElementById('target-payment');
+
 /**
  * The number input field used to capture the principal amount is retrieved by the id 'principal', which is associated
- * with the <input> tag on line 33 of the HTML file.
+ * with the <input> tag on line 82 of the HTML file.
  * @type {HTMLElement}
  */
 const principalInput = document.getElementById('principal');
 
 /**
  * The number input field used to capture the annual interest rate is retrieved by the id 'interest', which is
- * associated with the <input> tag on line 38 of the HTML file.
+ * associated with the <input> tag on line 90 of the HTML file.
  * @type {HTMLElement}
  */
 const interestInput = document.getElementById('interest');
 
+/**
+ * The text input field used to capture the interest rate changes is retrieved by the id 'rate-changes', which is
+ * associated with the <input> tag on line 98 of the HTML file.
+ * @type {HTMLElement}
+ */
+const rateChangesInput = document.getElementById('rate-changes');
+
 /**
  * The number input field used to capture the term in years is retrieved by the id 'term', which is associated with the
- * <input> tag on line 42 of the HTML file.
+ * <input> tag on line 106 of the HTML file.
  * @type {HTMLElement}
  */
 const termInput = document.getElementById('term');
 
+/**
+ * The drop-down list used to choose the payment frequency is retrieved by the id 'payment-frequency', which is
+ * associated with the <select> tag on line 114 of the HTML file.
+ * @type {HTMLElement}
+ */
+const paymentFrequencySelect = document.getElementById('payment-frequency');
+
+/**
+ * The drop-down list used to choose how often the interest is compounded is retrieved by the id 'compounding', which
+ * is associated with the <select> tag on line 128 of the HTML file.
+ * @type {HTMLElement}
+ */
+const compoundingSelect = document.getElementById('compounding');
+
+/**
+ * The drop-down list used to choose the repayment type is retrieved by the id 'repayment-type', which is associated
+ * with the <select> tag on line 141 of the HTML file.
+ * @type {HTMLElement}
+ */
+const repaymentTypeSelect = document.getElementById('repayment-type');
+
+/**
+ * The number input field used to capture the number of interest-only months is retrieved by the id 'interest-only',
+ * which is associated with the <input> tag on line 153 of the HTML file.
+ * @type {HTMLElement}
+ */
+const interestOnlyInput = document.getElementById('interest-only');
+
+/**
+ * The number input field used to capture the balloon payment is retrieved by the id 'balloon', which is associated
+ * with the <input> tag on line 161 of the HTML file.
+ * @type {HTMLElement}
+ */
+const balloonInput = document.getElementById('balloon');
+
+/**
+ * The date input field used to capture the start date of the loan is retrieved by the id 'start-date', which is
+ * associated with the <input> tag on line 169 of the HTML file.
+ * @type {HTMLElement}
+ */
+const startDateInput = document.getElementById('start-date');
+
+/**
+ * The number input field used to capture the day of the month on which payments are due is retrieved by the id
+ * 'payment-day', which is associated with the <input> tag on line 176 of the HTML file.
+ * @type {HTMLElement}
+ */
+const paymentDayInput = document.getElementById('payment-day');
+
+/**
+ * The drop-down list used to choose how due dates that fall on weekends and holidays are moved is retrieved by the id
+ * 'roll', which is associated with the <select> tag on line 184 of the HTML file.
+ * @type {HTMLElement}
+ */
+const rollSelect = document.getElementById('roll');
+
+/**
+ * The text input field used to capture the holidays on which no payment is due is retrieved by the id 'holidays',
+ * which is associated with the <input> tag on line 197 of the HTML file.
+ * @type {HTMLElement}
+ */
+const holidaysInput = document.getElementById('holidays');
+
+/**
+ * The drop-down list used to choose the day count convention by which the interest accrues is retrieved by the id
+ * 'day-count', which is associated with the <select> tag on line 205 of the HTML file.
+ * @type {HTMLElement}
+ */
+const dayCountSelect = document.getElementById('day-count');
+
+/**
+ * The drop-down list used to choose whether the year separators follow loan years or calendar years is retrieved by
+ * the id 'year-mode', which is associated with the <select> tag on line 215 of the HTML file.
+ * @type {HTMLElement}
+ */
+const yearModeSelect = document.getElementById('year-mode');
+
+/**
+ * The drop-down list used to choose between showing every payment and the annual summary view is retrieved by the id
+ * 'table-view', which is associated with the <select> tag on line 224 of the HTML file.
+ * @type {HTMLElement}
+ */
+const tableViewSelect = document.getElementById('table-view');
+
+/**
+ * The number input field used to capture the extra monthly payment is retrieved by the id 'extra-monthly', which is
+ * associated with the <input> tag on line 233 of the HTML file.
+ * @type {HTMLElement}
+ */
+const extraMonthlyInput = document.getElementById('extra-monthly');
+
+/**
+ * The number input field used to capture the extra annual payment is retrieved by the id 'extra-annual', which is
+ * associated with the <input> tag on line 241 of the HTML file.
+ * @type {HTMLElement}
+ */
+const extraAnnualInput = document.getElementById('extra-annual');
+
+/**
+ * The text input field used to capture the one-off payments is retrieved by the id 'lump-sums', which is associated
+ * with the <input> tag on line 249 of the HTML file.
+ * @type {HTMLElement}
+ */
+const lumpSumsInput = document.getElementById('lump-sums');
+
+/**
+ * The text input field used to capture the payment events is retrieved by the id 'payment-events', which is associated
+ * with the <input> tag on line 258 of the HTML file.
+ * @type {HTMLElement}
+ */
+const paymentEventsInput = document.getElementById('payment-events');
+
+/**
+ * The number input field used to capture the late fee is retrieved by the id 'late-fee', which is associated with the
+ * <input> tag on line 266 of the HTML file.
+ * @type {HTMLElement}
+ */
+const lateFeeInput = document.getElementById('late-fee');
+
+/**
+ * The drop-down list used to choose how the mortgage is re-amortized after a payment event is retrieved by the id
+ * 'reamortization', which is associated with the <select> tag on line 274 of the HTML file.
+ * @type {HTMLElement}
+ */
+const reamortizationSelect = document.getElementById('reamortization');
+
+/**
+ * The file input field used to choose the statement of actual payments is retrieved by the id 'statement', which is
+ * associated with the <input> tag on line 286 of the HTML file.
+ * @type {HTMLInputElement}
+ */
+const statementInput = document.getElementById('statement');
+
+/**
+ * The button used to remove the statement of actual payments is retrieved by the id 'clear-statement', which is
+ * associated with the <input> tag on line 287 of the HTML file.
+ * @type {HTMLElement}
+ */
+const clearStatementButton = document.getElementById('clear-statement');
+
+/**
+ * The element used to display the error of the statement of actual payments is retrieved by the id 'statement-error',
+ * which is associated with the <span> tag on line 289 of the HTML file.
+ * @type {HTMLElement}
+ */
+const statementError = document.getElementById('statement-error');
+
+/**
+ * The number input field used to capture the savings balance of the offset account is retrieved by the id
+ * 'offset-balance', which is associated with the <input> tag on line 296 of the HTML file.
+ * @type {HTMLElement}
+ */
+const offsetBalanceInput = document.getElementById('offset-balance');
+
+/**
+ * The number input field used to capture the contribution to the offset account with every payment is retrieved by the
+ * id 'offset-contribution', which is associated with the <input> tag on line 306 of the HTML file.
+ * @type {HTMLElement}
+ */
+const offsetContributionInput = document.getElementById('offset-contribution');
+
+/**
+ * The drop-down list used to choose whether the offset account pays off the mortgage earlier or lowers the payment is
+ * retrieved by the id 'offset-mode', which is associated with the <select> tag on line 313 of the HTML file.
+ * @type {HTMLElement}
+ */
+const offsetModeSelect = document.getElementById('offset-mode');
+
+/**
+ * The number input field used to capture the month of the refinancing is retrieved by the id 'refinance-month', which
+ * is associated with the <input> tag on line 323 of the HTML file.
+ * @type {HTMLElement}
+ */
+const refinanceMonthInput = document.getElementById('refinance-month');
+
+/**
+ * The number input field used to capture the annual interest rate of the new loan is retrieved by the id
+ * 'refinance-interest', which is associated with the <input> tag on line 332 of the HTML file.
+ * @type {HTMLElement}
+ */
+const refinanceInterestInput = document.getElementById('refinance-interest');
+
+/**
+ * The number input field used to capture the term of the new loan is retrieved by the id 'refinance-term', which is
+ * associated with the <input> tag on line 340 of the HTML file.
+ * @type {HTMLElement}
+ */
+const refinanceTermInput = document.getElementById('refinance-term');
+
+/**
+ * The number input field used to capture the closing costs of the new loan is retrieved by the id 'closing-costs',
+ * which is associated with the <input> tag on line 348 of the HTML file.
+ * @type {HTMLElement}
+ */
+const closingCostsInput = document.getElementById('closing-costs');
+
+/**
+ * The number input field used to capture the fees of the new loan is retrieved by the id 'refinance-fees', which is
+ * associated with the <input> tag on line 356 of the HTML file.
+ * @type {HTMLElement}
+ */
+const refinanceFeesInput = document.getElementById('refinance-fees');
+
+/**
+ * The number input field used to capture the value of the property is retrieved by the id 'property-value', which is
+ * associated with the <input> tag on line 364 of the HTML file.
+ * @type {HTMLElement}
+ */
+const propertyValueInput = document.getElementById('property-value');
+
+/**
+ * The number input field used to capture the annual property tax is retrieved by the id 'property-tax', which is
+ * associated with the <input> tag on line 372 of the HTML file.
+ * @type {HTMLElement}
+ */
+const propertyTaxInput = document.getElementById('property-tax');
+
+/**
+ * The number input field used to capture the annual home insurance is retrieved by the id 'insurance', which is
+ * associated with the <input> tag on line 380 of the HTML file.
+ * @type {HTMLElement}
+ */
+const insuranceInput = document.getElementById('insurance');
+
+/**
+ * The number input field used to capture the annual PMI rate is retrieved by the id 'pmi-rate', which is associated
+ * with the <input> tag on line 388 of the HTML file.
+ * @type {HTMLElement}
+ */
+const pmiRateInput = document.getElementById('pmi-rate');
+
+/**
+ * The number input field used to capture the loan-to-value at which the PMI drops off is retrieved by the id 'pmi-ltv',
+ * which is associated with the <input> tag on line 396 of the HTML file.
+ * @type {HTMLElement}
+ */
+const pmiLoanToValueInput = document.getElementById('pmi-ltv');
+
+/**
+ * The number input field used to capture the upfront fees of the loan is retrieved by the id 'upfront-fees', which is
+ * associated with the <input> tag on line 404 of the HTML file.
+ * @type {HTMLElement}
+ */
+const upfrontFeesInput = document.getElementById('upfront-fees');
+
+/**
+ * The number input field used to capture the annual inflation rate is retrieved by the id 'inflation-rate', which is
+ * associated with the <input> tag on line 412 of the HTML file.
+ * @type {HTMLElement}
+ */
+const inflationRateInput = document.getElementById('inflation-rate');
+
+/**
+ * The number input field used to capture the annual discount rate is retrieved by the id 'discount-rate', which is
+ * associated with the <input> tag on line 420 of the HTML file.
+ * @type {HTMLElement}
+ */
+const discountRateInput = document.getElementById('discount-rate');
+
+/**
+ * The paragraph used to display an error of the whole calculation, rather than of a single input field, is retrieved by
+ * the id 'form-error', which is associated with the <p> tag on line 426 of the HTML file.
+ * @type {HTMLElement}
+ */
+const formError = document.getElementById('form-error');
+
+/**
+ * The mortgage amortization table is retrieved by the id 'amortization-table', which is associated with the <table> tag
+ * on line 589 of the HTML file.
+ * @type {HTMLTableElement}
+ */
+const amortizationTable = document.getElementById('amortization-table');
+
 /**
  * The table header cell used to display the title of the mortgage amortization table is retrieved by the id
- * 'amortization-table-title', which is associated with the <th> tag on line 54 of the HTML file.
+ * 'amortization-table-title', which is associated with the <th> tag on line 592 of the HTML file.
  * @type {HTMLElement}
  */
 const amortizationTableTitle = document.getElementById('amortization-table-title');
 
 /**
  * The table body used to display rows of the mortgage amortization table is retrieved by the id
- * 'amortization-table-body', which is associated with the <tbody> tag on line 70 of the HTML file.
+ * 'amortization-table-body', which is associated with the <tbody> tag on line 625 of the HTML file.
  * @type {HTMLElement}
  */
 const amortizationTableBody = document.getElementById('amortization-table-body');
 
 /**
- * An event listener, in the form of a lambda function, is added to the user input form, which is called when the
- * 'submit' event is triggered, in this case either by the user clicking the 'Calculate' button in the form or by
- * pressing the 'Enter' key while the form is in focus.
+ * The button used to export the mortgage amortization table as a CSV file is retrieved by the id 'export-csv', which is
+ * associated with the <input> tag on line 434 of the HTML file.
+ * @type {HTMLElement}
  */
-inputForm.addEventListener('submit', (event) => {
+const exportCsvButton = document.getElementById('export-csv');
+
+/**
+ * The button used to export the mortgage amortization table as a JSON file is retrieved by the id 'export-json', which
+ * is associated with the <input> tag on line 435 of the HTML file.
+ * @type {HTMLElement}
+ */
+const exportJsonButton = document.getElementById('export-json');
+
+/**
+ * The button used to print the mortgage amortization table is retrieved by the id 'print-table', which is associated
+ * with the <input> tag on line 436 of the HTML file.
+ * @type {HTMLElement}
+ */
+const printTableButton = document.getElementById('print-table');
+
+/**
+ * The text input field used to capture the name of a scenario is retrieved by the id 'scenario-name', which is
+ * associated with the <input> tag on line 441 of the HTML file.
+ * @type {HTMLElement}
+ */
+const scenarioNameInput = document.getElementById('scenario-name');
+
+/**
+ * The button used to add the current calculation as a scenario is retrieved by the id 'add-scenario', which is
+ * associated with the <input> tag on line 444 of the HTML file.
+ * @type {HTMLElement}
+ */
+const addScenarioButton = document.getElementById('add-scenario');
+
+/**
+ * The section used to display the scenario comparison is retrieved by the id 'scenario-comparison', which is
+ * associated with the <section> tag on line 469 of the HTML file.
+ * @type {HTMLElement}
+ */
+const scenarioComparison = document.getElementById('scenario-comparison');
+
+/**
+ * The table body used to display the summaries of the scenarios is retrieved by the id 'comparison-table-body', which
+ * is associated with the <tbody> tag on line 488 of the HTML file.
+ * @type {HTMLElement}
+ */
+const comparisonTableBody = document.getElementById('comparison-table-body');
+
+/**
+ * The collapsible element used to display the differences between the schedules of two scenarios is retrieved by the
+ * id 'scenario-diff', which is associated with the <details> tag on line 491 of the HTML file.
+ * @type {HTMLElement}
+ */
+const scenarioDiff = document.getElementById('scenario-diff');
+
+/**
+ * The drop-down list used to select the baseline scenario of the schedule comparison is retrieved by the id
+ * 'diff-first', which is associated with the <select> tag on line 494 of the HTML file.
+ * @type {HTMLElement}
+ */
+const diffFirstSelect = document.getElementById('diff-first');
+
+/**
+ * The drop-down list used to select the scenario compared to the baseline scenario is retrieved by the id
+ * 'diff-second', which is associated with the <select> tag on line 496 of the HTML file.
+ * @type {HTMLElement}
+ */
+const diffSecondSelect = document.getElementById('diff-second');
+
+/**
+ * The table body used to display the differences between the schedules of two scenarios is retrieved by the id
+ * 'diff-table-body', which is associated with the <tbody> tag on line 517 of the HTML file.
+ * @type {HTMLElement}
+ */
+const diffTableBody = document.getElementById('diff-table-body');
+
+/**
+ * The button used to save the current state of the user input form as a named scenario is retrieved by the id
+ * 'save-scenario', which is associated with the <input> tag on line 448 of the HTML file.
+ * @type {HTMLElement}
+ */
+const saveScenarioButton = document.getElementById('save-scenario');
+
+/**
+ * The list used to display the saved scenarios is retrieved by the id 'saved-scenarios', which is associated with the
+ * <ul> tag on line 453 of the HTML file.
+ * @type {HTMLElement}
+ */
+const savedScenariosList = document.getElementById('saved-scenarios');
+
+/**
+ * The text input field used to capture the name of a loan of the debt portfolio is retrieved by the id 'loan-name',
+ * which is associated with the <input> tag on line 458 of the HTML file.
+ * @type {HTMLElement}
+ */
+const loanNameInput = document.getElementById('loan-name');
+
+/**
+ * The button used to add the current calculation as a loan of the debt portfolio is retrieved by the id 'add-loan',
+ * which is associated with the <input> tag on line 461 of the HTML file.
+ * @type {HTMLElement}
+ */
+const addLoanButton = document.getElementById('add-loan');
+
+/**
+ * The section used to display the debt portfolio is retrieved by the id 'debt-portfolio', which is associated with the
+ * <section> tag on line 523 of the HTML file.
+ * @type {HTMLElement}
+ */
+const debtPortfolio = document.getElementById('debt-portfolio');
+
+/**
+ * The table body used to display the loans of the debt portfolio is retrieved by the id 'portfolio-table-body', which
+ * is associated with the <tbody> tag on line 537 of the HTML file.
+ * @type {HTMLElement}
+ */
+const portfolioTableBody = document.getElementById('portfolio-table-body');
+
+/**
+ * The number input field used to capture the total monthly budget of the debt portfolio is retrieved by the id
+ * 'portfolio-budget', which is associated with the <input> tag on line 541 of the HTML file.
+ * @type {HTMLElement}
+ */
+const portfolioBudgetInput = document.getElementById('portfolio-budget');
+
+/**
+ * The paragraph used to display the error of the debt portfolio, if any, is retrieved by the id 'portfolio-error',
+ * which is associated with the <p> tag on line 543 of the HTML file.
+ * @type {HTMLElement}
+ */
+const portfolioError = document.getElementById('portfolio-error');
+
+/**
+ * The table used to compare the payoff strategies of the debt portfolio is retrieved by the id 'strategy-table', which
+ * is associated with the <table> tag on line 544 of the HTML file.
+ * @type {HTMLElement}
+ */
+const strategyTable = document.getElementById('strategy-table');
+
+/**
+ * The table body used to display the totals of every payoff strategy is retrieved by the id 'strategy-table-body',
+ * which is associated with the <tbody> tag on line 553 of the HTML file.
+ * @type {HTMLElement}
+ */
+const strategyTableBody = document.getElementById('strategy-table-body');
+
+/**
+ * The collapsible element used to display the schedules of the loans of the debt portfolio is retrieved by the id
+ * 'portfolio-schedules', which is associated with the <details> tag on line 556 of the HTML file.
+ * @type {HTMLElement}
+ */
+const portfolioSchedules = document.getElementById('portfolio-schedules');
+
+/**
+ * The drop-down list used to choose the payoff strategy whose schedules of the loans are shown is retrieved by the id
+ * 'portfolio-strategy', which is associated with the <select> tag on line 559 of the HTML file.
+ * @type {HTMLElement}
+ */
+const portfolioStrategySelect = document.getElementById('portfolio-strategy');
+
+/**
+ * The table body used to display the schedules of the loans of the debt portfolio is retrieved by the id
+ * 'portfolio-schedule-table-body', which is associated with the <tbody> tag on line 581 of the HTML file.
+ * @type {HTMLElement}
+ */
+const portfolioScheduleTableBody = document.getElementById('portfolio-schedule-table-body');
+
+/**
+ * The container used to display the charts of the mortgage amortization schedule is retrieved by the id 'charts', which
+ * is associated with the <section> tag on line 587 of the HTML file.
+ * @type {HTMLElement}
+ */
+const chartsContainer = document.getElementById('charts');
+
+/**
+ * The parameters of the mortgage and the mortgage amortization schedule of the most recent calculation, which are kept
+ * so that the schedule shown in the mortgage amortization table can be exported. It is null while the user input form
+ * is not valid, since the table then no longer matches the form. Note that this variable is declared before the
+ * 'parseFormAndUpdate()' function is first called, since that function sets it.
+ * @type {{params: Object, schedule: {rows: ScheduleRow[], totals: ScheduleTotals}}|null}
+ */
+let currentCalculation = null;
+
+/**
+ * The scenarios that have been added to the scenario comparison, each with a name, the parameters of the mortgage, and
+ * the mortgage amortization schedule. Unlike the mortgage amortization table, the scenarios are kept when the form is
+ * calculated again, so that different mortgages can be compared.
+ * @type {{name: string, params: Object, schedule: {rows: ScheduleRow[], totals: ScheduleTotals}}[]}
+ */
+const scenarios = [];
+
+/**
+ * The loans that have been added to the debt portfolio, each with a name, the parameters of the loan, and the
+ * amortization schedule, in the custom order in which they are paid off. Like the scenarios, the loans are kept when
+ * the form is calculated again, so that the loans can be entered one after another.
+ * @type {{name: string, params: Object, schedule: {rows: ScheduleRow[], totals: ScheduleTotals}}[]}
+ */
+const portfolioLoans = [];
+
+/**
+ * The localization of the page, which formats amounts, interest rates, and dates for the locale and currency chosen in
+ * the user input form, and translates the text of the page. Note that this variable is declared before the
+ * 'parseFormAndUpdate()' function is first called, since that function sets it.
+ * @type {Localization|null}
+ */
+let localization = null;
+
+/**
+ * The number of rows added to the mortgage amortization table at a time. The first batch is added straight away, so
+ * that the top of the table is shown without delay, and every further batch is added in the next animation frame, so
+ * that the page stays responsive while the rows of a long schedule are added.
+ * @type {number}
+ */
+const RENDER_BATCH_SIZE = 120;
+
+/**
+ * The rendering of the mortgage amortization table that is still in progress, if any, with the animation frame in which
+ * the next batch of rows is added, the table body, the functions that create the rows of the table, and the index of
+ * the next row to be added. Note that this variable is declared before the 'parseFormAndUpdate()' function is first
+ * called, since that function sets it.
+ * @type {{frame: number, tableBody: HTMLElement, tableRows: function[], start: number}|null}
+ */
+let pendingRender = null;
+
+/**
+ * The years of the mortgage amortization table whose rows are collapsed, so that only the summary row of the year is
+ * shown. It is reset whenever the table is updated, to every year in the annual summary view, and to no year otherwise.
+ * Note that this variable is declared before the 'parseFormAndUpdate()' function is first called, since that function
+ * sets it.
+ * @type {Set<number>}
+ */
+let collapsedYears = new Set();
+
+/**
+ * The payments of the statement of actual payments that is reconciled against the mortgage amortization schedule, and
+ * the error of the statement if it cannot be parsed. The payments are empty until a statement is chosen, and they are
+ * kept when the form is calculated again, since a statement is not part of the state in the URL. Note that this
+ * variable is declared before the 'parseFormAndUpdate()' function is first called, since that function reads it.
+ * @type {{payments: StatementPayment[], error: ValidationError|null}}
+ */
+let statement = {payments: [], error: null};
+
+/**
+ * An event listener, in the form of a lambda function, is added to the user input form, which is called when the
+ * 'submit' event is triggered, in this case either by the user clicking the 'Calculate' button in the form or by
+ * pressing the 'Enter' key while the form is in focus.
+ */
+inputForm.addEventListener('submit', (event) => {
+    /**
+     * To prevent the page from reloading, the event is prevented from taking its default action, in this case,
+     * submitting the form and causing a page reload.
+     */
+    event.preventDefault();
+
+    /**
+     * The rest of the handling of the event needed to be done is performed in the 'parseFormAndUpdate()' function, so
+     * that function can be called outside the context of the event listener if need be.
+     */
+    if (parseFormAndUpdate()) {
+        /**
+         * The state of the user input form is added to the history of the browser, so that the URL can be shared, and
+         * the back button returns to the previous calculation.
+         */
+        updateHistory();
+    } else {
+        /**
+         * In this case, the user input form is not valid, so the first input field with an error is focused, so that
+         * the user is taken straight to what needs to be corrected.
+         */
+        inputForm.querySelector('[aria-invalid="true"]')?.focus();
+    }
+});
+
+/**
+ * An event listener is added to the user input form, which is called when the 'input' event is triggered, in this case
+ * whenever the value of any input field or drop-down list changes, for example on every key press. The user input form
+ * is validated, and the mortgage amortization table is recalculated straight away if it is valid, so that the errors
+ * and the table follow what is entered. Input fields that are not part of the state of the user input form, such as
+ * the scenario name input field, are ignored, since they do not change the calculation.
+ */
+inputForm.addEventListener('input', (event) => {
+    if (STATE_FIELDS.includes(event.target.name)) {
+        parseFormAndUpdate();
+    }
+});
+
+/**
+ * An event listener is added to the user input form, which is called when the 'change' event is triggered, in this case
+ * when a changed value is committed, for example when an input field loses focus or another option is selected. If the
+ * most recent calculation is valid, its state is added to the history of the browser, so that the URL always matches
+ * the mortgage amortization table, without adding to the history on every key press.
+ */
+inputForm.addEventListener('change', (event) => {
+    if (STATE_FIELDS.includes(event.target.name) && currentCalculation) {
+        updateHistory();
+    }
+});
+
+/**
+ * An event listener is added to the window, which is called when the user navigates through the history of the
+ * browser, for example using the back button. The user input form is restored from the state in the URL, and the
+ * mortgage amortization table is updated, without adding to the history again.
+ */
+window.addEventListener('popstate', () => {
+    restoreFormState(decodeState(window.location.search));
+    parseFormAndUpdate();
+});
+
+/**
+ * An event listener is added to the repayment type drop-down list, which is called when another repayment type is
+ * selected, and enables the balloon payment input field only for balloon repayment, since the balloon payment is not
+ * used by the other repayment types.
+ */
+repaymentTypeSelect.addEventListener('change', () => updateBalloonInput());
+
+/**
+ * An event listener is added to the drop-down list of the figure that is solved for, which is called when another
+ * figure is selected, and enables the regular payment input field and makes the input field of the solved figure read
+ * only, since its value is then calculated rather than entered.
+ */
+solveForSelect.addEventListener('change', () => updateSolverInputs());
+
+/**
+ * An event listener is added to the CSV export button, which is called when the button is clicked. The mortgage
+ * amortization schedule of the most recent calculation is converted into CSV text, using the locale chosen in the user
+ * input form to decide the decimal separator and the delimiter, and is then downloaded as a file.
+ */
+exportCsvButton.addEventListener('click', () => {
+    /** The CSV text is created using the 'toCsv()' function, then downloaded using the 'downloadFile()' function. */
+    downloadFile('amortization-table.csv', 'text/csv',
+        toCsv(currentCalculation.params, currentCalculation.schedule, localization.locale));
+});
+
+/**
+ * An event listener is added to the JSON export button, which is called when the button is clicked. The mortgage
+ * amortization schedule of the most recent calculation is converted into JSON text, and is then downloaded as a file.
+ */
+exportJsonButton.addEventListener('click', () => {
+    /** The JSON text is created using the 'toJson()' function, then downloaded using the 'downloadFile()' function. */
+    downloadFile('amortization-table.json', 'application/json',
+        toJson(currentCalculation.params, currentCalculation.schedule));
+});
+
+/**
+ * An event listener is added to the print button, which is called when the button is clicked, and opens the print
+ * dialog of the browser. The print layout of the page is defined in the CSS file.
+ */
+printTableButton.addEventListener('click', () => window.print());
+
+/**
+ * An event listener is added to the statement input field, which is called when a statement of actual payments is
+ * chosen. The text of the file is read, which happens asynchronously, and is then parsed using the 'parseStatement()'
+ * function, after which the mortgage amortization table is updated, so that the statement is reconciled against the
+ * schedule, or its error is shown.
+ */
+statementInput.addEventListener('change', () => {
+    /**
+     * The chosen file, which is undefined if the choice was cancelled, in which case nothing is done.
+     * @type {File|undefined}
+     */
+    const [file] = statementInput.files;
+    if (!file) {
+        return;
+    }
+    /** The text of the file is read, parsed, and kept, and the mortgage amortization table is updated. */
+    file.text().then((text) => {
+        statement = parseStatement(text);
+        parseFormAndUpdate();
+    });
+});
+
+/**
+ * An event listener is added to the clear statement button, which is called when the button is clicked. The chosen
+ * file and the statement of actual payments are removed, and the mortgage amortization table is updated, so that it
+ * shows the schedule without any reconciliation.
+ */
+clearStatementButton.addEventListener('click', () => {
+    statementInput.value = '';
+    statement = {payments: [], error: null};
+    parseFormAndUpdate();
+});
+
+/**
+ * An event listener is added to the window, which is called before the page is printed, whether using the print button
+ * or the print command of the browser, and adds any rows of the mortgage amortization table that have not been added
+ * yet, so that the printed table is complete.
+ */
+window.addEventListener('beforeprint', () => finishRendering());
+
+/**
+ * An event listener is added to the add scenario button, which is called when the button is clicked, and adds the most
+ * recent calculation to the scenario comparison.
+ */
+addScenarioButton.addEventListener('click', () => addScenario());
+
+/**
+ * An event listener is added to the save scenario button, which is called when the button is clicked, and saves the
+ * current state of the user input form to the storage of the browser.
+ */
+saveScenarioButton.addEventListener('click', () => saveCurrentScenario());
+
+/**
+ * Event listeners are added to both drop-down lists of the schedule comparison, which are called when another scenario
+ * is selected, and update the differences between the schedules of the selected scenarios.
+ */
+diffFirstSelect.addEventListener('change', () => updateDiffTable());
+diffSecondSelect.addEventListener('change', () => updateDiffTable());
+
+/**
+ * An event listener is added to the add loan button, which is called when the button is clicked, and adds the most
+ * recent calculation to the debt portfolio.
+ */
+addLoanButton.addEventListener('click', () => addLoan());
+
+/**
+ * Event listeners are added to the budget input field and the strategy drop-down list of the debt portfolio, which are
+ * called when another budget is entered or another payoff strategy is chosen, and update the debt portfolio.
+ */
+portfolioBudgetInput.addEventListener('input', () => updatePortfolio());
+portfolioStrategySelect.addEventListener('change', () => updatePortfolio());
+
+/**
+ * The user input form is restored from the state in the URL, if any, so that a shared link loads straight into the
+ * calculation it describes.
+ */
+restoreFormState(decodeState(window.location.search));
+
+/**
+ * The 'parseFormAndUpdate()' function is now called, so that when the page is loaded, the values from the URL or the
+ * default values defined in the HTML file are used, and the user never sees an empty mortgage amortization table.
+ */
+parseFormAndUpdate();
+
+/** The list of saved scenarios is filled with the scenarios saved to the storage of the browser. */
+updateSavedScenarios(loadSavedScenarios(localStorage));
+
+/**
+ * The input fields of the user input form are validated and parsed, and then the values are used to populate the
+ * mortgage amortization table. If any input field is not valid, or the mortgage would never be paid off, the errors are
+ * shown instead, and the mortgage amortization table is left as it is.
+ * @returns {boolean} whether the user input form is valid, and the mortgage amortization table was updated.
+ */
+function parseFormAndUpdate() {
+    /**
+     * The localization of the page is created for the locale, currency, and payment frequency chosen in the user input
+     * form, using the 'createLocalization()' function, and the text of the page is translated using the
+     * 'updateLocalization()' function.
+     */
+    localization = createLocalization(localeSelect.value, currencySelect.value, paymentFrequencySelect.value);
+    updateLocalization();
+    /** The error of the statement of actual payments, if any, is shown in the language of the localization. */
+    updateStatementError();
+
+    /**
+     * The values of the input fields are validated using the 'validateForm()' function, which returns the errors of
+     * the input fields that are not valid.
+     * @type {Object<string, ValidationError>}
+     */
+    const errors = validateForm(readFormState());
+    /** The errors are shown next to their input fields, and any previous errors are cleared. */
+    updateErrors(errors, null);
+    /**
+     * If any input field is not valid, there is no calculation to be made, so the most recent calculation is discarded
+     * and nothing else is done.
+     */
+    if (Object.keys(errors).length > 0) {
+        currentCalculation = null;
+        updateCalculationButtons();
+        return false;
+    }
+
+    /**
+     * The principal amount is parsed from the value of the principal input field, and is converted to a number. Note
+     * that the value has already been validated.
+     * @type {number}
+     */
+    let principal = parseFloat(principalInput.value);
+
+    /**
+     * The payment frequency and the compounding frequency are the values of their drop-down lists.
+     * @type {string}
+     */
+    let paymentFrequency = paymentFrequencySelect.value;
+    let compounding = compoundingSelect.value;
+
+    /**
+     * The annual interest rate is parsed from the value of the interest input field, is converted to a number, divided
+     * by 100 to convert it to a decimal percentage, and then converted to the decimal interest rate of a single payment
+     * period using the 'toPeriodicRate()' function, which is the annual rate divided by 12 for monthly payments. Note
+     * that the value has already been validated.
+     * @type {number}
+     */
+    let interest = toPeriodicRate(parseFloat(interestInput.value) / 100, paymentFrequency, compounding);
+
+    /**
+     * The interest rate changes are parsed from the value of the rate changes input field using the
+     * 'parseRateChanges()' function, which also converts each annual interest rate into the decimal interest rate of a
+     * single payment period.
+     * @type {Map<number, number>}
+     */
+    let rateChanges = parseRateChanges(rateChangesInput.value, paymentFrequency, compounding);
+
+    /**
+     * The term in years is parsed from the value of the term input field, is converted to a number, and multiplied by
+     * the number of payments made per year to convert it to the number of payments. Note that the value has already
+     * been validated.
+     * @type {number}
+     */
+    let term = parseFloat(termInput.value) * PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear;
+
+    /**
+     * The number of interest-only months is parsed from the value of the interest-only input field, where an empty
+     * input field is treated as 0, and is converted into the nearest number of payments using the 'toPaymentCount()'
+     * function.
+     * @type {number}
+     */
+    let interestOnlyPayments = toPaymentCount(parseInt(interestOnlyInput.value) || 0, paymentFrequency);
+
+    /**
+     * The instalment that the schedule is built with, which is the regular payment to solve from if the form solves
+     * for the term, so that the schedule pays that payment over the term rounded up to whole years, and is otherwise 0,
+     * so that the instalment is calculated from the principal and the term.
+     * @type {number}
+     */
+    let instalment = 0;
+
+    /**
+     * If the form solves for the principal, the term, or the interest rate, the figure that is solved for and the
+     * regular payment to solve from, parsed from the value of its input field, are collected into a single object,
+     * which is otherwise null. Note that the value has already been validated.
+     * @type {{unknown: string, payment: number}|null}
+     */
+    let solved = solveForSelect.value === 'payment' ?
+        null :
+        {unknown: solveForSelect.value, payment: parseFloat(targetPaymentInput.value)};
+    if (solved) {
+        /**
+         * The figure is solved for using the 'solveMortgage()' function, which returns the principal, the term, and
+         * the interest rate, including the solved figure, or the error if the figure cannot be solved for. Note that
+         * this line is broken onto multiple lines to keep the code readable.
+         * @type {{params: Object|null, error: ValidationError|null}}
+         */
+        const solution = solveMortgage(solved.unknown, {
+            payment: solved.payment, principal, termInMonths: term, monthlyInterestRate: interest,
+            interestOnlyMonths: interestOnlyPayments, frequency: paymentFrequency, compounding,
+            fractionDigits: localization.fractionDigits
+        });
+        /**
+         * If the figure cannot be solved for, there is no calculation to be made, so the most recent calculation is
+         * discarded, and the error is shown above the calculate button.
+         */
+        if (solution.error) {
+            currentCalculation = null;
+            updateErrors(errors, solution.error);
+            updateCalculationButtons();
+            return false;
+        }
+        /**
+         * Otherwise, the solved figure, and the instalment if the term is solved for, are used for the calculation,
+         * and the solved figure is shown in its input field, using the 'updateSolvedInput()' function.
+         */
+        ({principal, termInMonths: term, monthlyInterestRate: interest, instalment = 0} = solution.params);
+        updateSolvedInput(solved.unknown, solution.params, paymentFrequency, compounding);
+    }
+
+    /**
+     * The prepayments are collected into a single object. The extra payment made with every payment and the extra
+     * annual payment are parsed from the values of their input fields, where an empty input field is treated as no
+     * extra payment, and the one-off payments are parsed from the value of the one-off payments input field using the
+     * 'parseLumpSums()' function.
+     * @type {{monthly: number, annual: number, lumpSums: Map<number, number>}}
+     */
+    let prepayments = {
+        monthly: parseFloat(extraMonthlyInput.value) || 0,
+        annual: parseFloat(extraAnnualInput.value) || 0,
+        lumpSums: parseLumpSums(lumpSumsInput.value, paymentFrequency)
+    };
+
+    /**
+     * The payment events are collected into a single object. The payment events themselves are parsed from the value
+     * of the payment events input field using the 'parsePaymentEvents()' function, the late fee is parsed from the
+     * value of its input field, where an empty input field is treated as no late fee, and the way in which the mortgage
+     * is re-amortized is the value of its drop-down list.
+     * @type {{events: Map<number, {type: string, amount: number}>, lateFee: number, reamortization: string}}
+     */
+    let paymentEvents = {
+        events: parsePaymentEvents(paymentEventsInput.value, paymentFrequency),
+        lateFee: parseFloat(lateFeeInput.value) || 0,
+        reamortization: reamortizationSelect.value
+    };
+
+    /**
+     * The savings balance and the contribution of the offset account are parsed from the values of their input fields,
+     * where an empty input field is treated as 0.
+     * @type {number}
+     */
+    let offsetBalance = parseFloat(offsetBalanceInput.value) || 0;
+    let offsetContribution = parseFloat(offsetContributionInput.value) || 0;
+    /**
+     * The offset account is collected into a single object, made up of the savings balance, the contribution, and the
+     * way in which the interest saved is used, which is the value of its drop-down list. There is only an offset
+     * account if there is a savings balance, or if savings are paid in. Note that this line is broken onto multiple
+     * lines to keep the code readable.
+     * @type {{balance: number, contribution: number, mode: string}|null}
+     */
+    let offsetAccount = offsetBalance > 0 || offsetContribution > 0 ?
+        {balance: offsetBalance, contribution: offsetContribution, mode: offsetModeSelect.value} :
+        null;
+
+    /**
+     * The repayment structure is collected into a single object. The repayment type is the value of its drop-down list,
+     * the number of interest-only payments leaves at least the final payment to pay off the principal, and the balloon
+     * payment is parsed from the value of its input field, where an empty input field is treated as 0. The instalment
+     * is only passed if the term is solved for.
+     * @type {{type: string, interestOnlyMonths: number, balloonPayment: number, frequency: string,
+     * compounding: string, instalment: number}}
+     */
+    let repayment = {
+        type: repaymentTypeSelect.value,
+        interestOnlyMonths: Math.min(interestOnlyPayments, term - 1),
+        balloonPayment: parseFloat(balloonInput.value) || 0,
+        frequency: paymentFrequency,
+        compounding,
+        instalment
+    };
+
+    /**
+     * The calendar of the mortgage is collected into a single object. The start date is already an ISO 8601 date
+     * string, as the value of the date input field, the payment day is parsed from the value of its input field, and
+     * the holidays are parsed from the value of the holidays input field using the 'parseHolidays()' function. Note
+     * that the values have already been validated.
+     * @type {{startDate: string, paymentDay: number, roll: string, holidays: Set<string>, dayCount: string,
+     * calendarYears: boolean}}
+     */
+    let calendar = {
+        startDate: startDateInput.value,
+        paymentDay: parseInt(paymentDayInput.value),
+        roll: rollSelect.value,
+        holidays: parseHolidays(holidaysInput.value),
+        dayCount: dayCountSelect.value,
+        calendarYears: yearModeSelect.value === 'calendar'
+    };
+
+    /**
+     * The month of the refinancing is parsed from the value of its input field, where an empty input field is treated
+     * as 0, which means that the mortgage is not refinanced.
+     * @type {number}
+     */
+    let refinanceMonth = parseInt(refinanceMonthInput.value) || 0;
+
+    /**
+     * If the mortgage is refinanced, the refinancing is collected into a single object, which is otherwise null. The
+     * month of the refinancing is converted into the number of the first payment made on the new loan using the
+     * 'toPaymentNumber()' function, the annual interest rate and the term of the new loan are converted in the same way
+     * as those of the mortgage, and the closing costs and fees are parsed from the values of their input fields, where
+     * an empty input field is treated as 0. Note that the values have already been validated.
+     * @type {{month: number, monthlyInterestRate: number, termInMonths: number, closingCosts: number,
+     * fees: number}|null}
+     */
+    let refinancing = refinanceMonth > 0 ? {
+        month: toPaymentNumber(refinanceMonth, paymentFrequency),
+        monthlyInterestRate:
+            toPeriodicRate(parseFloat(refinanceInterestInput.value) / 100, paymentFrequency, compounding),
+        termInMonths: parseFloat(refinanceTermInput.value) * PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear,
+        closingCosts: parseFloat(closingCostsInput.value) || 0,
+        fees: parseFloat(refinanceFeesInput.value) || 0
+    } : null;
+
+    /**
+     * The costs of owning the property are collected into a single object. The property value, the annual property
+     * tax, the annual home insurance, and the upfront fees are parsed from the values of their input fields, and the
+     * PMI rate and the loan-to-value at which the PMI drops off are parsed from the values of their input fields and
+     * divided by 100 to convert them to decimal percentages, where an empty input field is treated as 0. Note that the
+     * values have already been validated.
+     * @type {{propertyValue: number, propertyTax: number, insurance: number, pmiRate: number,
+     * pmiLoanToValue: number, upfrontFees: number}}
+     */
+    let ownershipCosts = {
+        propertyValue: parseFloat(propertyValueInput.value) || 0,
+        propertyTax: parseFloat(propertyTaxInput.value) || 0,
+        insurance: parseFloat(insuranceInput.value) || 0,
+        pmiRate: (parseFloat(pmiRateInput.value) || 0) / 100,
+        pmiLoanToValue: (parseFloat(pmiLoanToValueInput.value) || 0) / 100,
+        upfrontFees: parseFloat(upfrontFeesInput.value) || 0
+    };
+
+    /**
+     * The rates used to discount the mortgage amortization schedule are collected into a single object. The inflation
+     * rate and the discount rate are parsed from the values of their input fields and divided by 100 to convert them
+     * to decimal percentages, where an empty inflation rate input field is treated as 0, and an empty discount rate
+     * input field is treated as null, which means that the inflation rate is used instead. Note that the values have
+     * already been validated.
+     * @type {{inflationRate: number, discountRate: number|null}}
+     */
+    let discounting = {
+        inflationRate: (parseFloat(inflationRateInput.value) || 0) / 100,
+        discountRate: discountRateInput.value === '' ? null : parseFloat(discountRateInput.value) / 100
+    };
+
+    /**
+     * Updating the mortgage amortization table is performed in the 'updateTable()' function, to which the table body,
+     * principal, term in payments, decimal interest rate of a payment period, interest rate changes, prepayments,
+     * payment events, offset account, repayment structure, calendar, solved figure, payments of the statement of actual
+     * payments, refinancing, costs of owning the property, rates used to discount the schedule, and whether the annual
+     * summary view is chosen are passed as arguments. It returns the error of the calculation if the mortgage would
+     * never be paid off, or cannot be reconciled or refinanced, in which case the table is not updated, or otherwise
+     * null. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {ValidationError|null}
+     */
+    const error = updateTable(amortizationTableBody, principal, term, interest, rateChanges, prepayments,
+        paymentEvents, offsetAccount, repayment, calendar, solved, statement.payments, refinancing, ownershipCosts,
+        discounting, tableViewSelect.value === 'annual');
+    /** The error of the whole calculation, if any, is shown above the calculate button. */
+    updateErrors(errors, error);
+    /** The buttons that use the most recent calculation are enabled or disabled to match it. */
+    updateCalculationButtons();
+    /** It is returned whether the mortgage amortization table was updated. */
+    return error === null;
+}
+
+/**
+ * Given the passed text, the entries of a month list are parsed. The text is a comma separated list of entries in the
+ * form 'month:value', for example '12:5000, 60:10000'. Entries that cannot be parsed, that do not have a whole,
+ * positive month, or that have a negative value, are ignored.
+ * @param text the text to be parsed.
+ * @returns {{month: number, value: number}[]} the entries of the month list, in the order in which they were given.
+ */
+function parseMonthEntries(text) {
+    /**
+     * The array of entries is created, which is initially empty.
+     * @type {{month: number, value: number}[]}
+     */
+    const entries = [];
+    /**
+     * Every entry of the text is iterated over, by splitting the text on every comma.
+     */
+    for (const entry of text.split(',')) {
+        /**
+         * The entry is split on the colon into the month and the value, both of which are converted to numbers.
+         * Note that parts that are missing are converted to 'NaN'.
+         */
+        const [month, value] = entry.split(':').map((part) => parseFloat(part));
+        /**
+         * Only entries with a whole, positive month and a value of at least 0 are kept, which also excludes any parts
+         * that are 'NaN'.
+         */
+        if (Number.isInteger(month) && month > 0 && value >= 0) {
+            /** The entry is added to the array of entries. */
+            entries.push({month, value});
+        }
+    }
+    /** The array of entries is returned. */
+    return entries;
+}
+
+/**
+ * Given the passed arguments, the one-off payments are parsed using the 'parseMonthEntries()' function, where each
+ * value is the amount paid in the month, for example '12:5000, 60:10000'. Every month is converted into the number of
+ * the first payment made in that month using the 'toPaymentNumber()' function, which is the month itself for monthly
+ * payments. Entries for the same payment are added together.
+ * @param text the text to be parsed.
+ * @param paymentFrequency the payment frequency.
+ * @returns {Map<number, number>} the one-off payments, mapping each payment to the amount paid with that payment.
+ */
+function parseLumpSums(text, paymentFrequency) {
+    /**
+     * The map of one-off payments is created, which is initially empty.
+     * @type {Map<number, number>}
+     */
+    const lumpSums = new Map();
+    /** Every entry parsed from the text is iterated over. */
+    for (const {month, value} of parseMonthEntries(text)) {
+        /**
+         * The number of the payment made in the month.
+         * @type {number}
+         */
+        const payment = toPaymentNumber(month, paymentFrequency);
+        /** The amount is added to any amount already recorded for the payment. */
+        lumpSums.set(payment, (lumpSums.get(payment) || 0) + value);
+    }
+    /** The map of one-off payments is returned. */
+    return lumpSums;
+}
+
+/**
+ * Given the passed arguments, the payment events are parsed. The text is a comma separated list of entries in the form
+ * 'month:event', for example '13:holiday, 25:missed, 26:500, 27:capitalise', where the event is 'holiday', 'missed',
+ * 'capitalise', or the amount of a partial payment. Every month is converted into the number of the first payment made
+ * in that month using the 'toPaymentNumber()' function. Entries that cannot be parsed are ignored, and if multiple
+ * entries are given for the same payment, the last one is used.
+ * @param text the text to be parsed.
+ * @param paymentFrequency the payment frequency.
+ * @returns {Map<number, {type: string, amount: number}>} the payment events, mapping each payment to its event, where
+ * the amount is the amount paid on a partial payment, and is otherwise 0.
+ */
+function parsePaymentEvents(text, paymentFrequency) {
+    /**
+     * The map of payment events is created, which is initially empty.
+     * @type {Map<number, {type: string, amount: number}>}
+     */
+    const paymentEvents = new Map();
+    /** Every entry of the text is iterated over, by splitting the text on every comma. */
+    for (const entry of text.split(',')) {
+        /**
+         * The entry is split on the colon into the month and the event, and the month is converted to a number. Note
+         * that a missing month is converted to 'NaN', and a missing event is undefined.
+         */
+        const [month, event] = entry.split(':').map((part) => part.trim());
+        /**
+         * The amount paid, if the event is a partial payment, which is 'NaN' for the other events.
+         * @type {number}
+         */
+        const amount = parseFloat(event);
+        /** Only entries with a whole, positive month are kept. */
+        if (!Number.isInteger(Number(month)) || Number(month) < 1) {
+            continue;
+        }
+        /**
+         * Named events are recorded as they are, and amounts of at least 0 are recorded as partial payments, for the
+         * payment made in the month.
+         */
+        if (PAYMENT_EVENT_TYPES.includes(event) && event !== 'partial') {
+            paymentEvents.set(toPaymentNumber(Number(month), paymentFrequency), {type: event, amount: 0});
+        } else if (amount >= 0) {
+            paymentEvents.set(toPaymentNumber(Number(month), paymentFrequency), {type: 'partial', amount});
+        }
+    }
+    /** The map of payment events is returned. */
+    return paymentEvents;
+}
+
+/**
+ * Given the passed arguments, the interest rate changes are parsed using the 'parseMonthEntries()' function, where each
+ * value is the annual interest rate as a percentage that applies from the month onwards, for example '37:5.1' for a
+ * rate of 5.1% from month 37. Every month is converted into the number of the first payment made in that month using
+ * the 'toPaymentNumber()' function. If multiple entries are given for the same payment, the last one is used.
+ * @param text the text to be parsed.
+ * @param paymentFrequency the payment frequency.
+ * @param compounding the compounding frequency.
+ * @returns {Map<number, number>} the interest rate changes, mapping each payment to the decimal interest rate of a
+ * payment period that applies from that payment onwards.
+ */
+function parseRateChanges(text, paymentFrequency, compounding) {
+    /**
+     * The map of interest rate changes is created, which is initially empty.
+     * @type {Map<number, number>}
+     */
+    const rateChanges = new Map();
+    /** Every entry parsed from the text is iterated over. */
+    for (const {month, value} of parseMonthEntries(text)) {
+        /**
+         * The annual interest rate is divided by 100 to convert it to a decimal percentage, and then converted to the
+         * decimal interest rate of a payment period using the 'toPeriodicRate()' function, before it is recorded for
+         * the payment made in the month.
+         */
+        rateChanges.set(toPaymentNumber(month, paymentFrequency),
+            toPeriodicRate(value / 100, paymentFrequency, compounding));
+    }
+    /** The map of interest rate changes is returned. */
+    return rateChanges;
+}
+
+/**
+ * Given the passed text, the holidays are parsed. The text is a comma separated list of ISO 8601 dates, for example
+ * '2026-12-25, 2027-01-01'. Entries that are not valid dates are ignored.
+ * @param text the text to be parsed.
+ * @returns {Set<string>} the holidays, as ISO 8601 date strings.
+ */
+function parseHolidays(text) {
+    /**
+     * The set of holidays is created, which is initially empty.
+     * @type {Set<string>}
+     */
+    const holidays = new Set();
+    /** Every entry of the text is iterated over, by splitting the text on every comma. */
+    for (const entry of text.split(',')) {
+        /**
+         * The entry is parsed into a date using the 'parseIsoDate()' function, which returns null if the entry is not a
+         * valid date.
+         * @type {Date|null}
+         */
+        const date = parseIsoDate(entry);
+        /** Only valid dates are recorded as holidays, in the same form as they are compared to the due dates. */
+        if (date) {
+            holidays.add(toIsoDate(date));
+        }
+    }
+    /** The set of holidays is returned. */
+    return holidays;
+}
+
+/**
+ * Updates the mortgage amortization table with the passed arguments.
+ * @param tableBody the table body to update.
+ * @param principal the principal amount.
+ * @param termInMonths the term in months, which is the number of payments for other payment frequencies than monthly.
+ * @param monthlyInterestRate the decimal interest rate of a payment period that applies until the first interest rate
+ * change, which is the monthly interest rate for monthly payments.
+ * @param rateChanges the interest rate changes, mapping each payment to the decimal interest rate of a payment period
+ * that applies from that payment onwards.
+ * @param prepayments the prepayments, as parsed from the user input form.
+ * @param paymentEvents the payment events, the late fee, and the way in which the mortgage is re-amortized after a
+ * payment event, as parsed from the user input form.
+ * @param offsetAccount the offset account, as parsed from the user input form, or null if there is no offset account.
+ * @param repayment the repayment structure, as parsed from the user input form.
+ * @param calendar the calendar, as parsed from the user input form, which decides the due dates of the payments and
+ * whether the year separators follow loan years or calendar years.
+ * @param solved the figure that was solved for and the regular payment it was solved from, or null if the form is used
+ * as usual.
+ * @param statementPayments the payments of the statement of actual payments, sorted by date, which are empty if there
+ * is no statement to reconcile.
+ * @param refinancing the refinancing, as parsed from the user input form, or null if the mortgage is not refinanced.
+ * @param ownershipCosts the costs of owning the property, as parsed from the user input form.
+ * @param discounting the inflation rate and the discount rate, as parsed from the user input form.
+ * @param annualView whether the table starts in the annual summary view, in which the rows of every year are collapsed
+ * into the summary row of the year.
+ * @returns {ValidationError|null} the error of the calculation if the mortgage would never be paid off, or cannot be
+ * reconciled or refinanced, in which case the table is left as it is, or otherwise null.
+ */
+function updateTable(tableBody, principal, termInMonths, monthlyInterestRate, rateChanges, prepayments, paymentEvents,
+                     offsetAccount, repayment, calendar, solved, statementPayments, refinancing, ownershipCosts,
+                     discounting, annualView) {
+    /**
+     * The parameters of the mortgage are collected into a single object, together with the currency and its number of
+     * fraction digits, so that every amount is rounded to the minor units of the currency. Note that this line is
+     * broken onto multiple lines to keep the code readable.
+     * @type {Object}
+     */
+    const params = {
+        principal, termInMonths, monthlyInterestRate, rateChanges, prepayments, paymentEvents, offsetAccount, repayment,
+        calendar, currency: localization.currency, fractionDigits: localization.fractionDigits
+    };
+    /**
+     * The mortgage amortization schedule is built using the 'buildSchedule()' function of the amortization engine,
+     * passing the parameters of the mortgage as the argument.
+     * @type {{rows: ScheduleRow[], totals: ScheduleTotals}}
+     */
+    let schedule = buildSchedule(params);
+    /**
+     * The schedule is checked using the 'checkSchedule()' function, which returns an error if the monthly payment does
+     * not pay off any of the principal. In that case, the mortgage would never be paid off, so there is no calculation,
+     * and the error is returned without updating the table.
+     * @type {ValidationError|null}
+     */
+    const error = checkSchedule(schedule, repayment);
+    if (error) {
+        currentCalculation = null;
+        return error;
+    }
+    /**
+     * If there is a statement of actual payments, it is reconciled against the schedule using the
+     * 'reconcileSchedule()' function, passing the parameters and the schedule of the mortgage, and the payments of the
+     * statement, as arguments, which returns the schedule projected from the actual balance, the figures of the
+     * reconciliation, and the error if the payments cannot be reconciled. Otherwise, this is null.
+     * @type {{schedule: Object|null, reconciliation: Reconciliation|null, error: ValidationError|null}|null}
+     */
+    const reconciled = statementPayments.length > 0 ? reconcileSchedule(params, schedule, statementPayments) : null;
+    /**
+     * If the payments cannot be reconciled, there is no calculation, and the error is returned without updating the
+     * table.
+     */
+    if (reconciled?.error) {
+        currentCalculation = null;
+        return reconciled.error;
+    }
+    /**
+     * The statement is reconciled before any refinancing, so the mortgage can only be refinanced after the last
+     * reconciled month, since the months up to it are already paid on the current loan.
+     */
+    if (reconciled && refinancing && refinancing.month <= reconciled.reconciliation.month) {
+        currentCalculation = null;
+        return {key: 'reconciliation.refinanced', values: {month: reconciled.reconciliation.month}};
+    }
+    /** Otherwise, the schedule projected from the actual balance is used, if there is a statement. */
+    if (reconciled) {
+        schedule = reconciled.schedule;
+    }
+    /**
+     * If the mortgage is refinanced, it is refinanced using the 'refinanceMortgage()' function, passing the parameters
+     * and the schedule of the mortgage, and the refinancing, as arguments, which returns the schedule of the refinanced
+     * mortgage, the figures of the refinancing, and the error if the mortgage cannot be refinanced. Otherwise, this is
+     * null.
+     * @type {{schedule: Object|null, refinancing: Refinancing|null, error: ValidationError|null}|null}
+     */
+    const refinanced = refinancing ? refinanceMortgage(params, schedule, refinancing) : null;
+    /**
+     * If the mortgage cannot be refinanced, there is no calculation, and the error is returned without updating the
+     * table.
+     */
+    if (refinanced?.error) {
+        currentCalculation = null;
+        return refinanced.error;
+    }
+    /** Otherwise, the schedule of the refinanced mortgage is used for the table, if the mortgage is refinanced. */
+    if (refinanced) {
+        schedule = refinanced.schedule;
+    }
+    /**
+     * The number of payments made per year, which is 12 for monthly payments.
+     * @type {number}
+     */
+    const paymentsPerYear = PAYMENT_FREQUENCIES[repayment.frequency].paymentsPerYear;
+    /**
+     * The costs of owning the property are added to every row of the schedule using the 'calculateOwnershipCosts()'
+     * function, passing the schedule, the costs of owning the property, the number of fraction digits of the currency,
+     * and the number of payments made per year as arguments, which returns the costs of every row and their totals,
+     * including the APR.
+     * @type {{rows: CostRow[], totals: CostTotals}}
+     */
+    const costs = calculateOwnershipCosts(schedule, ownershipCosts, localization.fractionDigits, paymentsPerYear);
+    /**
+     * Whether any cost of owning the property is paid, in which case the costs are summarized in the title and
+     * exported.
+     * @type {boolean}
+     */
+    const hasCosts = costs.totals.upfrontFees > 0 || costs.totals.taxesAndInsurance > 0 || costs.totals.pmi > 0;
+    /**
+     * Every row of the schedule is discounted using the 'discountSchedule()' function, passing the schedule, the rates
+     * used to discount it, the number of fraction digits of the currency, and the number of payments made per year as
+     * arguments, which returns the balance in today's money and the present value of the payment of every row, and the
+     * totals of the present values.
+     * @type {{rows: DiscountedRow[], totals: DiscountedTotals}}
+     */
+    const discounted = discountSchedule(schedule, discounting, localization.fractionDigits, paymentsPerYear);
+    /**
+     * Whether the schedule is discounted at all, in which case the present values are summarized in the title and
+     * exported.
+     * @type {boolean}
+     */
+    const hasDiscounting = discounted.totals.inflationRate > 0 || discounted.totals.discountRate > 0;
+
+    /**
+     * This is not necessarily the first time that the method is called, so any rendering of the previous table that is
+     * still in progress is cancelled, and the table body is emptied before the new table data is added. This is done by
+     * performing a 'while' loop, which will continue to loop until the table body has no more children.
+     */
+    cancelRendering();
+    while (tableBody.hasChildNodes()) {
+        /** When this point is reached, the table body has at least one child, so the first child is removed. */
+        tableBody.removeChild(tableBody.firstChild);
+    }
+
+    /**
+     * The rows and the totals of the mortgage amortization schedule are used to populate the mortgage amortization
+     * table.
+     */
+    const {rows, totals} = schedule;
+    /**
+     * The features whose columns are shown in the mortgage amortization table, which are only the features in use, in
+     * the same way as the title only summarizes the features in use. The cells of the columns of a feature are marked
+     * with its name in their 'data-feature' attribute, and the style sheet hides them unless the name is listed in the
+     * 'data-features' attribute of the table.
+     * @type {string[]}
+     */
+    const features = Object.entries({
+        offset: Boolean(totals.offsetAccount),
+        events: totals.hasPaymentEvents,
+        costs: hasCosts,
+        reconciliation: reconciled !== null,
+        discounting: hasDiscounting
+    }).filter(([, used]) => used).map(([feature]) => feature);
+    amortizationTable.dataset.features = features.join(' ');
+    /**
+     * The title spans every column that is shown, as counted by the 'countColumns()' function, passing the features in
+     * use as the argument.
+     */
+    amortizationTableTitle.colSpan = countColumns(features);
+    /**
+     * The parameters and the schedule are kept as the most recent calculation, so that they can be exported. The
+     * figures of the reconciliation, the figures of the refinancing, the totals of the costs of owning the property,
+     * and the totals of the present values, if any, are added to the parameters, so that they are exported as well.
+     * Note that this line is broken onto multiple lines to keep the code readable.
+     */
+    currentCalculation = {
+        params: {
+            ...params,
+            ...(reconciled ? {reconciliation: reconciled.reconciliation} : {}),
+            ...(refinanced ? {refinancing: refinanced.refinancing} : {}),
+            ...(hasCosts ? {ownershipCosts: costs.totals} : {}),
+            ...(hasDiscounting ? {presentValue: discounted.totals} : {})
+        },
+        schedule
+    };
+    /**
+     * The formatters and the function that translates messages are picked out of the localization of the page. The
+     * currency formatter formats the currency entries on the mortgage amortization table in the currency style of the
+     * locale, with as many decimal places as the currency has minor units, the percent formatter formats the interest
+     * rates, and the date formatter formats the due dates in the UTC time zone, so that they do not shift by a day in
+     * the time zone of the browser.
+     * @type {Localization}
+     */
+    const {currencyFormatter: formatter, percentFormatter, dateFormatter, translate} = localization;
+
+    /**
+     * The functions that create the rows of the mortgage amortization table, in order, which are called when the rows
+     * are added to the table, so that no work is done for rows that have not been added yet.
+     * @type {(function(): HTMLTableRowElement)[]}
+     */
+    const tableRows = [];
+
+    /**
+     * The rows of the mortgage amortization schedule are grouped into years using the 'summarizeYears()' function of
+     * the amortization engine, which follows loan years or calendar years, and calculates the subtotals of every year.
+     * @type {YearSummary[]}
+     */
+    const years = summarizeYears(rows, localization.fractionDigits, calendar.calendarYears, paymentsPerYear);
+    /**
+     * In the annual summary view, every year starts collapsed, and otherwise every year starts expanded.
+     */
+    collapsedYears = new Set(annualView ? years.map((year) => year.year) : []);
+    /**
+     * This variable is used to keep track of the index of the year that the current row belongs to.
+     * @type {number}
+     */
+    let yearIndex = 0;
+
+    /**
+     * All rows of the mortgage amortization schedule must be added to the table, and this is done by performing a
+     * 'for' loop over the rows. For every row, any separator rows that belong before or after it are added as well.
+     * Every row of a year, including the separator rows before it, is added to the group of the year using the
+     * 'addToYear()' function, so that it can be collapsed into the summary row of the year.
+     */
+    for (const [index, row] of rows.entries()) {
+        /**
+         * The summary of the year that the row belongs to.
+         * @type {YearSummary}
+         */
+        const year = years[yearIndex];
+
+        /**
+         * It is determined if the interest rate changes in the month, in which case a rate change separator row is
+         * inserted before the row for the month.
+         */
+        if (row.rateChanged) {
+            /**
+             * A rate change separator row is to be created, by calling the 'createRateChangeRow()' function, passing
+             * the translated message containing the previous and new annual interest rates, as percentages, converted
+             * back from the interest rates of a payment period using the 'toAnnualRate()' function, and the new regular
+             * payment. Note that this line is broken onto multiple lines to keep the code readable.
+             */
+            tableRows.push(() => addToYear(createRateChangeRow(translate('separator.rateChange', {
+                previousRate: percentFormatter.format(
+                    toAnnualRate(row.previousInterestRate, repayment.frequency, repayment.compounding)),
+                rate: percentFormatter.format(
+                    toAnnualRate(row.monthlyInterestRate, repayment.frequency, repayment.compounding)),
+                payment: formatter.format(row.monthlyPayment)
+            })), year.year));
+        }
+
+        /**
+         * It is determined if the new loan starts in the month, in which case a refinancing separator row is inserted
+         * before the row for the month.
+         */
+        if (refinanced && row.month === refinanced.refinancing.month) {
+            /**
+             * A refinancing separator row is to be created, by calling the 'createRefinanceRow()' function, passing the
+             * translated message containing the principal, the annual interest rate, the term in years, and the regular
+             * payment of the new loan. Note that this line is broken onto multiple lines to keep the code readable.
+             */
+            tableRows.push(() => addToYear(createRefinanceRow(translate('separator.refinance', {
+                principal: formatter.format(refinanced.refinancing.principal),
+                rate: percentFormatter.format(toAnnualRate(refinanced.refinancing.monthlyInterestRate,
+                    repayment.frequency, repayment.compounding)),
+                term: localization.numberFormatter.format(refinanced.refinancing.termInMonths / paymentsPerYear),
+                payment: formatter.format(refinanced.refinancing.monthlyPayment)
+            })), year.year));
+        }
+
+        /**
+         * A row, representing a single payment of the mortgage, is to be created, by calling the 'createRow()'
+         * function, passing the row of the mortgage amortization schedule, its costs of owning the property, its
+         * discounted figures, its actual figures if it is reconciled, the formatters, and the repayment structure as
+         * arguments. Note that this line is broken onto multiple lines to keep the code readable.
+         */
+        tableRows.push(() => addToYear(createRow(row, costs.rows[index], discounted.rows[index],
+            reconciled?.reconciliation.rows[index], formatter, percentFormatter, dateFormatter, repayment), year.year));
+
+        /**
+         * It is determined if the row is the last reconciled month, and is not the final row, in which case a
+         * reconciliation separator row is inserted after the row, since the projection from the actual balance starts
+         * in the next month.
+         */
+        if (reconciled && row.month === reconciled.reconciliation.month && index < rows.length - 1) {
+            /**
+             * A reconciliation separator row is to be created, by calling the 'createReconciliationRow()' function,
+             * passing the translated message containing the actual balance and the regular payment of the projection,
+             * which is that of the next row. Note that this line is broken onto multiple lines to keep the code
+             * readable.
+             */
+            tableRows.push(() => addToYear(createReconciliationRow(translate('separator.reconciled', {
+                balance: formatter.format(reconciled.reconciliation.actualBalance),
+                payment: formatter.format(rows[index + 1].monthlyPayment)
+            })), year.year));
+        }
+
+        /** The rest of the loop only concerns the last row of the year. */
+        if (row !== year.rows[year.rows.length - 1]) {
+            continue;
+        }
+        /**
+         * Whether the year is the last year of the mortgage amortization schedule.
+         * @type {boolean}
+         */
+        const lastYear = yearIndex === years.length - 1;
+        /**
+         * The message to be displayed in the summary row of the year, which is one of two messages, depending on
+         * whether the year is the last year, for either calendar years or loan years. Note that this line is broken
+         * onto multiple lines to keep the code readable.
+         * @type {string}
+         */
+        const yearText = calendar.calendarYears ?
+            translate(lastYear ? 'separator.calendarYear' : 'separator.calendarYears',
+                {year: year.year, nextYear: year.year + 1}) :
+            translate(lastYear ? 'separator.loanYear' : 'separator.loanYears',
+                {year: year.year, nextYear: year.year + 1});
+        /**
+         * The discounted figures of the rows of the year are summarized using the 'summarizeDiscountedRows()' function,
+         * where the rows of the year are the ones up to and including the current row.
+         * @type {{realBalance: number, presentValue: number}}
+         */
+        const discountedYear = summarizeDiscountedRows(
+            discounted.rows.slice(index + 1 - year.rows.length, index + 1), localization.fractionDigits);
+        /**
+         * After the last row of every year, a summary row of the year is to be created, by calling the
+         * 'createYearRow()' function, passing the message, the summary of the year, the summary of its discounted
+         * figures, the currency formatter, and the function that collapses or expands the year when its toggle button
+         * is clicked, using the 'toggleYear()' function.
+         */
+        tableRows.push(() => createYearRow(yearText, year, discountedYear, formatter,
+            (event) => toggleYear(tableBody, year.year, event.target)));
+        /** The next row belongs to the next year. */
+        yearIndex++;
+    }
+
+    /**
+     * The rows are added to the mortgage amortization table body in batches, using the 'renderRows()' function,
+     * starting with the first row.
+     */
+    renderRows(tableBody, tableRows, 0);
+
+    /**
+     * The principal amount is formatted to be used for the title of the mortgage amortization table.
+     * @type {string}
+     */
+    const formattedPrincipal = formatter.format(principal);
+    /**
+     * The decimal interest rate of a payment period is first converted back to a decimal annual interest rate using the
+     * 'toAnnualRate()' function, and then formatted as a percentage to be used for the title of the mortgage
+     * amortization table.
+     * @type {string}
+     */
+    const formattedInterestRate =
+        percentFormatter.format(toAnnualRate(monthlyInterestRate, repayment.frequency, repayment.compounding));
+    /**
+     * If there are any interest rate changes, the interest rate shown in the title only applies initially, so it is
+     * labelled as such.
+     * @type {string}
+     */
+    const interestRateLabel =
+        translate(rateChanges.size > 0 ? 'table.title.initialInterestRate' : 'table.title.interestRate');
+    /**
+     * The term in payments is first converted to a term in years by dividing it by the number of payments made per
+     * year, then formatted, to be used for the title of the mortgage amortization table.
+     */
+    const formattedTerm = localization.numberFormatter.format(termInMonths / paymentsPerYear);
+    /**
+     * The repayment type is only shown in the title if it is not the standard annuity repayment, and is otherwise left
+     * empty.
+     * @type {string}
+     */
+    const repaymentLabel = repayment.type === 'annuity' ? '' : ` | ${translate(`table.title.${repayment.type}`)}`;
+    /**
+     * The summary of the solved figure, which is only shown in the title if the form solved for a figure, and is
+     * otherwise left empty. It is set using the translated message, into which the name of the solved figure and the
+     * formatted regular payment it was solved from are inserted.
+     * @type {string}
+     */
+    const solvedSummary = solved ?
+        `${translate('table.title.solved', {
+            unknown: translate(`form.solveFor.${solved.unknown}`),
+            payment: formatter.format(solved.payment)
+        })} | ` :
+        '';
+    /**
+     * The summary of the interest-only period, which is only shown in the title if there is one, and is otherwise left
+     * empty. It is set using the translated message, into which the formatted interest-only payment and the number of
+     * interest-only payments are inserted. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const interestOnlySummary = totals.interestOnlyPayment > 0 ?
+        `${translate('table.title.interestOnlyPayment', {
+            payment: formatter.format(totals.interestOnlyPayment),
+            months: repayment.interestOnlyMonths
+        })} | ` :
+        '';
+    /**
+     * The regular payment is formatted to be used for the title of the mortgage amortization table, labelled with the
+     * payment frequency. The payments of linear repayment decline with every payment, so the regular payment shown in
+     * the title is labelled as the first payment.
+     * Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const monthlyPaymentSummary = translate(
+        repayment.type === 'linear' ? 'table.title.firstPayment' : 'table.title.monthlyPayment',
+        {payment: formatter.format(totals.monthlyPayment)});
+    /**
+     * The final payment is adjusted to absorb the rounding of all the previous months, and includes the balloon payment
+     * for balloon repayment, so it is formatted and shown in the title separately, but only if it differs from the
+     * monthly payment. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const finalPaymentSummary = totals.finalPayment !== totals.monthlyPayment ?
+        ` | ${translate(
+            repayment.type === 'balloon' ? 'table.title.finalPaymentWithBalloon' : 'table.title.finalPayment',
+            {payment: formatter.format(totals.finalPayment)})}` :
+        '';
+
+    /**
+     * The summary of the prepayments, which is only shown in the title if any prepayment is scheduled, and is otherwise
+     * left empty. It is set using the translated messages, into which the formatted interest saved, the final month,
+     * and the number of months by which the mortgage is paid off early are inserted. Note that this line is broken onto
+     * multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const prepaymentSummary = totals.hasPrepayments ?
+        ` | ${[
+            translate('table.title.interestSaved', {amount: formatter.format(totals.interestSaved)}),
+            translate('table.title.paidOff', {month: totals.finalMonth, monthsEarly: totals.monthsEarly})
+        ].join(' | ')}` :
+        '';
+    /**
+     * The summary of the payment events, which is only shown in the title if any payment event is marked, and is
+     * otherwise left empty. It is set using the translated messages, into which the formatted amount capitalised, the
+     * formatted late fees, and the last payment, which may be later than the end of the term, are inserted. The last
+     * payment is left out if any prepayment is scheduled, since the prepayment summary already shows it. Note that this
+     * line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const paymentEventSummary = totals.hasPaymentEvents ?
+        ` | ${[
+            translate('table.title.capitalised', {amount: formatter.format(totals.capitalised)}),
+            translate('table.title.lateFees', {amount: formatter.format(totals.lateFees)}),
+            ...(totals.hasPrepayments ? [] : [translate('table.title.lastPayment', {month: totals.finalMonth})])
+        ].join(' | ')}` :
+        '';
+    /**
+     * The summary of the offset account, which is only shown in the title if there is an offset account, and is
+     * otherwise left empty. It is set using the translated messages, into which the formatted interest saved by the
+     * offset account, the number of payments by which it pays off the mortgage early, if it does, and the formatted
+     * amount by which it lowers the payment on average, if it does, are inserted. Note that this line is broken onto
+     * multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const offsetSummary = totals.offsetAccount ?
+        ` | ${[
+            translate('table.title.offsetInterestSaved',
+                {amount: formatter.format(totals.offsetAccount.interestSaved)}),
+            ...(totals.offsetAccount.monthsEarly > 0 ?
+                [translate('table.title.offsetEarly', {months: totals.offsetAccount.monthsEarly})] :
+                []),
+            ...(totals.offsetAccount.paymentLowered > 0 ?
+                [translate('table.title.offsetPaymentLowered',
+                    {amount: formatter.format(totals.offsetAccount.paymentLowered)})] :
+                [])
+        ].join(' | ')}` :
+        '';
+    /**
+     * The summary of the reconciliation, which is only shown in the title if a statement of actual payments is
+     * reconciled, and is otherwise left empty. It is set using the translated message, into which the last reconciled
+     * month, the formatted actual balance at its end, and its formatted difference from the balance of the schedule are
+     * inserted.
+     * @type {string}
+     */
+    const reconciliationSummary = reconciled ?
+        ` | ${translate('table.title.reconciled', {
+            month: reconciled.reconciliation.month,
+            balance: formatter.format(reconciled.reconciliation.actualBalance),
+            difference: formatDifference(reconciled.reconciliation.balanceDifference, formatter)
+        })}` :
+        '';
+    /**
+     * The summary of the refinancing, which is only shown in the title if the mortgage is refinanced, and is otherwise
+     * left empty. It is set using the translated messages, into which the month of the refinancing, the interest rate
+     * and the regular payment of the new loan, the break-even month, if there is one, and the formatted net savings are
+     * inserted. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const refinanceSummary = refinanced ?
+        ` | ${[
+            translate('table.title.refinanced', {
+                month: refinanced.refinancing.month,
+                rate: percentFormatter.format(toAnnualRate(refinanced.refinancing.monthlyInterestRate,
+                    repayment.frequency, repayment.compounding)),
+                payment: formatter.format(refinanced.refinancing.monthlyPayment)
+            }),
+            refinanced.refinancing.breakEvenMonth === null ?
+                translate('table.title.noBreakEven') :
+                translate('table.title.breakEven', {month: refinanced.refinancing.breakEvenMonth}),
+            translate('table.title.netSavings', {amount: formatter.format(refinanced.refinancing.netSavings)})
+        ].join(' | ')}` :
+        '';
+    /**
+     * The summary of the costs of owning the property, which is only shown in the title if any cost is paid, and is
+     * otherwise left empty. It is shown on a line of its own, and set using the translated messages, into which the
+     * formatted outgoings of a payment, the formatted upfront fees, the last month in which PMI is paid, if it is paid
+     * at all, the formatted total cost of ownership, and the formatted APR, if there is one, are inserted. Note that
+     * this line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const costSummary = hasCosts ?
+        `<br>${[
+            translate('table.title.outgoings', {amount: formatter.format(costs.totals.monthlyOutgoings)}),
+            translate('table.title.upfrontFees', {amount: formatter.format(costs.totals.upfrontFees)}),
+            ...(costs.totals.pmiEndMonth === null ?
+                [] :
+                [translate('table.title.pmiEnds', {month: costs.totals.pmiEndMonth})]),
+            translate('table.title.totalCost', {amount: formatter.format(costs.totals.totalCost)}),
+            ...(costs.totals.annualPercentageRate === null ?
+                [] :
+                [translate('table.title.apr', {rate: percentFormatter.format(costs.totals.annualPercentageRate)})])
+        ].join(' | ')}` :
+        '';
+    /**
+     * The summary of the present values, which is only shown in the title if the schedule is discounted, and is
+     * otherwise left empty. It is shown on a line of its own, and set using the translated messages, into which the
+     * formatted discount rate and the formatted present values of the interest and of the payments are inserted. Note
+     * that this line is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const presentValueSummary = hasDiscounting ?
+        `<br>${translate('table.title.presentValueOfInterest', {
+            rate: percentFormatter.format(discounted.totals.discountRate),
+            amount: formatter.format(discounted.totals.presentValueOfInterest)
+        })} | ${translate('table.title.presentValueOfPayments', {
+            amount: formatter.format(discounted.totals.presentValueOfPayments)
+        })}` :
+        '';
+    /**
+     * The projected payoff date, which is the due date of the final payment, is formatted to be used for the title of
+     * the mortgage amortization table.
+     * @type {string}
+     */
+    const formattedPayoffDate = dateFormatter.format(parseIsoDate(totals.payoffDate));
+    /**
+     * The day count convention by which the interest accrues is only shown in the title if it is not the default
+     * '30/360' convention, since the interest of every month then depends on its number of days. Note that this line
+     * is broken onto multiple lines to keep the code readable.
+     * @type {string}
+     */
+    const dayCountSummary = calendar.dayCount !== '30/360' ?
+        ` | ${translate('table.title.dayCount', {convention: translate(`form.dayCount.${calendar.dayCount}`)})}` :
+        '';
+
+    /**
+     * The inner HTML of the table header cell is set using a string template literal, which is used to insert the
+     * translated title, containing the formatted principal, formatted interest rate and its label, and formatted term,
+     * followed by the repayment type, solved summary, interest-only summary, monthly payment summary, final payment
+     * summary, prepayment summary, payment event summary, offset account summary, reconciliation summary, refinancing
+     * summary, formatted payoff date, day count summary, summary of the costs of owning the property, and summary of
+     * the present values. Note that this line is broken onto multiple lines to keep the code readable.
+     */
+    amortizationTableTitle.innerHTML = `${translate('table.title', {
+        principal: formattedPrincipal,
+        rate: formattedInterestRate,
+        rateLabel: interestRateLabel,
+        term: formattedTerm
+    })}${repaymentLabel}<br>${solvedSummary}${interestOnlySummary}${monthlyPaymentSummary}${finalPaymentSummary}\
+${prepaymentSummary}${paymentEventSummary}${offsetSummary}${reconciliationSummary}${refinanceSummary} | \
+${translate('table.title.payoffDate', {date: formattedPayoffDate})}${dayCountSummary}${costSummary}\
+${presentValueSummary}`;
+
+    /**
+     * The charts are redrawn from the rows of the mortgage amortization schedule, using the 'renderCharts()' function.
+     * When a payment is hovered in the charts, the matching row of the mortgage amortization table is highlighted.
+     */
+    renderCharts(chartsContainer, rows, localization, (month) => highlightRow(tableBody, month));
+
+    /** In this case, the mortgage amortization table was updated, so there is no error. */
+    return null;
+}
+
+/**
+ * Given the passed arguments, a batch of rows is added to the mortgage amortization table body, and, if there are rows
+ * left, the next batch is scheduled for the next animation frame.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param tableRows the functions that create the rows of the table, in order.
+ * @param start the index of the first row of the batch.
+ */
+function renderRows(tableBody, tableRows, start) {
+    /**
+     * The index after the last row of the batch, which is limited to the number of rows.
+     * @type {number}
+     */
+    const end = Math.min(start + RENDER_BATCH_SIZE, tableRows.length);
+    /** The rows of the batch are added to the table body using the 'appendRows()' function. */
+    appendRows(tableBody, tableRows, start, end);
+    /**
+     * If there are rows left, the next batch is scheduled for the next animation frame, and otherwise the rendering is
+     * complete. Note that this line is broken onto multiple lines to keep the code readable.
+     */
+    pendingRender = end < tableRows.length ?
+        {
+            frame: window.requestAnimationFrame(() => renderRows(tableBody, tableRows, end)),
+            tableBody,
+            tableRows,
+            start: end
+        } :
+        null;
+}
+
+/**
+ * Given the passed arguments, the rows from the start index up to the end index are created and added to the mortgage
+ * amortization table body. The rows are first added to a document fragment, so that the table body is only changed
+ * once.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param tableRows the functions that create the rows of the table, in order.
+ * @param start the index of the first row to be added.
+ * @param end the index after the last row to be added.
+ */
+function appendRows(tableBody, tableRows, start, end) {
+    /**
+     * The document fragment to which the rows are added.
+     * @type {DocumentFragment}
+     */
+    const fragment = document.createDocumentFragment();
+    /** Every row is created and added to the document fragment. */
+    for (let index = start; index < end; index++) {
+        fragment.appendChild(tableRows[index]());
+    }
+    /** The rows are added to the table body at once. */
+    tableBody.appendChild(fragment);
+}
+
+/**
+ * The rendering of the mortgage amortization table that is still in progress, if any, is cancelled, so that no rows of
+ * a previous table are added to a new table.
+ */
+function cancelRendering() {
+    /** The scheduled animation frame, if any, is cancelled, and no rendering is in progress anymore. */
+    if (pendingRender !== null) {
+        window.cancelAnimationFrame(pendingRender.frame);
+        pendingRender = null;
+    }
+}
+
+/**
+ * The rendering of the mortgage amortization table that is still in progress, if any, is finished straight away, by
+ * adding all the rows that are left at once.
+ */
+function finishRendering() {
+    /** The rendering is only finished if it is in progress. */
+    if (pendingRender !== null) {
+        /** The rendering in progress is kept before it is cancelled, and the rows that are left are then added. */
+        const {tableBody, tableRows, start} = pendingRender;
+        cancelRendering();
+        appendRows(tableBody, tableRows, start, tableRows.length);
+    }
+}
+
+/**
+ * The row of the given month in the mortgage amortization table is highlighted, and any row highlighted before is no
+ * longer highlighted.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param month the month whose row is highlighted, or null if no row is highlighted.
+ */
+function highlightRow(tableBody, month) {
+    /** The row highlighted before, if any, is no longer highlighted. */
+    tableBody.querySelector('tr.highlighted')?.classList.remove('highlighted');
+    /** The row of the month, if any, is found by its month and highlighted. */
+    if (month !== null) {
+        tableBody.querySelector(`tr[data-month="${month}"]`)?.classList.add('highlighted');
+    }
+}
+
+/**
+ * The balloon payment input field is enabled only for balloon repayment, since the balloon payment is not used by the
+ * other repayment types.
+ */
+function updateBalloonInput() {
+    balloonInput.disabled = repaymentTypeSelect.value !== 'balloon';
+}
+
+/**
+ * The regular payment input field is enabled only when the form solves for a figure, and the input field of that
+ * figure is made read only, since its value is calculated rather than entered.
+ */
+function updateSolverInputs() {
+    targetPaymentInput.disabled = solveForSelect.value === 'payment';
+    principalInput.readOnly = solveForSelect.value === 'principal';
+    termInput.readOnly = solveForSelect.value === 'term';
+    interestInput.readOnly = solveForSelect.value === 'interest';
+}
+
+/**
+ * Given the passed arguments, the solved figure is shown in its input field, so that the user input form describes
+ * the mortgage of the mortgage amortization table. The term is shown in years, which the solver rounds up to a whole
+ * number, and the interest rate as a rounded annual percentage, while the calculation itself uses the exact solved
+ * figure.
+ * @param unknown the figure that was solved for.
+ * @param params the principal, the term in payments, and the decimal interest rate of a payment period, including the
+ * solved figure.
+ * @param paymentFrequency the payment frequency.
+ * @param compounding the compounding frequency.
+ */
+function updateSolvedInput(unknown, params, paymentFrequency, compounding) {
+    if (unknown === 'principal') {
+        principalInput.value = String(params.principal);
+    } else if (unknown === 'term') {
+        termInput.value = String(params.termInMonths / PAYMENT_FREQUENCIES[paymentFrequency].paymentsPerYear);
+    } else {
+        interestInput.value =
+            String(Number((toAnnualRate(params.monthlyInterestRate, paymentFrequency, compounding) * 100).toFixed(4)));
+    }
+}
+
+/**
+ * Given the passed arguments, the errors of the user input form are shown. Every validated input field is marked as
+ * invalid or valid using the 'aria-invalid' attribute, and its error message is shown in the element that describes it
+ * through its 'aria-describedby' attribute, so that assistive technologies read the error out with the input field.
+ * @param errors the errors of the input fields that are not valid, keyed by the names of the input fields.
+ * @param formErrorToShow the error of the whole calculation, or null if there is none.
+ */
+function updateErrors(errors, formErrorToShow) {
+    /** Every input field that is validated is iterated over. */
+    for (const field of VALIDATED_FIELDS) {
+        /**
+         * The error of the input field, if any.
+         * @type {ValidationError|undefined}
+         */
+        const error = errors[field];
+        /**
+         * The input field is retrieved from the user input form by its name, and is marked as invalid only if it has an
+         * error, since an 'aria-invalid' attribute of 'false' is the same as having none.
+         * @type {HTMLInputElement}
+         */
+        const input = inputForm.elements.namedItem(field);
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+        /** The error message is shown in the element with the id of the input field followed by '-error'. */
+        document.getElementById(`${field}-error`).textContent = error ? translateError(error) : '';
+    }
+    /** The error of the whole calculation is shown, or hidden if there is none. */
+    formError.textContent = formErrorToShow ? translateError(formErrorToShow) : '';
+    formError.hidden = !formErrorToShow;
+}
+
+/**
+ * The error of the statement of actual payments is shown, by marking the statement input field as invalid or valid, and
+ * showing the error message in the element that describes it.
+ */
+function updateStatementError() {
+    /**
+     * The statement input field is marked as invalid only if the statement has an error, since an 'aria-invalid'
+     * attribute of 'false' is the same as having none.
+     */
+    if (statement.error) {
+        statementInput.setAttribute('aria-invalid', 'true');
+    } else {
+        statementInput.removeAttribute('aria-invalid');
+    }
+    /** The error message is shown in the element that describes the statement input field, or cleared. */
+    statementError.textContent = statement.error ? translateError(statement.error) : '';
+}
+
+/**
+ * Given the passed error, its message is translated into the language of the localization. Numbers in the message,
+ * such as the minimum and maximum of an input field, are formatted for the locale.
+ * @param error the error, as returned by the validation module.
+ * @returns {string} the translated error message.
+ */
+function translateError({key, values = {}}) {
+    return localization.translate(key, Object.fromEntries(Object.entries(values).map(([name, value]) =>
+        [name, typeof value === 'number' ? localization.integerFormatter.format(value) : value])));
+}
+
+/**
+ * The buttons that use the most recent calculation, which are the export buttons, the add scenario button, the save
+ * scenario button, and the add loan button, are enabled only if there is a most recent calculation, so that nothing is
+ * exported, compared, saved, or added to the debt portfolio while the user input form is not valid.
+ */
+function updateCalculationButtons() {
+    for (const button of [exportCsvButton, exportJsonButton, addScenarioButton, saveScenarioButton, addLoanButton]) {
+        button.disabled = !currentCalculation;
+    }
+}
+
+/**
+ * The page is translated into the language of the localization, by replacing the text of every element that has a
+ * 'data-i18n' attribute with the message named by that attribute, into which the currency symbol is inserted. The
+ * step of the currency input fields is set to the smallest amount of the currency, so that amounts in currencies with
+ * zero or three minor units can be entered.
+ */
+function updateLocalization() {
+    /** The language of the page is set, so that the browser and assistive technologies know it. */
+    document.documentElement.lang = localization.language;
+    /** Every element that has a 'data-i18n' attribute is iterated over. */
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+        /**
+         * The message named by the attribute, translated into the language of the localization.
+         * @type {string}
+         */
+        const message = localization.translate(element.dataset.i18n, {currency: localization.currencySymbol});
+        /** The text of a button is its value, while the text of any other element is its text content. */
+        if (element instanceof HTMLInputElement) {
+            element.value = message;
+        } else {
+            element.textContent = message;
+        }
+    }
+    /** The step of every currency input field is set to the smallest amount of the currency. */
+    for (const input of document.querySelectorAll('.currency-input')) {
+        input.step = String(Math.pow(10, -localization.fractionDigits));
+    }
+    /** The placeholder of the scenario name input field is set to the next default name, in the new language. */
+    scenarioNameInput.placeholder = localization.translate('scenario.defaultName', {number: scenarios.length + 1});
+    /** The placeholder of the loan name input field is set to the next default name, in the new language. */
+    loanNameInput.placeholder = localization.translate('portfolio.defaultName', {number: portfolioLoans.length + 1});
+    /** The scenario comparison is updated, so that it is shown in the new language and currency. */
+    updateComparison();
+    /** The debt portfolio is updated, so that it is shown in the new language and currency. */
+    updatePortfolio();
+}
+
+/**
+ * Given the passed values, the input fields of the user input form that make up its state are restored. Input fields
+ * that have no value are reset to their default values from the HTML file, so that nothing is left over from the
+ * previous state.
+ * @param values the values of the input fields, keyed by the names of the input fields.
+ */
+function restoreFormState(values) {
+    /** Every input field that makes up the state of the user input form is iterated over. */
+    for (const field of STATE_FIELDS) {
+        /**
+         * The input field, or drop-down list, is retrieved from the user input form by its name.
+         * @type {HTMLInputElement|HTMLSelectElement}
+         */
+        const element = inputForm.elements.namedItem(field);
+        /** The value of the input field is restored, or reset to its default value. */
+        element.value = values[field] ?? getDefaultValue(element);
+        /**
+         * A drop-down list that has no option with the value, for example because the link was changed by hand, has no
+         * option selected, so it is reset to its default value.
+         */
+        if (element instanceof HTMLSelectElement && element.selectedIndex === -1) {
+            element.value = getDefaultValue(element);
+        }
+    }
+
+    /**
+     * The start date of the loan is left empty in the HTML file, since it depends on the day on which the page is
+     * opened, so it is set to today's date if no start date is given. Note that today's date is taken in the time zone
+     * of the browser, and then converted into a date at midnight UTC, as used by the calendar module.
+     */
+    if (!startDateInput.value) {
+        /**
+         * The current date and time, in the time zone of the browser.
+         * @type {Date}
+         */
+        const now = new Date();
+        startDateInput.value = toIsoDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+    }
+
+    /**
+     * The balloon payment input field is enabled or disabled to match the restored repayment type, and the input
+     * fields of the solver to match the restored figure that is solved for.
+     */
+    updateBalloonInput();
+    updateSolverInputs();
+}
+
+/**
+ * Given the passed input field, its default value from the HTML file is determined.
+ * @param element the input field or drop-down list.
+ * @returns {string} the default value, which for a drop-down list is the value of the option that is selected in the
+ * HTML file, or of the first option if none is.
+ */
+function getDefaultValue(element) {
+    /** For a drop-down list, the default value is that of the option selected in the HTML file. */
+    if (element instanceof HTMLSelectElement) {
+        return ([...element.options].find((option) => option.defaultSelected) ?? element.options[0]).value;
+    }
+    /** For an input field, the default value is its 'value' attribute in the HTML file. */
+    return element.defaultValue;
+}
+
+/**
+ * The values of the input fields of the user input form that make up its state are read.
+ * @returns {Object<string, string>} the values of the input fields, keyed by the names of the input fields.
+ */
+function readFormState() {
+    return Object.fromEntries(STATE_FIELDS.map((field) => [field, inputForm.elements.namedItem(field).value]));
+}
+
+/**
+ * The state of the user input form is encoded into the query string of the URL, which is added to the history of the
+ * browser, unless it is the same as the current URL, so that recalculating without changes does not add to the history.
+ */
+function updateHistory() {
+    /**
+     * The query string of the current state of the user input form, using the 'encodeState()' function.
+     * @type {string}
+     */
+    const query = `?${encodeState(readFormState())}`;
+    /** The query string is added to the history if it differs from the current URL. */
+    if (query !== window.location.search) {
+        window.history.pushState(null, '', query);
+    }
+}
+
+/**
+ * The current state of the user input form is saved to the storage of the browser, with the name entered in the
+ * scenario name input field, or a numbered default name if no name is entered. Saving under the name of a saved
+ * scenario replaces it.
+ */
+function saveCurrentScenario() {
+    /**
+     * The name of the scenario is the trimmed value of the scenario name input field, or, if that is empty, a default
+     * name containing the number of the saved scenario.
+     * @type {string}
+     */
+    const name = scenarioNameInput.value.trim() ||
+        localization.translate('scenario.defaultSavedName', {number: loadSavedScenarios(localStorage).length + 1});
+    /** The scenario is saved, and the list of saved scenarios is updated. */
+    updateSavedScenarios(saveScenario(localStorage, name, readFormState()));
+}
+
+/**
+ * Given the passed saved scenarios, the list of saved scenarios is updated, with buttons to load or delete every saved
+ * scenario.
+ * @param saved the saved scenarios.
+ */
+function updateSavedScenarios(saved) {
+    /** The list of saved scenarios is emptied, by removing the first child until there are no children left. */
+    while (savedScenariosList.hasChildNodes()) {
+        savedScenariosList.removeChild(savedScenariosList.firstChild);
+    }
+    /** An item is added to the list for every saved scenario. */
+    for (const scenario of saved) {
+        /**
+         * The item is created by creating a new HTML <li> element.
+         * @type {HTMLLIElement}
+         */
+        const item = document.createElement('li');
+        /**
+         * The name of the scenario is shown in a <span> element. Note that the text content is set, rather than the
+         * inner HTML, since the name is entered by the user.
+         * @type {HTMLSpanElement}
+         */
+        const name = document.createElement('span');
+        name.textContent = scenario.name;
+        item.appendChild(name);
+        /**
+         * The load button restores the user input form from the saved scenario, updates the mortgage amortization
+         * table, and, if the saved scenario is valid, adds the state to the history of the browser. The name of the
+         * scenario is entered in the scenario name input field, so that the scenario keeps its name when it is added to
+         * the scenario comparison.
+         */
+        item.appendChild(createButton(localization.translate('button.load'), () => {
+            restoreFormState(scenario.values);
+            scenarioNameInput.value = scenario.name;
+            if (parseFormAndUpdate()) {
+                updateHistory();
+            }
+        }));
+        /** The delete button deletes the saved scenario, and updates the list of saved scenarios. */
+        item.appendChild(createButton(localization.translate('button.delete'),
+            () => updateSavedScenarios(deleteSavedScenario(localStorage, scenario.name))));
+        /** The item is appended to the list of saved scenarios. */
+        savedScenariosList.appendChild(item);
+    }
+}
+
+/**
+ * The most recent calculation is added to the scenario comparison, with the name entered in the scenario name input
+ * field, or a numbered default name if no name is entered.
+ */
+function addScenario() {
+    /**
+     * The name of the scenario is the trimmed value of the scenario name input field, or, if that is empty, a default
+     * name containing the number of the scenario.
+     * @type {string}
+     */
+    const name = scenarioNameInput.value.trim() ||
+        localization.translate('scenario.defaultName', {number: scenarios.length + 1});
+    /** The scenario is added, with the parameters and the schedule of the most recent calculation. */
+    scenarios.push({name, ...currentCalculation});
+    /** The scenario name input field is emptied, and its placeholder is set to the next default name. */
+    scenarioNameInput.value = '';
+    scenarioNameInput.placeholder = localization.translate('scenario.defaultName', {number: scenarios.length + 1});
+    /** The scenario comparison is updated to show the new scenario. */
+    updateComparison();
+}
+
+/**
+ * Given the passed index, a scenario is removed from the scenario comparison.
+ * @param index the index of the scenario to be removed.
+ */
+function removeScenario(index) {
+    /** The scenario is removed from the scenarios. */
+    scenarios.splice(index, 1);
+    /** The scenario comparison is updated to no longer show the scenario. */
+    updateComparison();
+}
+
+/**
+ * The scenario comparison is updated with the current scenarios, by filling the comparison table with the summaries of
+ * the scenarios, filling the drop-down lists of the schedule comparison, and updating the differences between the
+ * schedules of the selected scenarios. The scenario comparison is hidden if there are no scenarios.
+ */
+function updateComparison() {
+    /** The scenario comparison is only shown if there is at least one scenario. */
+    scenarioComparison.hidden = scenarios.length === 0;
+    /** The comparison table body is emptied before the new summaries are added. */
+    while (comparisonTableBody.hasChildNodes()) {
+        /** When this point is reached, the table body has at least one child, so the first child is removed. */
+        comparisonTableBody.removeChild(comparisonTableBody.firstChild);
+    }
+
+    /**
+     * The summaries of the scenarios are calculated using the 'compareScenarios()' function, and a row is created and
+     * appended to the comparison table body for every summary, formatted using the localization of the page.
+     */
+    for (const [index, summary] of compareScenarios(scenarios).entries()) {
+        comparisonTableBody.appendChild(createComparisonRow(summary, index, localization));
+    }
+
+    /**
+     * The selected index of the baseline drop-down list is kept, so that the selection survives the drop-down list
+     * being refilled, limited to the index of the last scenario. By default, the first scenario is the baseline.
+     * @type {number}
+     */
+    const firstIndex = Math.min(Math.max(diffFirstSelect.selectedIndex, 0), scenarios.length - 1);
+    /**
+     * The selected index of the other drop-down list is also kept, unless the last scenario was selected, or the
+     * selected scenario no longer exists, in which case the new last scenario is selected. This way, a newly added
+     * scenario is compared to the baseline by default. Note that this line is broken onto multiple lines to keep the
+     * code readable.
+     * @type {number}
+     */
+    const secondIndex = diffSecondSelect.selectedIndex < Math.min(diffSecondSelect.length, scenarios.length) - 1 ?
+        diffSecondSelect.selectedIndex :
+        scenarios.length - 1;
+    /** Both drop-down lists are refilled with an option for every scenario. */
+    for (const select of [diffFirstSelect, diffSecondSelect]) {
+        /** The options are replaced with new options, using the name of every scenario as the text. */
+        select.replaceChildren(...scenarios.map((scenario, index) => new Option(scenario.name, String(index))));
+    }
+    /** The kept selected indices are restored. */
+    diffFirstSelect.selectedIndex = firstIndex;
+    diffSecondSelect.selectedIndex = secondIndex;
+    /** The differences between the schedules of the selected scenarios are updated. */
+    updateDiffTable();
+}
+
+/**
+ * The differences between the schedules of the scenarios selected in the drop-down lists of the schedule comparison
+ * are calculated and shown in the difference table. The schedule comparison is hidden if there are fewer than two
+ * scenarios to compare.
+ */
+function updateDiffTable() {
+    /** The schedule comparison is only shown if there are at least two scenarios. */
+    scenarioDiff.hidden = scenarios.length < 2;
+    /** The difference table body is emptied before the new differences are added. */
+    while (diffTableBody.hasChildNodes()) {
+        /** When this point is reached, the table body has at least one child, so the first child is removed. */
+        diffTableBody.removeChild(diffTableBody.firstChild);
+    }
+    /** If there are fewer than two scenarios, there is nothing to compare. */
+    if (scenarios.length < 2) {
+        return;
+    }
+
+    /**
+     * The currency formatter of the localization of the page is used to format the currency entries on the difference
+     * table.
+     * @type {Intl.NumberFormat}
+     */
+    const formatter = localization.currencyFormatter;
+    /**
+     * The baseline scenario, whose number of fraction digits is used to calculate the differences.
+     * @type {{name: string, params: Object, schedule: {rows: ScheduleRow[], totals: ScheduleTotals}}}
+     */
+    const first = scenarios[diffFirstSelect.selectedIndex];
+    /**
+     * The differences between the schedules of the selected scenarios are calculated using the 'diffSchedules()'
+     * function. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {ScheduleDifference[]}
+     */
+    const differences = diffSchedules(first.schedule, scenarios[diffSecondSelect.selectedIndex].schedule,
+        first.params.fractionDigits);
+    /** A row is created and appended to the difference table body for every month. */
+    for (const difference of differences) {
+        /**
+         * The table row is created by creating a new HTML <tr> element.
+         * @type {HTMLTableRowElement}
+         */
+        const tableRow = document.createElement('tr');
+        /** A cell is created for the month without the formatter, then appended to the table row. */
+        tableRow.appendChild(createCell(difference.month));
+        /**
+         * For the payment, the interest paid, and the ending balance, cells are created for the amounts of both
+         * schedules with the formatter, and for the difference between them with the 'formatDifference()' function,
+         * then appended to the table row.
+         */
+        for (const [key, differenceKey] of [['payment', 'paymentDifference'],
+            ['interestPaid', 'interestDifference'], ['endingBalance', 'balanceDifference']]) {
+            tableRow.appendChild(createCell(difference.first[key], formatter));
+            tableRow.appendChild(createCell(difference.second[key], formatter));
+            tableRow.appendChild(createCell(formatDifference(difference[differenceKey], formatter)));
+        }
+        /** The table row is appended to the difference table body. */
+        diffTableBody.appendChild(tableRow);
+    }
+}
+
+/**
+ * Given the passed arguments, a row for a scenario in the comparison table is created.
+ * @param summary the summary of the scenario, as calculated by the 'compareScenarios()' function.
+ * @param index the index of the scenario, which is used to remove the scenario.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row for the scenario in the comparison table.
+ */
+function createComparisonRow(summary, index, localization) {
+    /**
+     * The formatters and the function that translates messages are picked out of the localization.
+     * @type {Localization}
+     */
+    const {currencyFormatter: formatter, percentFormatter, translate} = localization;
+    /**
+     * The words that describe the payment periods of the scenario, which may have another payment frequency than the
+     * one chosen in the user input form.
+     * @type {{frequency: string, period: string, periods: string}}
+     */
+    const periods = translatePeriods(localization.language, summary.paymentFrequency);
+    /**
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
+     */
+    const tableRow = document.createElement('tr');
+    /**
+     * The cell for the name of the scenario is created by creating a new HTML <td> element. Since the name is entered
+     * by the user, it is set as the text content of the cell, rather than the inner HTML, so that it is never
+     * interpreted as HTML.
+     * @type {HTMLTableCellElement}
+     */
+    const nameCell = document.createElement('td');
+    nameCell.textContent = summary.name;
+    tableRow.appendChild(nameCell);
+    /** Cells are created for the principal, interest rate, and term, then appended to the table row. */
+    tableRow.appendChild(createCell(summary.principal, formatter));
+    tableRow.appendChild(createCell(percentFormatter.format(summary.interestRate)));
+    tableRow.appendChild(
+        createCell(translate('comparison.years', {years: localization.numberFormatter.format(summary.termInYears)})));
+    /** Cells are created for the regular payment, total interest, and total cost, then appended to the table row. */
+    tableRow.appendChild(createCell(summary.monthlyPayment, formatter));
+    tableRow.appendChild(createCell(summary.interestPaid, formatter));
+    tableRow.appendChild(createCell(summary.totalCost, formatter));
+    /** A cell is created for the difference in total cost, then appended to the table row. */
+    tableRow.appendChild(createCell(formatDifference(summary.totalCostDifference, formatter)));
+    /**
+     * A cell is created for the payoff date, which is the due date of the final payment, then appended to the table
+     * row. If the schedule has no due dates, the payment with which the mortgage is paid off is shown instead.
+     */
+    tableRow.appendChild(createCell(summary.payoffDate ?
+        localization.dateFormatter.format(parseIsoDate(summary.payoffDate)) :
+        translate('comparison.month', {...periods, month: summary.finalMonth})));
+
+    /**
+     * The cell for the remove button is created by creating a new HTML <td> element.
+     * @type {HTMLTableCellElement}
+     */
+    const removeCell = document.createElement('td');
     /**
-     * To prevent the page from reloading, the event is prevented from taking its default action, in this case,
-     * submitting the form and causing a page reload.
+     * The remove button, which removes the scenario when it is clicked, is created using the 'createButton()'
+     * function, and is appended to its cell, which is appended to the table row.
      */
-    event.preventDefault();
+    removeCell.appendChild(createButton(translate('button.remove'), () => removeScenario(index)));
+    tableRow.appendChild(removeCell);
+    /** The table row is returned. */
+    return tableRow;
+}
 
+/**
+ * The most recent calculation is added to the debt portfolio, with the name entered in the loan name input field, or a
+ * numbered default name if no name is entered.
+ */
+function addLoan() {
     /**
-     * The rest of the handling of the event needed to be done is performed in the 'parseFormAndUpdate()' function, so
-     * that function can be called outside the context of the event listener if need be.
+     * The name of the loan is the trimmed value of the loan name input field, or, if that is empty, a default name
+     * containing the number of the loan.
+     * @type {string}
      */
-    parseFormAndUpdate();
-});
+    const name = loanNameInput.value.trim() ||
+        localization.translate('portfolio.defaultName', {number: portfolioLoans.length + 1});
+    /** The loan is added, with the parameters and the schedule of the most recent calculation. */
+    portfolioLoans.push({name, ...currentCalculation});
+    /** The loan name input field is emptied, and its placeholder is set to the next default name. */
+    loanNameInput.value = '';
+    loanNameInput.placeholder = localization.translate('portfolio.defaultName', {number: portfolioLoans.length + 1});
+    /** The debt portfolio is updated to show the new loan. */
+    updatePortfolio();
+}
 
 /**
- * The 'parseFormAndUpdate()' function is now called, so that when the page is loaded, the default values defined in the
- * HTML file are used, and the user never sees an empty mortgage amortization table.
+ * Given the passed index, a loan is removed from the debt portfolio.
+ * @param index the index of the loan to be removed.
  */
-parseFormAndUpdate();
+function removeLoan(index) {
+    /** The loan is removed from the loans of the debt portfolio. */
+    portfolioLoans.splice(index, 1);
+    /** The debt portfolio is updated to no longer show the loan. */
+    updatePortfolio();
+}
 
 /**
- * The input fields of the user input form are parsed, and then the values are used to populate the mortgage
- * amortization table.
+ * Given the passed index, a loan is moved up by one place in the debt portfolio, which changes the custom order in
+ * which the loans are paid off.
+ * @param index the index of the loan to be moved up, which is at least 1.
  */
-function parseFormAndUpdate() {
+function moveLoanUp(index) {
+    /** The loan is taken out of the loans of the debt portfolio, and put back in one place earlier. */
+    portfolioLoans.splice(index - 1, 0, ...portfolioLoans.splice(index, 1));
+    /** The debt portfolio is updated to show the new order. */
+    updatePortfolio();
+}
+
+/**
+ * The debt portfolio is updated with the current loans, by filling the portfolio table with the loans, the strategy
+ * table with the totals of every payoff strategy, and the schedule table with the schedules of the loans for the
+ * payoff strategy chosen in the strategy drop-down list. If the budget does not pay off the loans, the error is shown
+ * instead of the strategies and the schedules. The debt portfolio is hidden if there are no loans.
+ */
+function updatePortfolio() {
+    /** The debt portfolio is only shown if there is at least one loan. */
+    debtPortfolio.hidden = portfolioLoans.length === 0;
+    /** The table bodies of the debt portfolio are emptied before the new rows are added. */
+    for (const tableBody of [portfolioTableBody, strategyTableBody, portfolioScheduleTableBody]) {
+        /** The table body is emptied by removing its children one by one. */
+        while (tableBody.hasChildNodes()) {
+            /** When this point is reached, the table body has at least one child, so the first child is removed. */
+            tableBody.removeChild(tableBody.firstChild);
+        }
+    }
+    /** If there are no loans, there is nothing to pay off. */
+    if (portfolioLoans.length === 0) {
+        return;
+    }
+
     /**
-     * The principal amount is parsed from the value of the principal input field, and is converted to a number. Note
-     * that sanitization is performed by the input field.
-     * @type {number}
+     * The currency formatter of the localization of the page is used to format the minimum budget in the error.
+     * @type {Intl.NumberFormat}
      */
-    let principal = parseFloat(principalInput.value);
-
+    const formatter = localization.currencyFormatter;
     /**
-     * The annual interest rate is parsed from the value of the interest input field, is converted to a number, divided
-     * by 100 to convert it to a decimal percentage, and then divided by 12 to convert it to a monthly decimal
-     * percentage. Note that sanitization is performed by the input field.
+     * The number of fraction digits of the currency of the first loan, which is used for the whole debt portfolio.
      * @type {number}
      */
-    let interest = parseFloat(interestInput.value) / 100 / 12;
+    const fractionDigits = portfolioLoans[0].params.fractionDigits ?? 2;
+    /**
+     * The monthly figures of the loans are determined using the 'describeLoans()' function, since the budget of the
+     * debt portfolio is monthly, whatever the payment frequency of the loans.
+     * @type {PortfolioLoan[]}
+     */
+    const loans = describeLoans(portfolioLoans, fractionDigits);
+    /** A row is created and appended to the portfolio table body for every loan. */
+    for (const loan of loans) {
+        portfolioTableBody.appendChild(createPortfolioLoanRow(loan, localization));
+    }
+    /**
+     * The placeholder of the budget input field is set to the total of the minimum payments, which is calculated using
+     * the 'calculateMinimumBudget()' function, since that is the budget if none is entered.
+     */
+    portfolioBudgetInput.placeholder = String(calculateMinimumBudget(loans, fractionDigits));
 
     /**
-     * The term in years is parsed from the value of the term input field, is converted to a number, and multiplied by
-     * 12 to convert it to the number of monthly payments. Note that sanitization is performed by the input field.
+     * The budget is parsed from the value of the budget input field, which is NaN if no budget is entered.
      * @type {number}
      */
-    let term = parseFloat(termInput.value) * 12;
+    const budget = parseFloat(portfolioBudgetInput.value);
+    /**
+     * The debt portfolio is paid off using every payoff strategy using the 'comparePayoffStrategies()' function, out of
+     * the budget, or out of the total of the minimum payments if no budget is entered. Note that this line is broken
+     * onto multiple lines to keep the code readable.
+     * @type {{schedules: PortfolioSchedule[], totals: PortfolioTotals|null, error: ValidationError|null}[]}
+     */
+    const results = comparePayoffStrategies(portfolioLoans, Number.isNaN(budget) ? null : budget, fractionDigits);
+    /**
+     * Every payoff strategy is paid out of the same budget, so the error, if any, is the same for every strategy.
+     * @type {ValidationError|null}
+     */
+    const {error} = results[0];
+    /**
+     * The error paragraph is only shown if there is an error, whose message is translated with the formatted minimum
+     * budget inserted into it. Note that this line is broken onto multiple lines to keep the code readable.
+     */
+    portfolioError.hidden = !error;
+    portfolioError.textContent = error ?
+        localization.translate(error.key, {minimum: formatter.format(error.values?.minimum ?? 0)}) :
+        '';
+    /** The strategy table and the schedules of the loans are hidden if there is an error. */
+    strategyTable.hidden = Boolean(error);
+    portfolioSchedules.hidden = Boolean(error);
+    /** If there is an error, there are no strategies or schedules to show. */
+    if (error) {
+        return;
+    }
 
+    /** A row is created and appended to the strategy table body for every payoff strategy. */
+    for (const {totals} of results) {
+        strategyTableBody.appendChild(createStrategyRow(totals, loans, localization));
+    }
     /**
-     * Updating the mortgage amortization table is performed in the 'updateTable()' function, to which the table body,
-     * principal, term in months, and monthly decimal interest rate are passed as arguments.
-     */
-    updateTable(amortizationTableBody, principal, term, interest);
-}
-
-/**
- * Given the various passed arguments, the monthly payment is calculated.
- *
- * The formula for the calculation of the monthly payment is as follows:
- *
- * <pre>
- * p - the principal amount
- * i - the decimal monthly interest rate
- * t - the term in months
- * c - the monthly payment
- *
- * c = p * (i / (1 - (1 + i)^(-t)))
- * </pre>
- *
- * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0; in that case,
- * the monthly payment is defined as:
- *
- * <pre>
- * c = p / t
- * </pre>
- * @param principal the principal amount.
- * @param termInMonths the term in months.
- * @param monthlyInterestRate the decimal monthly interest rate.
- * @returns {number} the monthly payment.
+     * The schedules of the loans for the payoff strategy chosen in the strategy drop-down list are picked out of the
+     * results, which are in the order of the payoff strategies.
+     * @type {PortfolioSchedule[]}
+     */
+    const schedules = results[PAYOFF_STRATEGIES.indexOf(portfolioStrategySelect.value)].schedules;
+    /** The schedule of every loan is added to the schedule table body, starting with a row that summarizes it. */
+    for (const schedule of schedules) {
+        portfolioScheduleTableBody.appendChild(createPortfolioLoanSummaryRow(schedule, localization));
+        /** A row is created and appended to the schedule table body for every month of the schedule. */
+        for (const row of schedule.rows) {
+            portfolioScheduleTableBody.appendChild(createPortfolioRow(row, localization));
+        }
+    }
+}
+
+/**
+ * Given the passed arguments, a row for a loan in the portfolio table is created, with a button to move the loan up in
+ * the custom order, and a button to remove the loan.
+ * @param loan the monthly figures of the loan, as determined by the 'describeLoans()' function.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row for the loan in the portfolio table.
  */
-function calculateMonthlyPayment(principal, termInMonths, monthlyInterestRate) {
+function createPortfolioLoanRow(loan, localization) {
     /**
-     * Due to the possibility of dividing by 0, the decimal monthly interest rate is checked to see if it is greater
-     * than 0.
+     * The formatters and the function that translates messages are picked out of the localization.
+     * @type {Localization}
      */
-    if (monthlyInterestRate > 0) {
-        /**
-         * In this case, the decimal monthly interest rate is greater than 0, so the first formula is used to calculate
-         * the monthly payment.
-         */
-        return principal * (monthlyInterestRate / (1 - Math.pow(1 + monthlyInterestRate, -termInMonths)));
-    }
+    const {currencyFormatter: formatter, percentFormatter, translate} = localization;
+    /**
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
+     */
+    const tableRow = document.createElement('tr');
+    /**
+     * The cell for the name of the loan is created by creating a new HTML <td> element. Since the name is entered by
+     * the user, it is set as the text content of the cell, rather than the inner HTML, so that it is never interpreted
+     * as HTML.
+     * @type {HTMLTableCellElement}
+     */
+    const nameCell = document.createElement('td');
+    nameCell.textContent = loan.name;
+    tableRow.appendChild(nameCell);
+    /** Cells are created for the principal, interest rate, and minimum payment, then appended to the table row. */
+    tableRow.appendChild(createCell(loan.balance, formatter));
+    tableRow.appendChild(createCell(percentFormatter.format(loan.interestRate)));
+    tableRow.appendChild(createCell(loan.minimumPayment, formatter));
+
+    /**
+     * The cell for the buttons is created by creating a new HTML <td> element.
+     * @type {HTMLTableCellElement}
+     */
+    const buttonCell = document.createElement('td');
     /**
-     * In this case, the decimal monthly interest rate less than or equal to 0, so the second formula is used to
-     * calculate the monthly payment.
+     * The move up button, which moves the loan up in the custom order when it is clicked, is created using the
+     * 'createButton()' function. It is disabled for the first loan, which cannot be moved up.
+     * @type {HTMLInputElement}
      */
-    return principal / termInMonths;
+    const moveUpButton = createButton(translate('button.moveUp'), () => moveLoanUp(loan.index));
+    moveUpButton.disabled = loan.index === 0;
+    buttonCell.appendChild(moveUpButton);
+    /**
+     * The remove button, which removes the loan when it is clicked, is created using the 'createButton()' function,
+     * and is appended to the cell for the buttons, which is appended to the table row.
+     */
+    buttonCell.appendChild(createButton(translate('button.remove'), () => removeLoan(loan.index)));
+    tableRow.appendChild(buttonCell);
+    /** The table row is returned. */
+    return tableRow;
 }
 
 /**
- * Given the various passed arguments, the remaining balance to be paid is calculated.
- *
- * The formula for the calculation of the remaining balance to be paid is as follows:
- *
- * <pre>
- * p - the principal amount
- * i - the decimal monthly interest rate
- * c - the monthly payment
- * m - the number of months already paid
- * b - the remaining balance to be paid
- *
- * b = (1 + i)^m * p - ((1 + i)^m - 1) / i * c)
- * </pre>
- *
- * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0; in that case,
- * the remaining balance to be paid is defined as:
- *
- * <pre>
- * b = p - c * m
- * </pre>
- * @param principal the principal amount.
- * @param monthlyInterestRate the decimal monthly interest rate.
- * @param monthlyPayment the monthly payment.
- * @param monthsPaid the number of months already paid.
- * @returns {number} the remaining balance to be paid.
+ * Given the passed arguments, a row for a payoff strategy in the strategy table is created.
+ * @param totals the totals of the debt portfolio for the payoff strategy, as calculated by the 'simulatePortfolio()'
+ * function.
+ * @param loans the monthly figures of the loans, as determined by the 'describeLoans()' function.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row for the payoff strategy in the strategy table.
  */
-function calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, monthsPaid) {
+function createStrategyRow(totals, loans, localization) {
     /**
-     * Due to the possibility of dividing by 0, the decimal monthly interest rate is checked to see if it is greater
-     * than 0.
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
      */
-    if (monthlyInterestRate > 0) {
-        /**
-         * In this case, the decimal monthly interest rate is greater than 0, so the first formula is used to calculate
-         * the remaining balance to be paid. Note that this line is broken onto multiple lines to keep the code
-         * readable. In addition, note that due to floating point rounding errors, the function 'Math.abs()' is used to
-         * ensure that the remaining balance to be paid is always a positive number.
-         */
-        return Math.abs(Math.pow(1 + monthlyInterestRate, monthsPaid) * principal -
-            (Math.pow(1 + monthlyInterestRate, monthsPaid) - 1) / monthlyInterestRate * monthlyPayment);
-    }
+    const tableRow = document.createElement('tr');
+    /** A cell is created for the translated name of the payoff strategy, then appended to the table row. */
+    tableRow.appendChild(createCell(localization.translate(`portfolio.strategy.${totals.strategy}`)));
     /**
-     * In this case, the decimal monthly interest rate is less than or equal to 0, so the second formula is used to
-     * calculate the remaining balance to be paid. Note that due to floating point rounding errors, the function
-     * 'Math.abs()' is used to ensure that the remaining balance to be paid is always a positive number.
+     * The cell for the order in which the loans are paid off is created by creating a new HTML <td> element. Since the
+     * names of the loans are entered by the user, they are set as the text content of the cell, rather than the inner
+     * HTML, so that they are never interpreted as HTML.
+     * @type {HTMLTableCellElement}
      */
-    return Math.abs(principal - monthlyPayment * monthsPaid);
+    const orderCell = document.createElement('td');
+    orderCell.textContent = totals.order.map((index) => loans[index].name).join(' → ');
+    tableRow.appendChild(orderCell);
+    /** A cell is created for the total interest paid on all the loans, then appended to the table row. */
+    tableRow.appendChild(createCell(totals.interestPaid, localization.currencyFormatter));
+    /** A cell is created for when the last loan is paid off, then appended to the table row. */
+    tableRow.appendChild(createCell(formatPayoff(totals, localization)));
+    /** The table row is returned. */
+    return tableRow;
 }
 
 /**
- * Given the various passed arguments, the amount of interest paid in the given month is calculated.
- *
- * The formula for the calculation of the amount of interest paid in the given month is as follows:
- *
- * <pre>
- * i - the decimal monthly interest rate
- * b - the remaining balance to be paid as of the previous month to the one in question
- * n - the amount of interest paid in the given month
- *
- * n = i * b
- * </pre>
- * @param principal the principal amount.
- * @param monthlyInterestRate the decimal monthly interest rate.
- * @param monthlyPayment the monthly payment.
- * @param month the month in question.
- * @returns {number} the amount of interest paid in the given month.
+ * Given the passed arguments, the row that starts the schedule of a loan in the schedule table is created, which spans
+ * all the columns of the table, and shows the name of the loan, the total interest paid on it, and when it is paid off.
+ * @param schedule the schedule of the loan, as calculated by the 'simulatePortfolio()' function.
+ * @param localization the localization of the page, which formats the figures and translates the text of the row.
+ * @returns {HTMLTableRowElement} the row that starts the schedule of the loan.
  */
-function calculateInterestPaid(principal, monthlyInterestRate, monthlyPayment, month) {
+function createPortfolioLoanSummaryRow(schedule, localization) {
+    /**
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
+     */
+    const row = document.createElement('tr');
+    /**
+     * The table cell is created by creating a new HTML <td> element.
+     * @type {HTMLTableCellElement}
+     */
+    const cell = document.createElement('td');
     /**
-     * The amount of interest paid in the given month is calculated using the formula above. Note that the remaining
-     * balance to be paid is calculated using the 'calculateRemainingBalance()' function, passing the previous month to
-     * the month in question.
+     * The text of the cell is the translated summary of the loan, into which the name of the loan, the formatted total
+     * interest paid on it, and when it is paid off are inserted. Since the name is entered by the user, the text is set
+     * as the text content of the cell, rather than the inner HTML, so that it is never interpreted as HTML.
      */
-    return monthlyInterestRate * calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, month - 1);
+    cell.textContent = localization.translate('portfolio.loanSummary', {
+        name: schedule.name,
+        amount: localization.currencyFormatter.format(schedule.totals.interestPaid),
+        paidOff: formatPayoff(schedule.totals, localization)
+    });
+    /** The class of the row, which styles it, and the accent class are added to the cell. */
+    cell.classList.add('portfolio-loan-row', 'header-accent');
+    /** The attribute 'colspan' is set to the 8, which is the number of columns in the schedule table. */
+    cell.setAttribute('colspan', '8');
+    /** The cell is appended to the row. */
+    row.appendChild(cell);
+    /** The row is returned. */
+    return row;
 }
 
 /**
- * Updates the mortgage amortization table with the passed arguments.
- * @param tableBody the table body to update.
- * @param principal the principal amount.
- * @param termInMonths the term in months.
- * @param monthlyInterestRate the decimal monthly interest rate.
+ * Given the passed arguments, a row for a month of the schedule of a loan in the schedule table is created.
+ * @param row the row of the schedule of the loan, as calculated by the 'simulatePortfolio()' function.
+ * @param localization the localization of the page, which formats the figures of the row.
+ * @returns {HTMLTableRowElement} the row for the month in the schedule table.
  */
-function updateTable(tableBody, principal, termInMonths, monthlyInterestRate) {
+function createPortfolioRow(row, localization) {
     /**
-     * This is not necessarily the first time that the method is called, so the table body is emptied before the new
-     * table data is added. This is done by performing a 'while' loop, which will continue to loop until the table body
-     * has no more children.
+     * The currency formatter of the localization is used to format the amounts of the row.
+     * @type {Intl.NumberFormat}
      */
-    while (tableBody.hasChildNodes()) {
-        /** When this point is reached, the table body has at least one child, so the first child is removed. */
-        tableBody.removeChild(tableBody.firstChild);
+    const formatter = localization.currencyFormatter;
+    /**
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
+     */
+    const tableRow = document.createElement('tr');
+    /** A cell is created for the month without the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.month));
+    /** A cell is created for the formatted due date, if there is one, then appended to the table row. */
+    tableRow.appendChild(createCell(row.dueDate ? localization.dateFormatter.format(parseIsoDate(row.dueDate)) : ''));
+    /**
+     * Cells are created for the starting balance, the minimum payment, the extra payment, the principal paid, the
+     * interest paid, and the ending balance with the formatter, then appended to the table row.
+     */
+    for (const amount of [row.startingBalance, row.payment, row.extraPayment, row.principalPaid, row.interestPaid,
+        row.endingBalance]) {
+        tableRow.appendChild(createCell(amount, formatter));
     }
+    /** The table row is returned. */
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, when a loan or the whole debt portfolio is paid off is formatted, which is the due date
+ * of the final payment, or its month if the loans have no due dates.
+ * @param totals the totals of the loan or of the debt portfolio, with the final month and the payoff date.
+ * @param totals.finalMonth the last month in which a payment is made.
+ * @param totals.payoffDate the due date of the final payment, as an ISO 8601 date string, or null if there is none.
+ * @param localization the localization of the page, which formats the date and translates the month.
+ * @returns {string} the formatted payoff date or month.
+ */
+function formatPayoff({finalMonth, payoffDate}, localization) {
+    /** The payoff date is formatted if there is one, and otherwise the month is translated. */
+    return payoffDate ?
+        localization.dateFormatter.format(parseIsoDate(payoffDate)) :
+        localization.translate('portfolio.finalMonth', {month: finalMonth});
+}
 
+/**
+ * Given the passed arguments, a difference between two amounts is formatted, with a plus sign if the difference is
+ * positive, and a minus sign if the difference is negative.
+ * @param difference the difference to be formatted.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @returns {string} the formatted difference.
+ */
+function formatDifference(difference, formatter) {
     /**
-     * The monthly payment is calculated using the 'calculateMonthlyPayment()' function, passing the principal, term in
-     * months, and monthly decimal interest rate as arguments.
-     * @type {number}
+     * The sign of the difference, which is empty if the difference is 0.
+     * @type {string}
      */
-    const monthlyPayment = calculateMonthlyPayment(principal, termInMonths, monthlyInterestRate);
+    const sign = difference > 0 ? '+' : difference < 0 ? '-' : '';
+    /** The sign is followed by the formatted absolute value of the difference. */
+    return `${sign}${formatter.format(Math.abs(difference))}`;
+}
+
+/**
+ * Given the passed arguments, a file with the given content is downloaded. This is done by creating a temporary link to
+ * the content, and clicking the link.
+ * @param fileName the name of the downloaded file.
+ * @param type the MIME type of the content.
+ * @param content the content of the file.
+ */
+function downloadFile(fileName, type, content) {
     /**
-     * A 'NumberFormat' object is created to format the currency entries on the mortgage amortization table,
-     * specifically, to guarantee that there will always be two decimal places.
-     * @type {Intl.NumberFormat}
+     * A URL to the content is created, by wrapping the content in a 'Blob' object of the given MIME type.
+     * @type {string}
+     */
+    const url = URL.createObjectURL(new Blob([content], {type}));
+    /**
+     * The link is created by creating a new HTML <a> element.
+     * @type {HTMLAnchorElement}
      */
-    const formatter = Intl.NumberFormat('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+    const link = document.createElement('a');
+    /** The link points to the URL of the content. */
+    link.href = url;
+    /** The 'download' attribute of the link is set, so that clicking the link downloads the file with the name. */
+    link.download = fileName;
+    /** The link is clicked, which downloads the file. */
+    link.click();
+    /** The URL to the content is no longer needed, so it is released. */
+    URL.revokeObjectURL(url);
+}
 
+/**
+ * Given the passed arguments, a row for a month in the mortgage amortization table is created. A month with a payment
+ * event is flagged, by labelling the event next to the month and adding a class to the row. The actual figures of a
+ * reconciled month are highlighted where they differ from the schedule, and are left empty for any other month.
+ * @param row the row of the mortgage amortization schedule for the month in question.
+ * @param costRow the costs of owning the property in the month in question.
+ * @param discountedRow the discounted figures of the month in question.
+ * @param reconciledRow the actual figures of the month in question, or undefined if the month is not reconciled.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @param percentFormatter the formatter to be used to format the interest rate.
+ * @param dateFormatter the formatter to be used to format the due date.
+ * @param repayment the repayment structure, whose payment frequency and compounding frequency convert the interest rate
+ * of a payment period back to the annual interest rate.
+ * @returns {HTMLTableRowElement} the row for the month in the mortgage amortization table.
+ */
+function createRow(row, costRow, discountedRow, reconciledRow, formatter, percentFormatter, dateFormatter,
+                   repayment) {
     /**
-     * This variable is used to keep track of the cumulative total of principal paid.
-     * @type {number}
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
      */
-    let totalPrincipalPaid = 0;
+    const tableRow = document.createElement('tr');
     /**
-     * This variable is used to keep track of the cumulative total of interest paid.
-     * @type {number}
+     * The month is kept in a data attribute of the table row, so that the row can be found when hovering the charts.
      */
-    let totalInterestPaid = 0;
+    tableRow.dataset.month = String(row.month);
     /**
-     * All months of the mortgage must be iterated over, and this is done by performing a 'for' loop, which will go from
-     * month 1, to the number of months in the mortgage, inclusive. At each month, certain calculations are performed,
-     * and the table is updated with the results.
+     * A cell is created for the month without the formatter, then appended to the table row.
+     * @type {HTMLTableCellElement}
      */
-    for (let month = 1; month <= termInMonths; month++) {
-        /**
-         * The starting balance of the month is calculated using the 'calculateRemainingBalance()' function, passing the
-         * principal, the decimal monthly interest rate, the monthly payment, and the previous month to the month in
-         * question as arguments.
-         * @type {number}
-         */
-        const startingBalance = calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, month - 1);
-        /**
-         * The interest paid in the month is calculated using the 'calculateInterestPaid()' function, passing the
-         * principal, the decimal monthly interest rate, the monthly payment, and the month as arguments.
-         * @type {number}
-         */
-        const interestPaid = calculateInterestPaid(principal, monthlyInterestRate, monthlyPayment, month);
-        /**
-         * The cumulative total of interest paid is updated by adding the interest paid in the month to itself.
-         * @type {number}
-         */
-        totalInterestPaid += interestPaid;
-        /**
-         * The principal paid in the month is, by definition, the monthly payment minus the interest paid in the
-         * month.
-         * @type {number}
-         */
-        const principalPaid = monthlyPayment - interestPaid;
-        /**
-         * The cumulative total of principal paid is updated by adding the principal paid in the month to itself.
-         * @type {number}
-         */
-        totalPrincipalPaid += principalPaid;
-        /**
-         * The ending balance of the month is calculated using the 'calculateRemainingBalance()' function, passing the
-         * principal, the decimal monthly interest rate, the monthly payment, and the month as arguments.
-         * @type {number}
-         */
-        const endingBalance = calculateRemainingBalance(principal, monthlyInterestRate, monthlyPayment, month);
-
-        /**
-         * A row, representing a single month of the mortgage, is created, by calling the 'createRow()' function,
-         * passing the month, the starting balance, the principal paid, the total principal paid, the interest paid, the
-         * total interest paid, the ending balance, and the formatter as arguments. Note that this line is broken onto
-         * multiple lines to keep the code readable.
-         * @type {HTMLTableRowElement}
-         */
-        const row = createRow(month, startingBalance, principalPaid, totalPrincipalPaid, interestPaid,
-            totalInterestPaid, endingBalance, formatter);
-        /** The row is appended to the mortgage amortization table body. */
-        tableBody.appendChild(row);
-
+    const monthCell = tableRow.appendChild(createCell(row.month));
+    /**
+     * If there is a payment event in the month, the class 'payment-event-row' is added to the table row for styling
+     * purposes, and the translated label of the event is added to the cell of the month, in a <span> element.
+     */
+    if (row.paymentEvent) {
+        tableRow.classList.add('payment-event-row');
         /**
-         * Every 12 months, a year separator row is inserted into the mortgage amortization table. It is determined if a
-         * year separator row is needed by checking if the month is a multiple of 12.
+         * The label of the payment event is created by creating a new HTML <span> element.
+         * @type {HTMLSpanElement}
          */
-        if (month % 12 === 0) {
-            /**
-             * In this case, a year separator row is created, by calling the 'createYearRow()' function, passing one of
-             * two strings to be displayed in the year separator row, depending on whether the month is the final month,
-             * determined by checking if the value of the next month exceeds the term in months. Note that this line is
-             * broken onto multiple lines to keep the code readable.
-             * @type {HTMLTableRowElement}
-             */
-            const yearRow = month + 1 > termInMonths ?
-                createYearRow(`End of Year ${month / 12}`) :
-                createYearRow(`End of Year ${month / 12} | Start of Year ${month / 12 + 1}`);
-            /** The year separator row is appended to the mortgage amortization table body. */
-            tableBody.appendChild(yearRow);
-        }
+        const eventLabel = document.createElement('span');
+        eventLabel.classList.add('payment-event');
+        eventLabel.textContent = localization.translate(`event.${row.paymentEvent}`);
+        monthCell.appendChild(eventLabel);
     }
-
     /**
-     * The principal amount is formatted to be used for the title of the mortgage amortization table.
-     * @type {string}
+     * A cell is created for the due date, formatted with the date formatter, without the currency formatter, then
+     * appended to the table row.
      */
-    const formattedPrincipal = formatter.format(principal);
+    tableRow.appendChild(createCell(dateFormatter.format(parseIsoDate(row.dueDate))));
     /**
-     * The decimal monthly interest rate is first converted to a decimal annual interest rate by multiplying the decimal
-     * monthly interest rate by 12, then converted to a percentage annual interest rate by multiplying the decimal
-     * annual interest rate by 100, and finally formatted to be used for the title of the mortgage amortization table.
-     * @type {string}
+     * A cell is created for the annual interest rate, converted back from the interest rate of a payment period using
+     * the 'toAnnualRate()' function, and formatted with the percent formatter, without the currency formatter, since
+     * the formatted text is already passed to the function, then appended to the table row.
      */
-    const formattedInterestRate = formatter.format(monthlyInterestRate * 12 * 100);
+    tableRow.appendChild(createCell(
+        percentFormatter.format(toAnnualRate(row.monthlyInterestRate, repayment.frequency, repayment.compounding))));
+    /** A cell is created for the starting balance with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.startingBalance, formatter));
+    /** A cell is created for the extra payment with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.extraPayment, formatter));
+    /** A cell is created for the principal paid with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.principalPaid, formatter));
+    /** A cell is created for the total principal paid with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.totalPrincipalPaid, formatter));
+    /** A cell is created for the interest paid with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.interestPaid, formatter));
+    /** A cell is created for the total interest paid with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.totalInterestPaid, formatter));
     /**
-     * The term in months is first converted to a term in years by dividing the term in months by 12, then formatted, to
-     * not have any decimal places, to be used for the title of the mortgage amortization table.
+     * Cells are created for the savings balance of the offset account and the interest saved by it with the formatter,
+     * using the 'createFeatureCell()' function, since they are only shown if there is an offset account, then appended
+     * to the table row.
      */
-    const formattedTerm = Intl.NumberFormat('en-US', {maximumFractionDigits: 0}).format(termInMonths / 12);
+    tableRow.appendChild(createFeatureCell('offset', row.offsetBalance, formatter));
+    tableRow.appendChild(createFeatureCell('offset', row.interestOffset, formatter));
     /**
-     * The monthly payment is formatted to be used for the title of the mortgage amortization table.
-     * @type {string}
+     * Cells are created for the late fee and the arrears with the formatter, using the 'createFeatureCell()' function,
+     * since they are only shown if any payment event is marked, then appended to the table row.
      */
-    const formattedMonthlyPayment = formatter.format(monthlyPayment);
-
+    tableRow.appendChild(createFeatureCell('events', row.lateFee, formatter));
+    tableRow.appendChild(createFeatureCell('events', row.arrears, formatter));
     /**
-     * The inner HTML of the table header cell is set using a string template literal, which is used to insert the
-     * formatted principal, formatted interest rate, formatted term, and formatted monthly payment into the title. Note
-     * that this line is broken onto multiple lines to keep the code readable.
+     * Cells are created for the property tax and home insurance, the PMI, and the total outgoings with the formatter,
+     * using the 'createFeatureCell()' function, since they are only shown if any cost is paid, then appended to the
+     * table row.
+     */
+    tableRow.appendChild(createFeatureCell('costs', costRow.taxesAndInsurance, formatter));
+    tableRow.appendChild(createFeatureCell('costs', costRow.pmi, formatter));
+    tableRow.appendChild(createFeatureCell('costs', costRow.outgoings, formatter));
+    /** A cell is created for the ending balance with the formatter, then appended to the table row. */
+    tableRow.appendChild(createCell(row.endingBalance, formatter));
+    /**
+     * Cells are created for the actual principal paid, the actual interest paid, and the actual ending balance, using
+     * the 'createActualCell()' function, then appended to the table row. Note that this line is broken onto multiple
+     * lines to keep the code readable.
+     */
+    tableRow.appendChild(createActualCell(reconciledRow?.actualPrincipal, reconciledRow?.principalDifference,
+        formatter));
+    tableRow.appendChild(createActualCell(reconciledRow?.actualInterest, reconciledRow?.interestDifference,
+        formatter));
+    tableRow.appendChild(createActualCell(reconciledRow?.actualBalance, reconciledRow?.balanceDifference,
+        formatter));
+    /**
+     * Cells are created for the ending balance in today's money and the present value of the payment with the
+     * formatter, using the 'createFeatureCell()' function, since they are only shown if the schedule is discounted,
+     * then appended to the table row.
      */
-    amortizationTableTitle.innerHTML =
-        `Mortgage Amortization Table for: €${formattedPrincipal} | ${formattedInterestRate}% Interest Rate | \
-            ${formattedTerm} Years<br>Monthly Payment: €${formattedMonthlyPayment}`;
+    tableRow.appendChild(createFeatureCell('discounting', discountedRow.realBalance, formatter));
+    tableRow.appendChild(createFeatureCell('discounting', discountedRow.presentValue, formatter));
+    /** The table row is returned. */
+    return tableRow;
 }
 
 /**
- * Given the passed arguments, a row for a month in the mortgage amortization table is created. Note that this line is
- * broken onto multiple lines to keep the code readable.
- * @param month the month in question.
- * @param startingBalance the starting balance of the month.
- * @param principalPaid the principal paid in the month.
- * @param totalPrincipalPaid the cumulative total of the principal paid up to and including the month.
- * @param interestPaid the interest paid in the month.
- * @param totalInterestPaid the cumulative total of the interest paid up to and including the month.
- * @param endingBalance the ending balance of the month.
+ * Given the passed arguments, a cell for an actual figure of a month in the mortgage amortization table is created,
+ * which is highlighted if the actual figure differs from the schedule, with the difference as its tooltip. Like the
+ * other columns of the reconciliation, the cell is only shown if a statement of actual payments is reconciled.
+ * @param actual the actual figure, or undefined if the month is not reconciled, in which case the cell is left empty.
+ * @param difference the actual figure minus the figure of the schedule.
  * @param formatter the formatter to be used to format the currency numbers.
- * @returns {HTMLTableRowElement} the row for the month in the mortgage amortization table.
+ * @returns {HTMLTableCellElement} the cell for the actual figure in the mortgage amortization table.
  */
-function createRow(month, startingBalance, principalPaid, totalPrincipalPaid, interestPaid, totalInterestPaid,
-                   endingBalance, formatter) {
+function createActualCell(actual, difference, formatter) {
+    /** A month that is not reconciled has no actual figures, so its cell is left empty. */
+    if (actual === undefined) {
+        return createFeatureCell('reconciliation', '');
+    }
     /**
-     * The row is created by creating a new HTML <tr> element.
-     * @type {HTMLTableRowElement}
+     * The cell is created using the 'createFeatureCell()' function, passing the name of the reconciliation, the actual
+     * figure, and the formatter.
+     * @type {HTMLTableCellElement}
      */
-    const row = document.createElement('tr');
-    /** A cell is created for the month without the formatter, then appended to the row. */
-    row.appendChild(createCell(month));
-    /** A cell is created for the starting balance with the formatter, then appended to the row. */
-    row.appendChild(createCell(startingBalance, formatter));
-    /** A cell is created for the principal paid with the formatter, then appended to the row. */
-    row.appendChild(createCell(principalPaid, formatter));
-    /** A cell is created for the total principal paid with the formatter, then appended to the row. */
-    row.appendChild(createCell(totalPrincipalPaid, formatter));
-    /** A cell is created for the interest paid with the formatter, then appended to the row. */
-    row.appendChild(createCell(interestPaid, formatter));
-    /** A cell is created for the total interest paid with the formatter, then appended to the row. */
-    row.appendChild(createCell(totalInterestPaid, formatter));
-    /** A cell is created for the ending balance with the formatter, then appended to the row. */
-    row.appendChild(createCell(endingBalance, formatter));
-    /** The row is returned. */
-    return row;
+    const cell = createFeatureCell('reconciliation', actual, formatter);
+    /**
+     * If the actual figure differs from the schedule, the class 'reconciled-difference' is added to the cell for
+     * styling purposes, and the formatted difference is shown as the tooltip of the cell, using the
+     * 'formatDifference()' function.
+     */
+    if (difference !== 0) {
+        cell.classList.add('reconciled-difference');
+        cell.title = localization.translate('table.difference', {amount: formatDifference(difference, formatter)});
+    }
+    /** The cell is returned. */
+    return cell;
 }
 
 /**
@@ -419,20 +3059,213 @@ function createCell(text, formatter = undefined) {
      */
     const cell = document.createElement('td');
     /**
-     * The inner HTML of the cell is set using either a string template literal, used to insert formatted text, or the
-     * text itself, depending on whether a formatter is passed to the function.
+     * The inner HTML of the cell is set to either the text formatted with the formatter, which includes the currency
+     * symbol, or the text itself, depending on whether a formatter is passed to the function.
+     */
+    cell.innerHTML = formatter ? formatter.format(text) : text;
+    /** The cell is returned. */
+    return cell;
+}
+
+/**
+ * Given the passed arguments, a cell for a column of a feature in the mortgage amortization table is created, which is
+ * only shown if the feature is in use.
+ * @param feature the name of the feature, such as 'costs'.
+ * @param text the text to be displayed in the cell.
+ * @param formatter the formatter, if any, to be used to format the currency numbers.
+ * @returns {HTMLTableCellElement} the cell for the column of the feature in the mortgage amortization table.
+ */
+function createFeatureCell(feature, text, formatter = undefined) {
+    /**
+     * The cell is created using the 'createCell()' function, passing the text and the formatter.
+     * @type {HTMLTableCellElement}
      */
-    cell.innerHTML = formatter ? `€${formatter.format(text)}` : text;
+    const cell = createCell(text, formatter);
+    /** The name of the feature is kept in a data attribute of the cell, so that the style sheet can hide the cell. */
+    cell.dataset.feature = feature;
     /** The cell is returned. */
     return cell;
 }
 
 /**
- * A row for a year separator in the mortgage amortization table is created, with the given text.
+ * Given the passed arguments, a button is created, which calls the given function when it is clicked.
+ * @param text the text to be displayed on the button.
+ * @param onClick the function called when the button is clicked.
+ * @returns {HTMLInputElement} the button.
+ */
+function createButton(text, onClick) {
+    /**
+     * The button is created by creating a new HTML <input> element of the type 'button'.
+     * @type {HTMLInputElement}
+     */
+    const button = document.createElement('input');
+    button.type = 'button';
+    button.value = text;
+    /** An event listener is added to the button, which calls the given function when the button is clicked. */
+    button.addEventListener('click', onClick);
+    /** The button is returned. */
+    return button;
+}
+
+/**
+ * Given the passed arguments, the summary row of a year in the mortgage amortization table is created, which is also
+ * the year separator. The row shows the subtotals of the year in the columns of the amounts paid in the month, and the
+ * ending balance of the year, and has a toggle button that collapses or expands the rows of the year.
+ * @param text the text to be displayed in the row.
+ * @param year the summary of the year, as calculated by the 'summarizeYears()' function.
+ * @param discountedYear the summary of the discounted figures of the year, as calculated by the
+ * 'summarizeDiscountedRows()' function.
+ * @param formatter the formatter to be used to format the currency numbers.
+ * @param onToggle the function called when the toggle button is clicked.
+ * @returns {HTMLTableRowElement} the summary row of the year in the mortgage amortization table.
+ */
+function createYearRow(text, year, discountedYear, formatter, onToggle) {
+    /**
+     * The table row is created by creating a new HTML <tr> element.
+     * @type {HTMLTableRowElement}
+     */
+    const tableRow = document.createElement('tr');
+    /**
+     * Whether the rows of the year are collapsed.
+     * @type {boolean}
+     */
+    const collapsed = collapsedYears.has(year.year);
+    /**
+     * The toggle button is created using the 'createButton()' function, and is labelled with the action it performs,
+     * which is to expand the year if it is collapsed, and to collapse it otherwise.
+     * @type {HTMLInputElement}
+     */
+    const toggleButton =
+        createButton(localization.translate(collapsed ? 'button.expand' : 'button.collapse'), onToggle);
+    toggleButton.classList.add('year-toggle');
+    toggleButton.setAttribute('aria-expanded', String(!collapsed));
+    /**
+     * The cell holding the toggle button and the text spans the columns from the month up to the starting balance.
+     * @type {HTMLTableCellElement}
+     */
+    const labelCell = createCell(text);
+    labelCell.setAttribute('colspan', '4');
+    labelCell.prepend(toggleButton);
+    /**
+     * The cells of the row, where the columns of the totals, of the costs of owning the property, and of the actual
+     * figures are left empty, and the savings balance of the offset account and the arrears are those at the end of the
+     * year.
+     * Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {HTMLTableCellElement[]}
+     */
+    const cells = [
+        labelCell, createCell(year.extraPayment, formatter), createCell(year.principalPaid, formatter), createCell(''),
+        createCell(year.interestPaid, formatter), createCell(''),
+        createFeatureCell('offset', year.offsetBalance, formatter),
+        createFeatureCell('offset', year.interestOffset, formatter),
+        createFeatureCell('events', year.lateFees, formatter), createFeatureCell('events', year.arrears, formatter),
+        createFeatureCell('costs', ''), createFeatureCell('costs', ''), createFeatureCell('costs', ''),
+        createCell(year.endingBalance, formatter), createFeatureCell('reconciliation', ''),
+        createFeatureCell('reconciliation', ''), createFeatureCell('reconciliation', ''),
+        createFeatureCell('discounting', discountedYear.realBalance, formatter),
+        createFeatureCell('discounting', discountedYear.presentValue, formatter)
+    ];
+    /**
+     * The class 'year-row' and the class 'header-accent' are added to every cell for styling purposes, and every cell
+     * is appended to the table row.
+     */
+    for (const cell of cells) {
+        cell.classList.add('year-row', 'header-accent');
+        tableRow.appendChild(cell);
+    }
+    /** The table row is returned. */
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, a row of the mortgage amortization table is added to the group of the year it belongs to,
+ * and is hidden if the year is collapsed.
+ * @param tableRow the row of the mortgage amortization table.
+ * @param year the year that the row belongs to.
+ * @returns {HTMLTableRowElement} the row of the mortgage amortization table.
+ */
+function addToYear(tableRow, year) {
+    /** The year is kept in a data attribute of the row, so that the rows of the year can be found when toggled. */
+    tableRow.dataset.year = String(year);
+    tableRow.hidden = collapsedYears.has(year);
+    /** The row is returned. */
+    return tableRow;
+}
+
+/**
+ * Given the passed arguments, the rows of a year in the mortgage amortization table are collapsed if they are shown,
+ * and expanded otherwise. Rows of the year that have not been added to the table yet are hidden or shown when they are
+ * added, since the 'addToYear()' function checks the collapsed years.
+ * @param tableBody the body of the mortgage amortization table.
+ * @param year the year to be collapsed or expanded.
+ * @param toggleButton the toggle button of the year, whose label is updated to match.
+ */
+function toggleYear(tableBody, year, toggleButton) {
+    /**
+     * Whether the year is collapsed after it is toggled.
+     * @type {boolean}
+     */
+    const collapsed = !collapsedYears.has(year);
+    if (collapsed) {
+        collapsedYears.add(year);
+    } else {
+        collapsedYears.delete(year);
+    }
+    /** Every row of the year that has already been added to the table is hidden or shown. */
+    for (const tableRow of tableBody.querySelectorAll(`tr[data-year="${year}"]`)) {
+        tableRow.hidden = collapsed;
+    }
+    /** The toggle button is labelled with the action it performs next. */
+    toggleButton.value = localization.translate(collapsed ? 'button.expand' : 'button.collapse');
+    toggleButton.setAttribute('aria-expanded', String(!collapsed));
+}
+
+/**
+ * A row for an interest rate change separator in the mortgage amortization table is created, with the given text.
+ * @param text the text to be displayed in the row.
+ * @returns {HTMLTableRowElement} the row for the interest rate change separator in the mortgage amortization table.
+ */
+function createRateChangeRow(text) {
+    /**
+     * The row is created by calling the 'createSeparatorRow()' function, passing the text and the class
+     * 'rate-change-row' as arguments, and then returned.
+     */
+    return createSeparatorRow(text, 'rate-change-row');
+}
+
+/**
+ * A row for a refinancing separator in the mortgage amortization table is created, with the given text.
+ * @param text the text to be displayed in the row.
+ * @returns {HTMLTableRowElement} the row for the refinancing separator in the mortgage amortization table.
+ */
+function createRefinanceRow(text) {
+    /**
+     * The row is created by calling the 'createSeparatorRow()' function, passing the text and the class
+     * 'refinance-row' as arguments, and then returned.
+     */
+    return createSeparatorRow(text, 'refinance-row');
+}
+
+/**
+ * A row for a reconciliation separator in the mortgage amortization table is created, with the given text.
+ * @param text the text to be displayed in the row.
+ * @returns {HTMLTableRowElement} the row for the reconciliation separator in the mortgage amortization table.
+ */
+function createReconciliationRow(text) {
+    /**
+     * The row is created by calling the 'createSeparatorRow()' function, passing the text and the class
+     * 'reconciliation-row' as arguments, and then returned.
+     */
+    return createSeparatorRow(text, 'reconciliation-row');
+}
+
+/**
+ * A separator row in the mortgage amortization table is created, with the given text and class.
  * @param text the text to be displayed in the row.
- * @returns {HTMLTableRowElement} the row for the year separator in the mortgage amortization table.
+ * @param className the class, used for styling purposes, that identifies the kind of separator.
+ * @returns {HTMLTableRowElement} the separator row in the mortgage amortization table.
  */
-function createYearRow(text) {
+function createSeparatorRow(text, className) {
     /**
      * The row is created by creating a new HTML <tr> element.
      * @type {HTMLTableRowElement}
@@ -445,15 +3278,31 @@ function createYearRow(text) {
     const cell = document.createElement('td');
     /** The inner HTML of the cell is set to the given text. */
     cell.innerHTML = text;
-    /** The classes 'year-row' and 'header-accent' are added to the cell for styling purposes. */
-    cell.classList.add('year-row', 'header-accent');
+    /** The given class and the class 'header-accent' are added to the cell for styling purposes. */
+    cell.classList.add(className, 'header-accent');
     /**
-     * The attribute 'colspan' is set to the 7, which is the number of columns in the mortgage amortization table,
-     * therefore spanning the entire width of the table.
+     * The attribute 'colspan' is set to the number of columns spanned by the title of the mortgage amortization table,
+     * which is the number of columns that are shown, therefore spanning the entire width of the table.
      */
-    cell.setAttribute('colspan', '7');
+    cell.setAttribute('colspan', String(amortizationTableTitle.colSpan));
     /** The cell is appended to the row. */
     row.appendChild(cell);
     /** The row is returned. */
     return row;
+}
+
+/**
+ * Given the passed features, the number of columns of the mortgage amortization table that are shown is counted, which
+ * are the columns of the header row below the title, apart from the columns of the features that are not in use.
+ * @param features the names of the features in use.
+ * @returns {number} the number of columns that are shown.
+ */
+function countColumns(features) {
+    /**
+     * The number of columns of every header cell that is shown is added up, where a header cell spanning the columns
+     * of the current month and of the total counts as two columns.
+     */
+    return [...amortizationTable.tHead.rows[1].cells]
+        .filter((cell) => !cell.dataset.feature || features.includes(cell.dataset.feature))
+        .reduce((count, cell) => count + cell.colSpan, 0);
 }
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * The solver of the mortgage repayment calculator, which works backwards from a regular payment that can be afforded to
+ * the one figure of the mortgage that is not known, which is either the largest principal that can be borrowed, the
+ * term needed to pay off the principal, or the break-even interest rate at which the payment pays off the principal
+ * over the term. The principal and the term are solved in closed form, by rearranging the formula of the
+ * 'calculateMonthlyPayment()' function, while the interest rate, which cannot be isolated in that formula, is found
+ * numerically. None of the functions in this module access the DOM, so that the module can be imported both by the web
+ * page and by the test suite, which is run with Node.js.
+ */
+import {calculateMonthlyPayment} from './amortization.js';
+import {PAYMENT_FREQUENCIES, toPeriodicRate} from './frequency.js';
+import {MAXIMUM_INTEREST_RATE, MAXIMUM_TERM} from './validation.js';
+
+/**
+ * The figures of the mortgage that can be solved for, where 'payment' is the usual calculation of the regular payment
+ * from the principal, the interest rate, and the term.
+ * @type {string[]}
+ */
+export const SOLVER_UNKNOWNS = ['payment', 'principal', 'term', 'interest'];
+
+/**
+ * The number of times the interval holding the interest rate is halved, which narrows the interval far below the
+ * precision of a floating point number.
+ * @type {number}
+ */
+const MAXIMUM_ITERATIONS = 200;
+
+/**
+ * Given the passed arguments, the largest principal that a monthly payment pays off over the term is calculated.
+ *
+ * The formula is that of the 'calculateMonthlyPayment()' function, rearranged for the principal amount:
+ *
+ * <pre>
+ * c - the monthly payment
+ * i - the decimal monthly interest rate
+ * t - the term in months
+ * p - the principal amount
+ *
+ * p = c * (1 - (1 + i)^(-t)) / i
+ * </pre>
+ *
+ * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0; in that case,
+ * the principal amount is defined as:
+ *
+ * <pre>
+ * p = c * t
+ * </pre>
+ * @param monthlyPayment the monthly payment.
+ * @param termInMonths the term in months.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @returns {number} the principal amount.
+ */
+export function solvePrincipal(monthlyPayment, termInMonths, monthlyInterestRate) {
+    /** The decimal monthly interest rate is checked to see if it is greater than 0, to avoid dividing by 0. */
+    if (monthlyInterestRate > 0) {
+        return monthlyPayment * (1 - Math.pow(1 + monthlyInterestRate, -termInMonths)) / monthlyInterestRate;
+    }
+    /** In this case, no interest is charged, so every payment pays off the principal in full. */
+    return monthlyPayment * termInMonths;
+}
+
+/**
+ * Given the passed arguments, the number of months needed for a monthly payment to pay off the principal is calculated.
+ *
+ * The formula is that of the 'calculateMonthlyPayment()' function, rearranged for the term in months:
+ *
+ * <pre>
+ * p - the principal amount
+ * c - the monthly payment
+ * i - the decimal monthly interest rate
+ * t - the term in months
+ *
+ * t = -ln(1 - p * i / c) / ln(1 + i)
+ * </pre>
+ *
+ * Note that if the decimal monthly interest rate is 0, this would result in attempting to divide by 0; in that case,
+ * the term in months is defined as:
+ *
+ * <pre>
+ * t = p / c
+ * </pre>
+ *
+ * If the monthly payment does not even pay the interest of the first month, the mortgage is never paid off, and the
+ * term is infinite. Note that the term is usually not a whole number of months.
+ * @param principal the principal amount.
+ * @param monthlyPayment the monthly payment.
+ * @param monthlyInterestRate the decimal monthly interest rate.
+ * @returns {number} the term in months, which is 'Infinity' if the mortgage is never paid off.
+ */
+export function solveTerm(principal, monthlyPayment, monthlyInterestRate) {
+    /** The decimal monthly interest rate is checked to see if it is greater than 0, to avoid dividing by 0. */
+    if (monthlyInterestRate > 0) {
+        /** A monthly payment that does not pay more than the interest never pays off any of the principal. */
+        if (monthlyPayment <= principal * monthlyInterestRate) {
+            return Infinity;
+        }
+        return -Math.log(1 - principal * monthlyInterestRate / monthlyPayment) / Math.log(1 + monthlyInterestRate);
+    }
+    /** In this case, no interest is charged, so the principal is simply divided by the monthly payment. */
+    return principal / monthlyPayment;
+}
+
+/**
+ * Given the passed arguments, the decimal monthly interest rate at which a monthly payment pays off the principal over
+ * the term is found. The rate cannot be isolated in the formula of the 'calculateMonthlyPayment()' function, so it is
+ * found numerically with the bisection method: the monthly payment grows with the interest rate, so the rate lies
+ * between a rate whose payment is too low and a rate whose payment is too high, and the interval between them is
+ * halved until it is too narrow to hold any other floating point number. Unlike Newton's method, the bisection method
+ * cannot overshoot, so it finds the rate for any payment that lies within the interval.
+ * @param principal the principal amount.
+ * @param monthlyPayment the monthly payment.
+ * @param termInMonths the term in months.
+ * @param maximumInterestRate the highest decimal monthly interest rate that is searched.
+ * @returns {number|null} the decimal monthly interest rate, or null if no interest rate from 0 to the highest interest
+ * rate gives the monthly payment.
+ */
+export function solveInterestRate(principal, monthlyPayment, termInMonths, maximumInterestRate) {
+    /**
+     * The lower and upper bounds of the interval holding the interest rate, which is initially the whole range that is
+     * searched.
+     * @type {number}
+     */
+    let lower = 0;
+    let upper = maximumInterestRate;
+    /**
+     * A monthly payment below the payment without interest, or above the payment at the highest interest rate, has no
+     * interest rate within the range. Note that a small tolerance is allowed, since a payment entered in minor units
+     * rarely matches a payment calculated with floating point numbers exactly.
+     */
+    if (monthlyPayment < calculateMonthlyPayment(principal, termInMonths, lower) * (1 - 1e-12) ||
+        monthlyPayment > calculateMonthlyPayment(principal, termInMonths, upper) * (1 + 1e-12)) {
+        return null;
+    }
+    /** A monthly payment that is the payment without interest is paid at an interest rate of exactly 0. */
+    if (monthlyPayment <= calculateMonthlyPayment(principal, termInMonths, lower) * (1 + 1e-12)) {
+        return 0;
+    }
+    /** The interval is halved, keeping the half whose bounds still have payments on either side of the payment. */
+    for (let iteration = 0; iteration < MAXIMUM_ITERATIONS; iteration++) {
+        /**
+         * The middle of the interval.
+         * @type {number}
+         */
+        const middle = (lower + upper) / 2;
+        /** Once the middle cannot be told apart from either bound, the interval cannot be narrowed any further. */
+        if (middle === lower || middle === upper) {
+            break;
+        }
+        if (calculateMonthlyPayment(principal, termInMonths, middle) < monthlyPayment) {
+            lower = middle;
+        } else {
+            upper = middle;
+        }
+    }
+    /** The middle of the final interval is returned. */
+    return (lower + upper) / 2;
+}
+
+/**
+ * Given the passed arguments, the unknown figure of an annuity mortgage is solved for from the regular payment and the
+ * other figures, and the parameters of the mortgage are returned with the solved figure, so that the normal mortgage
+ * amortization schedule can be built from them. The regular payment is the payment made after any interest-only
+ * payments, which are not counted in the term that is solved. The payment of an accelerated payment frequency is
+ * solved on the basis of the monthly payment it is derived from, in the same way as it is calculated by the
+ * amortization engine. The solved principal is rounded down to the minor unit, so that the regular payment of the
+ * schedule never exceeds the payment that was given. The solved term is rounded up to a whole number of years, which
+ * is the term that can be entered, and the payment that was given is returned as the instalment of the repayment
+ * structure, so that the schedule built over that term pays the payment that was given, and is paid off with a smaller
+ * final payment before the end of the term. If the term is given, at least its final payment is not an interest-only
+ * payment.
+ * @param unknown the figure to be solved for, which is one of the 'SOLVER_UNKNOWNS' other than 'payment'.
+ * @param mortgage the regular payment, the principal, the term in payments, the decimal interest rate of a payment
+ * period, the number of interest-only payments, the payment frequency and compounding frequency, and the number of
+ * fraction digits of the currency, where the figure to be solved for is ignored.
+ * @returns {{params: {principal: number, termInMonths: number, monthlyInterestRate: number, instalment?: number}|null,
+ * error: ValidationError|null}} the principal, the term in payments, and the decimal interest rate of a payment
+ * period, including the solved figure, and the instalment if the term is solved for, or the error if the figure cannot
+ * be solved for.
+ */
+export function solveMortgage(unknown, {
+    payment, principal, termInMonths, monthlyInterestRate, interestOnlyMonths = 0, frequency = 'monthly',
+    compounding = 'payment', fractionDigits = 2
+}) {
+    /**
+     * The payment frequency, whose accelerated payments are solved on the basis of the monthly payment.
+     * @type {PaymentFrequency}
+     */
+    const paymentFrequency = PAYMENT_FREQUENCIES[frequency];
+    /**
+     * The number of payment periods that make up a basis period, which is the number of payments made per year over
+     * 12 for an accelerated payment frequency, since its basis period is a month, and otherwise 1.
+     * @type {number}
+     */
+    const periodsPerBasis = paymentFrequency.accelerated ? paymentFrequency.paymentsPerYear / 12 : 1;
+    /**
+     * The regular payment of a basis period, which is the payment multiplied by the number of whole payments made in a
+     * month for an accelerated payment frequency, as the payment is that part of the monthly payment.
+     * @type {number}
+     */
+    const basisPayment = paymentFrequency.accelerated ? payment * Math.floor(periodsPerBasis) : payment;
+    /**
+     * The given decimal interest rate of a payment period, converted into that of a basis period.
+     * @type {number}
+     */
+    const basisInterestRate = toBasisRate(monthlyInterestRate, periodsPerBasis);
+    /**
+     * The number of basis periods in which the principal is paid off, after the interest-only payments.
+     * @type {number}
+     */
+    const basisTerm = (termInMonths - Math.min(interestOnlyMonths, termInMonths - 1)) / periodsPerBasis;
+
+    /** The principal is solved in closed form, and rounded down to the minor unit. */
+    if (unknown === 'principal') {
+        /**
+         * The number of minor units in a major unit of the currency.
+         * @type {number}
+         */
+        const minorUnits = Math.pow(10, fractionDigits);
+        return {
+            params: {
+                principal: Math.floor(solvePrincipal(basisPayment, basisTerm, basisInterestRate) * minorUnits) /
+                    minorUnits,
+                termInMonths,
+                monthlyInterestRate
+            },
+            error: null
+        };
+    }
+
+    /** The term is solved in closed form, and rounded up to a whole number of years. */
+    if (unknown === 'term') {
+        /**
+         * The number of payments needed, including the interest-only payments, rounded up to a whole number of years
+         * of payments. Note that the tiny amount subtracted before rounding up keeps a term that is a whole number of
+         * years, but for a floating point rounding error, from being rounded up by a whole year.
+         * @type {number}
+         */
+        const solvedTerm = Math.ceil((interestOnlyMonths + solveTerm(principal, basisPayment, basisInterestRate) *
+            periodsPerBasis) / paymentFrequency.paymentsPerYear - 1e-9) * paymentFrequency.paymentsPerYear;
+        /** The term must not be longer than the longest term that can be entered. */
+        if (!Number.isFinite(solvedTerm)) {
+            return {params: null, error: {key: 'solver.neverPaidOff'}};
+        }
+        if (solvedTerm > MAXIMUM_TERM * paymentFrequency.paymentsPerYear) {
+            return {params: null, error: {key: 'solver.termTooLong', values: {maximum: MAXIMUM_TERM}}};
+        }
+        return {params: {principal, termInMonths: solvedTerm, monthlyInterestRate, instalment: payment}, error: null};
+    }
+
+    /**
+     * Otherwise, the interest rate is solved numerically, up to the highest annual interest rate that can be entered,
+     * converted into the decimal interest rate of a basis period.
+     * @type {number|null}
+     */
+    const solvedRate = solveInterestRate(principal, basisPayment, basisTerm,
+        toBasisRate(toPeriodicRate(MAXIMUM_INTEREST_RATE / 100, frequency, compounding), periodsPerBasis));
+    if (solvedRate === null) {
+        return {params: null, error: {key: 'solver.noInterestRate', values: {maximum: MAXIMUM_INTEREST_RATE}}};
+    }
+    /** The interest rate of a basis period is converted back into that of a payment period. */
+    return {
+        params: {principal, termInMonths, monthlyInterestRate: toBasisRate(solvedRate, 1 / periodsPerBasis)},
+        error: null
+    };
+}
+
+/**
+ * Given the passed arguments, the decimal interest rate of a period is converted into that of a period that is the
+ * given number of times as long, which earns the same interest over a year.
+ * @param interestRate the decimal interest rate of a period.
+ * @param periods the number of periods that make up the longer period, which may be less than 1.
+ * @returns {number} the decimal interest rate of the longer period, which is the interest rate itself if the periods
+ * are the same, so that it is not changed by floating point rounding errors.
+ */
+function toBasisRate(interestRate, periods) {
+    return periods === 1 ? interestRate : Math.pow(1 + interestRate, periods) - 1;
+}
@@ -0,0 +1,161 @@
+/**
+ * The state of the user input form, which is encoded into the query string of the URL, so that a calculation can be
+ * shared as a link, and can be saved under a name in the storage of the browser, so that it can be reloaded later.
+ * None of the functions in this module access the DOM, and the storage is passed to them, so that the module can be
+ * imported both by the web page and by the test suite, which is run with Node.js.
+ */
+
+/**
+ * The names of the input fields of the user input form that make up the state of a calculation, which are also the
+ * names of the parameters in the query string of the URL. The scenario name is not part of the state, since it names
+ * the state rather than describing the mortgage.
+ * @type {string[]}
+ */
+export const STATE_FIELDS = ['solve-for', 'target-payment', 'principal', 'interest', 'rate-changes', 'term',
+    'payment-frequency', 'compounding', 'repayment-type', 'interest-only', 'balloon', 'start-date', 'payment-day',
+    'roll', 'holidays', 'day-count', 'year-mode', 'table-view', 'extra-monthly', 'extra-annual', 'lump-sums',
+    'payment-events', 'late-fee', 'reamortization', 'offset-balance', 'offset-contribution', 'offset-mode',
+    'refinance-month', 'refinance-interest', 'refinance-term', 'closing-costs', 'refinance-fees', 'property-value',
+    'property-tax', 'insurance', 'pmi-rate', 'pmi-ltv', 'upfront-fees', 'inflation-rate', 'discount-rate', 'locale',
+    'currency'];
+
+/**
+ * The key under which the saved scenarios are kept in the storage of the browser.
+ * @type {string}
+ */
+const STORAGE_KEY = 'mortgage-calculator.saved-scenarios';
+
+/**
+ * Given the passed values of the input fields, the state of the user input form is encoded into a query string. Only
+ * the fields in 'STATE_FIELDS' are encoded, in that order, and empty fields are left out to keep the URL short.
+ * @param values the values of the input fields, keyed by the names of the input fields.
+ * @returns {string} the query string, without the leading question mark.
+ */
+export function encodeState(values) {
+    /**
+     * The parameters of the query string, which are initially empty.
+     * @type {URLSearchParams}
+     */
+    const params = new URLSearchParams();
+    /** Every field of the state that has a value is added to the parameters. */
+    for (const field of STATE_FIELDS) {
+        if (values[field] !== undefined && values[field] !== '') {
+            params.set(field, values[field]);
+        }
+    }
+    /** The parameters are converted into the query string. */
+    return params.toString();
+}
+
+/**
+ * Given the passed query string, the state of the user input form is decoded from it. Parameters that are not fields
+ * in 'STATE_FIELDS' are ignored, so that a link cannot set any other input field.
+ * @param query the query string, with or without the leading question mark.
+ * @returns {Object<string, string>} the values of the input fields found in the query string, keyed by the names of the
+ * input fields.
+ */
+export function decodeState(query) {
+    /**
+     * The parameters of the query string.
+     * @type {URLSearchParams}
+     */
+    const params = new URLSearchParams(query);
+    /**
+     * The values of the input fields, which are initially empty.
+     * @type {Object<string, string>}
+     */
+    const values = {};
+    /** Every field of the state that is in the parameters is added to the values. */
+    for (const field of STATE_FIELDS) {
+        if (params.has(field)) {
+            values[field] = params.get(field);
+        }
+    }
+    /** The values of the input fields are returned. */
+    return values;
+}
+
+/**
+ * Given the passed storage, the saved scenarios are loaded from it. If nothing is saved yet, or what is saved cannot be
+ * read, for example because it was changed by hand, there are no saved scenarios.
+ * @param storage the storage of the browser, for example 'localStorage'.
+ * @returns {SavedScenario[]} the saved scenarios, in the order in which they were first saved.
+ */
+export function loadSavedScenarios(storage) {
+    /** The saved scenarios are parsed from the JSON text in the storage, if there is any. */
+    try {
+        /**
+         * The parsed saved scenarios, which must be an array.
+         * @type {*}
+         */
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY) ?? '[]');
+        /** Only saved scenarios that have both a name and values are kept. */
+        return Array.isArray(saved) ?
+            saved.filter((scenario) => typeof scenario?.name === 'string' && typeof scenario.values === 'object' &&
+                scenario.values !== null) :
+            [];
+    } catch {
+        /** In this case, what is saved cannot be parsed, so there are no saved scenarios. */
+        return [];
+    }
+}
+
+/**
+ * Given the passed arguments, a scenario is saved to the storage. If a scenario with the same name is already saved, it
+ * is replaced, keeping its place in the list, and otherwise the scenario is added to the end of the list.
+ * @param storage the storage of the browser, for example 'localStorage'.
+ * @param name the name of the scenario.
+ * @param values the values of the input fields, keyed by the names of the input fields.
+ * @returns {SavedScenario[]} the saved scenarios, including the scenario.
+ */
+export function saveScenario(storage, name, values) {
+    /**
+     * The saved scenarios, which are loaded from the storage.
+     * @type {SavedScenario[]}
+     */
+    const saved = loadSavedScenarios(storage);
+    /**
+     * The scenario, where only the fields of the state are kept, using the 'decodeState()' function on the encoded
+     * values.
+     * @type {SavedScenario}
+     */
+    const scenario = {name, values: decodeState(encodeState(values))};
+    /**
+     * The index of the saved scenario with the same name, which is -1 if there is none.
+     * @type {number}
+     */
+    const index = saved.findIndex((existing) => existing.name === name);
+    /** The saved scenario with the same name is replaced, or otherwise the scenario is added to the end of the list. */
+    if (index === -1) {
+        saved.push(scenario);
+    } else {
+        saved[index] = scenario;
+    }
+    /** The saved scenarios are written back to the storage, and returned. */
+    storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    return saved;
+}
+
+/**
+ * Given the passed arguments, a saved scenario is deleted from the storage.
+ * @param storage the storage of the browser, for example 'localStorage'.
+ * @param name the name of the saved scenario to be deleted.
+ * @returns {SavedScenario[]} the saved scenarios that are left.
+ */
+export function deleteSavedScenario(storage, name) {
+    /**
+     * The saved scenarios that are left, which are all the saved scenarios with another name.
+     * @type {SavedScenario[]}
+     */
+    const saved = loadSavedScenarios(storage).filter((scenario) => scenario.name !== name);
+    /** The saved scenarios that are left are written back to the storage, and returned. */
+    storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    return saved;
+}
+
+/**
+ * A scenario saved to the storage of the browser.
+ * @typedef {Object} SavedScenario
+ * @property {string} name the name of the scenario.
+ * @property {Object<string, string>} values the values of the input fields, keyed by the names of the input fields.
+ */
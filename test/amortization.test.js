@@ -0,0 +1,448 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {
+    advanceOffsetAccount,
+    buildSchedule,
+    calculateBalloonPayment,
+    calculateInterestPaid,
+    calculateMonthlyPayment,
+    calculateRemainingBalance,
+    summarizeYears,
+    toMajorUnits,
+    toMinorUnits
+} from '../amortization.js';
+
+/**
+ * Rounds the given amount to whole cents, so that amounts can be compared against published reference schedules.
+ * @param amount the amount to be rounded.
+ * @returns {number} the amount rounded to two decimal places.
+ */
+function toCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Adds up the given amounts in whole cents, so that the sum is not affected by floating point rounding errors.
+ * @param amounts the amounts to be added up.
+ * @returns {number} the sum of the amounts.
+ */
+function sumInCents(amounts) {
+    return toMajorUnits(amounts.reduce((sum, amount) => sum + toMinorUnits(amount), 0));
+}
+
+describe('calculateMonthlyPayment()', () => {
+    it('matches reference annuity payments', () => {
+        assert.equal(toCents(calculateMonthlyPayment(200000, 360, 0.065 / 12)), 1264.14);
+        assert.equal(toCents(calculateMonthlyPayment(100000, 360, 0.06 / 12)), 599.55);
+        assert.equal(toCents(calculateMonthlyPayment(100000, 180, 0.05 / 12)), 790.79);
+    });
+
+    it('divides the principal evenly when the interest rate is 0', () => {
+        assert.equal(calculateMonthlyPayment(12000, 12, 0), 1000);
+    });
+});
+
+describe('calculateBalloonPayment()', () => {
+    it('leaves the balloon payment as the remaining balance at the end of the term', () => {
+        const payment = calculateBalloonPayment(200000, 84, 0.065 / 12, 150000);
+
+        assert.equal(toCents(calculateRemainingBalance(200000, 0.065 / 12, payment, 84)), 150000);
+    });
+
+    it('only pays interest when the balloon payment is the whole principal', () => {
+        assert.equal(toCents(calculateBalloonPayment(200000, 120, 0.06 / 12, 200000)), 1000);
+        assert.equal(calculateBalloonPayment(12000, 12, 0, 6000), 500);
+    });
+});
+
+describe('calculateRemainingBalance()', () => {
+    it('stays within the interest rounding of the balance carried through the schedule', () => {
+        const monthlyInterestRate = 0.065 / 12;
+        const {rows, totals} = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate});
+
+        for (const month of [1, 12, 120, 240, 359]) {
+            const expected = calculateRemainingBalance(200000, monthlyInterestRate, totals.monthlyPayment, month);
+            assert.ok(Math.abs(rows[month - 1].endingBalance - expected) < 0.005 * month);
+        }
+    });
+
+    it('leaves nothing to be paid once the mortgage is paid off, rather than a positive balance', () => {
+        assert.equal(calculateRemainingBalance(1000, 0.01, 600, 2), 0);
+        assert.equal(calculateRemainingBalance(1000, 0, 600, 2), 0);
+    });
+});
+
+describe('toMinorUnits() and toMajorUnits()', () => {
+    it('convert between major and minor units for the given number of fraction digits', () => {
+        assert.equal(toMinorUnits(1264.14), 126414);
+        assert.equal(toMinorUnits(0.1 + 0.2), 30);
+        assert.equal(toMinorUnits(1234.5678, 3), 1234568);
+        assert.equal(toMinorUnits(1234.5, 0), 1235);
+        assert.equal(toMajorUnits(126414), 1264.14);
+        assert.equal(toMajorUnits(1234568, 3), 1234.568);
+    });
+});
+
+describe('calculateInterestPaid()', () => {
+    it('charges the monthly rate on the starting balance', () => {
+        assert.equal(toCents(calculateInterestPaid(200000, 0.065 / 12)), 1083.33);
+    });
+});
+
+describe('buildSchedule()', () => {
+    it('matches a reference 30 year schedule', () => {
+        const {rows, totals} = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12});
+
+        assert.equal(rows.length, 360);
+        assert.equal(totals.monthlyPayment, 1264.14);
+        assert.equal(rows[0].interestPaid, 1083.33);
+        assert.equal(rows[0].principalPaid, 180.81);
+        assert.equal(rows[0].endingBalance, 199819.19);
+        assert.equal(rows[11].endingBalance, 197764.50);
+        assert.equal(totals.finalPayment, 1259.56);
+        assert.equal(totals.interestPaid, 255085.82);
+        assert.equal(totals.hasPrepayments, false);
+        assert.equal(totals.interestSaved, 0);
+        assert.equal(totals.finalMonth, 360);
+    });
+
+    it('pays no interest when the interest rate is 0', () => {
+        const {rows, totals} = buildSchedule({principal: 12000, termInMonths: 12, monthlyInterestRate: 0});
+
+        assert.equal(rows.length, 12);
+        assert.ok(rows.every((row) => row.interestPaid === 0 && row.principalPaid === 1000));
+        assert.equal(rows[5].endingBalance, 6000);
+        assert.equal(totals.interestPaid, 0);
+        assert.equal(totals.principalPaid, 12000);
+    });
+
+    it('adjusts the final payment to absorb the rounding of the previous months', () => {
+        const {rows, totals} = buildSchedule({principal: 10000, termInMonths: 3, monthlyInterestRate: 0});
+
+        assert.deepEqual(rows.map((row) => row.payment), [3333.33, 3333.33, 3333.34]);
+        assert.equal(totals.finalPayment, 3333.34);
+        assert.equal(rows[2].endingBalance, 0);
+    });
+
+    it('reconciles the payments to the principal to the cent', () => {
+        const {rows, totals} = buildSchedule({principal: 150000, termInMonths: 300, monthlyInterestRate: 0.047 / 12});
+        const finalRow = rows[rows.length - 1];
+
+        assert.equal(finalRow.endingBalance, 0);
+        assert.equal(finalRow.principalPaid, finalRow.startingBalance);
+        assert.ok(rows.every((row) => row.endingBalance >= 0));
+        assert.ok(rows.every((row) => row.interestPaid === toCents(row.interestPaid)));
+        assert.equal(sumInCents(rows.map((row) => row.principalPaid)), 150000);
+        assert.equal(totals.principalPaid, 150000);
+        assert.equal(sumInCents(rows.map((row) => row.payment)), sumInCents([150000, totals.interestPaid]));
+    });
+
+    it('rounds to the minor units of the currency', () => {
+        const {rows, totals} =
+            buildSchedule({principal: 10000, termInMonths: 3, monthlyInterestRate: 0, fractionDigits: 0});
+
+        assert.deepEqual(rows.map((row) => row.payment), [3333, 3333, 3334]);
+        assert.equal(totals.principalPaid, 10000);
+    });
+
+    it('shortens the schedule and reports the interest saved when prepayments are made', () => {
+        const prepayments = {monthly: 200, annual: 0, lumpSums: new Map([[12, 5000], [60, 10000]])};
+        const {rows, totals} =
+            buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12, prepayments});
+
+        assert.equal(rows[0].extraPayment, 200);
+        assert.equal(rows[11].extraPayment, 5200);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+        assert.equal(totals.hasPrepayments, true);
+        assert.equal(totals.finalMonth, 221);
+        assert.equal(totals.monthsEarly, 139);
+        assert.equal(totals.interestSaved, sumInCents([255085.82, -totals.interestPaid]));
+    });
+
+    it('adds the extra annual payment in the last month of every year', () => {
+        const prepayments = {monthly: 0, annual: 1000, lumpSums: new Map()};
+        const {rows} = buildSchedule({principal: 50000, termInMonths: 120, monthlyInterestRate: 0.04 / 12, prepayments});
+
+        assert.deepEqual(rows.filter((row) => row.extraPayment > 0).map((row) => row.month).slice(0, 3), [12, 24, 36]);
+    });
+
+    it('recalculates the payment on the remaining balance and term at every rate change', () => {
+        const rateChanges = new Map([[37, 0.051 / 12]]);
+        const {rows, totals} =
+            buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.032 / 12, rateChanges});
+        const changeRow = rows[36];
+
+        assert.equal(totals.monthlyPayment, 864.93);
+        assert.equal(rows[35].rateChanged, false);
+        assert.equal(changeRow.rateChanged, true);
+        assert.equal(changeRow.previousInterestRate, 0.032 / 12);
+        assert.equal(changeRow.monthlyInterestRate, 0.051 / 12);
+        assert.equal(changeRow.monthlyPayment,
+            toCents(calculateMonthlyPayment(rows[35].endingBalance, 324, 0.051 / 12)));
+        assert.equal(rows.length, 360);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+    });
+
+    it('pays a constant principal with declining payments for linear repayment', () => {
+        const repayment = {type: 'linear', interestOnlyMonths: 0};
+        const {rows, totals} =
+            buildSchedule({principal: 120000, termInMonths: 240, monthlyInterestRate: 0.06 / 12, repayment});
+
+        assert.ok(rows.slice(0, -1).every((row) => row.principalPaid === 500));
+        assert.equal(totals.monthlyPayment, 1100);
+        assert.equal(rows[1].payment, 1097.5);
+        assert.equal(rows.length, 240);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+    });
+
+    it('only pays interest during an interest-only lead-in', () => {
+        const repayment = {type: 'annuity', interestOnlyMonths: 24};
+        const {rows, totals} =
+            buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12, repayment});
+
+        assert.ok(rows.slice(0, 24).every((row) => row.principalPaid === 0 && row.payment === 1083.33));
+        assert.equal(totals.interestOnlyPayment, 1083.33);
+        assert.equal(totals.monthlyPayment, toCents(calculateMonthlyPayment(200000, 336, 0.065 / 12)));
+        assert.equal(rows[24].startingBalance, 200000);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+    });
+
+    it('pays the balloon payment with the final payment for balloon repayment', () => {
+        const repayment = {type: 'balloon', interestOnlyMonths: 0, balloonPayment: 150000};
+        const {rows, totals} =
+            buildSchedule({principal: 200000, termInMonths: 84, monthlyInterestRate: 0.065 / 12, repayment});
+
+        assert.equal(totals.monthlyPayment, toCents(calculateBalloonPayment(200000, 84, 0.065 / 12, 150000)));
+        assert.ok(Math.abs(totals.finalPayment - (totals.monthlyPayment + 150000)) < 1);
+        assert.equal(totals.finalPayment, toCents(rows[83].startingBalance + rows[83].interestPaid));
+        assert.equal(totals.principalPaid, 200000);
+    });
+
+    it('pays fortnightly over the number of payments in the term', () => {
+        const repayment = {type: 'annuity', interestOnlyMonths: 0, frequency: 'fortnightly'};
+        const calendar = {startDate: '2026-10-16', paymentDay: 16, roll: 'none', holidays: new Set()};
+        const {rows, totals} = buildSchedule({principal: 200000, termInMonths: 780, monthlyInterestRate: 0.065 / 26,
+            repayment, calendar});
+
+        assert.equal(rows.length, 780);
+        assert.equal(totals.monthlyPayment, toCents(calculateMonthlyPayment(200000, 780, 0.065 / 26)));
+        assert.deepEqual(rows.slice(0, 2).map((row) => row.dueDate), ['2026-10-30', '2026-11-13']);
+        assert.equal(totals.principalPaid, 200000);
+    });
+
+    it('pays half the monthly payment every fortnight for accelerated bi-weekly payments', () => {
+        const repayment = {type: 'annuity', interestOnlyMonths: 0, frequency: 'accelerated-bi-weekly'};
+        const {rows, totals} =
+            buildSchedule({principal: 200000, termInMonths: 780, monthlyInterestRate: 0.065 / 26, repayment});
+        const monthlyInterestRate = Math.pow(1 + 0.065 / 26, 26 / 12) - 1;
+
+        assert.equal(totals.monthlyPayment, toCents(calculateMonthlyPayment(200000, 360, monthlyInterestRate) / 2));
+        assert.ok(rows.length < 700);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+    });
+
+    it('adds the due date of every payment and the payoff date when a calendar is given', () => {
+        const calendar = {startDate: '2026-01-31', paymentDay: 31, roll: 'modified-following', holidays: new Set()};
+        const {rows, totals} =
+            buildSchedule({principal: 10000, termInMonths: 12, monthlyInterestRate: 0.05 / 12, calendar});
+
+        assert.deepEqual(rows.slice(0, 3).map((row) => row.dueDate), ['2026-02-27', '2026-03-31', '2026-04-30']);
+        assert.equal(totals.payoffDate, '2027-01-29');
+        assert.equal(buildSchedule({principal: 10000, termInMonths: 12, monthlyInterestRate: 0}).rows[0].dueDate, null);
+    });
+
+    it('accrues the interest for the actual days between the due dates with an actual day count', () => {
+        const params = {principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12};
+        const calendar = {startDate: '2026-10-19', paymentDay: 1, roll: 'none', holidays: new Set()};
+        const actual = buildSchedule({...params, calendar: {...calendar, dayCount: 'actual/365'}});
+
+        assert.deepEqual(buildSchedule({...params, calendar: {...calendar, dayCount: '30/360'}}),
+            buildSchedule({...params, calendar}));
+        assert.deepEqual(actual.rows.slice(0, 3).map((row) => row.interestPaid), [
+            toCents(200000 * 0.065 * 13 / 365),
+            toCents(actual.rows[1].startingBalance * 0.065 * 30 / 365),
+            toCents(actual.rows[2].startingBalance * 0.065 * 31 / 365)
+        ]);
+        assert.equal(actual.rows[actual.rows.length - 1].endingBalance, 0);
+        assert.equal(actual.totals.principalPaid, 200000);
+        assert.ok(actual.totals.finalPayment < actual.totals.monthlyPayment);
+    });
+
+    it('calculates the payment at the interest rate that accrues with an actual day count', () => {
+        const params = {principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12};
+        const calendar = {startDate: '2026-10-19', paymentDay: 19, roll: 'none', holidays: new Set()};
+        const {rows, totals} = buildSchedule({...params, calendar: {...calendar, dayCount: 'actual/360'}});
+
+        assert.equal(totals.monthlyPayment, 1276.67);
+        assert.equal(rows.length, 360);
+        assert.ok(totals.finalPayment <= totals.monthlyPayment);
+        assert.ok(totals.finalPayment > totals.monthlyPayment - 25);
+    });
+
+    it('charges interest on the balance minus the offset account, and pays off the mortgage early', () => {
+        const params = {principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12};
+        const {rows, totals} = buildSchedule({...params, offsetAccount: {balance: 20000, contribution: 200}});
+        const withoutOffset = buildSchedule(params).totals;
+
+        assert.equal(rows[0].offsetBalance, 20000);
+        assert.equal(rows[1].offsetBalance, 20200);
+        assert.equal(rows[0].interestPaid, toCents(180000 * 0.065 / 12));
+        assert.equal(rows[0].interestOffset, toCents(20000 * 0.065 / 12));
+        assert.equal(rows[0].payment, 1264.14);
+        assert.equal(rows[0].principalPaid, toCents(1264.14 - rows[0].interestPaid));
+        assert.equal(totals.principalPaid, 200000);
+        assert.deepEqual(totals.offsetAccount, {
+            interestSaved: toCents(withoutOffset.interestPaid - totals.interestPaid),
+            monthsEarly: withoutOffset.finalMonth - totals.finalMonth,
+            paymentLowered: 0
+        });
+        assert.ok(totals.offsetAccount.monthsEarly > 0);
+        assert.equal(withoutOffset.offsetAccount, null);
+    });
+
+    it('lowers the payment by the interest saved by the offset account if chosen', () => {
+        const params = {principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12};
+        const {rows, totals} =
+            buildSchedule({...params, offsetAccount: {balance: 20000, contribution: 0, mode: 'payment'}});
+        const withoutOffset = buildSchedule(params);
+
+        assert.equal(rows[0].payment, toCents(1264.14 - rows[0].interestOffset));
+        assert.deepEqual(rows.map((row) => row.principalPaid), withoutOffset.rows.map((row) => row.principalPaid));
+        assert.equal(totals.finalMonth, 360);
+        assert.equal(totals.offsetAccount.monthsEarly, 0);
+        assert.equal(totals.offsetAccount.paymentLowered,
+            toCents(totals.offsetAccount.interestSaved / 360));
+    });
+
+    it('never overdraws the offset account with withdrawals', () => {
+        const offsetAccount = {balance: 1000, contribution: -300};
+        const {rows} = buildSchedule({principal: 10000, termInMonths: 12, monthlyInterestRate: 0.06 / 12,
+            offsetAccount});
+
+        assert.deepEqual(rows.slice(0, 5).map((row) => row.offsetBalance), [1000, 700, 400, 100, 0]);
+        assert.equal(rows[4].interestOffset, 0);
+        assert.deepEqual(advanceOffsetAccount(offsetAccount, 4), {balance: 0, contribution: -300});
+        assert.deepEqual(advanceOffsetAccount({...offsetAccount, contribution: 250.5}, 2),
+            {balance: 1501, contribution: 250.5});
+        assert.equal(advanceOffsetAccount(null, 4), null);
+    });
+
+    it('follows on from the due dates of another schedule when the calendar is offset', () => {
+        const calendar = {startDate: '2026-10-19', paymentDay: 1, dayCount: 'actual/365', offset: 2};
+        const [row] =
+            buildSchedule({principal: 199500, termInMonths: 358, monthlyInterestRate: 0.065 / 12, calendar}).rows;
+
+        assert.equal(row.dueDate, '2027-01-01');
+        assert.equal(row.interestPaid, toCents(199500 * 0.065 * 31 / 365));
+    });
+
+    it('capitalises the interest of a payment holiday and raises the payment afterwards', () => {
+        const paymentEvents = {events: new Map([[13, {type: 'holiday', amount: 0}]]), lateFee: 35,
+            reamortization: 'payment'};
+        const {rows, totals} =
+            buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12, paymentEvents});
+
+        assert.equal(rows[12].paymentEvent, 'holiday');
+        assert.equal(rows[12].payment, 0);
+        assert.equal(rows[12].lateFee, 0);
+        assert.equal(rows[12].capitalised, toCents(rows[12].startingBalance * 0.065 / 12));
+        assert.equal(rows[12].endingBalance, toCents(rows[12].startingBalance + rows[12].capitalised));
+        assert.equal(rows[13].monthlyPayment,
+            toCents(calculateMonthlyPayment(rows[12].endingBalance, 347, 0.065 / 12)));
+        assert.equal(rows.length, 360);
+        assert.equal(totals.capitalised, rows[12].capitalised);
+        assert.equal(totals.principalPaid, toCents(200000 + totals.capitalised));
+    });
+
+    it('charges arrears and a late fee on missed and partial payments, and pays them with the next payment', () => {
+        const events = new Map([[25, {type: 'missed', amount: 0}], [26, {type: 'partial', amount: 500}]]);
+        const {rows, totals} = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12,
+            paymentEvents: {events, lateFee: 35, reamortization: 'payment'}});
+
+        assert.equal(rows[24].payment, 0);
+        assert.equal(rows[24].arrears, toCents(rows[24].startingBalance * 0.065 / 12 + 35));
+        assert.equal(rows[25].interestPaid, 500);
+        assert.equal(rows[25].endingBalance, rows[24].endingBalance);
+        assert.equal(rows[25].arrears, toCents(rows[24].arrears + rows[24].startingBalance * 0.065 / 12 - 500 + 35));
+        assert.equal(rows[26].arrearsPaid, rows[25].arrears);
+        assert.equal(rows[26].payment, toCents(rows[26].monthlyPayment + rows[25].arrears));
+        assert.equal(rows[26].arrears, 0);
+        assert.ok(rows.slice(27).every((row) => row.arrearsPaid === 0 && row.arrears === 0));
+        assert.equal(totals.lateFees, 70);
+    });
+
+    it('capitalises the arrears, which are then paid off over the rest of the term', () => {
+        const events = new Map([[25, {type: 'missed', amount: 0}], [26, {type: 'capitalise', amount: 0}]]);
+        const {rows} = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12,
+            paymentEvents: {events, lateFee: 35, reamortization: 'payment'}});
+
+        assert.equal(rows[25].capitalised, rows[24].arrears);
+        assert.equal(rows[25].arrearsPaid, 0);
+        assert.equal(rows[25].arrears, 0);
+        assert.equal(rows[25].endingBalance,
+            toCents(rows[25].startingBalance - rows[25].principalPaid + rows[25].capitalised));
+        assert.ok(rows[26].monthlyPayment > rows[23].monthlyPayment);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+    });
+
+    it('extends the term instead of raising the payment when chosen', () => {
+        const events = new Map([[13, {type: 'holiday', amount: 0}], [14, {type: 'holiday', amount: 0}]]);
+        const {rows, totals} = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12,
+            paymentEvents: {events, lateFee: 0, reamortization: 'term'}});
+
+        assert.ok(rows.slice(14, -1).every((row) => row.payment === 1264.14));
+        assert.ok(rows.length > 362);
+        assert.equal(totals.finalMonth, rows.length);
+        assert.equal(totals.monthsEarly, 360 - rows.length);
+        assert.equal(rows[rows.length - 1].endingBalance, 0);
+    });
+
+    it('adds a payment if the final payment is missed', () => {
+        const events = new Map([[12, {type: 'missed', amount: 0}]]);
+        const {rows} = buildSchedule({principal: 10000, termInMonths: 12, monthlyInterestRate: 0.05 / 12,
+            paymentEvents: {events, lateFee: 10, reamortization: 'payment'}});
+
+        assert.equal(rows.length, 13);
+        assert.equal(rows[12].arrearsPaid, rows[11].arrears);
+        assert.equal(rows[12].endingBalance, 0);
+    });
+});
+
+describe('summarizeYears()', () => {
+    it('adds up the rows of every year to the totals of the schedule', () => {
+        const prepayments = {monthly: 0, annual: 0, lumpSums: new Map([[18, 2500]])};
+        const {rows, totals} =
+            buildSchedule({principal: 30000, termInMonths: 30, monthlyInterestRate: 0.055 / 12, prepayments});
+        const years = summarizeYears(rows);
+
+        assert.deepEqual(years.map((year) => year.rows.length), [12, 12, rows.length - 24]);
+        assert.equal(years[1].extraPayment, 2500);
+        assert.equal(years[0].endingBalance, rows[11].endingBalance);
+        assert.equal(sumInCents(years.map((year) => year.principalPaid)), totals.principalPaid);
+        assert.equal(sumInCents(years.map((year) => year.interestPaid)), totals.interestPaid);
+        assert.equal(years[years.length - 1].endingBalance, 0);
+    });
+
+    it('groups the rows into calendar years by their due dates', () => {
+        const calendar = {startDate: '2026-08-10', paymentDay: 10};
+        const {rows} = buildSchedule({principal: 30000, termInMonths: 30, monthlyInterestRate: 0.055 / 12, calendar});
+        const years = summarizeYears(rows, 2, true);
+
+        assert.deepEqual(years.map((year) => year.year), [2026, 2027, 2028, 2029]);
+        assert.deepEqual(years.map((year) => year.rows.length), [4, 12, 12, 2]);
+        assert.equal(years[0].endingBalance, rows[3].endingBalance);
+    });
+
+    it('adds up the late fees and keeps the arrears at the end of every year', () => {
+        const events = new Map([[5, {type: 'missed', amount: 0}], [24, {type: 'partial', amount: 100}]]);
+        const {rows} = buildSchedule({principal: 30000, termInMonths: 30, monthlyInterestRate: 0.055 / 12,
+            paymentEvents: {events, lateFee: 25, reamortization: 'payment'}});
+        const years = summarizeYears(rows);
+
+        assert.deepEqual(years.map((year) => year.lateFees), [25, 25, 0]);
+        assert.equal(years[0].arrears, 0);
+        assert.ok(years[1].arrears > 0);
+        assert.equal(years[1].arrears, rows[23].arrears);
+        assert.equal(years[2].arrears, 0);
+    });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildCalculatorSchedule, readCalculatorConfig, validateCalculator} from '../calculator.js';
+
+describe('readCalculatorConfig()', () => {
+    it('falls back to the defaults for the attributes that are missing', () => {
+        const {values, limits, locale, currency} = readCalculatorConfig({}, '2026-10-19');
+
+        assert.equal(values['principal'], '200000');
+        assert.equal(values['payment-frequency'], 'monthly');
+        assert.equal(values['start-date'], '2026-10-19');
+        assert.deepEqual(limits, {principal: 1e12, interest: 100, term: 100});
+        assert.equal(locale, 'en-US');
+        assert.equal(currency, 'EUR');
+    });
+
+    it('reads the defaults and limits of the attributes that are given', () => {
+        const {values, limits, locale} = readCalculatorConfig({
+            'principal': '300000', 'payment-frequency': 'fortnightly', 'locale': 'de-DE',
+            'max-principal': '500000', 'max-interest': 'high', 'max-term': '1000'
+        }, '2026-10-19');
+
+        assert.equal(values['principal'], '300000');
+        assert.equal(values['payment-frequency'], 'fortnightly');
+        assert.deepEqual(limits, {principal: 500000, interest: 100, term: 100});
+        assert.equal(locale, 'de-DE');
+        assert.equal(readCalculatorConfig({'payment-frequency': 'daily'}).values['payment-frequency'], 'monthly');
+    });
+});
+
+describe('validateCalculator()', () => {
+    it('reports the values above the limits of the calculator', () => {
+        const {values} = readCalculatorConfig({'term': '40'}, '2026-10-19');
+
+        assert.deepEqual(validateCalculator(values, {principal: 1e12, interest: 100, term: 100}), {});
+        assert.deepEqual(validateCalculator(values, {principal: 100000, interest: 100, term: 35}), {
+            principal: {key: 'validation.maximum', values: {maximum: 100000}},
+            term: {key: 'validation.maximum', values: {maximum: 35}}
+        });
+        assert.equal(validateCalculator({...values, term: ''}, {principal: 1e12, interest: 100, term: 35}).term.key,
+            'validation.required');
+    });
+});
+
+describe('buildCalculatorSchedule()', () => {
+    it('builds the schedule of the values of the calculator', () => {
+        const {values} = readCalculatorConfig({'principal': '300000'}, '2026-10-19');
+        const {params, schedule, error} = buildCalculatorSchedule(values);
+
+        assert.equal(error, null);
+        assert.equal(params.termInMonths, 360);
+        assert.equal(schedule.rows.length, 360);
+        assert.equal(schedule.totals.monthlyPayment, 1896.2);
+    });
+
+    it('reports a mortgage that would never be paid off', () => {
+        const {values} = readCalculatorConfig({'principal': '1', 'interest': '100', 'term': '100'}, '2026-10-19');
+        const {schedule, error} = buildCalculatorSchedule(values);
+
+        assert.equal(schedule, null);
+        assert.deepEqual(error, {key: 'validation.neverAmortizes'});
+    });
+});
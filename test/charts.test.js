@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {bandCentre, bandIndex, groupBars, largestBalance, linePath, niceMaximum} from '../charts.js';
+
+describe('niceMaximum()', () => {
+    it('rounds up to 1, 2, or 5 times a power of 10', () => {
+        assert.equal(niceMaximum(200000), 200000);
+        assert.equal(niceMaximum(200001), 500000);
+        assert.equal(niceMaximum(1264.14), 2000);
+        assert.equal(niceMaximum(255085.82), 500000);
+        assert.equal(niceMaximum(0.3), 0.5);
+    });
+
+    it('falls back to 1 for charts without positive values', () => {
+        assert.equal(niceMaximum(0), 1);
+    });
+});
+
+describe('bandCentre() and bandIndex()', () => {
+    it('places every payment at the centre of a band of equal width', () => {
+        assert.equal(bandCentre(0, 4), 75);
+        assert.equal(bandCentre(3, 4), 525);
+    });
+
+    it('finds the payment whose band contains a position', () => {
+        for (let index = 0; index < 360; index++) {
+            assert.equal(bandIndex(bandCentre(index, 360), 360), index);
+        }
+    });
+
+    it('limits positions outside the chart to the first and last payments', () => {
+        assert.equal(bandIndex(-10, 360), 0);
+        assert.equal(bandIndex(600, 360), 359);
+    });
+});
+
+describe('linePath()', () => {
+    it('draws the maximum at the top and 0 at the bottom', () => {
+        assert.equal(linePath([100, 50, 0], 100), 'M100,0 L300,80 L500,160');
+    });
+
+    it('is empty without values', () => {
+        assert.equal(linePath([], 100), '');
+    });
+});
+
+describe('largestBalance()', () => {
+    it('finds the largest balance even when the balance grows after the first payment', () => {
+        const rows = [
+            {startingBalance: 1000, endingBalance: 1005},
+            {startingBalance: 1005, endingBalance: 1010},
+            {startingBalance: 1010, endingBalance: 0}
+        ];
+
+        assert.equal(largestBalance(rows), 1010);
+    });
+
+    it('is 0 without rows', () => {
+        assert.equal(largestBalance([]), 0);
+    });
+});
+
+describe('groupBars()', () => {
+    it('gives every payment its own bar for schedules of normal length', () => {
+        const rows = [{principalPaid: 80, interestPaid: 20}, {principalPaid: 90, interestPaid: 10}];
+
+        assert.deepEqual(groupBars(rows), [
+            {start: 0, count: 1, principal: 80, interest: 20},
+            {start: 1, count: 1, principal: 90, interest: 10}
+        ]);
+    });
+
+    it('averages neighbouring payments into at most 300 bars for long schedules', () => {
+        const rows = Array.from({length: 1200}, (_, index) => ({principalPaid: index, interestPaid: 1}));
+        const bars = groupBars(rows);
+
+        assert.equal(bars.length, 300);
+        assert.deepEqual(bars[1], {start: 4, count: 4, principal: 5.5, interest: 1});
+    });
+});
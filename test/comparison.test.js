@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {compareScenarios, diffSchedules} from '../comparison.js';
+
+/**
+ * Creates a named scenario from the given parameters of the mortgage, in the same way as the web page does.
+ * @param name the name of the scenario.
+ * @param params the parameters of the mortgage.
+ * @returns {{name: string, params: Object, schedule: Object}} the scenario.
+ */
+function createScenario(name, params) {
+    return {name, params, schedule: buildSchedule(params)};
+}
+
+const thirtyYears = createScenario('30 Years', {principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12});
+const twentyFiveYears =
+    createScenario('25 Years', {principal: 200000, termInMonths: 300, monthlyInterestRate: 0.065 / 12});
+
+describe('compareScenarios()', () => {
+    it('summarizes every scenario against the first one', () => {
+        const [first, second] = compareScenarios([thirtyYears, twentyFiveYears]);
+
+        assert.equal(first.name, '30 Years');
+        assert.equal(first.monthlyPayment, 1264.14);
+        assert.equal(first.totalCost, 455085.82);
+        assert.equal(first.finalMonth, 360);
+        assert.equal(first.totalCostDifference, 0);
+        assert.equal(second.monthlyPayment, twentyFiveYears.schedule.totals.monthlyPayment);
+        assert.equal(second.finalMonth, 300);
+        assert.ok(second.interestDifference < 0);
+        assert.equal(second.totalCostDifference, second.interestDifference);
+    });
+
+    it('reports the payoff date of every scenario that has a calendar', () => {
+        const calendar = {startDate: '2026-10-19', paymentDay: 19, roll: 'none', holidays: new Set()};
+        const dated = createScenario('Dated', {...thirtyYears.params, calendar});
+        const [summary, undated] = compareScenarios([dated, thirtyYears]);
+
+        assert.equal(summary.finalMonth, 360);
+        assert.equal(summary.payoffDate, '2056-10-19');
+        assert.equal(undated.payoffDate, null);
+    });
+
+    it('reports the annual interest rate and the term in years of other payment frequencies', () => {
+        const repayment = {frequency: 'fortnightly', compounding: 'semi-annual'};
+        const monthlyInterestRate = Math.pow(1 + 0.05 / 2, 2 / 26) - 1;
+        const fortnightly =
+            createScenario('Fortnightly', {principal: 200000, termInMonths: 650, monthlyInterestRate, repayment});
+        const [summary] = compareScenarios([fortnightly]);
+
+        assert.ok(Math.abs(summary.interestRate - 0.05) < 1e-12);
+        assert.equal(summary.termInYears, 25);
+        assert.equal(summary.paymentFrequency, 'fortnightly');
+    });
+
+    it('returns no summaries when there are no scenarios', () => {
+        assert.deepEqual(compareScenarios([]), []);
+    });
+});
+
+describe('diffSchedules()', () => {
+    it('covers every month of the longer schedule', () => {
+        const differences = diffSchedules(thirtyYears.schedule, twentyFiveYears.schedule);
+
+        assert.equal(differences.length, 360);
+        assert.equal(differences[0].paymentDifference,
+            Number((twentyFiveYears.schedule.totals.monthlyPayment - 1264.14).toFixed(2)));
+        assert.equal(differences[0].interestDifference, 0);
+        assert.deepEqual(differences[300].second, {payment: 0, interestPaid: 0, endingBalance: 0});
+        assert.equal(differences[300].paymentDifference, -1264.14);
+        assert.equal(differences[359].balanceDifference, 0);
+    });
+
+    it('includes extra payments in the payment of the month', () => {
+        const prepayments = {monthly: 0, annual: 0, lumpSums: new Map([[2, 1000]])};
+        const withLumpSum = buildSchedule({...thirtyYears.params, prepayments});
+        const differences = diffSchedules(thirtyYears.schedule, withLumpSum);
+
+        assert.equal(differences[0].paymentDifference, 0);
+        assert.equal(differences[1].paymentDifference, 1000);
+        assert.equal(differences[1].balanceDifference, -1000);
+        assert.ok(differences[2].interestDifference < 0);
+    });
+
+    it('calculates the differences in the minor units of the currency', () => {
+        const params = {principal: 2000000, termInMonths: 12, monthlyInterestRate: 0.012 / 12, fractionDigits: 0};
+        const differences = diffSchedules(buildSchedule(params), buildSchedule({...params, principal: 1000000}), 0);
+
+        assert.ok(differences.every((difference) => Number.isInteger(difference.paymentDifference)));
+        assert.equal(differences[11].balanceDifference, 0);
+    });
+});
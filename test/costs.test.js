@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {calculateOwnershipCosts, solveInternalRate} from '../costs.js';
+
+const schedule = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12});
+const costs = {
+    propertyValue: 220000, propertyTax: 3000, insurance: 1200, pmiRate: 0.005, pmiLoanToValue: 0.78, upfrontFees: 4000
+};
+
+describe('calculateOwnershipCosts()', () => {
+    it('adds the property tax, home insurance and PMI to the outgoings of every month', () => {
+        const {rows, totals} = calculateOwnershipCosts(schedule, costs);
+
+        assert.deepEqual(rows[0], {month: 1, taxesAndInsurance: 350, pmi: 83.33, outgoings: 1264.14 + 350 + 83.33});
+        assert.equal(totals.monthlyOutgoings, rows[0].outgoings);
+        assert.equal(totals.taxesAndInsurance, 350 * 360);
+        assert.equal(totals.upfrontFees, 4000);
+    });
+
+    it('drops the PMI once the balance falls to the chosen loan-to-value', () => {
+        const {rows, totals} = calculateOwnershipCosts(schedule, costs);
+        const lastMonth = totals.pmiEndMonth;
+
+        assert.ok(schedule.rows[lastMonth - 1].startingBalance > 220000 * 0.78);
+        assert.ok(schedule.rows[lastMonth].startingBalance <= 220000 * 0.78);
+        assert.equal(rows[lastMonth - 1].pmi, 83.33);
+        assert.ok(rows.slice(lastMonth).every((row) => row.pmi === 0));
+        assert.equal(totals.pmi, Math.round(83.33 * lastMonth * 100) / 100);
+        assert.equal(calculateOwnershipCosts(schedule, {...costs, propertyValue: 0}).totals.pmiEndMonth, null);
+    });
+
+    it('calculates an APR above the interest rate when fees and PMI are paid', () => {
+        const {totals} = calculateOwnershipCosts(schedule, costs);
+        const totalCost = 200000 + schedule.totals.interestPaid + 4000 + totals.taxesAndInsurance + totals.pmi;
+
+        assert.ok(Math.abs(calculateOwnershipCosts(schedule, {}).totals.annualPercentageRate - 0.065) < 1e-6);
+        assert.ok(totals.annualPercentageRate > 0.07 && totals.annualPercentageRate < 0.071);
+        assert.equal(totals.totalCost, Math.round(totalCost * 100) / 100);
+    });
+});
+
+describe('solveInternalRate()', () => {
+    it('finds the rate at which the payments are worth the amount received', () => {
+        const rate = solveInternalRate(1000, [600, 600]);
+
+        assert.ok(Math.abs(600 / (1 + rate) + 600 / (1 + rate) ** 2 - 1000) < 1e-9);
+        assert.ok(Math.abs(solveInternalRate(1000, [1100]) - 0.1) < 1e-12);
+        assert.ok(Math.abs(solveInternalRate(1000, [500]) + 0.5) < 1e-12);
+        assert.equal(solveInternalRate(0, [100]), null);
+        assert.equal(solveInternalRate(1000, [0, 0]), null);
+    });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {
+    calculateDueDate,
+    calculateYearFraction,
+    countDays,
+    daysInMonth,
+    isBusinessDay,
+    parseIsoDate,
+    rollDate,
+    toIsoDate
+} from '../dates.js';
+
+describe('parseIsoDate() and toIsoDate()', () => {
+    it('convert between ISO 8601 date strings and dates at midnight UTC', () => {
+        assert.equal(parseIsoDate('2028-02-29').getTime(), Date.UTC(2028, 1, 29));
+        assert.equal(toIsoDate(parseIsoDate('2026-12-31')), '2026-12-31');
+    });
+
+    it('rejects text that is not a valid date', () => {
+        assert.equal(parseIsoDate('2026-02-30'), null);
+        assert.equal(parseIsoDate('31/12/2026'), null);
+        assert.equal(parseIsoDate(''), null);
+    });
+});
+
+describe('daysInMonth()', () => {
+    it('accounts for leap years', () => {
+        assert.equal(daysInMonth(2026, 1), 28);
+        assert.equal(daysInMonth(2028, 1), 29);
+        assert.equal(daysInMonth(2026, 3), 30);
+    });
+});
+
+describe('isBusinessDay() and rollDate()', () => {
+    const holidays = new Set(['2026-12-25']);
+
+    it('treats weekends and holidays as non-business days', () => {
+        assert.equal(isBusinessDay(parseIsoDate('2026-10-16'), holidays), true);
+        assert.equal(isBusinessDay(parseIsoDate('2026-10-17'), holidays), false);
+        assert.equal(isBusinessDay(parseIsoDate('2026-12-25'), holidays), false);
+    });
+
+    it('moves dates according to the business day convention', () => {
+        const saturday = parseIsoDate('2026-10-31');
+
+        assert.equal(toIsoDate(rollDate(saturday, 'none', holidays)), '2026-10-31');
+        assert.equal(toIsoDate(rollDate(saturday, 'following', holidays)), '2026-11-02');
+        assert.equal(toIsoDate(rollDate(saturday, 'modified-following', holidays)), '2026-10-30');
+        assert.equal(toIsoDate(rollDate(saturday, 'preceding', holidays)), '2026-10-30');
+        assert.equal(toIsoDate(rollDate(parseIsoDate('2026-12-25'), 'following', holidays)), '2026-12-28');
+    });
+});
+
+describe('calculateDueDate()', () => {
+    it('is due on the payment day one month after the start date', () => {
+        const calendar = {startDate: '2026-10-19', paymentDay: 5};
+
+        assert.equal(calculateDueDate(calendar, 1), '2026-11-05');
+        assert.equal(calculateDueDate(calendar, 3), '2027-01-05');
+        assert.equal(calculateDueDate(calendar, 360), '2056-10-05');
+    });
+
+    it('falls back to the last day of shorter months', () => {
+        const calendar = {startDate: '2027-12-31', paymentDay: 31};
+
+        assert.equal(calculateDueDate(calendar, 2), '2028-02-29');
+        assert.equal(calculateDueDate(calendar, 3), '2028-03-31');
+        assert.equal(calculateDueDate(calendar, 4), '2028-04-30');
+    });
+
+    it('steps by the interval of other payment frequencies', () => {
+        const calendar = {startDate: '2026-10-16', paymentDay: 31, roll: 'following'};
+
+        assert.equal(calculateDueDate(calendar, 1, {days: 14}), '2026-10-30');
+        assert.equal(calculateDueDate(calendar, 2, {days: 7}), '2026-10-30');
+        assert.equal(calculateDueDate(calendar, 3, {days: 7}), '2026-11-06');
+        assert.equal(calculateDueDate(calendar, 1, {months: 3}), '2027-02-01');
+    });
+});
+
+describe('countDays() and calculateYearFraction()', () => {
+    it('counts the actual days between two dates', () => {
+        assert.equal(countDays('2026-10-19', '2026-11-01'), 13);
+        assert.equal(countDays('2028-02-01', '2028-03-01'), 29);
+        assert.equal(countDays('2026-01-01', '2027-01-01'), 365);
+    });
+
+    it('accrues from the previous due date, or from the start date for the first payment', () => {
+        const calendar = {startDate: '2026-10-19', paymentDay: 1, dayCount: 'actual/365'};
+
+        assert.equal(calculateYearFraction(calendar, 1), 13 / 365);
+        assert.equal(calculateYearFraction(calendar, 3), 31 / 365);
+        assert.equal(calculateYearFraction({...calendar, dayCount: 'actual/360'}, 2), 30 / 360);
+        assert.equal(calculateYearFraction(calendar, 2, {days: 14}), 14 / 365);
+    });
+
+    it('leaves every period the same fraction of a year with the 30/360 convention', () => {
+        assert.equal(calculateYearFraction({startDate: '2026-10-19', paymentDay: 1}, 1), null);
+        assert.equal(calculateYearFraction({startDate: '2026-10-19', paymentDay: 1, dayCount: '30/360'}, 1), null);
+    });
+});
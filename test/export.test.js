@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {getCsvSeparators, toCsv, toJson} from '../export.js';
+
+const params = {
+    principal: 10000,
+    termInMonths: 24,
+    monthlyInterestRate: 0.06 / 12,
+    rateChanges: new Map([[13, 0.048 / 12]]),
+    prepayments: {monthly: 0, annual: 0, lumpSums: new Map([[6, 1000]])}
+};
+const schedule = buildSchedule(params);
+
+describe('getCsvSeparators()', () => {
+    it('uses a comma delimiter where the decimal separator is a point', () => {
+        assert.deepEqual(getCsvSeparators('en-US'), {decimal: '.', delimiter: ','});
+    });
+
+    it('uses a semicolon delimiter where the decimal separator is a comma', () => {
+        assert.deepEqual(getCsvSeparators('de-DE'), {decimal: ',', delimiter: ';'});
+    });
+});
+
+describe('toCsv()', () => {
+    it('starts with the details of the mortgage followed by the column headers', () => {
+        const lines = toCsv(params, schedule, 'en-US').split('\r\n');
+
+        assert.equal(lines[0], 'Principal,10000.00');
+        assert.equal(lines[1], 'Interest Rate (%),6');
+        assert.equal(lines[3], `Monthly Payment,${schedule.totals.monthlyPayment.toFixed(2)}`);
+        assert.ok(lines.includes(`Paid Off in Month,${schedule.totals.finalMonth}`));
+        assert.equal(lines[lines.indexOf('') + 1].split(',')[0], 'Month #');
+    });
+
+    it('adds a subtotal line after the last month of every year', () => {
+        const lines = toCsv(params, schedule, 'en-US').trimEnd().split('\r\n');
+        const yearLine = lines.find((line) => line.startsWith('End of Year 1,')).split(',');
+        const firstYear = schedule.rows.slice(0, 12);
+
+        assert.equal(lines[lines.indexOf(lines.find((line) => line.startsWith('12,'))) + 1].split(',')[0],
+            'End of Year 1');
+        assert.equal(yearLine[4], '1000.00');
+        assert.equal(Number(yearLine[5]), Number((10000 - firstYear[11].endingBalance).toFixed(2)));
+        assert.equal(yearLine[9], firstYear[11].endingBalance.toFixed(2));
+        assert.ok(lines[lines.length - 1].startsWith('End of Year 2,'));
+    });
+
+    it('uses the decimal separator and delimiter of the locale', () => {
+        const lines = toCsv(params, schedule, 'de-DE').split('\r\n');
+
+        assert.equal(lines[0], 'Principal;10000,00');
+        assert.equal(lines[1], 'Interest Rate (%);6');
+        assert.match(lines.find((line) => line.startsWith('13;')), /^13;;4,8;\d+,\d{2};/);
+    });
+
+    it('adds the due dates and subtotals of calendar years if the mortgage has a calendar', () => {
+        const calendarParams = {
+            ...params,
+            calendar: {startDate: '2026-09-15', paymentDay: 1, roll: 'none', holidays: new Set(), calendarYears: true}
+        };
+        const lines = toCsv(calendarParams, buildSchedule(calendarParams), 'en-US').trimEnd().split('\r\n');
+
+        assert.ok(lines.includes('Start Date,2026-09-15'));
+        assert.ok(lines.includes('Day Count,30/360'));
+        assert.ok(lines.some((line) => line.startsWith('1,2026-10-01,')));
+        assert.equal(lines[lines.indexOf(lines.find((line) => line.startsWith('3,2026-12-01,'))) + 1].split(',')[0],
+            'End of 2026');
+        assert.ok(lines[lines.length - 1].startsWith('End of 2028,'));
+    });
+
+    it('writes the amounts with the fraction digits of the currency', () => {
+        const dinarParams = {principal: 10000, termInMonths: 12, monthlyInterestRate: 0.06 / 12, fractionDigits: 3,
+            currency: 'KWD'};
+        const lines = toCsv(dinarParams, buildSchedule(dinarParams), 'en-US').split('\r\n');
+
+        assert.equal(lines[0], 'Principal,10000.000');
+        assert.ok(lines.includes('Currency,KWD'));
+    });
+});
+
+describe('toJson()', () => {
+    it('contains the details of the mortgage and every year with its subtotals', () => {
+        const json = JSON.parse(toJson(params, schedule));
+
+        assert.equal(json.mortgage.principal, 10000);
+        assert.equal(json.mortgage.interestRate, 6);
+        assert.deepEqual(json.mortgage.rateChanges, [{month: 13, interestRate: 4.8}]);
+        assert.deepEqual(json.mortgage.prepayments.lumpSums, [{month: 6, amount: 1000}]);
+        assert.equal(json.mortgage.interestSaved, schedule.totals.interestSaved);
+        assert.equal(json.years.length, 2);
+        assert.equal(json.years[0].months.length, 12);
+        assert.equal(json.years[0].subtotals.extraPayment, 1000);
+        assert.equal(json.years[1].months[0].interestRate, 4.8);
+        assert.equal(json.years[1].subtotals.endingBalance, 0);
+        assert.deepEqual(json.mortgage.repayment, {type: 'annuity', interestOnlyMonths: 0, balloonPayment: 0});
+    });
+
+    it('contains the refinancing of a refinanced mortgage', () => {
+        const refinancing = {month: 13, principal: 5000, monthlyInterestRate: 0.03 / 12, termInMonths: 24,
+            monthlyPayment: 214.91, costs: 250, breakEvenMonth: null, netSavings: -150};
+        const json = JSON.parse(toJson({...params, refinancing}, schedule));
+
+        assert.deepEqual(json.mortgage.refinancing, {month: 13, principal: 5000, interestRate: 3, termInYears: 2,
+            monthlyPayment: 214.91, costs: 250, breakEvenMonth: null, netSavings: -150});
+        assert.equal(JSON.parse(toJson(params, schedule)).mortgage.refinancing, undefined);
+    });
+
+    it('contains the totals of the costs of owning the property', () => {
+        const ownershipCosts = {monthlyOutgoings: 900, upfrontFees: 500, taxesAndInsurance: 2400, pmi: 0,
+            pmiEndMonth: null, totalCost: 13500, annualPercentageRate: 0.05};
+        const json = JSON.parse(toJson({...params, ownershipCosts}, schedule));
+
+        assert.deepEqual(json.mortgage.ownershipCosts, {...ownershipCosts, annualPercentageRate: 5});
+        assert.equal(JSON.parse(toJson(params, schedule)).mortgage.ownershipCosts, undefined);
+    });
+
+    it('contains the totals of the present values', () => {
+        const presentValue = {inflationRate: 0.02, discountRate: 0.04, presentValueOfPayments: 9500,
+            presentValueOfInterest: 400};
+        const json = JSON.parse(toJson({...params, presentValue}, schedule));
+
+        assert.deepEqual(json.mortgage.presentValue, {...presentValue, inflationRate: 2, discountRate: 4});
+        assert.equal(JSON.parse(toJson(params, schedule)).mortgage.presentValue, undefined);
+    });
+
+    it('contains the balances of the reconciliation', () => {
+        const reconciliation = {month: 3, rows: [], expectedBalance: 9500, actualBalance: 9600, balanceDifference: 100};
+        const json = JSON.parse(toJson({...params, reconciliation}, schedule));
+
+        assert.deepEqual(json.mortgage.reconciliation,
+            {month: 3, expectedBalance: 9500, actualBalance: 9600, balanceDifference: 100});
+        assert.equal(JSON.parse(toJson(params, schedule)).mortgage.reconciliation, undefined);
+    });
+
+    it('contains the payment events and the amounts capitalised and charged', () => {
+        const events = new Map([[3, {type: 'holiday', amount: 0}], [5, {type: 'partial', amount: 100}]]);
+        const withEvents = {...params, paymentEvents: {events, lateFee: 20, reamortization: 'term'}};
+        const eventSchedule = buildSchedule(withEvents);
+        const json = JSON.parse(toJson(withEvents, eventSchedule));
+
+        assert.deepEqual(json.mortgage.paymentEvents, {
+            events: [{month: 3, type: 'holiday', amount: 0}, {month: 5, type: 'partial', amount: 100}],
+            lateFee: 20,
+            reamortization: 'term',
+            capitalised: eventSchedule.totals.capitalised,
+            lateFees: 20,
+            finalMonth: eventSchedule.totals.finalMonth
+        });
+        assert.ok(toCsv(withEvents, eventSchedule, 'en-US').includes('\r\nLate Fees,20.00\r\n'));
+        assert.equal(JSON.parse(toJson(params, schedule)).mortgage.paymentEvents, undefined);
+    });
+
+    it('contains the offset account and the interest saved by it', () => {
+        const withOffset = {...params, offsetAccount: {balance: 2000, contribution: 50, mode: 'term'}};
+        const offsetSchedule = buildSchedule(withOffset);
+        const json = JSON.parse(toJson(withOffset, offsetSchedule));
+
+        assert.deepEqual(json.mortgage.offsetAccount,
+            {balance: 2000, contribution: 50, mode: 'term', ...offsetSchedule.totals.offsetAccount});
+        assert.ok(json.mortgage.offsetAccount.interestSaved > 0);
+        assert.ok(toCsv(withOffset, offsetSchedule, 'en-US').includes('\r\nOffset Savings Balance,2000.00\r\n'));
+        assert.equal(JSON.parse(toJson(params, schedule)).mortgage.offsetAccount, undefined);
+    });
+
+    it('contains the repayment structure of the mortgage', () => {
+        const balloonParams = {
+            principal: 10000,
+            termInMonths: 24,
+            monthlyInterestRate: 0.06 / 12,
+            repayment: {type: 'balloon', interestOnlyMonths: 6, balloonPayment: 4000}
+        };
+        const balloonSchedule = buildSchedule(balloonParams);
+        const json = JSON.parse(toJson(balloonParams, balloonSchedule));
+
+        assert.deepEqual(json.mortgage.repayment, balloonParams.repayment);
+        assert.equal(json.mortgage.interestOnlyPayment, 50);
+        assert.equal(json.mortgage.finalPayment, balloonSchedule.totals.finalPayment);
+        assert.ok(toCsv(balloonParams, balloonSchedule, 'en-US').includes('\r\nBalloon Payment,4000.00\r\n'));
+    });
+
+    it('describes the payment frequency and converts the interest rate back to an annual rate', () => {
+        const fortnightlyParams = {
+            principal: 10000,
+            termInMonths: 52,
+            monthlyInterestRate: Math.pow(1 + 0.06 / 2, 2 / 26) - 1,
+            repayment: {type: 'annuity', interestOnlyMonths: 0, frequency: 'fortnightly', compounding: 'semi-annual'}
+        };
+        const fortnightlySchedule = buildSchedule(fortnightlyParams);
+        const lines = toCsv(fortnightlyParams, fortnightlySchedule, 'en-US').split('\r\n');
+        const json = JSON.parse(toJson(fortnightlyParams, fortnightlySchedule));
+
+        assert.equal(lines[1], 'Interest Rate (%),6');
+        assert.ok(lines.includes('Payment Frequency,fortnightly'));
+        assert.equal(lines[lines.indexOf('') + 1].split(',')[0], 'Payment #');
+        assert.equal(json.mortgage.termInYears, 2);
+        assert.equal(json.mortgage.repayment.compounding, 'semi-annual');
+    });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {toAnnualRate, toPaymentCount, toPaymentNumber, toPeriodicRate} from '../frequency.js';
+
+describe('toPeriodicRate()', () => {
+    it('divides the annual interest rate when the interest is compounded with every payment', () => {
+        assert.equal(toPeriodicRate(0.065), 0.065 / 12);
+        assert.equal(toPeriodicRate(0.065, 'weekly'), 0.065 / 52);
+    });
+
+    it('converts the interest rate of a compounding period into that of a payment period', () => {
+        const semiAnnual = toPeriodicRate(0.05, 'monthly', 'semi-annual');
+
+        assert.ok(Math.abs(Math.pow(1 + semiAnnual, 6) - 1.025) < 1e-12);
+        assert.ok(semiAnnual < 0.05 / 12);
+        assert.equal(toPeriodicRate(0.05, 'quarterly', 'quarterly'), 0.05 / 4);
+    });
+});
+
+describe('toAnnualRate()', () => {
+    it('reverses the conversion into the interest rate of a payment period', () => {
+        assert.equal(toAnnualRate(0.065 / 12), 0.065);
+        for (const [frequency, compounding] of [['fortnightly', 'semi-annual'], ['quarterly', 'monthly']]) {
+            const rate = toAnnualRate(toPeriodicRate(0.065, frequency, compounding), frequency, compounding);
+
+            assert.ok(Math.abs(rate - 0.065) < 1e-12);
+        }
+    });
+});
+
+describe('toPaymentNumber() and toPaymentCount()', () => {
+    it('keep months as they are for monthly payments', () => {
+        assert.equal(toPaymentNumber(37), 37);
+        assert.equal(toPaymentCount(24), 24);
+    });
+
+    it('convert months into payments of other payment frequencies', () => {
+        assert.equal(toPaymentNumber(1, 'fortnightly'), 1);
+        assert.equal(toPaymentNumber(13, 'fortnightly'), 27);
+        assert.equal(toPaymentNumber(4, 'quarterly'), 2);
+        assert.equal(toPaymentCount(6, 'fortnightly'), 13);
+        assert.equal(toPaymentCount(12, 'weekly'), 52);
+    });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {createLocalization, MESSAGES, resolveLanguage, translate, translatePeriods} from '../i18n.js';
+
+describe('resolveLanguage()', () => {
+    it('uses the language of the locale if the message catalogue has it', () => {
+        assert.equal(resolveLanguage('de-AT'), 'de');
+        assert.equal(resolveLanguage('en-GB'), 'en');
+    });
+
+    it('falls back to English for languages without messages', () => {
+        assert.equal(resolveLanguage('fr-FR'), 'en');
+    });
+});
+
+describe('translate()', () => {
+    it('replaces the placeholders of the message', () => {
+        assert.equal(translate('en', 'separator.loanYears', {year: 1, nextYear: 2}), 'End of Year 1 | Start of Year 2');
+        assert.equal(translate('de', 'form.principal', {currency: '€'}), 'Darlehensbetrag in €:');
+    });
+
+    it('falls back to English, and then to the key, for missing messages', () => {
+        assert.equal(translate('fr', 'form.term'), 'Term in Years:');
+        assert.equal(translate('en', 'missing.message'), 'missing.message');
+    });
+
+    it('has the same messages in every language', () => {
+        for (const messages of Object.values(MESSAGES)) {
+            assert.deepEqual(Object.keys(messages).sort(), Object.keys(MESSAGES.en).sort());
+        }
+    });
+});
+
+describe('translatePeriods()', () => {
+    it('describes the payment periods of monthly payments as months', () => {
+        assert.deepEqual(translatePeriods('en', 'monthly'), {frequency: 'Monthly', period: 'Month', periods: 'Months'});
+    });
+
+    it('describes the payment periods of the other payment frequencies as payments', () => {
+        assert.deepEqual(translatePeriods('de', 'accelerated-bi-weekly'),
+            {frequency: 'Beschleunigte vierzehntägliche', period: 'Rate', periods: 'Raten'});
+    });
+});
+
+describe('createLocalization()', () => {
+    it('formats amounts in the currency style of the locale', () => {
+        assert.equal(createLocalization('en-US', 'EUR').currencyFormatter.format(1264.14), '€1,264.14');
+        assert.equal(createLocalization('de-DE', 'EUR').currencyFormatter.format(1264.14), '1.264,14 €');
+        assert.equal(createLocalization('de-DE', 'EUR').percentFormatter.format(0.065), '6,50 %');
+    });
+
+    it('uses the number of minor units of the currency', () => {
+        const yen = createLocalization('en-US', 'JPY');
+        const dinar = createLocalization('en-US', 'KWD');
+
+        assert.equal(yen.fractionDigits, 0);
+        assert.equal(yen.currencyFormatter.format(1264.5), '¥1,265');
+        assert.equal(dinar.fractionDigits, 3);
+        assert.equal(dinar.currencyFormatter.format(1264.136), 'KWD 1,264.136');
+    });
+
+    it('translates messages into the language of the locale', () => {
+        const localization = createLocalization('de-CH', 'CHF');
+
+        assert.equal(localization.language, 'de');
+        assert.equal(localization.currencySymbol, 'CHF');
+        assert.equal(localization.translate('comparison.month', {month: 12}), 'Monat 12');
+    });
+
+    it('translates messages with the payment periods of the payment frequency', () => {
+        const localization = createLocalization('en-CA', 'CAD', 'weekly');
+
+        assert.equal(localization.paymentFrequency, 'weekly');
+        assert.equal(localization.translate('table.title.monthlyPayment', {payment: '$100.00'}),
+            'Weekly Payment: $100.00');
+        assert.equal(localization.translate('comparison.month', {month: 12, period: 'Month'}), 'Month 12');
+    });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {discountSchedule, summarizeDiscountedRows} from '../inflation.js';
+
+const schedule = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12});
+
+describe('discountSchedule()', () => {
+    it('leaves every figure nominal without inflation', () => {
+        const {rows, totals} = discountSchedule(schedule, {});
+
+        assert.deepEqual(rows[0], {month: 1, realBalance: schedule.rows[0].endingBalance, presentValue: 1264.14});
+        assert.equal(totals.presentValueOfInterest, schedule.totals.interestPaid);
+        assert.equal(totals.presentValueOfPayments, Math.round((200000 + schedule.totals.interestPaid) * 100) / 100);
+    });
+
+    it('deflates the balances and discounts the payments by the inflation rate', () => {
+        const {rows, totals} = discountSchedule(schedule, {inflationRate: 0.02});
+
+        assert.equal(rows[11].realBalance, Math.round(schedule.rows[11].endingBalance / 1.02 * 100) / 100);
+        assert.equal(rows[119].presentValue, Math.round(1264.14 / 1.02 ** 10 * 100) / 100);
+        assert.equal(totals.discountRate, 0.02);
+        assert.ok(totals.presentValueOfInterest < schedule.totals.interestPaid);
+        assert.ok(totals.presentValueOfPayments < 200000 + schedule.totals.interestPaid);
+    });
+
+    it('discounts the payments by the discount rate if one is given', () => {
+        const discountRate = (1 + 0.065 / 12) ** 12 - 1;
+        const {rows, totals} = discountSchedule(schedule, {inflationRate: 0.02, discountRate});
+
+        assert.equal(rows[11].realBalance, Math.round(schedule.rows[11].endingBalance / 1.02 * 100) / 100);
+        assert.equal(rows[11].presentValue, Math.round(1264.14 / (1 + discountRate) * 100) / 100);
+        assert.ok(Math.abs(totals.presentValueOfPayments - 200000) < 1);
+    });
+});
+
+describe('summarizeDiscountedRows()', () => {
+    it('adds up the present values and keeps the last real balance', () => {
+        const rows = [
+            {month: 1, realBalance: 900, presentValue: 100.1},
+            {month: 2, realBalance: 800, presentValue: 0.2}
+        ];
+
+        assert.deepEqual(summarizeDiscountedRows(rows), {realBalance: 800, presentValue: 100.3});
+        assert.deepEqual(summarizeDiscountedRows([]), {realBalance: 0, presentValue: 0});
+    });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {
+    calculateMinimumBudget,
+    comparePayoffStrategies,
+    describeLoans,
+    orderLoans,
+    PAYOFF_STRATEGIES,
+    simulatePortfolio
+} from '../portfolio.js';
+
+const calendar = {startDate: '2026-10-19', paymentDay: 1, roll: 'none'};
+
+/**
+ * Given the passed arguments, a loan of the portfolio is created, with the schedule built from its parameters.
+ * @param name the name of the loan.
+ * @param principal the principal amount.
+ * @param annualInterestRate the decimal annual interest rate.
+ * @param termInMonths the term in months.
+ * @returns {{name: string, params: Object, schedule: Object}} the loan.
+ */
+function createLoan(name, principal, annualInterestRate, termInMonths) {
+    const params = {principal, termInMonths, monthlyInterestRate: annualInterestRate / 12, calendar};
+    return {name, params, schedule: buildSchedule(params)};
+}
+
+const loans = [
+    createLoan('Mortgage', 200000, 0.065, 360),
+    createLoan('Car', 15000, 0.09, 60),
+    createLoan('Student', 25000, 0.05, 120)
+];
+
+describe('describeLoans()', () => {
+    it('takes the principal, the interest rate and the regular payment of every loan', () => {
+        assert.deepEqual(describeLoans(loans)[1], {
+            index: 1, name: 'Car', balance: 15000, interestRate: 0.09, monthlyInterestRate: 0.09 / 12,
+            minimumPayment: 311.38
+        });
+    });
+
+    it('converts the payment and the interest rate of other payment frequencies into monthly figures', () => {
+        const params = {
+            principal: 10000, termInMonths: 104, monthlyInterestRate: 0.052 / 52, repayment: {frequency: 'weekly'}
+        };
+        const schedule = buildSchedule(params);
+        const [loan] = describeLoans([{name: 'Weekly', params, schedule}]);
+
+        assert.equal(loan.minimumPayment, Math.round(schedule.totals.monthlyPayment * 52 / 12 * 100) / 100);
+        assert.ok(Math.abs((1 + loan.monthlyInterestRate) ** 12 - (1 + 0.052 / 52) ** 52) < 1e-12);
+    });
+});
+
+describe('calculateMinimumBudget()', () => {
+    it('adds up the minimum payments of the loans', () => {
+        assert.equal(calculateMinimumBudget(describeLoans(loans)), 1840.68);
+        assert.equal(calculateMinimumBudget([]), 0);
+    });
+});
+
+describe('orderLoans()', () => {
+    it('orders the loans by the payoff strategy', () => {
+        const described = describeLoans(loans);
+
+        assert.deepEqual(orderLoans(described, 'avalanche').map((loan) => loan.name), ['Car', 'Mortgage', 'Student']);
+        assert.deepEqual(orderLoans(described, 'snowball').map((loan) => loan.name), ['Car', 'Student', 'Mortgage']);
+        assert.deepEqual(orderLoans(described, 'custom').map((loan) => loan.name), ['Mortgage', 'Car', 'Student']);
+    });
+});
+
+describe('simulatePortfolio()', () => {
+    it('pays every loan as scheduled when the budget only covers the minimum payments', () => {
+        const {schedules, totals, error} = simulatePortfolio(loans.slice(1), null, 'avalanche');
+
+        assert.equal(error, null);
+        assert.equal(totals.budget, 311.38 + 265.16);
+        assert.equal(schedules[0].totals.finalMonth, 60);
+        assert.equal(schedules[0].totals.interestPaid, loans[1].schedule.totals.interestPaid);
+        assert.ok(schedules[1].totals.finalMonth < 120);
+        assert.ok(schedules[1].rows[60].extraPayment > 0);
+    });
+
+    it('pays the left over budget towards the first loan, and rolls it into the next loan once paid off', () => {
+        const {schedules, totals} = simulatePortfolio(loans, 2500, 'avalanche');
+        const [mortgage, car] = schedules;
+
+        assert.deepEqual(totals.order, [1, 0, 2]);
+        assert.equal(car.rows[0].payment, 311.38);
+        assert.equal(car.rows[0].extraPayment, 659.32);
+        assert.equal(car.rows[car.rows.length - 1].endingBalance, 0);
+        assert.ok(mortgage.rows[car.rows.length].extraPayment > 0);
+        assert.equal(totals.finalMonth, Math.max(...schedules.map((schedule) => schedule.totals.finalMonth)));
+        assert.equal(totals.payoffDate, mortgage.totals.payoffDate);
+        assert.equal(mortgage.rows[0].dueDate, '2026-11-01');
+    });
+
+    it('pays less interest with avalanche and pays off the first loans sooner with snowball', () => {
+        const [avalanche, snowball, custom] = comparePayoffStrategies(loans, 2500);
+
+        assert.deepEqual([avalanche, snowball, custom].map((result) => result.totals.strategy), PAYOFF_STRATEGIES);
+        assert.ok(avalanche.totals.interestPaid < snowball.totals.interestPaid);
+        assert.ok(avalanche.totals.interestPaid < custom.totals.interestPaid);
+        assert.ok(snowball.schedules[2].totals.finalMonth < avalanche.schedules[2].totals.finalMonth);
+        assert.equal(avalanche.totals.interestPaid,
+            avalanche.schedules.reduce((total, schedule) => total + schedule.totals.interestPaid * 100, 0) / 100);
+    });
+
+    it('rejects budgets that do not cover the minimum payments or never pay off the loans', () => {
+        assert.deepEqual(simulatePortfolio(loans, 1000, 'snowball').error,
+            {key: 'portfolio.budgetTooLow', values: {minimum: 1840.68}});
+
+        const params = {principal: 10000, termInMonths: 12, monthlyInterestRate: 0.01};
+        const schedule = {...buildSchedule(params), totals: {...buildSchedule(params).totals, monthlyPayment: 50}};
+        assert.deepEqual(simulatePortfolio([{name: 'Loan', params, schedule}], null, 'custom').error,
+            {key: 'portfolio.neverPaidOff'});
+    });
+});
@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {parseStatement, reconcileSchedule} from '../reconciliation.js';
+
+const params = {
+    principal: 200000,
+    termInMonths: 360,
+    monthlyInterestRate: 0.065 / 12,
+    calendar: {startDate: '2026-10-19', paymentDay: 1, roll: 'none'}
+};
+const schedule = buildSchedule(params);
+const dueDates = schedule.rows.map((row) => row.dueDate);
+
+/**
+ * Given the passed amounts, the payments of a statement are created, each made on the due date of its row.
+ * @param amounts the amounts paid, in the order of the rows.
+ * @returns {{date: string, amount: number}[]} the payments.
+ */
+function onTime(...amounts) {
+    return amounts.map((amount, index) => ({date: dueDates[index], amount}));
+}
+
+describe('parseStatement()', () => {
+    it('parses a CSV statement with a header line, sorted by date', () => {
+        const {payments, error} = parseStatement('Date,Amount\r\n2026-12-01,1264.14\r\n\r\n"2026-11-02","1264.14"\r\n');
+
+        assert.equal(error, null);
+        assert.deepEqual(payments, [{date: '2026-11-02', amount: 1264.14}, {date: '2026-12-01', amount: 1264.14}]);
+    });
+
+    it('parses a CSV statement delimited by semicolons with decimal commas', () => {
+        assert.deepEqual(parseStatement('Datum;Betrag\n2026-11-02;1.264,14\n2026-12-01;500').payments,
+            [{date: '2026-11-02', amount: 1264.14}, {date: '2026-12-01', amount: 500}]);
+    });
+
+    it('parses quoted CSV fields that contain the delimiter or grouping separators', () => {
+        assert.deepEqual(parseStatement('"Date","Amount"\n2026-02-02,"1,264.14"\n"2026-03-02"," 12,000 "').payments,
+            [{date: '2026-02-02', amount: 1264.14}, {date: '2026-03-02', amount: 12000}]);
+        assert.deepEqual(parseStatement('Datum;Betrag\n2026-02-02;"1.264,14"').payments,
+            [{date: '2026-02-02', amount: 1264.14}]);
+    });
+
+    it('parses a JSON statement as an array or as an object with payments', () => {
+        const payments = [{date: '2026-11-02', amount: 1264.14}];
+
+        assert.deepEqual(parseStatement(JSON.stringify(payments)), {payments, error: null});
+        assert.deepEqual(parseStatement(JSON.stringify({payments})), {payments, error: null});
+    });
+
+    it('rejects statements that cannot be parsed or have no payments', () => {
+        assert.deepEqual(parseStatement('[{"date": "2026-11-02"').error, {key: 'reconciliation.invalidJson'});
+        assert.deepEqual(parseStatement('{"date": "2026-11-02"}').error, {key: 'reconciliation.invalidJson'});
+        assert.deepEqual(parseStatement('2026-11-02,abc').error,
+            {key: 'reconciliation.invalidEntry', values: {entry: '2026-11-02,abc'}});
+        assert.deepEqual(parseStatement('2026-02-30,100').error,
+            {key: 'reconciliation.invalidEntry', values: {entry: '2026-02-30,100'}});
+        assert.deepEqual(parseStatement('[{"date": "2026-11-02", "amount": -1}]').error,
+            {key: 'reconciliation.invalidEntry', values: {entry: '{"date":"2026-11-02","amount":-1}'}});
+        assert.deepEqual(parseStatement('Date,Amount\n').error, {key: 'reconciliation.empty'});
+    });
+});
+
+describe('reconcileSchedule()', () => {
+    it('matches the schedule when every payment is made in full and on time', () => {
+        const {schedule: reconciled, reconciliation, error} =
+            reconcileSchedule(params, schedule, onTime(1264.14, 1264.14, 1264.14));
+
+        assert.equal(error, null);
+        assert.equal(reconciliation.month, 3);
+        assert.ok(reconciliation.rows.every((row) =>
+            row.principalDifference === 0 && row.interestDifference === 0 && row.balanceDifference === 0));
+        assert.equal(reconciliation.actualBalance, schedule.rows[2].endingBalance);
+        assert.equal(reconciled.rows.length, 360);
+        assert.equal(reconciled.rows[3].startingBalance, schedule.rows[3].startingBalance);
+        assert.equal(reconciled.totals.interestPaid, schedule.totals.interestPaid);
+        assert.equal(reconciled.totals.finalMonth, schedule.totals.finalMonth);
+        assert.deepEqual(reconciled.rows[359], schedule.rows[359]);
+    });
+
+    it('keeps the totals of the schedule after years of payments, with prepayments or an offset account', () => {
+        for (const variant of [
+            {},
+            {prepayments: {monthly: 100, annual: 1000, lumpSums: new Map([[30, 5000]])}},
+            {offsetAccount: {balance: 50000, contribution: 100, mode: 'term'}}
+        ]) {
+            const variantParams = {...params, ...variant};
+            const variantSchedule = buildSchedule(variantParams);
+            const {schedule: reconciled} = reconcileSchedule(variantParams, variantSchedule, variantSchedule.rows
+                .slice(0, 40).map((row) => ({date: row.dueDate, amount: row.payment + row.extraPayment})));
+            const finalRow = reconciled.rows[reconciled.rows.length - 1];
+
+            assert.equal(reconciled.totals.interestPaid, variantSchedule.totals.interestPaid);
+            assert.equal(reconciled.totals.finalMonth, variantSchedule.totals.finalMonth);
+            assert.deepEqual(finalRow, variantSchedule.rows[variantSchedule.rows.length - 1]);
+        }
+    });
+
+    it('charges unpaid interest on the real balance and restarts the projection from it', () => {
+        const {schedule: reconciled, reconciliation} =
+            reconcileSchedule(params, schedule, onTime(1264.14, 1264.14, 1000, 1264.14));
+        const [, , short, next] = reconciliation.rows;
+
+        assert.deepEqual(short, {
+            month: 3, expectedPayment: 1264.14, actualPayment: 1000,
+            expectedPrincipal: 182.77, actualPrincipal: 0, principalDifference: -182.77,
+            expectedInterest: 1081.37, actualInterest: 1000, interestDifference: -81.37,
+            expectedBalance: 199454.63, actualBalance: 199718.77, balanceDifference: 264.14
+        });
+        assert.ok(next.balanceDifference > short.balanceDifference);
+        assert.equal(reconciled.rows[4].month, 5);
+        assert.equal(reconciled.rows[4].startingBalance, next.actualBalance);
+        assert.equal(reconciled.rows[4].dueDate, dueDates[4]);
+        assert.equal(reconciled.rows[4].monthlyPayment, 1264.14);
+        assert.ok(reconciled.totals.finalPayment > schedule.totals.finalPayment);
+        assert.equal(reconciled.rows.length, 360);
+        assert.equal(reconciled.rows[359].endingBalance, 0);
+        assert.equal(reconciled.totals.principalPaid, 200000 + 81.37);
+    });
+
+    it('charges the interest of the day count convention of the calendar', () => {
+        const actualParams = {...params, calendar: {...params.calendar, dayCount: 'actual/365'}};
+        const actualSchedule = buildSchedule(actualParams);
+        const {reconciliation} = reconcileSchedule(actualParams, actualSchedule, actualSchedule.rows.slice(0, 3)
+            .map((row) => ({date: row.dueDate, amount: row.payment})));
+
+        assert.equal(reconciliation.rows[0].actualInterest, actualSchedule.rows[0].interestPaid);
+        assert.ok(reconciliation.rows.every((row) => row.interestDifference === 0 && row.balanceDifference === 0));
+    });
+
+    it('counts an early payment towards the next row, and adds up payments towards the same row', () => {
+        const {reconciliation} = reconcileSchedule(params, schedule,
+            [{date: '2026-10-20', amount: 1000}, {date: dueDates[0], amount: 264.14}]);
+
+        assert.equal(reconciliation.month, 1);
+        assert.equal(reconciliation.rows[0].actualPayment, 1264.14);
+        assert.equal(reconciliation.balanceDifference, 0);
+    });
+
+    it('counts a late payment towards the row whose due date is nearest', () => {
+        const {reconciliation} = reconcileSchedule(params, schedule, ['2026-11-03', '2026-12-03', '2027-01-03']
+            .map((date) => ({date, amount: 1264.14})));
+
+        assert.equal(reconciliation.month, 3);
+        assert.ok(reconciliation.rows.every((row) => row.actualPayment === 1264.14 && row.balanceDifference === 0));
+        assert.equal(reconcileSchedule(params, schedule, [{date: '2026-11-16', amount: 100}]).reconciliation.month,
+            1);
+        assert.equal(reconcileSchedule(params, schedule, [{date: '2026-11-17', amount: 100}]).reconciliation.month,
+            2);
+    });
+
+    it('pays off the mortgage early when the payments cover the balance', () => {
+        const {schedule: reconciled, reconciliation} = reconcileSchedule(params, schedule, onTime(250000));
+
+        assert.equal(reconciliation.actualBalance, 0);
+        assert.equal(reconciled.rows.length, 1);
+        assert.equal(reconciled.totals.finalMonth, 1);
+        assert.equal(reconciled.totals.monthsEarly, 359);
+        assert.equal(reconciled.totals.principalPaid, 200000);
+        assert.equal(reconciled.totals.interestPaid, 1083.33);
+    });
+
+    it('rejects payments after the final payment and schedules without due dates', () => {
+        assert.deepEqual(reconcileSchedule(params, schedule, [{date: '2060-01-01', amount: 100}]).error,
+            {key: 'reconciliation.afterPayoff', values: {date: '2060-01-01'}});
+        assert.deepEqual(reconcileSchedule({...params, calendar: null}, buildSchedule({...params, calendar: null}),
+            onTime(100)).error, {key: 'reconciliation.noDueDates'});
+    });
+});
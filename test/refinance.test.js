@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {refinanceMortgage} from '../refinance.js';
+
+const params = {
+    principal: 200000,
+    termInMonths: 360,
+    monthlyInterestRate: 0.065 / 12,
+    calendar: {startDate: '2026-10-19', paymentDay: 1}
+};
+const schedule = buildSchedule(params);
+const newLoan = {month: 61, monthlyInterestRate: 0.05 / 12, termInMonths: 300};
+
+/**
+ * Rounds the given amount to whole cents, so that sums of amounts can be compared without floating point errors.
+ * @param amount the amount to be rounded.
+ * @returns {number} the amount rounded to two decimal places.
+ */
+function toCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+describe('refinanceMortgage()', () => {
+    it('pays off the remaining balance with the new loan from the month of the refinancing', () => {
+        const {schedule: refinanced, refinancing} = refinanceMortgage(params, schedule, newLoan);
+        const switchRow = refinanced.rows[60];
+
+        assert.equal(refinancing.principal, schedule.rows[59].endingBalance);
+        assert.deepEqual(refinanced.rows.slice(0, 60), schedule.rows.slice(0, 60));
+        assert.equal(switchRow.month, 61);
+        assert.equal(switchRow.dueDate, '2031-11-01');
+        assert.equal(switchRow.startingBalance, refinancing.principal);
+        assert.equal(switchRow.monthlyInterestRate, 0.05 / 12);
+        assert.equal(switchRow.monthlyPayment, 1094.48);
+        assert.equal(refinanced.rows.length, 360);
+        assert.equal(refinanced.totals.principalPaid, 200000);
+        assert.equal(refinanced.totals.interestPaid, refinanced.rows[359].totalInterestPaid);
+        assert.equal(refinanced.totals.monthsEarly, 0);
+    });
+
+    it('finds the month in which the savings make up for the closing costs and fees', () => {
+        const {refinancing} = refinanceMortgage(params, schedule, {...newLoan, closingCosts: 3000, fees: 500});
+        const savingsPerMonth = 1264.14 - 1094.48;
+
+        assert.equal(refinancing.costs, 3500);
+        assert.equal(refinancing.breakEvenMonth, 60 + Math.ceil(3500 / savingsPerMonth));
+        assert.equal(refinanceMortgage(params, schedule, newLoan).refinancing.breakEvenMonth, 61);
+    });
+
+    it('never breaks even on a new loan that costs more', () => {
+        const dearer = {...newLoan, monthlyInterestRate: 0.07 / 12, fees: 1000};
+        const {refinancing} = refinanceMortgage(params, schedule, dearer);
+
+        assert.equal(refinancing.breakEvenMonth, null);
+        assert.ok(refinancing.netSavings < 0);
+    });
+
+    it('carries the prepayments over onto the new loan', () => {
+        const prepayments = {monthly: 100, annual: 1000, lumpSums: new Map([[70, 5000]])};
+        const withPrepayments = {...params, prepayments};
+        const refinanced = refinanceMortgage(withPrepayments, buildSchedule(withPrepayments), newLoan).schedule;
+
+        assert.equal(refinanced.rows[69].extraPayment, 5100);
+        assert.equal(refinanced.rows[71].extraPayment, 1100);
+        assert.equal(refinanced.rows[72].extraPayment, 100);
+        assert.ok(refinanced.totals.interestSaved > 0);
+        assert.ok(refinanced.totals.finalMonth < 360);
+    });
+
+    it('adds the arrears to the new loan and carries the payment events over onto it', () => {
+        const events = new Map([[60, {type: 'missed', amount: 0}], [70, {type: 'holiday', amount: 0}]]);
+        const withEvents = {...params, paymentEvents: {events, lateFee: 35, reamortization: 'payment'}};
+        const current = buildSchedule(withEvents);
+        const {schedule: refinanced, refinancing} = refinanceMortgage(withEvents, current, newLoan);
+
+        assert.equal(refinancing.principal, toCents(current.rows[59].endingBalance + current.rows[59].arrears));
+        assert.equal(refinanced.rows[60].arrears, 0);
+        assert.equal(refinanced.rows[69].paymentEvent, 'holiday');
+        assert.equal(refinanced.totals.lateFees, 35);
+        assert.equal(refinanced.totals.capitalised, refinanced.rows[69].capitalised);
+        assert.equal(refinanced.rows[refinanced.rows.length - 1].endingBalance, 0);
+    });
+
+    it('refuses to refinance a mortgage that is already paid off', () => {
+        const short = {principal: 10000, termInMonths: 24, monthlyInterestRate: 0.06 / 12};
+
+        assert.deepEqual(refinanceMortgage(short, buildSchedule(short), {...newLoan, month: 25}),
+            {schedule: null, refinancing: null, error: {key: 'refinance.paidOff'}});
+    });
+
+    it('takes the principal of the new loan from the schedule when the interest accrues by actual days', () => {
+        const actualParams = {...params, calendar: {...params.calendar, dayCount: 'actual/365'}};
+        const actualSchedule = buildSchedule(actualParams);
+        const {schedule: refinanced, refinancing} = refinanceMortgage(actualParams, actualSchedule, newLoan);
+
+        assert.equal(refinancing.principal, actualSchedule.rows[59].endingBalance);
+        assert.equal(refinanced.rows[60].startingBalance, actualSchedule.rows[59].endingBalance);
+        assert.equal(refinanced.totals.principalPaid, 200000);
+    });
+
+    it('moves the offset account on to the new loan and measures it against the mortgage without it', () => {
+        const offsetParams = {...params, offsetAccount: {balance: 10000, contribution: 100}};
+        const {schedule: refinanced} = refinanceMortgage(offsetParams, buildSchedule(offsetParams), newLoan);
+        const {schedule: withoutOffset} = refinanceMortgage(params, schedule, newLoan);
+
+        assert.equal(refinanced.rows[59].offsetBalance, 15900);
+        assert.equal(refinanced.rows[60].offsetBalance, 16000);
+        assert.equal(refinanced.rows[60].dueDate, '2031-11-01');
+        assert.equal(refinanced.totals.offsetAccount.interestSaved,
+            toCents(withoutOffset.totals.interestPaid - refinanced.totals.interestPaid));
+        assert.equal(refinanced.totals.offsetAccount.monthsEarly,
+            withoutOffset.totals.finalMonth - refinanced.totals.finalMonth);
+        assert.equal(withoutOffset.totals.offsetAccount, null);
+    });
+
+    it('takes the principal of the new loan from the schedule when the offset account saves interest', () => {
+        const offsetParams = {...params, offsetAccount: {balance: 50000, contribution: 100, mode: 'term'}};
+        const offsetSchedule = buildSchedule(offsetParams);
+        const {schedule: refinanced, refinancing} = refinanceMortgage(offsetParams, offsetSchedule, newLoan);
+
+        assert.equal(refinancing.principal, offsetSchedule.rows[59].endingBalance);
+        assert.equal(refinanced.rows[60].startingBalance, offsetSchedule.rows[59].endingBalance);
+        assert.equal(refinanced.totals.principalPaid, 200000);
+    });
+});
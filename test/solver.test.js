@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule, calculateMonthlyPayment} from '../amortization.js';
+import {toPeriodicRate} from '../frequency.js';
+import {solveInterestRate, solveMortgage, solvePrincipal, solveTerm} from '../solver.js';
+
+describe('solvePrincipal()', () => {
+    it('reverses the calculation of the monthly payment', () => {
+        const payment = calculateMonthlyPayment(200000, 360, 0.065 / 12);
+
+        assert.ok(Math.abs(solvePrincipal(payment, 360, 0.065 / 12) - 200000) < 1e-6);
+        assert.equal(solvePrincipal(1000, 120, 0), 120000);
+    });
+});
+
+describe('solveTerm()', () => {
+    it('reverses the calculation of the monthly payment', () => {
+        const payment = calculateMonthlyPayment(200000, 300, 0.05 / 12);
+
+        assert.ok(Math.abs(solveTerm(200000, payment, 0.05 / 12) - 300) < 1e-6);
+        assert.equal(solveTerm(120000, 1000, 0), 120);
+    });
+
+    it('never pays off a payment that does not pay more than the interest', () => {
+        assert.equal(solveTerm(200000, 1000, 0.06 / 12), Infinity);
+    });
+});
+
+describe('solveInterestRate()', () => {
+    it('finds the interest rate of the monthly payment numerically', () => {
+        const payment = calculateMonthlyPayment(200000, 360, 0.065 / 12);
+
+        assert.ok(Math.abs(solveInterestRate(200000, payment, 360, 1 / 12) - 0.065 / 12) < 1e-12);
+        assert.equal(solveInterestRate(200000, 200000 / 360, 360, 1 / 12), 0);
+    });
+
+    it('finds no interest rate for payments outside the range', () => {
+        assert.equal(solveInterestRate(200000, 500, 360, 1 / 12), null);
+        assert.equal(solveInterestRate(200000, 50000, 360, 1 / 12), null);
+    });
+});
+
+describe('solveMortgage()', () => {
+    const mortgage = {payment: 1200, principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12};
+
+    it('solves for the largest principal without exceeding the payment', () => {
+        const {params, error} = solveMortgage('principal', mortgage);
+        const {totals} = buildSchedule({...params});
+
+        assert.equal(error, null);
+        assert.equal(params.principal, 189852.98);
+        assert.ok(totals.monthlyPayment <= 1200);
+    });
+
+    it('solves for the term in whole years after the interest-only payments, keeping the payment', () => {
+        const {params} = solveMortgage('term', {...mortgage, payment: 1500, interestOnlyMonths: 12});
+        const months = Math.ceil(solveTerm(200000, 1500, 0.065 / 12));
+        const {totals} = buildSchedule({
+            ...params, repayment: {type: 'annuity', interestOnlyMonths: 12, instalment: params.instalment}
+        });
+
+        assert.equal(params.termInMonths, Math.ceil((12 + months) / 12) * 12);
+        assert.equal(params.termInMonths % 12, 0);
+        assert.equal(totals.monthlyPayment, 1500);
+        assert.equal(totals.finalMonth, 12 + months);
+        assert.ok(totals.finalPayment <= 1500);
+        assert.deepEqual(solveMortgage('term', {...mortgage, payment: 1000}),
+            {params: null, error: {key: 'solver.neverPaidOff'}});
+        assert.equal(solveMortgage('term', {...mortgage, payment: 1084}).error.key, 'solver.termTooLong');
+    });
+
+    it('solves for the break-even interest rate of other payment frequencies', () => {
+        const monthlyInterestRate = toPeriodicRate(0.05, 'fortnightly', 'semi-annual');
+        const payment = calculateMonthlyPayment(200000, 650, monthlyInterestRate);
+        const {params} = solveMortgage('interest',
+            {...mortgage, payment, termInMonths: 650, frequency: 'fortnightly', compounding: 'semi-annual'});
+
+        assert.ok(Math.abs(params.monthlyInterestRate - monthlyInterestRate) < 1e-12);
+        assert.equal(solveMortgage('interest', {...mortgage, payment: 100}).error.key, 'solver.noInterestRate');
+    });
+
+    it('solves accelerated payments on the basis of the monthly payment', () => {
+        const {params} = solveMortgage('principal',
+            {...mortgage, payment: 600, termInMonths: 780, monthlyInterestRate: 0.065 / 26,
+                frequency: 'accelerated-bi-weekly'});
+        const {totals} = buildSchedule({...params, repayment: {type: 'annuity', frequency: 'accelerated-bi-weekly'}});
+
+        assert.ok(totals.monthlyPayment <= 600 && totals.monthlyPayment > 599.9);
+    });
+});
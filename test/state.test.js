@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {decodeState, deleteSavedScenario, encodeState, loadSavedScenarios, saveScenario} from '../state.js';
+
+/**
+ * Creates an in-memory storage with the same 'getItem()' and 'setItem()' functions as the storage of the browser.
+ * @param items the items that are already in the storage.
+ * @returns {{getItem: function(string): (string|null), setItem: function(string, string): void}} the storage.
+ */
+function createStorage(items = {}) {
+    const map = new Map(Object.entries(items));
+    return {
+        getItem: (key) => map.has(key) ? map.get(key) : null,
+        setItem: (key, value) => map.set(key, String(value))
+    };
+}
+
+describe('encodeState() and decodeState()', () => {
+    it('round trip the fields of the user input form', () => {
+        const values = {principal: '250000', interest: '4.25', 'lump-sums': '12:5000, 60:10000', roll: 'following'};
+        const query = encodeState(values);
+
+        assert.equal(query, 'principal=250000&interest=4.25&roll=following&lump-sums=12%3A5000%2C+60%3A10000');
+        assert.deepEqual(decodeState(`?${query}`), values);
+    });
+
+    it('leaves out empty fields and ignores unknown parameters', () => {
+        assert.equal(encodeState({principal: '1000', 'rate-changes': '', 'scenario-name': 'Mine'}), 'principal=1000');
+        assert.deepEqual(decodeState('term=25&utm_source=mail'), {term: '25'});
+    });
+});
+
+describe('saveScenario(), loadSavedScenarios() and deleteSavedScenario()', () => {
+    it('saves, replaces and deletes scenarios by name', () => {
+        const storage = createStorage();
+
+        saveScenario(storage, 'Fixed', {principal: '200000', term: '30'});
+        saveScenario(storage, 'Short', {principal: '200000', term: '15'});
+        saveScenario(storage, 'Fixed', {principal: '180000', term: '30', 'scenario-name': 'Fixed'});
+
+        assert.deepEqual(loadSavedScenarios(storage), [
+            {name: 'Fixed', values: {principal: '180000', term: '30'}},
+            {name: 'Short', values: {principal: '200000', term: '15'}}
+        ]);
+        assert.deepEqual(deleteSavedScenario(storage, 'Fixed').map((scenario) => scenario.name), ['Short']);
+        assert.deepEqual(loadSavedScenarios(storage).map((scenario) => scenario.name), ['Short']);
+    });
+
+    it('treats unreadable storage as having no saved scenarios', () => {
+        const key = 'mortgage-calculator.saved-scenarios';
+
+        assert.deepEqual(loadSavedScenarios(createStorage({[key]: '{not json'})), []);
+        assert.deepEqual(loadSavedScenarios(createStorage({[key]: '{"name": "Object"}'})), []);
+        assert.deepEqual(loadSavedScenarios(createStorage({[key]: '[{"name": "No Values"}]'})), []);
+    });
+});
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {buildSchedule} from '../amortization.js';
+import {checkSchedule, validateForm} from '../validation.js';
+
+/**
+ * The values of the input fields of the user input form as they are when the page is loaded.
+ * @type {Object<string, string>}
+ */
+const defaults = {
+    principal: '200000', interest: '6.5', 'rate-changes': '', term: '30', 'repayment-type': 'annuity',
+    'interest-only': '0', balloon: '0', 'start-date': '2026-10-19', 'payment-day': '1', holidays: '',
+    'extra-monthly': '0', 'extra-annual': '0', 'lump-sums': ''
+};
+
+describe('validateForm()', () => {
+    it('accepts the default values and empty optional fields', () => {
+        assert.deepEqual(validateForm(defaults), {});
+        assert.deepEqual(validateForm({...defaults, 'interest-only': '', 'extra-monthly': '', 'lump-sums': '12:500,'}),
+            {});
+    });
+
+    it('rejects missing, unparseable and out of range numbers', () => {
+        const values = {...defaults, principal: '', interest: '-1', term: '12.5', 'payment-day': '32'};
+
+        assert.deepEqual(validateForm(values), {
+            principal: {key: 'validation.required'},
+            interest: {key: 'validation.minimum', values: {minimum: 0}},
+            term: {key: 'validation.wholeNumber'},
+            'payment-day': {key: 'validation.maximum', values: {maximum: 31}}
+        });
+        assert.deepEqual(validateForm({...defaults, principal: '12abc', interest: '250'}), {
+            principal: {key: 'validation.number'},
+            interest: {key: 'validation.maximum', values: {maximum: 100}}
+        });
+        assert.deepEqual(validateForm({...defaults, principal: '0'}),
+            {principal: {key: 'validation.greaterThan', values: {minimum: 0}}});
+    });
+
+    it('checks fields that depend on other fields against them', () => {
+        assert.deepEqual(validateForm({...defaults, term: '1', 'interest-only': '12', 'lump-sums': '13:500'}), {
+            'interest-only': {key: 'validation.maximum', values: {maximum: 11}},
+            'lump-sums': {key: 'validation.entryMonth', values: {entry: '13:500', maximum: 12}}
+        });
+        assert.deepEqual(validateForm({...defaults, 'repayment-type': 'balloon', balloon: '250000'}),
+            {balloon: {key: 'validation.balloonTooLarge'}});
+        assert.deepEqual(validateForm({...defaults, balloon: '250000'}), {});
+    });
+
+    it('validates the regular payment instead of the figure that is solved for', () => {
+        const values = {...defaults, 'solve-for': 'term', 'target-payment': '', term: '', 'interest-only': '600'};
+
+        assert.deepEqual(validateForm(values), {'target-payment': {key: 'validation.required'}});
+        assert.deepEqual(validateForm({...defaults, 'solve-for': 'principal', 'target-payment': '1200', principal: ''}),
+            {});
+        assert.deepEqual(validateForm({...defaults, 'solve-for': 'interest', 'repayment-type': 'linear'}),
+            {'target-payment': {key: 'validation.solverAnnuity'}});
+        assert.deepEqual(validateForm({...defaults, 'solve-for': 'principal', 'rate-changes': '37:9'}),
+            {'target-payment': {key: 'validation.solverRateChanges'}});
+        assert.deepEqual(validateForm({...defaults, 'solve-for': 'term', 'target-payment': '1500', term: '',
+            'rate-changes': ' , ', 'day-count': 'actual/360'}), {'target-payment': {key: 'validation.solverDayCount'}});
+    });
+
+    it('validates the new loan only if the mortgage is refinanced', () => {
+        const values = {...defaults, 'refinance-month': '0', 'refinance-interest': '', 'refinance-term': '2.5'};
+
+        assert.deepEqual(validateForm(values), {});
+        assert.deepEqual(validateForm({...values, 'refinance-month': '61', 'closing-costs': '-1'}), {
+            'refinance-interest': {key: 'validation.required'},
+            'refinance-term': {key: 'validation.wholeNumber'},
+            'closing-costs': {key: 'validation.minimum', values: {minimum: 0}}
+        });
+        assert.deepEqual(validateForm({...defaults, 'refinance-month': '361'}),
+            {'refinance-month': {key: 'validation.maximum', values: {maximum: 360}}});
+    });
+
+    it('requires the property value for PMI and upfront fees below the principal', () => {
+        const values = {...defaults, 'property-value': '', 'pmi-rate': '0.5', 'pmi-ltv': '120'};
+
+        assert.deepEqual(validateForm({...defaults, 'property-value': '', 'property-tax': '', 'upfront-fees': '0'}),
+            {});
+        assert.deepEqual(validateForm(values), {
+            'property-value': {key: 'validation.required'},
+            'pmi-ltv': {key: 'validation.maximum', values: {maximum: 100}}
+        });
+        assert.deepEqual(validateForm({...defaults, 'upfront-fees': '200000'}),
+            {'upfront-fees': {key: 'validation.feesTooLarge'}});
+    });
+
+    it('accepts empty inflation and discount rates and rejects rates out of range', () => {
+        assert.deepEqual(validateForm({...defaults, 'inflation-rate': '2', 'discount-rate': ''}), {});
+        assert.deepEqual(validateForm({...defaults, 'inflation-rate': '-1', 'discount-rate': '101'}), {
+            'inflation-rate': {key: 'validation.minimum', values: {minimum: 0}},
+            'discount-rate': {key: 'validation.maximum', values: {maximum: 100}}
+        });
+    });
+
+    it('accepts named payment events and partial payments within the term', () => {
+        const values = {...defaults, 'payment-events': '13:holiday, 25:missed, 26:500, 30:capitalise,',
+            'late-fee': '35'};
+
+        assert.deepEqual(validateForm(values), {});
+        assert.deepEqual(validateForm({...defaults, 'payment-events': '13:skipped', 'late-fee': '-1'}), {
+            'payment-events': {key: 'validation.paymentEvent', values: {entry: '13:skipped'}},
+            'late-fee': {key: 'validation.minimum', values: {minimum: 0}}
+        });
+        assert.deepEqual(validateForm({...defaults, 'payment-events': '13:-5'}),
+            {'payment-events': {key: 'validation.paymentEvent', values: {entry: '13:-5'}}});
+        assert.deepEqual(validateForm({...defaults, 'payment-events': '361:holiday'}),
+            {'payment-events': {key: 'validation.entryMonth', values: {entry: '361:holiday', maximum: 360}}});
+    });
+
+    it('rejects malformed entries of the list fields', () => {
+        const values = {...defaults, 'rate-changes': '37:5.1, 61', holidays: '2026-12-25, 2026-02-30'};
+
+        assert.deepEqual(validateForm(values), {
+            'rate-changes': {key: 'validation.monthEntry', values: {entry: '61'}},
+            holidays: {key: 'validation.holiday', values: {entry: '2026-02-30'}}
+        });
+        assert.deepEqual(validateForm({...defaults, 'rate-changes': '37:150', 'start-date': ''}), {
+            'rate-changes': {key: 'validation.entryValue', values: {entry: '37:150', minimum: 0, maximum: 100}},
+            'start-date': {key: 'validation.date'}
+        });
+    });
+});
+
+describe('checkSchedule()', () => {
+    const annuity = {type: 'annuity', interestOnlyMonths: 0, balloonPayment: 0};
+
+    it('accepts schedules that pay off principal every month', () => {
+        const schedule = buildSchedule({principal: 200000, termInMonths: 360, monthlyInterestRate: 0.065 / 12});
+
+        assert.equal(checkSchedule(schedule, annuity), null);
+    });
+
+    it('refuses a payment that does not pay off any of the principal', () => {
+        const linear = {type: 'linear', interestOnlyMonths: 0, balloonPayment: 0};
+        const params = {principal: 1, termInMonths: 360, monthlyInterestRate: 1 / 12, fractionDigits: 0};
+
+        assert.deepEqual(checkSchedule(buildSchedule(params), annuity), {key: 'validation.neverAmortizes'});
+        assert.deepEqual(checkSchedule(buildSchedule({...params, repayment: linear}), linear),
+            {key: 'validation.neverAmortizes'});
+    });
+
+    it('allows balloon repayment to pay only interest until the final payment', () => {
+        const balloon = {type: 'balloon', interestOnlyMonths: 0, balloonPayment: 200000};
+        const schedule = buildSchedule({principal: 200000, termInMonths: 60, monthlyInterestRate: 0.05 / 12,
+            repayment: balloon});
+
+        assert.equal(checkSchedule(schedule, balloon), null);
+    });
+});
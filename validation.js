@@ -0,0 +1,396 @@
+/**
+ * The validation of the user input form, which checks the values of the input fields before a calculation is made, and
+ * checks the mortgage amortization schedule afterwards, so that degenerate inputs and impossible results are refused
+ * rather than shown as a nonsensical table. Errors are returned as message keys of the 'i18n.js' module, together with
+ * the values of their placeholders, so that they can be shown in the language of the page. None of the functions in
+ * this module access the DOM, so that the module can be imported both by the web page and by the test suite, which is
+ * run with Node.js.
+ */
+
+import {parseIsoDate} from './dates.js';
+
+/**
+ * The largest amount that can be entered, in major units of the currency, which keeps every amount of the schedule well
+ * within the range of whole numbers that can be represented exactly, even in minor units.
+ * @type {number}
+ */
+export const MAXIMUM_AMOUNT = 1000000000000;
+
+/**
+ * The highest annual interest rate that can be entered, as a percentage.
+ * @type {number}
+ */
+export const MAXIMUM_INTEREST_RATE = 100;
+
+/**
+ * The longest term that can be entered, in years.
+ * @type {number}
+ */
+export const MAXIMUM_TERM = 100;
+
+/**
+ * The names of the input fields of the user input form that are validated, in the order in which they appear in the
+ * form, so that the first error found is the first one the user sees. The drop-down lists are not validated, since
+ * they can only hold one of their options.
+ * @type {string[]}
+ */
+export const VALIDATED_FIELDS = ['target-payment', 'principal', 'interest', 'rate-changes', 'term', 'interest-only',
+    'balloon', 'start-date', 'payment-day', 'holidays', 'extra-monthly', 'extra-annual', 'lump-sums', 'payment-events',
+    'late-fee', 'offset-balance', 'offset-contribution', 'refinance-month', 'refinance-interest', 'refinance-term',
+    'closing-costs', 'refinance-fees', 'property-value', 'property-tax', 'insurance', 'pmi-rate', 'pmi-ltv',
+    'upfront-fees', 'inflation-rate', 'discount-rate'];
+
+/**
+ * Given the passed values of the input fields, the user input form is validated. Every field is checked on its own,
+ * and fields that depend on another field, such as the months of the rate changes, which must fall within the term,
+ * are only checked against that field if it is valid itself. When the form solves for the principal, the interest
+ * rate, or the term, that input field is not validated, since its value is the result rather than an input, and the
+ * regular payment to solve from is validated instead.
+ * @param values the values of the input fields, keyed by the names of the input fields.
+ * @returns {Object<string, ValidationError>} the errors of the input fields that are not valid, keyed by the names of
+ * the input fields, in the order of the 'VALIDATED_FIELDS', which is empty if the user input form is valid.
+ */
+export function validateForm(values) {
+    /**
+     * The errors of the input fields, which are initially empty.
+     * @type {Object<string, ValidationError>}
+     */
+    const errors = {};
+    /**
+     * The figure that is solved for, which is 'payment' if the form is used as usual.
+     * @type {string}
+     */
+    const unknown = values['solve-for'] ?? 'payment';
+    /**
+     * The principal must be greater than 0, and the annual interest rate must be between 0 and the highest rate,
+     * unless they are solved for, in which case they are not known yet, and have no error.
+     * @type {{value: number, error: ValidationError|null}}
+     */
+    const principal = unknown === 'principal' ?
+        {value: Infinity, error: null} :
+        validateNumber(values['principal'], {required: true, exclusiveMinimum: 0, maximum: MAXIMUM_AMOUNT});
+    const interest = unknown === 'interest' ?
+        {value: 0, error: null} :
+        validateNumber(values['interest'], {required: true, minimum: 0, maximum: MAXIMUM_INTEREST_RATE});
+    /**
+     * The term must be a whole number of years, of at least 1 year, unless it is solved for, in which case it is not
+     * known yet, and so does not limit the fields that depend on it.
+     * @type {{value: number, error: ValidationError|null}}
+     */
+    const term = unknown === 'term' ?
+        {value: Infinity, error: null} :
+        validateNumber(values['term'], {required: true, whole: true, minimum: 1, maximum: MAXIMUM_TERM});
+    /**
+     * The number of months in the term, which limits the months of the other input fields, and is unlimited if the
+     * term is not valid or is solved for.
+     * @type {number}
+     */
+    const termInMonths = term.error ? Infinity : term.value * 12;
+
+    /**
+     * When the form solves for another figure than the payment, the regular payment to solve from must be greater than
+     * 0, and the solver only works with the level payments of annuity repayment, at an interest rate that does not
+     * change, charged for every payment period alike, since it solves the formula of the regular payment rather than
+     * the schedule. Note that this line is broken onto multiple lines to keep the code readable.
+     */
+    if (unknown !== 'payment') {
+        setError(errors, 'target-payment', values['repayment-type'] !== 'annuity' ?
+            {key: 'validation.solverAnnuity'} :
+            (values['rate-changes'] ?? '').split(',').some((entry) => entry.trim() !== '') ?
+                {key: 'validation.solverRateChanges'} :
+                (values['day-count'] ?? '30/360') !== '30/360' ?
+                    {key: 'validation.solverDayCount'} :
+                    validateNumber(values['target-payment'],
+                        {required: true, exclusiveMinimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    }
+    /** The errors of the input fields that are checked on their own are recorded. */
+    setError(errors, 'principal', principal.error);
+    setError(errors, 'interest', interest.error);
+    setError(errors, 'rate-changes', validateMonthEntries(values['rate-changes'], termInMonths,
+        {minimum: 0, maximum: MAXIMUM_INTEREST_RATE}));
+    setError(errors, 'term', term.error);
+    /**
+     * At least the final month of the term must pay off the principal, so there is at most one month less of interest
+     * only payments than there are months in the term.
+     */
+    setError(errors, 'interest-only', validateNumber(values['interest-only'],
+        {whole: true, minimum: 0, maximum: termInMonths - 1}).error);
+
+    /** The balloon payment is only used, and so only validated, for balloon repayment. */
+    if (values['repayment-type'] === 'balloon') {
+        /**
+         * The balloon payment must be at least 0.
+         * @type {{value: number, error: ValidationError|null}}
+         */
+        const balloon = validateNumber(values['balloon'], {minimum: 0, maximum: MAXIMUM_AMOUNT});
+        /** A balloon payment that is more than a valid principal cannot be paid out of the principal. */
+        setError(errors, 'balloon', balloon.error ??
+            (!principal.error && balloon.value > principal.value ? {key: 'validation.balloonTooLarge'} : null));
+    }
+
+    /** The start date must be a valid date, and the payment day must be a day that some month has. */
+    setError(errors, 'start-date', parseIsoDate(values['start-date'] ?? '') ? null : {key: 'validation.date'});
+    setError(errors, 'payment-day', validateNumber(values['payment-day'],
+        {required: true, whole: true, minimum: 1, maximum: 31}).error);
+    setError(errors, 'holidays', validateHolidays(values['holidays']));
+    /** The extra payments must be at least 0. */
+    setError(errors, 'extra-monthly', validateNumber(values['extra-monthly'],
+        {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    setError(errors, 'extra-annual', validateNumber(values['extra-annual'],
+        {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    setError(errors, 'lump-sums', validateMonthEntries(values['lump-sums'], termInMonths,
+        {minimum: 0, maximum: MAXIMUM_AMOUNT}));
+    setError(errors, 'payment-events', validatePaymentEvents(values['payment-events'], termInMonths));
+    /** The late fee must be at least 0. */
+    setError(errors, 'late-fee', validateNumber(values['late-fee'], {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    /** The savings balance of the offset account must be at least 0, while a negative contribution is a withdrawal. */
+    setError(errors, 'offset-balance', validateNumber(values['offset-balance'],
+        {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    setError(errors, 'offset-contribution', validateNumber(values['offset-contribution'],
+        {minimum: -MAXIMUM_AMOUNT, maximum: MAXIMUM_AMOUNT}).error);
+
+    /**
+     * The month of the refinancing must be a whole number within the term, where 0 means that the mortgage is not
+     * refinanced.
+     * @type {{value: number, error: ValidationError|null}}
+     */
+    const refinanceMonth = validateNumber(values['refinance-month'], {whole: true, minimum: 0, maximum: termInMonths});
+    setError(errors, 'refinance-month', refinanceMonth.error);
+    /** The new loan is only used, and so only validated, if the mortgage is refinanced. */
+    if (!refinanceMonth.error && refinanceMonth.value > 0) {
+        setError(errors, 'refinance-interest', validateNumber(values['refinance-interest'],
+            {required: true, minimum: 0, maximum: MAXIMUM_INTEREST_RATE}).error);
+        setError(errors, 'refinance-term', validateNumber(values['refinance-term'],
+            {required: true, whole: true, minimum: 1, maximum: MAXIMUM_TERM}).error);
+        setError(errors, 'closing-costs', validateNumber(values['closing-costs'],
+            {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+        setError(errors, 'refinance-fees', validateNumber(values['refinance-fees'],
+            {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    }
+
+    /**
+     * The PMI rate and the loan-to-value at which the PMI drops off are percentages, which must be between 0 and 100.
+     * @type {{value: number, error: ValidationError|null}}
+     */
+    const pmiRate = validateNumber(values['pmi-rate'], {minimum: 0, maximum: 100});
+    /** The loan-to-value of the balance is unknown without the property value, which PMI therefore requires. */
+    setError(errors, 'property-value', validateNumber(values['property-value'], !pmiRate.error && pmiRate.value > 0 ?
+        {required: true, exclusiveMinimum: 0, maximum: MAXIMUM_AMOUNT} :
+        {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    setError(errors, 'property-tax', validateNumber(values['property-tax'],
+        {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    setError(errors, 'insurance', validateNumber(values['insurance'], {minimum: 0, maximum: MAXIMUM_AMOUNT}).error);
+    setError(errors, 'pmi-rate', pmiRate.error);
+    setError(errors, 'pmi-ltv', validateNumber(values['pmi-ltv'], {minimum: 0, maximum: 100}).error);
+    /**
+     * The upfront fees must be at least 0.
+     * @type {{value: number, error: ValidationError|null}}
+     */
+    const upfrontFees = validateNumber(values['upfront-fees'], {minimum: 0, maximum: MAXIMUM_AMOUNT});
+    /** Upfront fees that are at least a valid principal would leave the borrower with nothing of the loan. */
+    setError(errors, 'upfront-fees', upfrontFees.error ??
+        (!principal.error && upfrontFees.value >= principal.value ? {key: 'validation.feesTooLarge'} : null));
+
+    /** The inflation rate and the discount rate are percentages, which must be between 0 and 100 if they are given. */
+    setError(errors, 'inflation-rate', validateNumber(values['inflation-rate'], {minimum: 0, maximum: 100}).error);
+    setError(errors, 'discount-rate', validateNumber(values['discount-rate'], {minimum: 0, maximum: 100}).error);
+
+    /**
+     * The errors are returned in the order of the 'VALIDATED_FIELDS', rather than the order in which they were found.
+     */
+    return Object.fromEntries(VALIDATED_FIELDS.filter((field) => errors[field]).map((field) => [field, errors[field]]));
+}
+
+/**
+ * Given the passed arguments, the mortgage amortization schedule is checked for a result that is impossible, which is
+ * the case if the monthly payment does not pay off any of the principal in a month before the final month, for example
+ * because the interest rate is so high, or the principal so small, that rounding the payment to the minor unit leaves
+ * nothing for the principal. The mortgage would then never be paid off, and the final payment would have to pay the
+ * whole principal. For balloon repayment, a payment that only pays the interest is allowed, since that is the case if
+ * the balloon payment is the whole principal.
+ * @param schedule the mortgage amortization schedule, as built by the 'buildSchedule()' function.
+ * @param repayment the repayment structure that the schedule was built with.
+ * @returns {ValidationError|null} the error, or null if the schedule is possible.
+ */
+export function checkSchedule(schedule, repayment) {
+    /**
+     * The rows in which the monthly payment is expected to pay off principal, which are those after the interest-only
+     * period and before the final month, since the final payment always pays whatever is left, apart from the rows in
+     * which the scheduled payment is skipped or reduced by a payment event.
+     * @type {ScheduleRow[]}
+     */
+    const amortizingRows = schedule.rows.slice(repayment.interestOnlyMonths ?? 0, -1)
+        .filter((row) => !row.paymentEvent || row.paymentEvent === 'capitalise');
+    /**
+     * The smallest principal paid by the monthly payment itself, not counting extra payments, that is still allowed.
+     * @type {number}
+     */
+    const minimumPrincipalPaid = repayment.type === 'balloon' ? 0 : Number.MIN_VALUE;
+    /**
+     * The schedule is impossible if any of the rows pays off less principal than that, or has an amount that is NaN,
+     * since comparisons with NaN are always false.
+     */
+    return amortizingRows.every((row) => row.principalPaid - row.extraPayment >= minimumPrincipalPaid) ?
+        null :
+        {key: 'validation.neverAmortizes'};
+}
+
+/**
+ * Given the passed arguments, the value of a number input field is validated.
+ * @param text the value of the input field, which is empty if nothing is entered, or if the browser cannot parse what
+ * is entered as a number.
+ * @param rules the rules that the number must follow, which are whether a value is required, whether it must be a whole
+ * number, and the minimum, exclusive minimum, and maximum value. Rules that are not given are not checked.
+ * @returns {{value: number, error: ValidationError|null}} the parsed number, which is 0 for an empty input field that
+ * is not required, and the error, or null if the value is valid.
+ */
+function validateNumber(text = '', {required = false, whole = false, minimum, exclusiveMinimum, maximum} = {}) {
+    /**
+     * The value of the input field, without any surrounding whitespace.
+     * @type {string}
+     */
+    const trimmed = text.trim();
+    /** An empty input field is only an error if a value is required, and otherwise counts as 0. */
+    if (trimmed === '') {
+        return {value: 0, error: required ? {key: 'validation.required'} : null};
+    }
+    /**
+     * The value is converted to a number. Note that 'Number()' is used rather than 'parseFloat()', since 'parseFloat()'
+     * ignores anything after the number, and would accept, for example, '12abc'.
+     * @type {number}
+     */
+    const value = Number(trimmed);
+    /**
+     * The error of the value, which is checked against the rules in turn, so that only the first rule that is broken
+     * is reported. Note that this line is broken onto multiple lines to keep the code readable.
+     * @type {ValidationError|null}
+     */
+    const error = !Number.isFinite(value) ? {key: 'validation.number'} :
+        whole && !Number.isInteger(value) ? {key: 'validation.wholeNumber'} :
+            exclusiveMinimum !== undefined && value <= exclusiveMinimum ?
+                {key: 'validation.greaterThan', values: {minimum: exclusiveMinimum}} :
+                minimum !== undefined && value < minimum ? {key: 'validation.minimum', values: {minimum}} :
+                    maximum !== undefined && value > maximum ? {key: 'validation.maximum', values: {maximum}} :
+                        null;
+    /** The value and its error are returned. */
+    return {value, error};
+}
+
+/**
+ * Given the passed arguments, the value of a month list input field is validated. Every entry must be in the form
+ * 'month:value', where the month is a whole number within the term, and the value follows the given rules. Empty
+ * entries, for example after a trailing comma, are allowed, since they are ignored when the month list is parsed.
+ * @param text the value of the input field, for example '12:5000, 60:10000'.
+ * @param termInMonths the number of months in the term, which is the last month an entry can have.
+ * @param rules the minimum and maximum of the values of the entries.
+ * @returns {ValidationError|null} the error of the first entry that is not valid, or null if every entry is valid.
+ */
+function validateMonthEntries(text = '', termInMonths, {minimum, maximum}) {
+    /** Every entry of the text is iterated over, by splitting the text on every comma. */
+    for (const entry of text.split(',').map((part) => part.trim()).filter((part) => part !== '')) {
+        /**
+         * The parts of the entry, which must be exactly a month and a value.
+         * @type {string[]}
+         */
+        const parts = entry.split(':');
+        if (parts.length !== 2 || parts.some((part) => part.trim() === '' || !Number.isFinite(Number(part)))) {
+            return {key: 'validation.monthEntry', values: {entry}};
+        }
+        /**
+         * The month and the value of the entry, as numbers.
+         * @type {number[]}
+         */
+        const [month, value] = parts.map((part) => Number(part));
+        /** The month must be a whole number within the term. */
+        if (!Number.isInteger(month) || month < 1 || month > termInMonths) {
+            return {
+                key: Number.isFinite(termInMonths) ? 'validation.entryMonth' : 'validation.entryMonthPositive',
+                values: {entry, maximum: termInMonths}
+            };
+        }
+        /** The value must be within the minimum and the maximum. */
+        if (value < minimum || value > maximum) {
+            return {key: 'validation.entryValue', values: {entry, minimum, maximum}};
+        }
+    }
+    /** In this case, every entry is valid. */
+    return null;
+}
+
+/**
+ * Given the passed arguments, the value of the payment events input field is validated. Every entry must be in the form
+ * 'month:event', where the month is a whole number within the term, and the event is either one of 'holiday', 'missed'
+ * and 'capitalise', or the amount of a partial payment, which must be at least 0. Empty entries are allowed, since
+ * they are ignored when the payment events are parsed.
+ * @param text the value of the input field, for example '13:holiday, 25:missed, 26:500, 27:capitalise'.
+ * @param termInMonths the number of months in the term, which is the last month an entry can have.
+ * @returns {ValidationError|null} the error of the first entry that is not valid, or null if every entry is valid.
+ */
+function validatePaymentEvents(text = '', termInMonths) {
+    /** Every entry of the text is iterated over, by splitting the text on every comma. */
+    for (const entry of text.split(',').map((part) => part.trim()).filter((part) => part !== '')) {
+        /**
+         * The parts of the entry, which must be exactly a month and an event.
+         * @type {string[]}
+         */
+        const parts = entry.split(':').map((part) => part.trim());
+        /**
+         * The month of the entry, as a number.
+         * @type {number}
+         */
+        const month = Number(parts[0]);
+        if (parts.length !== 2 || parts[0] === '' || !Number.isFinite(month)) {
+            return {key: 'validation.paymentEvent', values: {entry}};
+        }
+        /** The month must be a whole number within the term. */
+        if (!Number.isInteger(month) || month < 1 || month > termInMonths) {
+            return {
+                key: Number.isFinite(termInMonths) ? 'validation.entryMonth' : 'validation.entryMonthPositive',
+                values: {entry, maximum: termInMonths}
+            };
+        }
+        /** The event must be named, or be the amount of a partial payment, which must be at least 0. */
+        if (!['holiday', 'missed', 'capitalise'].includes(parts[1]) &&
+            (parts[1] === '' || !Number.isFinite(Number(parts[1])) || Number(parts[1]) < 0 ||
+                Number(parts[1]) > MAXIMUM_AMOUNT)) {
+            return {key: 'validation.paymentEvent', values: {entry}};
+        }
+    }
+    /** In this case, every entry is valid. */
+    return null;
+}
+
+/**
+ * Given the passed text, the value of the holidays input field is validated. Every entry must be a valid ISO 8601 date,
+ * and empty entries are allowed, since they are ignored when the holidays are parsed.
+ * @param text the value of the input field, for example '2026-12-25, 2027-01-01'.
+ * @returns {ValidationError|null} the error of the first entry that is not a valid date, or null if every entry is.
+ */
+function validateHolidays(text = '') {
+    /**
+     * The first entry that is not empty and not a valid date, if any.
+     * @type {string|undefined}
+     */
+    const entry = text.split(',').map((part) => part.trim()).find((part) => part !== '' && !parseIsoDate(part));
+    /** The error of that entry is returned, or null if there is none. */
+    return entry === undefined ? null : {key: 'validation.holiday', values: {entry}};
+}
+
+/**
+ * Given the passed arguments, the error of an input field is recorded, if there is one.
+ * @param errors the errors of the input fields, keyed by the names of the input fields.
+ * @param field the name of the input field.
+ * @param error the error of the input field, or null if it is valid.
+ */
+function setError(errors, field, error) {
+    if (error) {
+        errors[field] = error;
+    }
+}
+
+/**
+ * An error of an input field, or of the whole calculation.
+ * @typedef {Object} ValidationError
+ * @property {string} key the key of the message in the message catalogues of the 'i18n.js' module.
+ * @property {Object<string, (number|string)>} [values] the values of the placeholders of the message.
+ */